@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+// Command-line client for a running manager: the same REST and Socket.IO API the web panel
+// uses, with human-readable or JSON output and an interactive server console.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { ManagerClient, DEFAULT_URL, DEFAULT_INSTANCE } = require('../lib/client');
+
+const SESSION_PATH = path.join(os.homedir(), '.mcctl.json');
+const HISTORY_PATH = path.join(os.homedir(), '.mcctl_history');
+const MAX_HISTORY = 1000;
+const CONSOLE_BACKLOG = 20;
+
+const USAGE = `Usage: mcctl [options] <command> [arguments]
+
+Commands:
+  login [username]              Sign in and remember the session (the password is prompted,
+                                or read from stdin when it is not a terminal)
+  logout                        End the remembered session
+  status                        Server state, players, addresses and tunnel
+  start                         Start the server
+  stop [--countdown S] [--reason TEXT]
+                                Stop the server, warning online players first
+  cmd <command...>              Run a console command, e.g. "mcctl cmd say Hello"
+  logs [-f] [--type error,warn] [-n N] [--search TEXT]
+                                Recent log entries; -f/--follow keeps streaming new ones
+  config get [section[.key]]    Show the configuration or part of it
+  config set <section.key> <value> [<section.key> <value> ...]
+                                Change settings
+  players                       Who is online
+  console                       Interactive server console with command history
+
+Options:
+  --url URL                     Manager address ($MCCTL_URL, default ${DEFAULT_URL})
+  -i, --instance ID             Server instance ($MCCTL_INSTANCE, default "${DEFAULT_INSTANCE}")
+  --json                        JSON output (one entry per line with --follow)
+  -h, --help                    Show this help
+
+"mcctl login" keeps its session token in ~/.mcctl.json. Scripts can set MCCTL_TOKEN
+instead, or MCCTL_USER and MCCTL_PASSWORD to sign in on every run.`;
+
+// Flags take no value; options take the next argument (or --name=value)
+const FLAGS = { '--json': 'json', '--follow': 'follow', '-f': 'follow', '--help': 'help', '-h': 'help' };
+const OPTIONS = {
+    '--url': 'url',
+    '--instance': 'instance',
+    '-i': 'instance',
+    '--type': 'type',
+    '--limit': 'limit',
+    '-n': 'limit',
+    '--search': 'search',
+    '--countdown': 'countdown',
+    '--reason': 'reason'
+};
+
+// First words offered by tab completion in the console
+const CONSOLE_COMMANDS = [
+    'ban', 'ban-ip', 'banlist', 'clear', 'deop', 'difficulty', 'effect', 'enchant', 'gamemode', 'gamerule',
+    'give', 'help', 'kick', 'kill', 'list', 'msg', 'op', 'pardon', 'pardon-ip', 'plugins', 'reload', 'save-all',
+    'say', 'seed', 'setworldspawn', 'spawnpoint', 'stop', 'summon', 'tell', 'tellraw', 'time', 'title', 'tp',
+    'version', 'weather', 'whitelist', 'xp'
+];
+
+const LOG_COLORS = { error: 31, warn: 33, success: 32, player: 36, world: 35 };
+
+function usageError(message) {
+    return Object.assign(new Error(message), { usage: true });
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const args = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // Everything after "cmd" is the command itself, dashes included
+        if (arg === '--' || args[0] === 'cmd') {
+            args.push(...argv.slice(arg === '--' ? i + 1 : i));
+            break;
+        }
+
+        const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        const name = equals > 0 ? arg.slice(0, equals) : arg;
+        if (FLAGS[name] && equals < 0) {
+            options[FLAGS[name]] = true;
+        } else if (OPTIONS[name]) {
+            const value = equals > 0 ? arg.slice(equals + 1) : argv[++i];
+            if (value === undefined) {
+                throw usageError(`${name} needs a value`);
+            }
+            options[OPTIONS[name]] = value;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw usageError(`Unknown option: ${arg}`);
+        } else {
+            args.push(arg);
+        }
+    }
+    return { options, args };
+}
+
+function loadSessions() {
+    try {
+        return JSON.parse(fs.readFileSync(SESSION_PATH, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+// The file holds session tokens, so only the user may read it
+function saveSessions(sessions) {
+    fs.writeFileSync(SESSION_PATH, JSON.stringify(sessions, null, 4), { mode: 0o600 });
+}
+
+async function createClient(options, { requireLogin = true } = {}) {
+    const url = (options.url || process.env.MCCTL_URL || DEFAULT_URL).replace(/\/+$/, '');
+    const client = new ManagerClient({
+        url,
+        token: process.env.MCCTL_TOKEN || loadSessions()[url]?.token || null,
+        instance: options.instance || process.env.MCCTL_INSTANCE || DEFAULT_INSTANCE
+    });
+
+    if (requireLogin && !client.token) {
+        if (!process.env.MCCTL_USER || !process.env.MCCTL_PASSWORD) {
+            throw new Error(`Not signed in to ${url} - run "mcctl login" first`);
+        }
+        await client.login(process.env.MCCTL_USER, process.env.MCCTL_PASSWORD);
+    }
+    return client;
+}
+
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+
+function paint(text, type) {
+    return useColor && LOG_COLORS[type] ? `\x1b[${LOG_COLORS[type]}m${text}\x1b[0m` : text;
+}
+
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+function formatLog(entry) {
+    const time = new Date(entry.timestamp).toLocaleTimeString();
+    const source = entry.instance ? '' : '[manager] ';
+    return paint(`[${time}] ${source}${entry.message}`, entry.type);
+}
+
+function formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m`;
+    return `${seconds % 60}s`;
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+// Read one line from the terminal; hidden input echoes nothing (for passwords)
+function ask(question, { hidden = false } = {}) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+        if (hidden && process.stdin.isTTY) {
+            rl._writeToOutput = (text) => {
+                if (text.includes(question)) rl.output.write(question);
+            };
+        }
+        rl.question(question, (answer) => {
+            rl.close();
+            if (hidden && process.stdin.isTTY) process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+// A log entry belongs to the selected instance, or is a manager-wide message
+function matchesLog(entry, client, { types = null, search = null } = {}) {
+    if (entry.instance !== null && entry.instance !== client.instance) return false;
+    if (types && !types.includes(entry.type)) return false;
+    if (search && !entry.message.toLowerCase().includes(search)) return false;
+    return true;
+}
+
+const COMMANDS = {
+    async login(client, options, [username]) {
+        username = username || process.env.MCCTL_USER || await ask('Username: ');
+        const password = process.stdin.isTTY
+            ? await ask('Password: ', { hidden: true })
+            : fs.readFileSync(0, 'utf8').split(/\r?\n/)[0];
+
+        const data = await client.login(username, password);
+        const sessions = loadSessions();
+        sessions[client.url] = { username: data.user.username, token: data.token };
+        saveSessions(sessions);
+
+        if (options.json) return printJson({ success: true, user: data.user });
+        console.log(`🔓 Signed in to ${client.url} as ${data.user.username} (${data.user.role})`);
+    },
+
+    async logout(client, options) {
+        const sessions = loadSessions();
+        if (client.token) {
+            // An expired session is gone either way
+            await client.logout().catch(() => { });
+        }
+        delete sessions[client.url];
+        saveSessions(sessions);
+
+        if (options.json) return printJson({ success: true });
+        console.log(`🔒 Signed out of ${client.url}`);
+    },
+
+    async status(client, options) {
+        const data = await client.get(client.instanceUrl('/status'));
+        if (options.json) return printJson(data);
+
+        const { connections, tunnel, metrics } = data;
+        const addresses = edition => [
+            connections.local[edition],
+            connections.network[edition],
+            connections.tunnel?.[edition]
+        ].filter(Boolean).join(', ');
+
+        const lines = [
+            ['Instance', data.instance],
+            ['Status', `${data.status}${data.uptime ? ` (up ${formatDuration(data.uptime)})` : ''}`],
+            ['Players', `${data.players.count}/${data.players.max}`],
+            ['Java', addresses('java')],
+            ['Bedrock', addresses('bedrock')],
+            ['Tunnel', tunnel.label
+                ? `${tunnel.label} - ${tunnel.state || (tunnel.running ? 'running' : 'stopped')}${tunnel.message ? ` (${tunnel.message})` : ''}`
+                : 'off'],
+            ['RCON', data.rcon.enabled ? (data.rcon.connected ? 'connected' : 'not connected') : 'off']
+        ];
+
+        const sample = data.running ? metrics?.latest : null;
+        if (sample) {
+            const usage = [
+                sample.cpu !== null ? `CPU ${sample.cpu}%` : null,
+                sample.rss !== null ? `RAM ${formatBytes(sample.rss)}` : null,
+                sample.tps != null ? `TPS ${sample.tps}` : null,
+                sample.mspt != null ? `MSPT ${sample.mspt}` : null
+            ].filter(Boolean).join(', ');
+            if (usage) lines.push(['Usage', usage]);
+        }
+        if (data.shutdown?.inProgress) {
+            lines.push(['Shutdown', data.shutdown.stage]);
+        }
+
+        for (const [label, value] of lines) {
+            console.log(`${`${label}:`.padEnd(10)} ${value}`);
+        }
+    },
+
+    async start(client, options) {
+        const data = await client.post(client.instanceUrl('/start'));
+        if (options.json) return printJson(data);
+
+        console.log(`🚀 ${data.message}`);
+        (data.warnings || []).forEach(warning => console.log(paint(`⚠️ ${warning}`, 'warn')));
+    },
+
+    async stop(client, options) {
+        const body = {};
+        if (options.countdown !== undefined) {
+            if (!/^\d+$/.test(options.countdown)) {
+                throw usageError('--countdown must be a whole number of seconds');
+            }
+            body.countdown = Number(options.countdown);
+        }
+        if (options.reason !== undefined) {
+            body.reason = options.reason;
+        }
+
+        const data = await client.post(client.instanceUrl('/stop'), body);
+        if (options.json) return printJson(data);
+        console.log(`⏹️ ${data.message}`);
+    },
+
+    async cmd(client, options, args) {
+        const command = args.join(' ').replace(/^\//, '').trim();
+        if (!command) {
+            throw usageError('Usage: mcctl cmd <command...>');
+        }
+
+        const data = await client.post(client.instanceUrl('/command'), { command });
+        if (options.json) return printJson(data);
+        // Commands sent over stdin have no reply to show
+        console.log(data.output || `📤 ${data.message}`);
+    },
+
+    async logs(client, options) {
+        const types = options.type ? options.type.split(',').map(type => type.trim()).filter(Boolean) : null;
+        const search = options.search ? options.search.toLowerCase() : null;
+        const print = entry => console.log(options.json && options.follow ? JSON.stringify(entry) : formatLog(entry));
+
+        // Listen before fetching the history, so nothing logged in between is lost
+        const live = [];
+        let caughtUp = false;
+        if (options.follow) {
+            const socket = await client.connect();
+            socket.on('new-log', (entry) => {
+                if (!matchesLog(entry, client, { types, search })) return;
+                if (caughtUp) {
+                    print(entry);
+                } else {
+                    live.push(entry);
+                }
+            });
+            socket.on('disconnect', (reason) => {
+                if (reason !== 'io client disconnect') console.error(paint('❌ Disconnected from the manager - reconnecting...', 'error'));
+            });
+        }
+
+        const query = new URLSearchParams({ instance: client.instance, includeManager: 'true', limit: options.limit || '50' });
+        if (types) query.set('type', types.join(','));
+        if (options.search) query.set('search', options.search);
+        const data = await client.get(`/logs?${query}`);
+
+        if (!options.follow) {
+            if (options.json) return printJson(data);
+            data.entries.forEach(print);
+            return;
+        }
+
+        data.entries.forEach(print);
+        const seen = new Set(data.entries.map(entry => entry.id));
+        live.filter(entry => !seen.has(entry.id)).forEach(print);
+        caughtUp = true;
+        return new Promise(() => { }); // until Ctrl+C
+    },
+
+    async config(client, options, [action = 'get', ...args]) {
+        if (action === 'get') {
+            const { config } = await client.get(client.instanceUrl('/config'));
+            let value = config;
+            for (const key of args[0] ? args[0].split('.') : []) {
+                value = value?.[key];
+            }
+            if (value === undefined) {
+                throw new Error(`No setting named "${args[0]}"`);
+            }
+
+            if (options.json || typeof value === 'object') return printJson(value);
+            return console.log(String(value));
+        }
+
+        if (action !== 'set') {
+            throw usageError('Usage: mcctl config get [section[.key]] | config set <section.key> <value> ...');
+        }
+        if (args.length === 0 || args.length % 2 !== 0) {
+            throw usageError('config set needs <section.key> <value> pairs');
+        }
+
+        // Values arrive as text; the schema says which ones are numbers or booleans
+        const { schema } = await client.get(client.instanceUrl('/config/schema'));
+        const patch = {};
+        for (let i = 0; i < args.length; i += 2) {
+            const [section, key, ...rest] = args[i].split('.');
+            const rule = schema[section]?.[key];
+            if (!rule || rest.length > 0) {
+                throw usageError(`Unknown setting "${args[i]}"`);
+            }
+            patch[section] = { ...patch[section], [key]: parseSetting(args[i + 1], rule) };
+        }
+
+        let data;
+        try {
+            data = await client.post(client.instanceUrl('/config'), { config: patch });
+        } catch (error) {
+            if (options.json && error.data) {
+                printJson(error.data);
+                process.exitCode = 1;
+                return;
+            }
+            throw error;
+        }
+        if (options.json) return printJson(data);
+
+        console.log(`⚙️ ${data.message}`);
+        for (const change of data.changes) {
+            const [section, key] = change.field.split('.');
+            const secret = schema[section]?.[key]?.secret;
+            console.log(`  ${change.field}: ${secret ? '(hidden)' : `${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`}`);
+        }
+    },
+
+    async players(client, options) {
+        const data = await client.get(client.instanceUrl('/players'));
+        if (options.json) return printJson(data);
+
+        console.log(`👥 ${data.count}/${data.max} online (${data.java} Java, ${data.bedrock} Bedrock)`);
+        for (const player of data.online) {
+            console.log(`  ${player.name} (${player.platform}) - ${formatDuration(player.sessionSeconds)}`);
+        }
+    },
+
+    console: runConsole
+};
+
+function parseSetting(text, rule) {
+    if (rule.type === 'boolean') {
+        if (['true', 'on', 'yes'].includes(text.toLowerCase())) return true;
+        if (['false', 'off', 'no'].includes(text.toLowerCase())) return false;
+        throw usageError(`Expected true or false, got "${text}"`);
+    }
+    if (rule.type === 'integer') {
+        // Anything else goes through as text so the manager reports what is wrong with it
+        return /^-?\d+$/.test(text) ? Number(text) : text;
+    }
+    return text;
+}
+
+function loadHistory() {
+    try {
+        return fs.readFileSync(HISTORY_PATH, 'utf8').split('\n').filter(Boolean).slice(-MAX_HISTORY);
+    } catch {
+        return [];
+    }
+}
+
+// Behaves like the Minecraft server console: the instance's log scrolls by, typed lines are
+// sent as commands, and "stop" goes through the manager's shutdown sequence
+async function runConsole(client, options) {
+    if (options.json) {
+        throw usageError('The console has no JSON output');
+    }
+    if (!process.stdin.isTTY) {
+        throw usageError('The console needs a terminal; use "mcctl cmd" in scripts');
+    }
+
+    const socket = await client.connect();
+    const online = new Set();
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: '> ',
+        // readline wants the newest entry first
+        history: loadHistory().reverse(),
+        historySize: MAX_HISTORY,
+        removeHistoryDuplicates: true,
+        completer(line) {
+            const words = line.split(' ');
+            const word = words[words.length - 1];
+            const candidates = words.length === 1 ? CONSOLE_COMMANDS : [...online];
+            const hits = candidates.filter(candidate => candidate.toLowerCase().startsWith(word.toLowerCase()));
+            return [hits, word];
+        }
+    });
+
+    // Output arriving while the user types is printed above the prompt
+    const printAbove = (text) => {
+        readline.clearLine(process.stdout, 0);
+        readline.cursorTo(process.stdout, 0);
+        console.log(text);
+        rl.prompt(true);
+    };
+
+    const { entries } = await client.get(`/logs?${new URLSearchParams({ instance: client.instance, includeManager: 'true', limit: String(CONSOLE_BACKLOG) })}`);
+    entries.forEach(entry => console.log(formatLog(entry)));
+    console.log(paint(`📟 Console for "${client.instance}" at ${client.url} - Ctrl+D or Ctrl+C to leave (the server keeps running)`, 'success'));
+
+    const { online: players } = await client.get(client.instanceUrl('/players'));
+    players.forEach(player => online.add(player.name));
+
+    socket.on('new-log', (entry) => {
+        if (matchesLog(entry, client)) printAbove(formatLog(entry));
+    });
+    socket.on('players-update', (summary) => {
+        if (summary.instance !== client.instance) return;
+        online.clear();
+        summary.online.forEach(player => online.add(player.name));
+    });
+    socket.on('disconnect', (reason) => {
+        if (reason !== 'io client disconnect') printAbove(paint('❌ Disconnected from the manager - reconnecting...', 'error'));
+    });
+    socket.io.on('reconnect', () => printAbove(paint('🔗 Reconnected', 'success')));
+
+    rl.on('line', async (line) => {
+        const command = line.trim().replace(/^\//, '');
+        rl.prompt();
+        if (!command) return;
+
+        try {
+            // Command replies arrive through the log like everything else
+            if (command === 'stop') {
+                const data = await client.post(client.instanceUrl('/stop'));
+                printAbove(`⏹️ ${data.message}`);
+            } else {
+                await client.post(client.instanceUrl('/command'), { command });
+            }
+        } catch (error) {
+            printAbove(paint(`❌ ${error.message}`, 'error'));
+        }
+    });
+
+    rl.on('SIGINT', () => rl.close());
+
+    await new Promise(resolve => rl.on('close', resolve));
+    try {
+        fs.writeFileSync(HISTORY_PATH, `${[...rl.history].reverse().join('\n')}\n`, { mode: 0o600 });
+    } catch (error) {
+        console.error(`⚠️ Could not save the console history: ${error.message}`);
+    }
+    console.log('');
+    client.disconnect();
+}
+
+async function main(argv) {
+    const { options, args } = parseArgs(argv);
+    const [name, ...rest] = args;
+
+    if (options.help || !name || name === 'help') {
+        console.log(USAGE);
+        return;
+    }
+    if (!Object.hasOwn(COMMANDS, name)) {
+        throw usageError(`Unknown command: ${name}`);
+    }
+
+    const client = await createClient(options, { requireLogin: !['login', 'logout'].includes(name) });
+    process.on('SIGINT', () => {
+        client.disconnect();
+        process.exit(0);
+    });
+
+    await COMMANDS[name](client, options, rest);
+    if (name !== 'console') client.disconnect();
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error(paint(`❌ ${error.message}`, 'error'));
+    for (const { field, message } of error.data?.errors || []) {
+        console.error(`  ${field}: ${message}`);
+    }
+    if (error.usage) {
+        console.error('Run "mcctl help" for usage.');
+    }
+    if (error.status === 401) {
+        console.error('Run "mcctl login" to sign in again.');
+    }
+    process.exit(error.usage ? 2 : 1);
+});
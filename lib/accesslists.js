@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+
+// The player lists the server keeps next to server.properties
+const ACCESS_LISTS = {
+    whitelist: { file: 'whitelist.json', key: 'player' },
+    ops: { file: 'ops.json', key: 'player' },
+    bans: { file: 'banned-players.json', key: 'player' },
+    'ip-bans': { file: 'banned-ips.json', key: 'ip' }
+};
+
+// Floodgate gives Bedrock players a UUID made from their XUID: 00000000-0000-0000-xxxx-xxxxxxxxxxxx
+const BEDROCK_UUID_PREFIX = '00000000-0000-0000-';
+const NAME_PATTERN = /^[A-Za-z0-9_]{1,16}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_REASON_LENGTH = 200;
+const DEFAULT_OP_LEVEL = 4;
+
+// The UUID an offline-mode server gives a name (Java's UUID.nameUUIDFromBytes, version 3)
+function offlineUuid(name) {
+    const hash = crypto.createHash('md5').update(`OfflinePlayer:${name}`, 'utf8').digest();
+    hash[6] = (hash[6] & 0x0f) | 0x30;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    return formatUuid(hash.toString('hex'));
+}
+
+// The UUID Floodgate gives a Bedrock player with this XUID
+function floodgateUuid(xuid) {
+    return formatUuid(BigInt(xuid).toString(16).padStart(32, '0'));
+}
+
+function formatUuid(hex) {
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Ban lists use Java's "yyyy-MM-dd HH:mm:ss Z" date format
+function formatBanDate(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} `
+        + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+// Whitelist, operators and bans: changes go through console commands while the
+// server runs and straight into the JSON files while it is offline
+class AccessListManager {
+    constructor(server) {
+        this.server = server;
+    }
+
+    get floodgatePrefix() {
+        return this.server.players.floodgatePrefix;
+    }
+
+    getListPath(list) {
+        return path.join(this.server.serverPath, ACCESS_LISTS[list].file);
+    }
+
+    readList(list) {
+        return this.readJson(this.getListPath(list));
+    }
+
+    readJson(filePath) {
+        try {
+            if (fs.existsSync(filePath)) {
+                const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                return Array.isArray(entries) ? entries : [];
+            }
+        } catch (error) {
+            this.server.broadcastLog(`⚠️ Could not read ${path.basename(filePath)}: ${error.message}`, 'warn');
+        }
+        return [];
+    }
+
+    writeList(list, entries) {
+        // Same layout the server writes
+        fs.writeFileSync(this.getListPath(list), JSON.stringify(entries, null, 2));
+    }
+
+    getLists() {
+        const lists = {};
+        for (const list of Object.keys(ACCESS_LISTS)) {
+            lists[list] = this.readList(list).map(entry => (entry.uuid
+                ? { ...entry, platform: entry.uuid.startsWith(BEDROCK_UUID_PREFIX) ? 'bedrock' : 'java' }
+                : entry));
+        }
+        return lists;
+    }
+
+    // Players the server has seen: our session history and its own usercache.json
+    findKnownPlayer(name) {
+        const lower = name.toLowerCase();
+        const history = [...this.server.players.players.values()]
+            .find(player => player.uuid && player.name.toLowerCase() === lower);
+        if (history) {
+            return { name: history.name, uuid: history.uuid };
+        }
+
+        const cached = this.readJson(path.join(this.server.serverPath, 'usercache.json'))
+            .find(entry => entry.name?.toLowerCase() === lower && UUID_PATTERN.test(entry.uuid || ''));
+        return cached ? { name: cached.name, uuid: cached.uuid } : null;
+    }
+
+    // Work out { name, uuid, platform } from { name, platform?, uuid?, xuid? }.
+    // Bedrock names carry the Floodgate prefix, which is added when platform is "bedrock".
+    resolvePlayer({ name, platform, uuid, xuid } = {}) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Player name is required');
+        }
+
+        let playerName = name.trim();
+        const prefix = this.floodgatePrefix;
+        const prefixed = !!prefix && playerName.startsWith(prefix);
+        const bedrock = platform === 'bedrock' || prefixed || xuid !== undefined;
+        if (bedrock && prefix && !prefixed) {
+            playerName = prefix + playerName;
+        }
+
+        const baseName = bedrock && prefix ? playerName.slice(prefix.length) : playerName;
+        if (!NAME_PATTERN.test(baseName)) {
+            throw new Error('Player names are 1-16 letters, digits or underscores');
+        }
+
+        if (uuid !== undefined && uuid !== null && uuid !== '') {
+            if (typeof uuid !== 'string' || !UUID_PATTERN.test(uuid)) {
+                throw new Error('uuid must be a UUID like 069a79f4-44e9-4726-a5be-fca90e38aaf5');
+            }
+            return { name: playerName, uuid: uuid.toLowerCase(), platform: bedrock ? 'bedrock' : 'java' };
+        }
+
+        if (bedrock && xuid !== undefined && xuid !== null && xuid !== '') {
+            if (!/^\d{1,20}$/.test(String(xuid))) {
+                throw new Error('xuid must be the numeric Xbox user ID');
+            }
+            return { name: playerName, uuid: floodgateUuid(String(xuid)), platform: 'bedrock' };
+        }
+
+        const known = this.findKnownPlayer(playerName);
+        if (known) {
+            return { ...known, platform: known.uuid.startsWith(BEDROCK_UUID_PREFIX) ? 'bedrock' : 'java' };
+        }
+
+        if (bedrock) {
+            throw new Error(`${playerName} has not joined this server yet - provide their XUID`);
+        }
+        if (this.server.config.server.onlineMode) {
+            throw new Error(`${playerName} has not joined this server yet - provide their UUID`);
+        }
+        return { name: playerName, uuid: offlineUuid(playerName), platform: 'java' };
+    }
+
+    // Running servers get commands; a starting or stopping one would lose a file edit
+    getMode() {
+        if (!this.server.minecraftProcess) return 'file';
+        if (this.server.serverReady && this.server.serverStatus === 'online') return 'command';
+        throw new Error('Wait until the server is online or stopped');
+    }
+
+    async add(list, input = {}, source = 'Server') {
+        if (!ACCESS_LISTS[list]) {
+            throw new Error(`Unknown list: ${list}`);
+        }
+
+        const reason = this.normalizeReason(input.reason);
+        const mode = this.getMode();
+
+        if (list === 'ip-bans') {
+            const ip = typeof input.ip === 'string' ? input.ip.trim() : '';
+            if (!net.isIP(ip)) {
+                throw new Error('A valid IP address is required');
+            }
+            if (mode === 'command') {
+                return this.command(`ban-ip ${ip}${reason ? ` ${reason}` : ''}`, `🚫 IP ${ip} banned`);
+            }
+            this.upsert(list, { ip, created: formatBanDate(), source, expires: 'forever', reason: reason || 'Banned by an operator.' });
+            return this.done(`🚫 IP ${ip} banned`);
+        }
+
+        const player = this.resolvePlayer(input);
+        const label = `${player.name} (${player.platform})`;
+
+        switch (list) {
+            case 'whitelist':
+                // The whitelist is re-read on demand, so edit it with our exact UUID (commands
+                // would look Bedrock players up by name) and reload
+                this.upsert(list, { uuid: player.uuid, name: player.name });
+                if (mode === 'command') {
+                    return this.command('whitelist reload', `📋 ${label} added to the whitelist`);
+                }
+                return this.done(`📋 ${label} added to the whitelist`);
+
+            case 'ops': {
+                const level = input.level ?? DEFAULT_OP_LEVEL;
+                if (!Number.isInteger(level) || level < 1 || level > 4) {
+                    throw new Error('level must be a whole number from 1 to 4');
+                }
+                if (mode === 'command') {
+                    if (level !== DEFAULT_OP_LEVEL) {
+                        throw new Error('Operator levels can only be set while the server is offline');
+                    }
+                    this.checkCommandTarget(player, 'made an operator');
+                    return this.command(`op ${player.name}`, `⭐ ${label} is now an operator`);
+                }
+                this.upsert(list, { uuid: player.uuid, name: player.name, level, bypassesPlayerLimit: !!input.bypassesPlayerLimit });
+                return this.done(`⭐ ${label} is now an operator (level ${level})`);
+            }
+
+            case 'bans':
+                if (mode === 'command') {
+                    this.checkCommandTarget(player, 'banned');
+                    return this.command(`ban ${player.name}${reason ? ` ${reason}` : ''}`, `🔨 ${label} banned`);
+                }
+                this.upsert(list, {
+                    uuid: player.uuid,
+                    name: player.name,
+                    created: formatBanDate(),
+                    source,
+                    expires: 'forever',
+                    reason: reason || 'Banned by an operator.'
+                });
+                return this.done(`🔨 ${label} banned`);
+        }
+    }
+
+    // Remove by player name, UUID or (for ip-bans) address; returns false when not listed
+    async remove(list, key) {
+        if (!ACCESS_LISTS[list]) {
+            throw new Error(`Unknown list: ${list}`);
+        }
+
+        const lower = String(key).toLowerCase();
+        const entries = this.readList(list);
+        const entry = entries.find(item => (ACCESS_LISTS[list].key === 'ip'
+            ? item.ip === key
+            : item.uuid?.toLowerCase() === lower || item.name?.toLowerCase() === lower));
+        if (!entry) {
+            return false;
+        }
+
+        const mode = this.getMode();
+        const label = entry.ip || entry.name;
+        const messages = {
+            whitelist: `📋 ${label} removed from the whitelist`,
+            ops: `⭐ ${label} is no longer an operator`,
+            bans: `🕊️ ${label} unbanned`,
+            'ip-bans': `🕊️ IP ${label} unbanned`
+        };
+
+        if (mode === 'command' && list !== 'whitelist') {
+            const commands = { ops: `deop ${entry.name}`, bans: `pardon ${entry.name}`, 'ip-bans': `pardon-ip ${entry.ip}` };
+            return this.command(commands[list], messages[list]);
+        }
+
+        this.writeList(list, entries.filter(item => item !== entry));
+        if (mode === 'command') {
+            return this.command('whitelist reload', messages[list]);
+        }
+        return this.done(messages[list]);
+    }
+
+    // "op" and "ban" look players up by name: the online player if there is one, otherwise the
+    // offline-mode UUID (or a Mojang lookup in online mode). For a Bedrock player who is not
+    // online that is the wrong UUID, and unlike the whitelist these lists cannot be reloaded
+    // after a file edit - the running server would overwrite it.
+    checkCommandTarget(player, action) {
+        if (this.server.players.online.has(player.name)) return;
+
+        const onlineMode = !!this.server.config.server.onlineMode;
+        if (player.platform === 'bedrock' || (!onlineMode && player.uuid !== offlineUuid(player.name))) {
+            throw new Error(`${player.name} can only be ${action} while they are online or while the server is offline`);
+        }
+    }
+
+    // Replace any entry for the same player or address
+    upsert(list, entry) {
+        const entries = this.readList(list).filter(item => (entry.ip
+            ? item.ip !== entry.ip
+            : item.uuid?.toLowerCase() !== entry.uuid && item.name?.toLowerCase() !== entry.name.toLowerCase()));
+        this.writeList(list, [...entries, entry]);
+    }
+
+    normalizeReason(reason) {
+        if (reason === undefined || reason === null || reason === '') return '';
+        if (typeof reason !== 'string' || /[\r\n]/.test(reason) || reason.length > MAX_REASON_LENGTH) {
+            throw new Error(`reason must be a single line of at most ${MAX_REASON_LENGTH} characters`);
+        }
+        return reason.trim();
+    }
+
+    async command(command, message) {
+        const result = await this.server.executeCommand(command);
+        if (!result.sent) {
+            throw new Error(result.error);
+        }
+        return this.done(message, { via: result.via, output: result.output });
+    }
+
+    done(message, extra = {}) {
+        this.server.broadcastLog(message, 'info');
+        this.server.emit('access-update', {});
+        return { message, ...extra };
+    }
+}
+
+module.exports = { AccessListManager, ACCESS_LISTS, offlineUuid, floodgateUuid };
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Roles are ordered: each role can do everything the roles before it can
+const ROLES = ['viewer', 'moderator', 'admin'];
+
+const SESSION_COOKIE = 'mcsm_session';
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+const LOGIN_WINDOW = 5 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 5;
+
+class AuthManager {
+    constructor({ usersPath = './users.json', log = () => { } } = {}) {
+        this.usersPath = usersPath;
+        this.log = log;
+        this.sessions = new Map();
+        this.loginFailures = new Map();
+        this.users = this.loadUsers();
+    }
+
+    loadUsers() {
+        try {
+            if (fs.existsSync(this.usersPath)) {
+                const data = JSON.parse(fs.readFileSync(this.usersPath, 'utf8'));
+                return Array.isArray(data.users) ? data.users : [];
+            }
+        } catch (error) {
+            this.log(`❌ Error loading users: ${error.message}`, 'error');
+            return [];
+        }
+
+        return this.createInitialAdmin();
+    }
+
+    // First run: create an admin account so the panel is never left open.
+    // The password is only printed to the local console, never broadcast.
+    createInitialAdmin() {
+        const password = process.env.MC_ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+        const users = [{
+            username: 'admin',
+            role: 'admin',
+            password: this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        }];
+
+        this.users = users;
+        this.saveUsers();
+
+        console.log('🔐 Created initial web panel account');
+        console.log(`   Username: admin`);
+        if (!process.env.MC_ADMIN_PASSWORD) {
+            console.log(`   Password: ${password}`);
+        }
+        console.log('   Change this password after logging in.');
+        this.log('🔐 Initial admin account created - see the manager console for credentials', 'warn');
+
+        return users;
+    }
+
+    saveUsers() {
+        try {
+            fs.writeFileSync(this.usersPath, JSON.stringify({ users: this.users }, null, 4), { mode: 0o600 });
+            return true;
+        } catch (error) {
+            this.log(`❌ Failed to save users: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = crypto.scryptSync(password, salt, 64);
+        return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+    }
+
+    verifyPassword(password, stored) {
+        const [scheme, saltHex, hashHex] = (stored || '').split('$');
+        if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+            return false;
+        }
+
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    findUser(username) {
+        return this.users.find(user => user.username === username) || null;
+    }
+
+    publicUser(user) {
+        return { username: user.username, role: user.role, createdAt: user.createdAt };
+    }
+
+    hasRole(user, role) {
+        return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+    }
+
+    validateUserInput({ username, password, role }, { requirePassword = true } = {}) {
+        if (username !== undefined && !/^[A-Za-z0-9_.-]{3,32}$/.test(username)) {
+            return 'Username must be 3-32 characters (letters, numbers, _ . -)';
+        }
+        if ((requirePassword || password !== undefined) && (typeof password !== 'string' || password.length < 8)) {
+            return 'Password must be at least 8 characters';
+        }
+        if (role !== undefined && !ROLES.includes(role)) {
+            return `Role must be one of: ${ROLES.join(', ')}`;
+        }
+        return null;
+    }
+
+    // Login attempts are throttled per client address
+    isThrottled(key) {
+        const entry = this.loginFailures.get(key);
+        if (!entry) return false;
+        if (Date.now() - entry.first > LOGIN_WINDOW) {
+            this.loginFailures.delete(key);
+            return false;
+        }
+        return entry.count >= MAX_LOGIN_FAILURES;
+    }
+
+    recordFailure(key) {
+        const entry = this.loginFailures.get(key);
+        if (!entry || Date.now() - entry.first > LOGIN_WINDOW) {
+            this.loginFailures.set(key, { count: 1, first: Date.now() });
+        } else {
+            entry.count++;
+        }
+    }
+
+    login(username, password, clientKey) {
+        if (this.isThrottled(clientKey)) {
+            return { success: false, message: 'Too many failed login attempts. Try again later.' };
+        }
+
+        const user = this.findUser(username);
+        if (!user || typeof password !== 'string' || !this.verifyPassword(password, user.password)) {
+            this.recordFailure(clientKey);
+            this.log(`🔒 Failed login attempt for "${username}"`, 'warn');
+            return { success: false, message: 'Invalid username or password' };
+        }
+
+        this.loginFailures.delete(clientKey);
+        const token = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(token, { username: user.username, expires: Date.now() + SESSION_TTL });
+        this.log(`🔓 ${user.username} logged in (${user.role})`, 'info');
+
+        return { success: true, token, user: this.publicUser(user) };
+    }
+
+    logout(token) {
+        this.sessions.delete(token);
+    }
+
+    // Resolve a session token to its user, dropping expired sessions
+    getSessionUser(token) {
+        if (!token) return null;
+
+        const session = this.sessions.get(token);
+        if (!session) return null;
+
+        if (session.expires < Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+
+        return this.findUser(session.username);
+    }
+
+    revokeUserSessions(username) {
+        for (const [token, session] of this.sessions) {
+            if (session.username === username) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+
+    // Token comes from "Authorization: Bearer <token>" or the session cookie
+    extractToken(headers = {}, fallback = null) {
+        const authHeader = headers.authorization || '';
+        if (authHeader.startsWith('Bearer ')) {
+            return authHeader.slice(7).trim();
+        }
+
+        const cookies = parseCookies(headers.cookie);
+        return cookies[SESSION_COOKIE] || fallback;
+    }
+
+    sessionCookie(token) {
+        const maxAge = token ? Math.floor(SESSION_TTL / 1000) : 0;
+        return `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+    }
+
+    // Express middleware: require a logged in user with at least the given role
+    requireRole(role = 'viewer') {
+        return (req, res, next) => {
+            const token = this.extractToken(req.headers);
+            const user = this.getSessionUser(token);
+
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required'
+                });
+            }
+
+            if (!this.hasRole(user, role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `This action requires the ${role} role`
+                });
+            }
+
+            req.user = user;
+            req.sessionToken = token;
+            next();
+        };
+    }
+
+    // Socket.IO middleware: reject unauthenticated connections
+    socketMiddleware() {
+        return (socket, next) => {
+            const token = this.extractToken(socket.handshake.headers, socket.handshake.auth?.token);
+            const user = this.getSessionUser(token);
+
+            if (!user) {
+                return next(new Error('Authentication required'));
+            }
+
+            socket.data.user = this.publicUser(user);
+            next();
+        };
+    }
+
+    createUser({ username, password, role = 'viewer' }) {
+        const error = this.validateUserInput({ username, password, role });
+        if (error) return { success: false, message: error };
+
+        if (this.findUser(username)) {
+            return { success: false, message: `User "${username}" already exists` };
+        }
+
+        const user = {
+            username,
+            role,
+            password: this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        this.users.push(user);
+        this.saveUsers();
+        this.log(`👤 Web panel user "${username}" created (${role})`, 'info');
+
+        return { success: true, user: this.publicUser(user) };
+    }
+
+    updateUser(username, { password, role }) {
+        const user = this.findUser(username);
+        if (!user) return { success: false, message: `User "${username}" not found` };
+
+        const error = this.validateUserInput({ password, role }, { requirePassword: false });
+        if (error) return { success: false, message: error };
+
+        if (role && role !== 'admin' && user.role === 'admin' && this.countAdmins() === 1) {
+            return { success: false, message: 'Cannot demote the last admin' };
+        }
+
+        if (role) user.role = role;
+        if (password) {
+            user.password = this.hashPassword(password);
+            this.revokeUserSessions(username);
+        }
+        this.saveUsers();
+        this.log(`👤 Web panel user "${username}" updated`, 'info');
+
+        return { success: true, user: this.publicUser(user) };
+    }
+
+    deleteUser(username) {
+        const user = this.findUser(username);
+        if (!user) return { success: false, message: `User "${username}" not found` };
+
+        if (user.role === 'admin' && this.countAdmins() === 1) {
+            return { success: false, message: 'Cannot delete the last admin' };
+        }
+
+        this.users = this.users.filter(u => u.username !== username);
+        this.revokeUserSessions(username);
+        this.saveUsers();
+        this.log(`👤 Web panel user "${username}" deleted`, 'info');
+
+        return { success: true };
+    }
+
+    countAdmins() {
+        return this.users.filter(user => user.role === 'admin').length;
+    }
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    }
+
+    return cookies;
+}
+
+module.exports = { AuthManager, ROLES };
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+
+const BACKUP_TYPES = ['scheduled', 'manual', 'seed-change', 'pre-restore', 'pre-upgrade'];
+const BACKUP_PATTERN = /^(.+)_(scheduled|manual|seed-change|pre-restore|pre-upgrade)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.tar\.gz$/;
+
+const DEFAULT_BACKUP_CONFIG = {
+    enabled: false,
+    directory: './backups',
+    intervalMinutes: 60,
+    keepHourly: 24,
+    keepDaily: 7
+};
+
+class BackupManager {
+    constructor(server) {
+        this.server = server;
+        this.timer = null;
+        this.inProgress = null;
+        this.lastBackup = null;
+        this.lastError = null;
+        // Set when the server runs, so scheduled backups of an untouched world can be skipped
+        this.worldDirty = true;
+    }
+
+    get config() {
+        return { ...DEFAULT_BACKUP_CONFIG, ...(this.server.config.backups || {}) };
+    }
+
+    get directory() {
+        return path.resolve(this.config.directory);
+    }
+
+    log(message, type = 'info') {
+        this.server.broadcastLog(message, type);
+    }
+
+    // World folders Paper keeps for the active level (overworld, nether, end)
+    getWorldDirectories() {
+        const levelName = this.server.config.server.levelName || 'world';
+        return [levelName, `${levelName}_nether`, `${levelName}_the_end`]
+            .filter(dir => fs.existsSync(path.join(this.server.serverPath, dir)));
+    }
+
+    startSchedule() {
+        this.stopSchedule();
+
+        const { enabled, intervalMinutes } = this.config;
+        if (!enabled) return;
+
+        const interval = Math.max(1, Number(intervalMinutes) || DEFAULT_BACKUP_CONFIG.intervalMinutes);
+        this.timer = setInterval(() => this.runScheduledBackup(), interval * 60 * 1000);
+        this.log(`🗄️ Scheduled backups enabled (every ${interval} min)`, 'info');
+    }
+
+    stopSchedule() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async runScheduledBackup() {
+        if (!this.server.minecraftProcess && !this.worldDirty) {
+            return;
+        }
+
+        try {
+            await this.createBackup('scheduled');
+            this.pruneBackups();
+        } catch (error) {
+            // Already reported by createBackup
+        }
+    }
+
+    listBackups() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.directory)
+            .map(name => {
+                const match = name.match(BACKUP_PATTERN);
+                if (!match) return null;
+
+                const [, world, type, stamp] = match;
+                const stats = fs.statSync(path.join(this.directory, name));
+                return {
+                    name,
+                    world,
+                    type,
+                    createdAt: stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z'),
+                    size: stats.size
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    getBackupPath(name) {
+        if (!BACKUP_PATTERN.test(name || '')) {
+            return null;
+        }
+
+        const backupPath = path.join(this.directory, name);
+        return fs.existsSync(backupPath) ? backupPath : null;
+    }
+
+    // Flush the running world to disk and pause autosave while the archive is written
+    async pauseSaving() {
+        if (!this.server.minecraftProcess || !this.server.serverReady) {
+            return false;
+        }
+
+        await this.server.executeCommand('save-off');
+        const savedInLog = this.server.waitForOutput(/Saved the game/, 60000);
+        const result = await this.server.executeCommand('save-all flush');
+
+        // Over RCON the confirmation comes back as the command output, otherwise in the log
+        const saved = /Saved the game/.test(result.output || '') || await savedInLog;
+        if (!saved) {
+            this.log('⚠️ save-all did not confirm within 60s - continuing with backup', 'warn');
+        }
+        return true;
+    }
+
+    resumeSaving() {
+        if (this.server.minecraftProcess) {
+            this.server.executeCommand('save-on').catch(() => { });
+        }
+    }
+
+    async createBackup(type = 'manual') {
+        if (!BACKUP_TYPES.includes(type)) {
+            throw new Error(`Unknown backup type: ${type}`);
+        }
+        if (this.inProgress) {
+            throw new Error(`A ${this.inProgress} is already in progress`);
+        }
+
+        const worldDirs = this.getWorldDirectories();
+        if (worldDirs.length === 0) {
+            throw new Error('No world found to back up');
+        }
+
+        this.inProgress = 'backup';
+        const levelName = this.server.config.server.levelName || 'world';
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const name = `${levelName}_${type}_${stamp}.tar.gz`;
+        const archivePath = path.join(this.directory, name);
+        let savingPaused = false;
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            this.log(`📦 Creating ${type} backup of ${worldDirs.join(', ')}...`, 'info');
+
+            savingPaused = await this.pauseSaving();
+            await tar.c({ gzip: true, file: archivePath, cwd: this.server.serverPath }, worldDirs);
+
+            const size = fs.statSync(archivePath).size;
+            this.lastBackup = { name, type, createdAt: new Date().toISOString(), size };
+            this.lastError = null;
+            if (!this.server.minecraftProcess) {
+                this.worldDirty = false;
+            }
+
+            this.log(`✅ Backup created: ${name} (${formatBytes(size)})`, 'success');
+            this.server.emit('backups-update', this.getStatus());
+            return this.lastBackup;
+        } catch (error) {
+            this.lastError = error.message;
+            fs.rmSync(archivePath, { force: true });
+            this.log(`❌ Backup failed: ${error.message}`, 'error');
+            throw error;
+        } finally {
+            if (savingPaused) {
+                this.resumeSaving();
+            }
+            this.inProgress = null;
+        }
+    }
+
+    // Keep the newest scheduled backup for each of the last N hours and N days.
+    // Manual, seed-change, pre-restore and pre-upgrade backups are only removed by hand.
+    pruneBackups() {
+        const { keepHourly, keepDaily } = this.config;
+        const scheduled = this.listBackups().filter(backup => backup.type === 'scheduled');
+        const hours = new Set();
+        const days = new Set();
+        const keep = new Set();
+
+        for (const backup of scheduled) {
+            const hourKey = backup.createdAt.slice(0, 13);
+            const dayKey = backup.createdAt.slice(0, 10);
+
+            if (!hours.has(hourKey) && hours.size < keepHourly) {
+                hours.add(hourKey);
+                keep.add(backup.name);
+            }
+            if (!days.has(dayKey) && days.size < keepDaily) {
+                days.add(dayKey);
+                keep.add(backup.name);
+            }
+        }
+
+        const removed = scheduled.filter(backup => !keep.has(backup.name));
+        for (const backup of removed) {
+            fs.rmSync(path.join(this.directory, backup.name), { force: true });
+        }
+
+        if (removed.length > 0) {
+            this.log(`🧹 Removed ${removed.length} old backup(s) by retention policy`, 'info');
+            this.server.emit('backups-update', this.getStatus());
+        }
+
+        return removed.map(backup => backup.name);
+    }
+
+    deleteBackup(name) {
+        const backupPath = this.getBackupPath(name);
+        if (!backupPath) {
+            return false;
+        }
+
+        fs.rmSync(backupPath, { force: true });
+        this.log(`🗑️ Backup deleted: ${name}`, 'info');
+        this.server.emit('backups-update', this.getStatus());
+        return true;
+    }
+
+    // The world in an archive: "<level>" with optional "<level>_nether" and "<level>_the_end".
+    // Its level name may differ from the current one (the world was switched since).
+    async readArchivedWorld(backupPath) {
+        const topLevel = new Set();
+        await tar.t({
+            file: backupPath,
+            onReadEntry: entry => topLevel.add(entry.path.replace(/^\.\//, '').split('/')[0])
+        });
+        topLevel.delete('');
+
+        const levels = [...topLevel].filter(dir => !/_(nether|the_end)$/.test(dir));
+        const levelName = levels.length === 1 ? levels[0] : null;
+        const dimensions = levelName ? [levelName, `${levelName}_nether`, `${levelName}_the_end`] : [];
+        if (!levelName || [...topLevel].some(dir => !dimensions.includes(dir))) {
+            throw new Error(`Backup does not hold a single world (found: ${[...topLevel].join(', ') || 'nothing'})`);
+        }
+        return { levelName, dirs: dimensions.filter(dir => topLevel.has(dir)) };
+    }
+
+    // Stop the server, swap the archived world in, and start it again if it was running
+    async restoreBackup(name) {
+        const backupPath = this.getBackupPath(name);
+        if (!backupPath) {
+            throw new Error(`Backup not found: ${name}`);
+        }
+        if (this.inProgress) {
+            throw new Error(`A ${this.inProgress} is already in progress`);
+        }
+
+        // Checked before anything is stopped or moved, so a bad archive never costs the world
+        const archived = await this.readArchivedWorld(backupPath);
+        const levelName = this.server.config.server.levelName || 'world';
+
+        const wasRunning = !!this.server.minecraftProcess;
+        this.log(`♻️ Restoring backup ${name}...`, 'warn');
+        if (archived.levelName !== levelName) {
+            this.log(`📂 Backup holds world "${archived.levelName}" - restoring it as "${levelName}"`, 'info');
+        }
+
+        if (wasRunning) {
+            const stopped = await this.server.stopMinecraftServer({ reason: 'restoring a backup' });
+            if (!stopped) {
+                throw new Error('Server did not stop - restore aborted');
+            }
+        }
+
+        if (this.getWorldDirectories().length > 0) {
+            await this.createBackup('pre-restore');
+        }
+
+        this.inProgress = 'restore';
+        const serverPath = this.server.serverPath;
+        const stamp = Date.now();
+        const stagingPath = path.join(serverPath, `.backup_restore_${stamp}`);
+        const movedAside = [];
+        const placed = [];
+
+        try {
+            // Unpack next to the world first; the current world is only moved once that worked
+            fs.mkdirSync(stagingPath);
+            await tar.x({ file: backupPath, cwd: stagingPath });
+
+            for (const dir of this.getWorldDirectories()) {
+                const asidePath = path.join(serverPath, `.${dir}_restore_${stamp}`);
+                fs.renameSync(path.join(serverPath, dir), asidePath);
+                movedAside.push({ dir, asidePath });
+            }
+
+            for (const dir of archived.dirs) {
+                const target = levelName + dir.slice(archived.levelName.length);
+                fs.renameSync(path.join(stagingPath, dir), path.join(serverPath, target));
+                placed.push(target);
+            }
+
+            for (const { asidePath } of movedAside) {
+                fs.rmSync(asidePath, { recursive: true, force: true });
+            }
+
+            this.server.config.world.worldGenerated = true;
+            this.server.saveConfig();
+            this.log(`✅ Backup ${name} restored`, 'success');
+        } catch (error) {
+            // Put the previous world back so the server is never left without one
+            for (const dir of placed) {
+                fs.rmSync(path.join(serverPath, dir), { recursive: true, force: true });
+            }
+            for (const { dir, asidePath } of movedAside) {
+                fs.rmSync(path.join(serverPath, dir), { recursive: true, force: true });
+                fs.renameSync(asidePath, path.join(serverPath, dir));
+            }
+            this.log(`❌ Restore failed, previous world kept: ${error.message}`, 'error');
+            throw error;
+        } finally {
+            fs.rmSync(stagingPath, { recursive: true, force: true });
+            this.inProgress = null;
+        }
+
+        if (wasRunning) {
+            this.log('🔄 Restarting server with restored world...', 'info');
+            this.server.startMinecraftServer().catch((error) => {
+                this.log(`❌ Failed to restart after the restore: ${error.message}`, 'error');
+            });
+        }
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            intervalMinutes: this.config.intervalMinutes,
+            inProgress: this.inProgress,
+            lastBackup: this.lastBackup,
+            lastError: this.lastError,
+            backups: this.listBackups()
+        };
+    }
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+module.exports = { BackupManager, DEFAULT_BACKUP_CONFIG, formatBytes };
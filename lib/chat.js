@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAX_HISTORY = 1000;
+const MAX_MESSAGE_LENGTH = 256;
+const WEB_PREFIX_COLOR = 'aqua';
+
+// Two-way chat: in-game chat from the log stream, and panel messages sent in-game with tellraw.
+// History is kept in <dataPath>/chat.json.
+class ChatBridge {
+    constructor(server) {
+        this.server = server;
+        this.filePath = path.join(server.dataPath, 'chat.json');
+
+        const data = this.load();
+        this.messages = data.messages;
+        this.nextId = (this.messages[this.messages.length - 1]?.id || 0) + 1;
+
+        server.events.on('chat', event => this.record({
+            source: 'game',
+            player: event.player,
+            platform: server.players.online.get(event.player)?.platform || null,
+            message: event.message,
+            at: event.timestamp
+        }));
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                return { messages: Array.isArray(data.messages) ? data.messages : [] };
+            }
+        } catch (error) {
+            this.server.broadcastLog(`❌ Error loading chat history: ${error.message}`, 'error');
+        }
+        return { messages: [] };
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ messages: this.messages }, null, 4));
+        } catch (error) {
+            this.server.broadcastLog(`❌ Failed to save chat history: ${error.message}`, 'error');
+        }
+    }
+
+    record({ source, player, platform = null, message, at = new Date().toISOString() }) {
+        const entry = { id: this.nextId++, at, source, player, platform, message };
+        this.messages.push(entry);
+        if (this.messages.length > MAX_HISTORY) {
+            this.messages = this.messages.slice(-MAX_HISTORY);
+        }
+
+        this.save();
+        this.server.emit('chat', entry);
+        return entry;
+    }
+
+    // Newest `limit` messages, optionally only those older than the id `before`
+    getHistory({ limit = 100, before = null } = {}) {
+        const older = before ? this.messages.filter(entry => entry.id < before) : this.messages;
+        return older.slice(-limit);
+    }
+
+    // Say something in-game as a panel user; throws when the message cannot be sent
+    async send(username, text) {
+        if (typeof text !== 'string') {
+            throw new Error('Message is required');
+        }
+
+        // Section signs would apply legacy formatting codes in-game
+        const message = text.replace(/[\u0000-\u001f\u007f§]/g, '').trim();
+        if (!message) {
+            throw new Error('Message is required');
+        }
+        if (message.length > MAX_MESSAGE_LENGTH) {
+            throw new Error(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+        }
+
+        // JSON.stringify escapes quotes and backslashes in the text component
+        const components = [
+            { text: '[Web] ', color: WEB_PREFIX_COLOR },
+            { text: `<${username}> ${message}` }
+        ];
+        const result = await this.server.executeCommand(`tellraw @a ${JSON.stringify(components)}`);
+        if (!result.sent) {
+            throw new Error(result.error);
+        }
+
+        return this.record({ source: 'web', player: username, message });
+    }
+}
+
+module.exports = { ChatBridge };
@@ -0,0 +1,103 @@
+const { io } = require('socket.io-client');
+
+const DEFAULT_URL = 'http://localhost:3000';
+const DEFAULT_INSTANCE = 'default';
+
+// REST and Socket.IO access to a running manager, authenticated with a session token
+// (the same token the web panel keeps in its cookie, sent as "Authorization: Bearer")
+class ManagerClient {
+    constructor({ url = DEFAULT_URL, token = null, instance = DEFAULT_INSTANCE } = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.token = token;
+        this.instance = instance;
+        this.socket = null;
+    }
+
+    // Server routes are scoped to the selected instance
+    instanceUrl(path) {
+        return `/instances/${encodeURIComponent(this.instance)}${path}`;
+    }
+
+    // Resolves with the parsed JSON body; HTTP errors and { success: false } replies
+    // reject with the manager's message, the status code and the body
+    async request(method, path, body) {
+        const headers = {};
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        let response;
+        try {
+            response = await fetch(`${this.url}${path}`, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (error) {
+            throw Object.assign(new Error(`Cannot reach the manager at ${this.url} (${error.cause?.code || error.message})`), { status: null });
+        }
+
+        const text = await response.text();
+        let data;
+        try {
+            data = text ? JSON.parse(text) : {};
+        } catch {
+            data = { success: response.ok, message: text.trim().slice(0, 200) };
+        }
+
+        if (!response.ok || data.success === false) {
+            const message = data.message || `${method} ${path} failed with HTTP ${response.status}`;
+            throw Object.assign(new Error(message), { status: response.status, data });
+        }
+        return data;
+    }
+
+    get(path) {
+        return this.request('GET', path);
+    }
+
+    post(path, body = {}) {
+        return this.request('POST', path, body);
+    }
+
+    async login(username, password) {
+        const data = await this.post('/auth/login', { username, password });
+        this.token = data.token;
+        return data;
+    }
+
+    async logout() {
+        await this.post('/auth/logout');
+        this.token = null;
+    }
+
+    // Live events (new-log, players-update, ...); resolves once connected
+    connect() {
+        if (this.socket) return Promise.resolve(this.socket);
+
+        return new Promise((resolve, reject) => {
+            const socket = io(this.url, {
+                auth: { token: this.token },
+                transports: ['websocket'],
+                reconnectionDelayMax: 10000
+            });
+            socket.once('connect', () => {
+                this.socket = socket;
+                resolve(socket);
+            });
+            socket.once('connect_error', (error) => {
+                if (this.socket) return;
+                socket.close();
+                reject(new Error(error.message === 'Authentication required'
+                    ? 'Authentication required'
+                    : `Cannot connect to ${this.url} (${error.message})`));
+            });
+        });
+    }
+
+    disconnect() {
+        this.socket?.close();
+        this.socket = null;
+    }
+}
+
+module.exports = { ManagerClient, DEFAULT_URL, DEFAULT_INSTANCE };
@@ -0,0 +1,381 @@
+const { DEFAULT_BACKUP_CONFIG } = require('./backups');
+const { DEFAULT_WATCHDOG_CONFIG } = require('./watchdog');
+const { DEFAULT_METRICS_CONFIG } = require('./metrics');
+const { DEFAULT_REACHABILITY_CONFIG } = require('./reachability');
+const { DEFAULT_SHUTDOWN_CONFIG } = require('./shutdown');
+const { DEFAULT_JAR_CONFIG } = require('./jars');
+const { DEFAULT_JAVA_CONFIG, JVM_PROFILES, parseJvmArgs } = require('./java');
+const { TUNNEL_PROVIDERS, DEFAULT_TUNNEL_CONFIG, DEFAULT_PROVIDER_CONFIG } = require('./tunnels');
+const { DEFAULT_SIMULATION_CONFIG, SIMULATION_SCENARIOS, loadScenario } = require('./simulator');
+
+const MEMORY_PATTERN = /^(\d+)([MG])$/i;
+const LEVEL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Host names and IPv4/IPv6 addresses (empty for "not set")
+const HOST_PATTERN = /^[A-Za-z0-9.:\[\]-]*$/;
+const HOSTNAME_TEMPLATE_PATTERN = /^[A-Za-z0-9.{}-]*$/;
+const TOKEN_PATTERN = /^[A-Za-z0-9+/=_.-]*$/;
+
+// Every setting the API accepts, by section. "apply" says whether a change takes
+// effect on the running server ("live") or only after a restart ("restart").
+// Live server settings carry the console command that applies them.
+const CONFIG_SCHEMA = {
+    server: {
+        seed: { type: 'seed', default: '', apply: 'restart' },
+        maxPlayers: { type: 'integer', min: 1, max: 1000, default: 20, apply: 'restart' },
+        description: { type: 'string', maxLength: 256, singleLine: true, default: '', apply: 'restart' },
+        gamemode: {
+            type: 'enum',
+            values: ['survival', 'creative', 'adventure', 'spectator'],
+            default: 'survival',
+            apply: 'live',
+            command: value => `defaultgamemode ${value}`
+        },
+        difficulty: {
+            type: 'enum',
+            values: ['peaceful', 'easy', 'normal', 'hard'],
+            default: 'easy',
+            apply: 'live',
+            command: value => `difficulty ${value}`
+        },
+        pvp: { type: 'boolean', default: true, apply: 'restart' },
+        enableCommandBlock: { type: 'boolean', default: true, apply: 'restart' },
+        allowNether: { type: 'boolean', default: true, apply: 'restart' },
+        allowEnd: { type: 'boolean', default: true, apply: 'restart' },
+        spawnProtection: { type: 'integer', min: 0, max: 1000, default: 0, apply: 'restart' },
+        viewDistance: { type: 'integer', min: 2, max: 32, default: 10, apply: 'restart' },
+        simulationDistance: { type: 'integer', min: 2, max: 32, default: 10, apply: 'restart' },
+        levelName: { type: 'string', pattern: LEVEL_NAME_PATTERN, default: 'world', apply: 'restart' },
+        onlineMode: { type: 'boolean', default: false, apply: 'restart' },
+        enableWhitelist: {
+            type: 'boolean',
+            default: false,
+            apply: 'live',
+            command: value => `whitelist ${value ? 'on' : 'off'}`
+        },
+        forceResourcePack: { type: 'boolean', default: false, apply: 'restart' }
+    },
+    performance: {
+        maxMemory: { type: 'memory', default: '3G', apply: 'restart' },
+        minMemory: { type: 'memory', default: '1G', apply: 'restart' }
+    },
+    // Tunnel settings are read when a server starts (or the tunnel is restarted),
+    // so they never need a restart of their own
+    tunnel: {
+        provider: { type: 'enum', values: TUNNEL_PROVIDERS, default: DEFAULT_TUNNEL_CONFIG.provider, apply: 'live' },
+        autoStart: { type: 'boolean', default: DEFAULT_TUNNEL_CONFIG.autoStart, apply: 'live' }
+    },
+    playit: {
+        path: { type: 'string', maxLength: 1024, singleLine: true, default: DEFAULT_PROVIDER_CONFIG.playit.path, apply: 'live' }
+    },
+    cloudflared: {
+        path: { type: 'string', maxLength: 1024, singleLine: true, default: DEFAULT_PROVIDER_CONFIG.cloudflared.path, apply: 'live' },
+        token: { type: 'string', maxLength: 4096, pattern: TOKEN_PATTERN, secret: true, default: '', apply: 'live' },
+        hostname: { type: 'string', maxLength: 253, pattern: HOSTNAME_TEMPLATE_PATTERN, default: '', apply: 'live' }
+    },
+    frp: {
+        path: { type: 'string', maxLength: 1024, singleLine: true, default: DEFAULT_PROVIDER_CONFIG.frp.path, apply: 'live' },
+        serverAddr: { type: 'string', maxLength: 253, pattern: HOST_PATTERN, default: '', apply: 'live' },
+        serverPort: { type: 'integer', min: 1, max: 65535, default: DEFAULT_PROVIDER_CONFIG.frp.serverPort, apply: 'live' },
+        token: { type: 'string', maxLength: 1024, singleLine: true, secret: true, default: '', apply: 'live' },
+        publicHost: { type: 'string', maxLength: 253, pattern: HOST_PATTERN, default: '', apply: 'live' }
+    },
+    manual: {
+        host: { type: 'string', maxLength: 253, pattern: HOST_PATTERN, default: '', apply: 'live' }
+    },
+    world: {
+        currentSeed: { type: 'seed', default: '', apply: 'restart' },
+        lastUsedSeed: { type: 'seed', default: '', apply: 'restart' },
+        worldGenerated: { type: 'boolean', default: false, apply: 'restart' }
+    },
+    ports: {
+        java: { type: 'integer', min: 1024, max: 65535, default: 25565, apply: 'restart' },
+        bedrock: { type: 'integer', min: 1024, max: 65535, default: 19132, apply: 'restart' }
+    },
+    backups: {
+        enabled: { type: 'boolean', default: DEFAULT_BACKUP_CONFIG.enabled, apply: 'live' },
+        directory: { type: 'string', maxLength: 1024, default: DEFAULT_BACKUP_CONFIG.directory, apply: 'live' },
+        intervalMinutes: { type: 'integer', min: 1, max: 10080, default: DEFAULT_BACKUP_CONFIG.intervalMinutes, apply: 'live' },
+        keepHourly: { type: 'integer', min: 0, max: 1000, default: DEFAULT_BACKUP_CONFIG.keepHourly, apply: 'live' },
+        keepDaily: { type: 'integer', min: 0, max: 1000, default: DEFAULT_BACKUP_CONFIG.keepDaily, apply: 'live' }
+    },
+    watchdog: {
+        enabled: { type: 'boolean', default: DEFAULT_WATCHDOG_CONFIG.enabled, apply: 'live' },
+        maxRestarts: { type: 'integer', min: 1, max: 100, default: DEFAULT_WATCHDOG_CONFIG.maxRestarts, apply: 'live' },
+        windowMinutes: { type: 'integer', min: 1, max: 1440, default: DEFAULT_WATCHDOG_CONFIG.windowMinutes, apply: 'live' },
+        initialDelaySeconds: { type: 'integer', min: 0, max: 3600, default: DEFAULT_WATCHDOG_CONFIG.initialDelaySeconds, apply: 'live' },
+        maxDelaySeconds: { type: 'integer', min: 0, max: 86400, default: DEFAULT_WATCHDOG_CONFIG.maxDelaySeconds, apply: 'live' },
+        healthCheckIntervalSeconds: { type: 'integer', min: 10, max: 3600, default: DEFAULT_WATCHDOG_CONFIG.healthCheckIntervalSeconds, apply: 'live' },
+        healthCheckTimeoutSeconds: { type: 'integer', min: 1, max: 600, default: DEFAULT_WATCHDOG_CONFIG.healthCheckTimeoutSeconds, apply: 'live' },
+        failedChecksBeforeRestart: { type: 'integer', min: 1, max: 100, default: DEFAULT_WATCHDOG_CONFIG.failedChecksBeforeRestart, apply: 'live' },
+        startupTimeoutSeconds: { type: 'integer', min: 30, max: 86400, default: DEFAULT_WATCHDOG_CONFIG.startupTimeoutSeconds, apply: 'live' }
+    },
+    metrics: {
+        enabled: { type: 'boolean', default: DEFAULT_METRICS_CONFIG.enabled, apply: 'live' },
+        intervalSeconds: { type: 'integer', min: 5, max: 3600, default: DEFAULT_METRICS_CONFIG.intervalSeconds, apply: 'live' },
+        historyMinutes: { type: 'integer', min: 10, max: 10080, default: DEFAULT_METRICS_CONFIG.historyMinutes, apply: 'live' },
+        persist: { type: 'boolean', default: DEFAULT_METRICS_CONFIG.persist, apply: 'live' }
+    },
+    reachability: {
+        enabled: { type: 'boolean', default: DEFAULT_REACHABILITY_CONFIG.enabled, apply: 'live' },
+        intervalSeconds: { type: 'integer', min: 10, max: 3600, default: DEFAULT_REACHABILITY_CONFIG.intervalSeconds, apply: 'live' },
+        timeoutSeconds: { type: 'integer', min: 1, max: 30, default: DEFAULT_REACHABILITY_CONFIG.timeoutSeconds, apply: 'live' }
+    },
+    shutdown: {
+        countdownSeconds: { type: 'integer', min: 0, max: 3600, default: DEFAULT_SHUTDOWN_CONFIG.countdownSeconds, apply: 'live' },
+        saveTimeoutSeconds: { type: 'integer', min: 5, max: 600, default: DEFAULT_SHUTDOWN_CONFIG.saveTimeoutSeconds, apply: 'live' },
+        stopTimeoutSeconds: { type: 'integer', min: 10, max: 600, default: DEFAULT_SHUTDOWN_CONFIG.stopTimeoutSeconds, apply: 'live' },
+        killTimeoutSeconds: { type: 'integer', min: 1, max: 120, default: DEFAULT_SHUTDOWN_CONFIG.killTimeoutSeconds, apply: 'live' }
+    },
+    jars: {
+        backupBeforeUpgrade: { type: 'boolean', default: DEFAULT_JAR_CONFIG.backupBeforeUpgrade, apply: 'live' },
+        autoRollback: { type: 'boolean', default: DEFAULT_JAR_CONFIG.autoRollback, apply: 'live' },
+        startupTimeoutSeconds: { type: 'integer', min: 30, max: 86400, default: DEFAULT_JAR_CONFIG.startupTimeoutSeconds, apply: 'live' }
+    },
+    java: {
+        // Empty means pick a suitable runtime automatically
+        path: { type: 'string', maxLength: 1024, singleLine: true, default: DEFAULT_JAVA_CONFIG.path, apply: 'restart' },
+        profile: { type: 'enum', values: Object.keys(JVM_PROFILES), default: DEFAULT_JAVA_CONFIG.profile, apply: 'restart' },
+        extraArgs: { type: 'string', maxLength: 1024, singleLine: true, default: DEFAULT_JAVA_CONFIG.extraArgs, apply: 'restart' }
+    },
+    rcon: {
+        enabled: { type: 'boolean', default: true, apply: 'restart' },
+        port: { type: 'integer', min: 1024, max: 65535, default: 25575, apply: 'restart' },
+        // Generated by the manager and never sent to clients
+        password: { type: 'string', readOnly: true, apply: 'restart' }
+    },
+    simulation: {
+        // Runs lib/simulator.js instead of Java - for demos and testing without a real server
+        enabled: { type: 'boolean', default: DEFAULT_SIMULATION_CONFIG.enabled, apply: 'restart' },
+        scenario: { type: 'enum', values: Object.keys(SIMULATION_SCENARIOS), default: DEFAULT_SIMULATION_CONFIG.scenario, apply: 'restart' },
+        // A JSON scenario file, relative to the manager; replaces the built-in scenario when set
+        scenarioFile: { type: 'string', maxLength: 1024, singleLine: true, default: DEFAULT_SIMULATION_CONFIG.scenarioFile, apply: 'restart' },
+        startupSeconds: { type: 'integer', min: 0, max: 600, default: DEFAULT_SIMULATION_CONFIG.startupSeconds, apply: 'restart' }
+    }
+};
+
+// Sections stored once for the whole manager rather than per instance
+const SHARED_SECTIONS = ['tunnel', 'playit', 'cloudflared', 'frp', 'manual'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function memoryToMegabytes(value) {
+    const match = String(value).match(MEMORY_PATTERN);
+    if (!match) return null;
+    return Number(match[1]) * (match[2].toUpperCase() === 'G' ? 1024 : 1);
+}
+
+// Check one value against its rule; returns { value } (normalised) or { error }
+function checkValue(rule, value) {
+    switch (rule.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return { error: 'must be a whole number' };
+            }
+            if (value < rule.min || value > rule.max) {
+                return { error: `must be between ${rule.min} and ${rule.max}` };
+            }
+            return { value };
+
+        case 'enum':
+            return rule.values.includes(value) ? { value } : { error: `must be one of: ${rule.values.join(', ')}` };
+
+        case 'memory':
+            if (typeof value !== 'string' || memoryToMegabytes(value) === null || memoryToMegabytes(value) < 256) {
+                return { error: 'must be a size like "512M" or "4G" (at least 256M)' };
+            }
+            return { value: value.toUpperCase() };
+
+        case 'seed':
+            // Numeric seeds are accepted as numbers but stored as text, like server.properties.
+            // JSON numbers past 2^53 arrive already rounded (a different world), so those must be text.
+            if (typeof value === 'number') {
+                if (!Number.isSafeInteger(value)) {
+                    return { error: 'must be a whole number within ±2^53 - send larger seeds as text' };
+                }
+                return { value: String(value) };
+            }
+            if (typeof value !== 'string' || value.length > 128 || /[\r\n]/.test(value)) {
+                return { error: 'must be a number or a single-line text of at most 128 characters' };
+            }
+            return { value };
+
+        case 'string':
+            if (typeof value !== 'string') {
+                return { error: 'must be text' };
+            }
+            if (rule.maxLength && value.length > rule.maxLength) {
+                return { error: `must be at most ${rule.maxLength} characters` };
+            }
+            if (rule.singleLine && /[\r\n]/.test(value)) {
+                return { error: 'must not contain line breaks' };
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return { error: 'contains characters that are not allowed' };
+            }
+            return { value };
+
+        default:
+            return { error: `has unknown type ${rule.type}` };
+    }
+}
+
+// Validate a partial config against the schema. Values equal to the current ones
+// are accepted even for read-only settings, so a fetched config can be posted back.
+// Returns { errors: [{ field, message }], patch } with values normalised.
+function validateConfigPatch(patch, current = {}, { allowShared = true } = {}) {
+    const errors = [];
+    const normalized = {};
+
+    if (!isPlainObject(patch)) {
+        return { errors: [{ field: '', message: 'Configuration must be an object' }], patch: normalized };
+    }
+
+    for (const [section, values] of Object.entries(patch)) {
+        const sectionSchema = CONFIG_SCHEMA[section];
+        if (!sectionSchema) {
+            if (!isDeepEqual(values, current[section])) {
+                errors.push({ field: section, message: section in current ? 'cannot be changed through the API' : 'Unknown configuration section' });
+            }
+            continue;
+        }
+        if (!isPlainObject(values)) {
+            errors.push({ field: section, message: 'must be an object' });
+            continue;
+        }
+
+        const currentSection = current[section] || {};
+        const sectionPatch = {};
+        for (const [key, value] of Object.entries(values)) {
+            const field = `${section}.${key}`;
+            const rule = sectionSchema[key];
+
+            if (!rule) {
+                errors.push({ field, message: 'Unknown setting' });
+                continue;
+            }
+            if (value === currentSection[key]) {
+                continue;
+            }
+            if (rule.readOnly) {
+                errors.push({ field, message: 'cannot be changed through the API' });
+                continue;
+            }
+            if (SHARED_SECTIONS.includes(section) && !allowShared) {
+                errors.push({ field, message: 'is shared by all instances - change it on the default instance' });
+                continue;
+            }
+
+            // null resets a setting to its default
+            const result = value === null ? { value: rule.default } : checkValue(rule, value);
+            if (result.error) {
+                errors.push({ field, message: result.error });
+            } else {
+                sectionPatch[key] = result.value;
+            }
+        }
+
+        if (Object.keys(sectionPatch).length > 0) {
+            normalized[section] = sectionPatch;
+        }
+    }
+
+    return { errors, patch: normalized };
+}
+
+// Rules that involve more than one setting, checked on the merged config
+function validateMergedConfig(config) {
+    const errors = [];
+
+    const maxMemory = memoryToMegabytes(config.performance?.maxMemory);
+    const minMemory = memoryToMegabytes(config.performance?.minMemory);
+    if (maxMemory !== null && minMemory !== null && minMemory > maxMemory) {
+        errors.push({ field: 'performance.minMemory', message: 'must not be larger than performance.maxMemory' });
+    }
+
+    const ports = [
+        ['ports.java', config.ports?.java ?? CONFIG_SCHEMA.ports.java.default],
+        ['ports.bedrock', config.ports?.bedrock ?? CONFIG_SCHEMA.ports.bedrock.default]
+    ];
+    if (config.rcon?.enabled) {
+        ports.push(['rcon.port', config.rcon.port ?? CONFIG_SCHEMA.rcon.port.default]);
+    }
+    for (let i = 0; i < ports.length; i++) {
+        for (let j = i + 1; j < ports.length; j++) {
+            if (ports[i][1] === ports[j][1]) {
+                errors.push({ field: ports[j][0], message: `must differ from ${ports[i][0]} (${ports[i][1]})` });
+            }
+        }
+    }
+
+    try {
+        parseJvmArgs(config.java?.extraArgs);
+    } catch (error) {
+        errors.push({ field: 'java.extraArgs', message: error.message });
+    }
+
+    if (config.simulation?.enabled && config.simulation.scenarioFile) {
+        try {
+            loadScenario(config.simulation);
+        } catch (error) {
+            errors.push({ field: 'simulation.scenarioFile', message: error.message });
+        }
+    }
+
+    return errors;
+}
+
+// Deep-merge a validated patch into the config (sections are merged key by key)
+// and list every setting whose value actually changed
+function mergeConfigPatch(config, patch) {
+    const merged = { ...config };
+    const changes = [];
+
+    for (const [section, values] of Object.entries(patch)) {
+        const before = config[section] || {};
+        merged[section] = { ...before, ...values };
+
+        for (const [key, value] of Object.entries(values)) {
+            if (!isDeepEqual(before[key], value)) {
+                changes.push({
+                    field: `${section}.${key}`,
+                    from: before[key],
+                    to: value,
+                    apply: CONFIG_SCHEMA[section][key].apply
+                });
+            }
+        }
+    }
+
+    return { config: merged, changes };
+}
+
+// Settings marked secret (tunnel tokens) can be set through the API but are never sent back
+function stripSecrets(config) {
+    const stripped = { ...config };
+    for (const [section, fields] of Object.entries(CONFIG_SCHEMA)) {
+        const secrets = Object.keys(fields).filter(key => fields[key].secret);
+        if (secrets.length === 0 || !isPlainObject(stripped[section])) continue;
+
+        stripped[section] = { ...stripped[section] };
+        secrets.forEach(key => delete stripped[section][key]);
+    }
+    return stripped;
+}
+
+function isDeepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    SHARED_SECTIONS,
+    validateConfigPatch,
+    validateMergedConfig,
+    mergeConfigPatch,
+    stripSecrets
+};
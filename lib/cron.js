@@ -0,0 +1,130 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) in local time,
+// with lists, ranges, steps, month/day names and the usual @daily-style shortcuts.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    // 7 is Sunday as well as 0
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// No expression needs more than a few years to match (Feb 29 on a given weekday)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+function parseValue(text, field) {
+    const lower = text.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+        return field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+    }
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`Invalid ${field.name} value "${text}"`);
+    }
+
+    const value = Number(text);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        if (extra !== undefined || !range) {
+            throw new Error(`Invalid ${field.name} "${part}"`);
+        }
+
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name} "${part}"`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const bounds = range.split('-');
+            if (bounds.length > 2) {
+                throw new Error(`Invalid range in ${field.name} "${part}"`);
+            }
+            start = parseValue(bounds[0], field);
+            // "5/15" means from 5 to the end in steps of 15
+            end = bounds.length === 2 ? parseValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+            if (end < start) {
+                throw new Error(`Invalid range in ${field.name} "${part}"`);
+            }
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    }
+
+    return values;
+}
+
+// Returns { expression, minute, hour, dayOfMonth, month, dayOfWeek } or throws on invalid input
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const parts = (SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const cron = { expression: text };
+    FIELDS.forEach((field, index) => {
+        cron[field.name] = parseField(parts[index], field);
+    });
+
+    // As in Vixie cron: when both day fields are restricted, either one matching is enough
+    cron.anyDay = parts[2] !== '*' && parts[4] !== '*';
+    return cron;
+}
+
+function matchesDay(cron, date) {
+    const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+    const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+    return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+// The first matching minute strictly after `after` (a Date or timestamp), or null
+function nextCronTime(cron, after = Date.now()) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date);
+    limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+
+    while (date < limit) {
+        if (!cron.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!cron.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!cron.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, nextCronTime };
@@ -0,0 +1,489 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { ROLES } = require('./auth');
+
+const DEFAULT_EXTENSION_CONFIG = {
+    directory: './extensions',
+    disabled: [],
+    maxErrors: 10
+};
+
+// Events extensions can subscribe to, with the fields of their payload.
+// Everything but tunnel-address (which may be shared) names the instance it is about.
+const EXTENSION_EVENTS = {
+    'config-changed': ['instance', 'changes', 'restartRequired'],
+    starting: ['instance', 'timestamp'],
+    ready: ['instance', 'timestamp', 'line'],
+    'log-line': ['instance', 'timestamp', 'line', 'level', 'logger', 'message', 'type'],
+    'player-join': ['instance', 'timestamp', 'player', 'line'],
+    stopping: ['instance', 'timestamp', 'reason'],
+    exited: ['instance', 'timestamp', 'code', 'signal', 'crashed'],
+    'tunnel-address': ['instance', 'timestamp', 'edition', 'address', 'port', 'provider']
+};
+
+// Typed server events that reach extensions under another name
+const SERVER_EVENTS = {
+    start: 'starting',
+    ready: 'ready',
+    join: 'player-join',
+    stopping: 'stopping',
+    stop: 'exited',
+    crash: 'exited'
+};
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const WIDGET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const SOCKET_EVENT_PATTERN = /^ext:([^:]+):(.+)$/;
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const MAX_WIDGETS = 10;
+const MAX_WIDGET_LENGTH = 64 * 1024;
+
+// Loads local Node modules from config.extensions.directory. Each one is a file
+// (<name>.js) or a folder (<name>/index.js, or the "main" of its package.json) exporting
+//
+//   module.exports = {
+//       description: 'What it does',
+//       activate(api) { api.on('player-join', ({ instance, player }) => ...); },
+//       deactivate() { ... }
+//   };
+//
+// or just the activate function. Failures in activate make it "failed", and after maxErrors
+// failing handlers it is "suspended" until it is reloaded. Errors from its own timers and
+// promises count against it when its file is in the stack; a rejection with no such frame
+// (fs.promises, a rejected string) cannot be placed, so the manager only logs it.
+class ExtensionHost {
+    constructor(manager) {
+        this.manager = manager;
+        this.extensions = new Map();
+    }
+
+    get config() {
+        return { ...DEFAULT_EXTENSION_CONFIG, ...(this.manager.config.extensions || {}) };
+    }
+
+    get directory() {
+        return path.resolve(this.config.directory);
+    }
+
+    log(message, type = 'info') {
+        this.manager.broadcastLog(message, type);
+    }
+
+    // Extension names come from their file or folder name
+    discover() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        const found = [];
+        for (const entry of fs.readdirSync(this.directory, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+
+            const name = entry.isDirectory() ? entry.name : entry.name.replace(/\.js$/, '');
+            if (!entry.isDirectory() && !entry.name.endsWith('.js')) continue;
+            if (!NAME_PATTERN.test(name)) {
+                this.log(`⚠️ Skipping extension "${entry.name}": names must be lowercase letters, digits, "-" or "_"`, 'warn');
+                continue;
+            }
+            found.push({ name, root: path.join(this.directory, entry.name), isDirectory: entry.isDirectory() });
+        }
+        return found.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async loadAll() {
+        for (const { name, root, isDirectory } of this.discover()) {
+            await this.load(name, root, isDirectory);
+        }
+
+        const active = [...this.extensions.values()].filter(extension => extension.state === 'active');
+        if (active.length > 0) {
+            this.log(`🧩 ${active.length} extension(s) active: ${active.map(extension => extension.name).join(', ')}`, 'success');
+        }
+    }
+
+    async load(name, root, isDirectory) {
+        const extension = {
+            name,
+            root,
+            isDirectory,
+            description: null,
+            version: null,
+            state: 'disabled',
+            error: null,
+            errors: 0,
+            lastError: null,
+            module: null,
+            listeners: new Map(),
+            router: express.Router(),
+            routes: [],
+            sockets: new Map(),
+            widgets: [],
+            loadedAt: null
+        };
+        this.extensions.set(name, extension);
+
+        if (this.config.disabled.includes(name)) {
+            return extension;
+        }
+
+        try {
+            this.clearRequireCache(extension);
+            const loaded = require(root);
+            const activate = typeof loaded === 'function' ? loaded : loaded?.activate;
+            if (typeof activate !== 'function') {
+                throw new Error('the module exports no activate function');
+            }
+
+            extension.module = loaded;
+            extension.description = typeof loaded.description === 'string' ? loaded.description : null;
+            extension.version = typeof loaded.version === 'string' ? loaded.version : this.readPackageVersion(extension);
+            extension.state = 'active';
+            extension.loadedAt = new Date().toISOString();
+            fs.mkdirSync(path.resolve('./data/extensions', name), { recursive: true });
+
+            await activate(this.createApi(extension));
+            this.log(`🧩 Extension "${name}" loaded`, 'info');
+        } catch (error) {
+            // Anything registered before the failure goes away with it
+            this.reset(extension);
+            extension.state = 'failed';
+            extension.error = error.message;
+            this.log(`❌ Extension "${name}" failed to load: ${error.message}`, 'error');
+        }
+        return extension;
+    }
+
+    async unload(extension) {
+        if (extension.state === 'active' && typeof extension.module?.deactivate === 'function') {
+            await this.invoke(extension, 'deactivate', () => extension.module.deactivate());
+        }
+        this.reset(extension);
+        this.clearRequireCache(extension);
+        this.extensions.delete(extension.name);
+    }
+
+    async unloadAll() {
+        for (const extension of [...this.extensions.values()]) {
+            await this.unload(extension);
+        }
+    }
+
+    // Forget the modules and everything they registered, then load the directory again
+    async reload() {
+        await this.unloadAll();
+        await this.loadAll();
+        this.emitUpdate();
+        return this.list();
+    }
+
+    async setEnabled(name, enabled) {
+        const extension = this.extensions.get(name);
+        if (!extension) {
+            throw new Error(`Extension "${name}" not found`);
+        }
+
+        const disabled = this.config.disabled.filter(other => other !== name);
+        if (!enabled) {
+            disabled.push(name);
+        }
+        this.manager.config.extensions = { ...this.config, disabled };
+        this.manager.saveConfig();
+
+        const { root, isDirectory } = extension;
+        await this.unload(extension);
+        const reloaded = await this.load(name, root, isDirectory);
+        if (!enabled) {
+            this.log(`🧩 Extension "${name}" disabled`, 'info');
+        }
+        this.emitUpdate();
+        return this.describe(reloaded);
+    }
+
+    reset(extension) {
+        extension.listeners.clear();
+        extension.router = express.Router();
+        extension.routes = [];
+        extension.sockets.clear();
+        extension.widgets = [];
+    }
+
+    clearRequireCache(extension) {
+        for (const file of Object.keys(require.cache)) {
+            if (file === extension.root || file.startsWith(`${extension.root}${path.sep}`)) {
+                delete require.cache[file];
+            }
+        }
+    }
+
+    readPackageVersion(extension) {
+        if (!extension.isDirectory) return null;
+        try {
+            const pkg = JSON.parse(fs.readFileSync(path.join(extension.root, 'package.json'), 'utf8'));
+            return typeof pkg.version === 'string' ? pkg.version : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // What an extension gets to work with. Registration is only checked here, so a mistake
+    // shows up as a failed activate instead of a broken route or panel later.
+    createApi(extension) {
+        const { name } = extension;
+        const host = this;
+        const manager = this.manager;
+        const checkRole = (role) => {
+            if (!ROLES.includes(role)) {
+                throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+            }
+        };
+
+        return Object.freeze({
+            name,
+            events: Object.keys(EXTENSION_EVENTS),
+            // Created before activate; kept across reloads
+            dataDir: path.resolve('./data/extensions', name),
+
+            on(event, handler) {
+                if (!EXTENSION_EVENTS[event]) {
+                    throw new Error(`Unknown event "${event}" (expected one of: ${Object.keys(EXTENSION_EVENTS).join(', ')})`);
+                }
+                if (typeof handler !== 'function') {
+                    throw new Error(`The "${event}" handler must be a function`);
+                }
+                if (!extension.listeners.has(event)) {
+                    extension.listeners.set(event, []);
+                }
+                extension.listeners.get(event).push(handler);
+            },
+
+            // Mounted under /ext/<name>; handlers may be async and return or send as usual
+            route(method, routePath, handler, { role = 'admin' } = {}) {
+                method = String(method).toLowerCase();
+                if (!HTTP_METHODS.includes(method)) {
+                    throw new Error(`method must be one of: ${HTTP_METHODS.join(', ')}`);
+                }
+                if (typeof routePath !== 'string' || !routePath.startsWith('/')) {
+                    throw new Error('route paths must start with "/"');
+                }
+                if (typeof handler !== 'function') {
+                    throw new Error('route handlers must be functions');
+                }
+                checkRole(role);
+
+                extension.router[method](routePath, manager.auth.requireRole(role), async (req, res) => {
+                    const { error } = await host.invoke(extension, `${method.toUpperCase()} ${routePath}`, () => handler(req, res));
+                    if (error && !res.headersSent) {
+                        res.status(500).json({ success: false, message: `Extension "${name}" failed: ${error.message}` });
+                    }
+                });
+                extension.routes.push({ method: method.toUpperCase(), path: `/ext/${name}${routePath}`, role });
+            },
+
+            // Clients send "ext:<name>:<event>"; what the handler returns is the acknowledgement
+            onSocket(event, handler, { role = 'admin' } = {}) {
+                if (typeof event !== 'string' || !event || event.includes(':')) {
+                    throw new Error('socket event names must be non-empty and contain no ":"');
+                }
+                if (typeof handler !== 'function') {
+                    throw new Error('socket handlers must be functions');
+                }
+                checkRole(role);
+                extension.sockets.set(event, { handler, role });
+            },
+
+            // Send "ext:<name>:<event>" to every signed-in panel
+            emit(event, payload = {}) {
+                manager.io.emit(`ext:${name}:${event}`, payload);
+            },
+
+            // A card on the panel. The script runs with `widget` (the card body element),
+            // `socket` and `request` (fetch for the panel's API) in scope.
+            widget({ id, title, html = '', script = '', role = 'viewer' } = {}) {
+                if (!WIDGET_ID_PATTERN.test(id || '')) {
+                    throw new Error('widget ids must be lowercase letters, digits, "-" or "_"');
+                }
+                if (typeof title !== 'string' || !title.trim()) {
+                    throw new Error('widgets need a title');
+                }
+                if (typeof html !== 'string' || typeof script !== 'string' || html.length + script.length > MAX_WIDGET_LENGTH) {
+                    throw new Error(`widget html and script must be strings of at most ${MAX_WIDGET_LENGTH} characters together`);
+                }
+                checkRole(role);
+
+                extension.widgets = extension.widgets.filter(widget => widget.id !== id);
+                if (extension.widgets.length >= MAX_WIDGETS) {
+                    throw new Error(`at most ${MAX_WIDGETS} widgets per extension`);
+                }
+                extension.widgets.push({ id, title: title.trim(), html, script, role });
+            },
+
+            log(message, type = 'info') {
+                manager.broadcastLog(`🧩 [${name}] ${message}`, type);
+            },
+
+            instances() {
+                return manager.getInstanceSummaries();
+            },
+
+            // Run a console command on a running instance ({ sent, output, via } or an error)
+            command(instanceId, command) {
+                const instance = manager.getInstance(instanceId);
+                if (!instance) {
+                    return Promise.resolve({ sent: false, error: `Instance "${instanceId}" not found` });
+                }
+                return instance.executeCommand(String(command));
+            }
+        });
+    }
+
+    // Call into an extension; resolves with { result } or { error }, never rejects
+    async invoke(extension, where, fn) {
+        try {
+            return { result: await fn() };
+        } catch (error) {
+            this.recordError(extension, where, error);
+            return { error };
+        }
+    }
+
+    recordError(extension, where, error) {
+        const message = error?.message || String(error);
+        extension.errors++;
+        extension.lastError = { where, message, at: new Date().toISOString() };
+        this.log(`❌ Extension "${extension.name}" failed in ${where}: ${message}`, 'error');
+
+        if (extension.state === 'active' && extension.errors >= this.config.maxErrors) {
+            this.suspend(extension, `${extension.errors} errors`);
+        }
+    }
+
+    // Stop calling into an extension that keeps failing; a reload gives it another chance
+    suspend(extension, reason) {
+        extension.state = 'suspended';
+        extension.error = `Suspended after ${reason}`;
+        this.reset(extension);
+        this.log(`⚠️ Extension "${extension.name}" suspended after ${reason} - reload extensions to try again`, 'warn');
+        this.emitUpdate();
+    }
+
+    emit(event, payload = {}) {
+        for (const extension of this.extensions.values()) {
+            const handlers = extension.state === 'active' ? extension.listeners.get(event) : null;
+            if (!handlers) continue;
+
+            // Each extension gets its own copy, so one cannot change what the next one sees
+            for (const handler of handlers) {
+                const data = Object.freeze({ event, timestamp: new Date().toISOString(), ...payload });
+                this.invoke(extension, `"${event}" handler`, () => handler(data));
+            }
+        }
+    }
+
+    // Forward an instance's typed server events under the extension event names
+    attach(instance) {
+        instance.events.on('event', (payload) => {
+            const event = SERVER_EVENTS[payload.type];
+            if (!event) return;
+
+            const { type, ...fields } = payload;
+            this.emit(event, {
+                ...fields,
+                ...(event === 'exited' ? { crashed: type === 'crash' } : {}),
+                instance: instance.id
+            });
+        });
+    }
+
+    // Socket messages named "ext:<name>:<event>" go to that extension's handler
+    attachSocket(socket) {
+        socket.onAny((eventName, ...args) => {
+            const match = SOCKET_EVENT_PATTERN.exec(eventName);
+            if (!match) return;
+
+            const ack = typeof args[args.length - 1] === 'function' ? args.pop() : () => { };
+            const extension = this.extensions.get(match[1]);
+            const entry = extension?.state === 'active' ? extension.sockets.get(match[2]) : null;
+            if (!entry) {
+                return ack({ success: false, message: `Unknown extension event "${eventName}"` });
+            }
+            if (!this.manager.auth.hasRole(socket.data.user, entry.role)) {
+                return ack({ success: false, message: 'Insufficient permissions' });
+            }
+
+            const context = { user: this.manager.auth.publicUser(socket.data.user), socket };
+            this.invoke(extension, `socket "${match[2]}" handler`, () => entry.handler(args[0], context))
+                .then(({ result, error }) => ack(error
+                    ? { success: false, message: `Extension "${extension.name}" failed: ${error.message}` }
+                    : result));
+        });
+    }
+
+    // Express middleware for /ext/:name/...
+    handleRequest(req, res, next) {
+        const extension = this.extensions.get(req.params.name);
+        if (extension?.state !== 'active') {
+            return res.status(404).json({ success: false, message: `Extension "${req.params.name}" is not active` });
+        }
+        extension.router(req, res, next);
+    }
+
+    // Errors thrown from an extension's own timers or promises reach the process handlers in
+    // server.js; they are told apart from the manager's by the file they come from. Returns
+    // false for errors that are not an extension's, which the manager handles itself.
+    handleProcessError(error, origin) {
+        const extension = this.findByStack(error?.stack);
+        if (!extension) return false;
+
+        this.recordError(extension, origin, error);
+        return true;
+    }
+
+    findByStack(stack = '') {
+        if (typeof stack !== 'string') return null;
+        return [...this.extensions.values()].find(extension => (extension.isDirectory
+            ? stack.includes(`${extension.root}${path.sep}`)
+            : stack.includes(extension.root))) || null;
+    }
+
+    describe(extension) {
+        return {
+            name: extension.name,
+            description: extension.description,
+            version: extension.version,
+            state: extension.state,
+            error: extension.error,
+            errors: extension.errors,
+            lastError: extension.lastError,
+            loadedAt: extension.loadedAt,
+            events: [...extension.listeners.keys()],
+            routes: extension.routes,
+            socketEvents: [...extension.sockets.entries()].map(([event, { role }]) => ({ event: `ext:${extension.name}:${event}`, role })),
+            widgets: extension.widgets.map(({ id, title, role }) => ({ id, title, role }))
+        };
+    }
+
+    list() {
+        return [...this.extensions.values()].map(extension => this.describe(extension));
+    }
+
+    // Panel cards the user may see
+    getWidgets(user) {
+        const widgets = [];
+        for (const extension of this.extensions.values()) {
+            if (extension.state !== 'active') continue;
+            for (const widget of extension.widgets) {
+                if (this.manager.auth.hasRole(user, widget.role)) {
+                    widgets.push({ extension: extension.name, ...widget });
+                }
+            }
+        }
+        return widgets;
+    }
+
+    emitUpdate() {
+        this.manager.io.emit('extensions-update', {});
+    }
+}
+
+module.exports = { ExtensionHost, EXTENSION_EVENTS, DEFAULT_EXTENSION_CONFIG };
@@ -0,0 +1,567 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+const JAR_NAME_PATTERN = /^[\w.+\- ]{1,128}\.jar$/i;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+const DEFAULT_JAR_CONFIG = {
+    backupBeforeUpgrade: true,
+    autoRollback: true,
+    startupTimeoutSeconds: 600
+};
+
+// Server jars in the top level of the server directory, with their detected version and
+// SHA-256. Switching jars backs the world up first; if the new jar never reaches "Done (",
+// the previous jar (and the world from before the switch) are put back.
+class JarManager {
+    constructor(server) {
+        this.server = server;
+        this.filePath = path.join(server.dataPath, 'jars.json');
+        this.switching = false;
+        this.startupTimer = null;
+
+        const state = this.load();
+        this.catalogue = state.jars;
+        this.previous = state.previous;
+        // { from, to, backup, previous, at, started } while a switched-to jar has not yet started successfully
+        this.pending = state.pending;
+    }
+
+    get config() {
+        return { ...DEFAULT_JAR_CONFIG, ...(this.server.config.jars || {}) };
+    }
+
+    get active() {
+        return this.server.jarFile;
+    }
+
+    log(message, type = 'info') {
+        this.server.broadcastLog(message, type);
+    }
+
+    emitUpdate() {
+        this.server.emit('jars-update', {});
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                return { jars: data.jars || {}, previous: data.previous || null, pending: data.pending || null };
+            }
+        } catch (error) {
+            this.log(`❌ Error loading jar catalogue: ${error.message}`, 'error');
+        }
+        return { jars: {}, previous: null, pending: null };
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({
+                jars: this.catalogue,
+                previous: this.previous,
+                pending: this.pending
+            }, null, 4));
+        } catch (error) {
+            this.log(`❌ Failed to save jar catalogue: ${error.message}`, 'error');
+        }
+    }
+
+    getJarPath(file) {
+        if (!JAR_NAME_PATTERN.test(file || '')) {
+            return null;
+        }
+        const jarPath = path.join(this.server.serverPath, file);
+        return fs.existsSync(jarPath) ? jarPath : null;
+    }
+
+    listJarFiles() {
+        if (!fs.existsSync(this.server.serverPath)) {
+            return [];
+        }
+        return fs.readdirSync(this.server.serverPath)
+            .filter(name => JAR_NAME_PATTERN.test(name))
+            .filter(name => fs.statSync(path.join(this.server.serverPath, name)).isFile());
+    }
+
+    // Catalogue jars that appeared on disk, re-hash changed ones and drop deleted ones
+    async refresh() {
+        const files = this.listJarFiles();
+        let changed = false;
+
+        for (const file of files) {
+            const jarPath = path.join(this.server.serverPath, file);
+            const stats = fs.statSync(jarPath);
+            const record = this.catalogue[file];
+            if (record && record.size === stats.size && record.mtimeMs === stats.mtimeMs) continue;
+
+            const sha256 = await hashFile(jarPath);
+            if (record) {
+                // Keep the catalogued hash so a replaced jar shows up as modified
+                record.currentSha256 = sha256 === record.sha256 ? undefined : sha256;
+                record.size = stats.size;
+                record.mtimeMs = stats.mtimeMs;
+            } else {
+                this.catalogue[file] = this.createRecord(jarPath, sha256, 'found');
+            }
+            changed = true;
+        }
+
+        for (const file of Object.keys(this.catalogue)) {
+            if (!files.includes(file)) {
+                delete this.catalogue[file];
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.save();
+        }
+    }
+
+    createRecord(jarPath, sha256, source) {
+        const stats = fs.statSync(jarPath);
+        let detected;
+        try {
+            detected = detectServerJar(jarPath);
+        } catch (error) {
+            detected = { error: error.message };
+        }
+        return {
+            sha256,
+            size: stats.size,
+            mtimeMs: stats.mtimeMs,
+            addedAt: new Date().toISOString(),
+            source,
+            ...detected
+        };
+    }
+
+    async listJars() {
+        await this.refresh();
+        return Object.entries(this.catalogue)
+            .map(([file, record]) => {
+                const { mtimeMs, currentSha256, ...info } = record;
+                return {
+                    file,
+                    ...info,
+                    modified: !!currentSha256,
+                    active: file === this.active,
+                    previous: file === this.previous
+                };
+            })
+            .sort((a, b) => (b.addedAt || '').localeCompare(a.addedAt || ''));
+    }
+
+    async getStatus() {
+        return {
+            active: this.active,
+            previous: this.previous,
+            pending: this.pending,
+            switching: this.switching,
+            config: this.config,
+            jars: await this.listJars()
+        };
+    }
+
+    // Re-hash a jar and compare it with the catalogue
+    async verify(file) {
+        const jarPath = this.getJarPath(file);
+        if (!jarPath) {
+            throw new Error(`Jar not found: ${file}`);
+        }
+
+        await this.refresh();
+        const record = this.catalogue[file];
+        const sha256 = await hashFile(jarPath);
+        return { file, expected: record.sha256, actual: sha256, ok: sha256 === record.sha256 };
+    }
+
+    // Accept a jar's current contents as the catalogued version
+    async trust(file) {
+        const jarPath = this.getJarPath(file);
+        if (!jarPath) {
+            throw new Error(`Jar not found: ${file}`);
+        }
+
+        this.catalogue[file] = this.createRecord(jarPath, await hashFile(jarPath), 'trusted');
+        this.save();
+        this.log(`☕ ${file} re-catalogued (SHA-256 ${this.catalogue[file].sha256.slice(0, 12)}…)`, 'info');
+        this.emitUpdate();
+        return this.catalogue[file];
+    }
+
+    async upload(file, data, { sha256 } = {}) {
+        if (!JAR_NAME_PATTERN.test(file || '')) {
+            throw new Error('File name must end in .jar and contain only letters, digits, spaces, ".", "_", "+" or "-"');
+        }
+        if (!Buffer.isBuffer(data) || data.length === 0) {
+            throw new Error('No jar file received');
+        }
+        if (sha256 !== undefined && !SHA256_PATTERN.test(sha256)) {
+            throw new Error('sha256 must be 64 hexadecimal characters');
+        }
+        if (file === this.active && this.server.minecraftProcess) {
+            throw new Error('The active jar cannot be replaced while the server is running');
+        }
+
+        const actual = crypto.createHash('sha256').update(data).digest('hex');
+        if (sha256 && actual !== sha256.toLowerCase()) {
+            throw new Error(`SHA-256 mismatch: expected ${sha256.toLowerCase()}, got ${actual}`);
+        }
+
+        fs.mkdirSync(this.server.serverPath, { recursive: true });
+        const tempPath = path.join(this.server.serverPath, `.${file}.upload`);
+        fs.writeFileSync(tempPath, data);
+
+        try {
+            // Refuse anything that is not a runnable jar before it lands next to the real ones
+            const detected = detectServerJar(tempPath);
+            fs.renameSync(tempPath, path.join(this.server.serverPath, file));
+
+            this.catalogue[file] = this.createRecord(path.join(this.server.serverPath, file), actual, 'upload');
+            this.save();
+            this.log(`☕ Server jar uploaded: ${file} (${describeJar(detected)}, SHA-256 ${actual.slice(0, 12)}…${sha256 ? ' verified' : ''})`, 'success');
+            this.emitUpdate();
+            return { file, ...this.catalogue[file] };
+        } finally {
+            fs.rmSync(tempPath, { force: true });
+        }
+    }
+
+    deleteJar(file) {
+        if (file === this.active) {
+            throw new Error('The active jar cannot be deleted');
+        }
+        const jarPath = this.getJarPath(file);
+        if (!jarPath) {
+            return false;
+        }
+
+        fs.rmSync(jarPath, { force: true });
+        delete this.catalogue[file];
+        if (this.previous === file) {
+            this.previous = null;
+        }
+        this.save();
+        this.log(`🗑️ Server jar deleted: ${file}`, 'info');
+        this.emitUpdate();
+        return true;
+    }
+
+    setActive(file) {
+        this.server.config.jarFile = file;
+        this.server.jarFile = file;
+        if (!this.server.saveConfig()) {
+            throw new Error('Failed to save config.json');
+        }
+    }
+
+    // Stop the server, back the world up and make `file` the jar the server starts with.
+    // The server is started again if it was running (or `start` is set).
+    async activate(file, { start = false } = {}) {
+        if (this.switching) {
+            throw new Error('A jar switch is already in progress');
+        }
+        if (file === this.active) {
+            throw new Error(`${file} is already the active jar`);
+        }
+        if (this.server.serverStatus === 'starting' || this.server.shutdown.inProgress) {
+            throw new Error('Wait until the server is online or stopped');
+        }
+
+        const check = await this.verify(file);
+        if (!check.ok) {
+            throw new Error(`${file} does not match its catalogued SHA-256 - verify or re-upload it first`);
+        }
+
+        this.switching = true;
+        this.emitUpdate();
+        try {
+            const from = this.active;
+            const wasRunning = !!this.server.minecraftProcess;
+            if (wasRunning) {
+                const stopped = await this.server.stopMinecraftServer({ reason: 'switching server jar' });
+                if (!stopped) {
+                    throw new Error('Server did not stop - jar switch aborted');
+                }
+            }
+
+            let backup = null;
+            if (this.config.backupBeforeUpgrade && this.server.backups.getWorldDirectories().length > 0) {
+                backup = (await this.server.backups.createBackup('pre-upgrade')).name;
+            }
+
+            this.setActive(file);
+            // A failed switch puts "previous" back as well, so Roll back never picks the broken jar
+            this.pending = { from, to: file, backup, previous: this.previous, at: new Date().toISOString(), started: false };
+            this.previous = from;
+            this.save();
+
+            const record = this.catalogue[file];
+            this.log(`☕ Server jar switched: ${from} → ${file} (${describeJar(record)})`, 'success');
+
+            if (wasRunning || start) {
+                await this.server.startMinecraftServer();
+            }
+            return { from, to: file, backup, started: wasRunning || start };
+        } finally {
+            this.switching = false;
+            this.emitUpdate();
+        }
+    }
+
+    async rollback({ start = false } = {}) {
+        if (!this.previous || !this.getJarPath(this.previous)) {
+            throw new Error('No previous jar to roll back to');
+        }
+        return this.activate(this.previous, { start });
+    }
+
+    // Refuses to start a jar whose contents changed since it was catalogued
+    async beforeStart() {
+        const jarPath = this.getJarPath(this.active);
+        if (!jarPath) {
+            throw new Error(`Server jar ${this.active} not found in ${this.server.serverPath}`);
+        }
+
+        await this.refresh();
+        const record = this.catalogue[this.active];
+        if (record.currentSha256) {
+            throw new Error(`${this.active} changed since it was catalogued (SHA-256 mismatch) - trust it from the panel if this was intended`);
+        }
+    }
+
+    // A simulated run says nothing about the jar, so it neither confirms nor rolls back a switch
+    onStart() {
+        if (this.server.simulated || !this.pending || this.pending.to !== this.active) return;
+
+        this.pending.started = true;
+        this.save();
+
+        const seconds = this.config.startupTimeoutSeconds;
+        clearTimeout(this.startupTimer);
+        this.startupTimer = setTimeout(async () => {
+            this.startupTimer = null;
+            if (!this.pending?.started || this.server.serverReady) return;
+
+            this.log(`⏱️ ${this.active} did not finish starting within ${seconds}s`, 'error');
+            try {
+                // Swapping jars and restoring the world under a running Java would corrupt both
+                const stopped = await this.server.stopMinecraftServer({ countdown: 0, reason: 'new server jar did not start' });
+                if (!stopped) {
+                    this.log(`❌ ${this.active} did not stop - not rolling back while it still holds the world`, 'error');
+                    return;
+                }
+                await this.rollbackFailedSwitch(`no "Done" within ${seconds}s`);
+            } catch (error) {
+                this.log(`❌ Could not stop ${this.active} to roll back: ${error.message}`, 'error');
+            }
+        }, seconds * 1000);
+    }
+
+    onReady() {
+        clearTimeout(this.startupTimer);
+        this.startupTimer = null;
+        if (this.server.simulated) return;
+
+        const record = this.catalogue[this.active];
+        if (record) {
+            record.lastReadyAt = new Date().toISOString();
+        }
+        if (this.pending) {
+            this.log(`✅ ${this.active} started successfully`, 'success');
+            this.pending = null;
+        }
+        this.save();
+        this.emitUpdate();
+    }
+
+    // Called from the process close handler; a crash before "Done (" undoes the switch
+    onExit(code, stopRequested) {
+        clearTimeout(this.startupTimer);
+        this.startupTimer = null;
+
+        if (this.server.simulated || !this.pending?.started || stopRequested || this.server.manager.shuttingDown) return;
+        if (!this.config.autoRollback) {
+            this.log(`⚠️ ${this.active} exited before finishing startup - use Roll back to return to ${this.pending.from}`, 'warn');
+            return;
+        }
+
+        // The rollback restarts the server itself
+        this.server.watchdog.cancel();
+        this.rollbackFailedSwitch(`exit code ${code}`);
+    }
+
+    async rollbackFailedSwitch(reason) {
+        const { from, to, backup, previous } = this.pending;
+        this.pending = null;
+        this.switching = true;
+        this.emitUpdate();
+
+        try {
+            this.log(`↩️ ${to} failed to start (${reason}) - rolling back to ${from}`, 'warn');
+            const record = this.catalogue[to];
+            if (record) {
+                record.failedAt = new Date().toISOString();
+            }
+            this.setActive(from);
+            this.previous = previous || null;
+            this.save();
+
+            // The new version may already have started converting the world
+            if (backup) {
+                await this.server.backups.restoreBackup(backup);
+            }
+
+            this.log(`✅ Rolled back to ${from}`, 'success');
+            this.server.emitServerEvent({ type: 'jar-rollback', from, to, reason });
+            await this.server.startMinecraftServer();
+        } catch (error) {
+            this.log(`❌ Rollback to ${from} failed: ${error.message}`, 'error');
+        } finally {
+            this.switching = false;
+            this.emitUpdate();
+        }
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Manifest "Key: value" lines; lines starting with a space continue the previous value
+function parseManifest(text) {
+    const manifest = {};
+    let key = null;
+    for (const line of text.split(/\r?\n/)) {
+        if (line.startsWith(' ') && key) {
+            manifest[key] += line.slice(1);
+        } else {
+            const match = line.match(/^([\w-]+):\s?(.*)$/);
+            if (match) {
+                [, key] = match;
+                manifest[key] = match[2];
+            }
+        }
+    }
+    return manifest;
+}
+
+// Software and Minecraft version from a jar's own metadata:
+//   - version.json (Mojang's, also inside Paper's patched jar): id, java_version
+//   - META-INF/MANIFEST.MF Implementation-Version, e.g. "git-Paper-499 (MC: 1.20.4)"
+//     or "1.21.1-119-7a2b3c4 (MC: 1.21.1)"
+//   - bundler/Paperclip jars keep the real server jar under META-INF/versions/ (see versions.list)
+// The file name (paper-1.20.4-499.jar) fills in whatever the metadata does not say.
+function detectServerJar(jarPath) {
+    let zip;
+    try {
+        zip = new AdmZip(jarPath);
+    } catch (error) {
+        throw new Error(`Not a jar file: ${error.message}`);
+    }
+
+    const outer = readJarInfo(zip);
+    if (!outer.mainClass) {
+        throw new Error('Jar has no Main-Class - not a runnable server jar');
+    }
+
+    const info = {
+        software: null,
+        minecraftVersion: null,
+        build: null,
+        javaVersion: null,
+        mainClass: outer.mainClass
+    };
+    const apply = (source) => {
+        for (const key of ['software', 'minecraftVersion', 'build', 'javaVersion']) {
+            if (info[key] === null && source[key]) info[key] = source[key];
+        }
+    };
+
+    // The bundled server jar knows more than the launcher around it
+    const versionsList = zip.getEntry('META-INF/versions.list');
+    if (versionsList) {
+        const [, id, entryPath] = versionsList.getData().toString('utf8').trim().split(/\r?\n/)[0].split('\t');
+        const nested = entryPath && zip.getEntry(`META-INF/versions/${entryPath}`);
+        if (nested) {
+            try {
+                apply(readJarInfo(new AdmZip(nested.getData())));
+            } catch (error) {
+                // Fall back to the outer jar's metadata
+            }
+        }
+        apply(parseVersionName(id || ''));
+    }
+    apply(outer);
+
+    if (!info.software) {
+        if (/paperclip/i.test(outer.mainClass)) info.software = 'Paper';
+        else if (/^net\.minecraft\.(bundler|server)\./.test(outer.mainClass)) info.software = 'Vanilla';
+        else if (/craftbukkit/i.test(outer.mainClass)) info.software = 'CraftBukkit';
+    }
+    apply(parseVersionName(path.basename(jarPath, '.jar')));
+    return info;
+}
+
+function readJarInfo(zip) {
+    const info = {};
+    const manifestEntry = zip.getEntry('META-INF/MANIFEST.MF');
+    if (manifestEntry) {
+        const manifest = parseManifest(manifestEntry.getData().toString('utf8'));
+        info.mainClass = manifest['Main-Class'] || null;
+
+        const version = manifest['Implementation-Version'] || '';
+        const legacy = version.match(/^git-(\w+)-(\d+) \(MC: ([^)]+)\)/);
+        const current = version.match(/^[\w.-]+?-(\d+)-[0-9a-f]+ \(MC: ([^)]+)\)/);
+        if (legacy) {
+            [, info.software, info.build, info.minecraftVersion] = legacy;
+        } else if (current) {
+            [, info.build, info.minecraftVersion] = current;
+        } else {
+            info.minecraftVersion = version.match(/\(MC: ([^)]+)\)/)?.[1];
+        }
+        info.software = info.software || manifest['Implementation-Title'] || manifest['Specification-Title'];
+    }
+
+    const versionEntry = zip.getEntry('version.json');
+    if (versionEntry) {
+        try {
+            const version = JSON.parse(versionEntry.getData().toString('utf8'));
+            info.minecraftVersion = info.minecraftVersion || version.id || version.name;
+            info.javaVersion = version.java_version || null;
+        } catch (error) {
+            // Not Mojang's version.json
+        }
+    }
+    return info;
+}
+
+// "paper-1.20.4-499", "purpur-1.21.1", "1.20.4" and the like
+function parseVersionName(name) {
+    const match = name.match(/^(?:([a-z]+)[-_])?(\d+\.\d+(?:\.\d+)?(?:-(?:pre|rc)\d+)?)(?:[-_](\d+))?$/i);
+    if (!match) return {};
+    const [, software, minecraftVersion, build] = match;
+    return {
+        software: software ? software.charAt(0).toUpperCase() + software.slice(1).toLowerCase() : null,
+        minecraftVersion,
+        build: build || null
+    };
+}
+
+function describeJar(info = {}) {
+    const version = [info.software, info.minecraftVersion].filter(Boolean).join(' ') || 'unknown version';
+    return info.build ? `${version} build ${info.build}` : version;
+}
+
+module.exports = { JarManager, DEFAULT_JAR_CONFIG, detectServerJar };
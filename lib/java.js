@@ -0,0 +1,373 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const DEFAULT_JAVA_CONFIG = {
+    path: '',
+    profile: 'default',
+    extraArgs: ''
+};
+
+// Re-probe installed runtimes at most this often unless asked to
+const DETECTION_TTL_MS = 5 * 60 * 1000;
+const PROBE_TIMEOUT_MS = 10000;
+// Leave room for the OS, the manager and off-heap JVM memory
+const MEMORY_HEADROOM = 0.9;
+
+const JAVA_BINARY = process.platform === 'win32' ? 'java.exe' : 'java';
+
+// Aikar's G1 tuning (https://docs.papermc.io/paper/aikars-flags); larger heaps get bigger regions
+function aikarFlags(maxMemoryMb) {
+    const large = maxMemoryMb > 12 * 1024;
+    return [
+        '-XX:+UseG1GC',
+        '-XX:+ParallelRefProcEnabled',
+        '-XX:MaxGCPauseMillis=200',
+        '-XX:+UnlockExperimentalVMOptions',
+        '-XX:+DisableExplicitGC',
+        '-XX:+AlwaysPreTouch',
+        `-XX:G1NewSizePercent=${large ? 40 : 30}`,
+        `-XX:G1MaxNewSizePercent=${large ? 50 : 40}`,
+        `-XX:G1HeapRegionSize=${large ? '16M' : '8M'}`,
+        `-XX:G1ReservePercent=${large ? 15 : 20}`,
+        '-XX:G1HeapWastePercent=5',
+        '-XX:G1MixedGCCountTarget=4',
+        `-XX:InitiatingHeapOccupancyPercent=${large ? 20 : 15}`,
+        '-XX:G1MixedGCLiveThresholdPercent=90',
+        '-XX:G1RSetUpdatingPauseTimePercent=5',
+        '-XX:SurvivorRatio=32',
+        '-XX:+PerfDisableSharedMem',
+        '-XX:MaxTenuringThreshold=1',
+        '-Dusing.aikars.flags=https://mcflags.emc.gs',
+        '-Daikars.new.flags=true'
+    ];
+}
+
+// Selectable GC/JIT flag sets; flags(javaMajor, maxMemoryMb) returns the list
+const JVM_PROFILES = {
+    default: {
+        label: 'Default (G1)',
+        description: 'The G1 settings the manager has always used',
+        flags: () => ['-XX:+UseG1GC', '-XX:+UnlockExperimentalVMOptions', '-XX:MaxGCPauseMillis=100']
+    },
+    aikar: {
+        label: "Aikar's flags",
+        description: 'Tuned G1 recommended by Paper for most servers',
+        flags: (javaMajor, maxMemoryMb) => aikarFlags(maxMemoryMb)
+    },
+    'low-memory': {
+        label: 'Low memory',
+        description: 'Serial GC and smaller stacks for hosts with little RAM',
+        flags: () => ['-XX:+UseSerialGC', '-Xss512k', '-XX:ReservedCodeCacheSize=64m']
+    },
+    zgc: {
+        label: 'ZGC',
+        description: 'Low-pause collector for large heaps (Java 17+)',
+        minJava: 17,
+        // Generational ZGC is opt-in on Java 21-22 and the only mode from 23 on
+        flags: javaMajor => ['-XX:+UseZGC', ...(javaMajor >= 21 && javaMajor < 23 ? ['-XX:+ZGenerational'] : [])]
+    }
+};
+
+let detectionCache = null;
+
+function parseMemoryMb(value) {
+    const match = String(value || '').match(/^(\d+)([MG])$/i);
+    if (!match) return null;
+    return Number(match[1]) * (match[2].toUpperCase() === 'G' ? 1024 : 1);
+}
+
+// Split java.extraArgs like a shell would (quotes group words); throws on anything
+// that is not a JVM option, since the manager supplies -jar, the jar and nogui itself
+function parseJvmArgs(text) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        args.push(match[1] ?? match[2] ?? match[3]);
+    }
+
+    for (const arg of args) {
+        if (!arg.startsWith('-')) {
+            throw new Error(`"${arg}" is not a JVM option (options start with "-")`);
+        }
+        if (arg === '-jar' || arg === '-cp' || arg === '-classpath') {
+            throw new Error(`${arg} is set by the manager`);
+        }
+    }
+    return args;
+}
+
+// Minimum Java for a Minecraft version, for jars that carry no version.json.
+// Releases are "1.<minor>[.<patch>]" up to 1.21 and "<year>.<drop>[.<patch>]" from 26.1;
+// weekly snapshots ("25w14a") and anything else return null (unknown)
+function requiredJavaFor(minecraftVersion) {
+    const text = String(minecraftVersion || '');
+    const legacy = text.match(/^1\.(\d+)(?:\.(\d+))?(?:-(?:pre|rc)\d+)?$/);
+    if (legacy) {
+        const minor = Number(legacy[1]);
+        const patch = Number(legacy[2] || 0);
+        if (minor > 20 || (minor === 20 && patch >= 5)) return 21;
+        if (minor >= 18) return 17;
+        if (minor === 17) return 16;
+        return 8;
+    }
+    const yearly = text.match(/^(\d{2})\.\d+(?:\.\d+)?(?:-(?:pre|rc|snapshot-)\d+)?$/);
+    if (yearly && Number(yearly[1]) >= 26) return 25;
+    return null;
+}
+
+// Parse "java -version" output (printed to stderr)
+function parseJavaVersion(output) {
+    const version = output.match(/version "([^"]+)"/)?.[1];
+    if (!version) return null;
+
+    // "1.8.0_402" is Java 8; "21.0.2" and "17" are their own major versions
+    const parts = version.split(/[._+-]/).map(Number);
+    const major = parts[0] === 1 ? parts[1] : parts[0];
+    const runtimeLine = output.split(/\r?\n/)[1] || '';
+    return {
+        version,
+        major,
+        vendor: runtimeLine.replace(/\s*\(build.*$/, '').trim() || null,
+        is64Bit: /64-Bit/i.test(output)
+    };
+}
+
+function probeJava(javaPath) {
+    return new Promise((resolve) => {
+        execFile(javaPath, ['-version'], { timeout: PROBE_TIMEOUT_MS, windowsHide: true }, (error, stdout, stderr) => {
+            const info = parseJavaVersion(`${stderr}\n${stdout}`.trim());
+            if (info) {
+                resolve({ path: javaPath, ...info, error: null });
+            } else {
+                resolve({ path: javaPath, error: error ? error.message : 'Could not read the Java version' });
+            }
+        });
+    });
+}
+
+// Places Java is commonly installed, in order of preference
+function findJavaCandidates(extraPaths = []) {
+    const candidates = [...extraPaths];
+    if (process.env.JAVA_HOME) {
+        candidates.push(path.join(process.env.JAVA_HOME, 'bin', JAVA_BINARY));
+    }
+    for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+        candidates.push(path.join(dir, JAVA_BINARY));
+    }
+
+    const home = os.homedir();
+    const roots = process.platform === 'win32'
+        ? ['C:\\Program Files\\Java', 'C:\\Program Files\\Eclipse Adoptium', 'C:\\Program Files\\Microsoft', 'C:\\Program Files\\Zulu']
+        : process.platform === 'darwin'
+            ? ['/Library/Java/JavaVirtualMachines', path.join(home, 'Library/Java/JavaVirtualMachines')]
+            : ['/usr/lib/jvm', '/usr/java', '/opt/java', '/opt/jdk', path.join(home, '.sdkman/candidates/java'), path.join(home, '.jdks')];
+    for (const root of roots) {
+        let entries = [];
+        try {
+            entries = fs.readdirSync(root);
+        } catch (error) {
+            continue;
+        }
+        for (const entry of entries) {
+            const javaHome = process.platform === 'darwin' ? path.join(root, entry, 'Contents', 'Home') : path.join(root, entry);
+            candidates.push(path.join(javaHome, 'bin', JAVA_BINARY));
+        }
+    }
+
+    // The same binary is often reachable through several symlinks
+    const seen = new Set();
+    const unique = [];
+    for (const candidate of candidates) {
+        let real;
+        try {
+            real = fs.realpathSync(candidate);
+            if (!fs.statSync(real).isFile()) continue;
+        } catch (error) {
+            continue;
+        }
+        if (seen.has(real)) continue;
+        seen.add(real);
+        unique.push(candidate);
+    }
+    return unique;
+}
+
+// Installed runtimes, cached for a few minutes since probing starts a JVM per candidate
+async function detectJavaRuntimes({ refresh = false, extraPaths = [] } = {}) {
+    const key = extraPaths.join(path.delimiter);
+    if (!refresh && detectionCache && detectionCache.key === key && Date.now() - detectionCache.at < DETECTION_TTL_MS) {
+        return detectionCache.runtimes;
+    }
+
+    const runtimes = [];
+    for (const candidate of findJavaCandidates(extraPaths)) {
+        runtimes.push(await probeJava(candidate));
+    }
+    detectionCache = { key, at: Date.now(), runtimes };
+    return runtimes;
+}
+
+// MemAvailable counts reclaimable cache, which os.freemem() does not
+function getAvailableMemory() {
+    try {
+        const meminfo = fs.readFileSync('/proc/meminfo', 'utf8');
+        const kb = meminfo.match(/^MemAvailable:\s+(\d+) kB/m)?.[1];
+        if (kb) return Number(kb) * 1024;
+    } catch (error) {
+        // Not Linux
+    }
+    return os.freemem();
+}
+
+// Which Java the server will run with, which flags, and whether that can work.
+// Errors block the start; warnings are shown but do not.
+class JavaPreflight {
+    constructor(server) {
+        this.server = server;
+        this.last = null;
+    }
+
+    get config() {
+        return { ...DEFAULT_JAVA_CONFIG, ...(this.server.config.java || {}) };
+    }
+
+    // The Java version the active jar asks for (version.json), or one derived from its Minecraft version
+    getRequirement() {
+        const jar = this.server.jars.catalogue[this.server.jarFile];
+        if (jar?.javaVersion) {
+            return { major: Number(jar.javaVersion), source: `${this.server.jarFile} (version.json)` };
+        }
+        const major = requiredJavaFor(jar?.minecraftVersion);
+        if (major) {
+            return { major, source: `Minecraft ${jar.minecraftVersion}` };
+        }
+        return { major: null, source: 'unknown - the jar does not say' };
+    }
+
+    async run({ refresh = false } = {}) {
+        const config = this.config;
+        const errors = [];
+        const warnings = [];
+
+        await this.server.jars.refresh();
+        const required = this.getRequirement();
+        const configuredPath = config.path ? path.resolve(this.server.serverPath, config.path) : null;
+        // java.path is set from the panel; never run anything that is not called java
+        const pathAllowed = !configuredPath || path.basename(configuredPath).toLowerCase() === JAVA_BINARY;
+        const runtimes = await detectJavaRuntimes({ refresh, extraPaths: configuredPath && pathAllowed ? [configuredPath] : [] });
+        const usable = runtimes.filter(runtime => !runtime.error);
+        const fits = runtime => !required.major || runtime.major >= required.major;
+
+        // A configured path is used as is; otherwise the first suitable runtime (JAVA_HOME, then PATH) wins
+        let selected = null;
+        if (!pathAllowed) {
+            errors.push(`java.path must point to a ${JAVA_BINARY} executable`);
+        } else if (configuredPath) {
+            selected = runtimes.find(runtime => runtime.path === configuredPath) || null;
+            if (!selected || selected.error) {
+                errors.push(`Configured Java ${config.path} cannot be run${selected?.error ? `: ${selected.error}` : ''}`);
+                selected = null;
+            } else if (!fits(selected)) {
+                errors.push(`Configured Java ${selected.version} is too old - ${required.source} needs Java ${required.major}+`);
+            }
+        } else if (usable.length === 0) {
+            errors.push('No Java runtime found - install Java (e.g. Eclipse Temurin) or set java.path');
+        } else {
+            selected = usable.find(fits) || null;
+            if (!selected) {
+                const newest = Math.max(...usable.map(runtime => runtime.major));
+                errors.push(`Java ${required.major}+ is required by ${required.source}, but the newest installed is Java ${newest}`);
+            } else if (selected !== usable[0]) {
+                warnings.push(`Using Java ${selected.major} at ${selected.path} - the first Java found (${usable[0].version}) is too old`);
+            }
+        }
+        if (!required.major) {
+            warnings.push('Could not tell which Java version the server jar needs');
+        }
+
+        const profile = JVM_PROFILES[config.profile] ? config.profile : 'default';
+        if (profile !== config.profile) {
+            warnings.push(`Unknown JVM profile "${config.profile}" - using the default flags`);
+        }
+        const javaMajor = selected?.major || required.major || 17;
+        if (JVM_PROFILES[profile].minJava && javaMajor < JVM_PROFILES[profile].minJava) {
+            errors.push(`The ${JVM_PROFILES[profile].label} profile needs Java ${JVM_PROFILES[profile].minJava}+`);
+        }
+
+        const memory = this.checkMemory(errors, warnings, selected);
+
+        let extraArgs = [];
+        try {
+            extraArgs = parseJvmArgs(config.extraArgs);
+        } catch (error) {
+            errors.push(`java.extraArgs: ${error.message}`);
+        }
+        if (extraArgs.some(arg => /^-Xm[sx]/i.test(arg))) {
+            warnings.push('java.extraArgs sets -Xms/-Xmx - use performance.minMemory/maxMemory instead');
+        }
+
+        const performance = this.server.config.performance;
+        const args = [
+            `-Xmx${performance.maxMemory}`,
+            `-Xms${performance.minMemory}`,
+            ...JVM_PROFILES[profile].flags(javaMajor, memory.maxMemoryMb),
+            ...extraArgs,
+            '-jar',
+            this.server.jarFile,
+            'nogui'
+        ];
+
+        this.last = {
+            ok: errors.length === 0,
+            checkedAt: new Date().toISOString(),
+            errors,
+            warnings,
+            required,
+            selected,
+            runtimes,
+            memory,
+            configuredPath: config.path,
+            profile,
+            extraArgs: config.extraArgs,
+            profiles: Object.entries(JVM_PROFILES).map(([name, entry]) => ({
+                name,
+                label: entry.label,
+                description: entry.description,
+                minJava: entry.minJava || null
+            })),
+            command: selected?.path || JAVA_BINARY,
+            args
+        };
+        return this.last;
+    }
+
+    checkMemory(errors, warnings, runtime) {
+        const performance = this.server.config.performance;
+        const maxMemoryMb = parseMemoryMb(performance.maxMemory);
+        const minMemoryMb = parseMemoryMb(performance.minMemory);
+        const totalMb = Math.round(os.totalmem() / 1024 / 1024);
+        const availableMb = Math.round(getAvailableMemory() / 1024 / 1024);
+
+        if (maxMemoryMb > totalMb) {
+            errors.push(`performance.maxMemory (${performance.maxMemory}) is more than this machine has (${totalMb} MB)`);
+        } else if (maxMemoryMb > totalMb * MEMORY_HEADROOM) {
+            warnings.push(`performance.maxMemory (${performance.maxMemory}) leaves little memory for the system (${totalMb} MB total)`);
+        } else if (maxMemoryMb > availableMb) {
+            warnings.push(`performance.maxMemory (${performance.maxMemory}) is more than is free right now (${availableMb} MB) - the system may swap`);
+        }
+        if (minMemoryMb > availableMb) {
+            warnings.push(`performance.minMemory (${performance.minMemory}) is more than is free right now (${availableMb} MB)`);
+        }
+        // A 32-bit JVM cannot address much more than 1.5 GB of heap
+        if (runtime && !runtime.is64Bit && maxMemoryMb > 1536) {
+            errors.push(`Java at ${runtime.path} is 32-bit and cannot use ${performance.maxMemory} of heap`);
+        }
+
+        return { maxMemoryMb, minMemoryMb, totalMb, availableMb };
+    }
+}
+
+module.exports = { JavaPreflight, JVM_PROFILES, DEFAULT_JAVA_CONFIG, parseJvmArgs, requiredJavaFor, detectJavaRuntimes };
@@ -0,0 +1,197 @@
+const { StringDecoder } = require('string_decoder');
+
+// Paper/log4j console lines come in two shapes:
+//   [12:34:56 INFO]: [Geyser-Spigot] Started Geyser on 0.0.0.0:19132
+//   [12:34:56] [Server thread/INFO]: Done (4.2s)! For help, type "help"
+const PAPER_LINE_PATTERN = /^\[(\d{2}:\d{2}:\d{2})\s+([A-Z]+)\]:\s?(.*)$/;
+const VANILLA_LINE_PATTERN = /^\[(\d{2}:\d{2}:\d{2})\]\s+\[([^\]]*)\/([A-Z]+)\]:\s?(.*)$/;
+// Plugin loggers prefix their name; names have no spaces, which keeps "[Not Secure] <Steve>" out
+const LOGGER_PATTERN = /^\[([^\]\s]+)\]\s?(.*)$/;
+const MAX_PARTIAL_LINE = 64 * 1024;
+
+const DEATH_VERBS = [
+    'was slain', 'was shot', 'was killed', 'was blown up', 'was burnt', 'was pricked', 'was squashed',
+    'was fireballed', 'was impaled', 'was stung', 'was poked', 'was squished', 'was frozen', 'was struck',
+    'was doomed', 'was pummeled', 'was skewered', 'was obliterated', 'was roasted', 'was knocked',
+    'drowned', 'died', 'fell', 'hit the ground', 'burned to death', 'suffocated', 'starved', 'froze to death',
+    'tried to swim in lava', 'walked into', 'went up in flames', 'went off with a bang', 'blew up',
+    'withered away', 'experienced kinetic energy', 'discovered the floor was lava', "didn't want to live",
+    'left the confines of this world'
+];
+
+// Java names are 1-16 word characters; Floodgate puts its prefix (default ".") before Bedrock names.
+// Anything else - "<Bob>" from a chat line, for one - is not a player.
+const PLAYER_NAME = '[^\\s\\w<>\\[\\]]{0,3}\\w{1,16}';
+
+// Built-in rules, tried in order against the message (after the logger prefix).
+// "fields" name the capture groups; "onlinePlayer" requires the player group to be
+// someone online, which keeps death messages from matching arbitrary text.
+// Chat comes first so a message like "<Bob> joined the game" is only ever chat.
+const DEFAULT_LOG_RULES = [
+    { event: 'ready', pattern: '^Done \\(([\\d.,]+)s\\)! For help, type "help"', fields: ['seconds'] },
+    { event: 'chat', pattern: '^(?:\\[Not Secure\\] )?<([^>]+)> (.*)$', fields: ['player', 'message'], vanillaOnly: true },
+    { event: 'player-uuid', pattern: `^UUID of player (${PLAYER_NAME}) is ([0-9a-fA-F-]{36})$`, fields: ['player', 'uuid'], vanillaOnly: true },
+    { event: 'join', pattern: `^(${PLAYER_NAME}) joined the game$`, fields: ['player'], vanillaOnly: true },
+    { event: 'leave', pattern: `^(${PLAYER_NAME}) left the game$`, fields: ['player'], vanillaOnly: true },
+    {
+        event: 'advancement',
+        pattern: `^(${PLAYER_NAME}) has (?:made the advancement|completed the challenge|reached the goal) \\[(.+)\\]$`,
+        fields: ['player', 'advancement'],
+        vanillaOnly: true
+    },
+    {
+        event: 'death',
+        pattern: `^(${PLAYER_NAME}) (?:${DEATH_VERBS.map(escapeRegex).join('|')})\\b.*$`,
+        fields: ['player'],
+        vanillaOnly: true,
+        onlinePlayer: true
+    },
+    { event: 'plugin-enabled', pattern: '^Enabling (\\S+) v(\\S+)', fields: ['plugin', 'version'] },
+    { event: 'plugin-load-failed', pattern: "^Could not load '(?:.*[\\\\/])?([^'\\\\/]+\\.jar)'", fields: ['file'], vanillaOnly: true },
+    { event: 'plugin-enable-failed', pattern: '^Error occurred while enabling (\\S+)', fields: ['plugin'], vanillaOnly: true }
+];
+
+// Player tracking, plugin status and readiness are built on these, so they cannot be switched off
+const REQUIRED_EVENTS = ['ready', 'player-uuid', 'join', 'leave', 'plugin-enabled', 'plugin-load-failed', 'plugin-enable-failed'];
+
+// Splits a stream of output chunks into complete lines. Buffers are decoded as UTF-8
+// across chunks, so a character split between two reads is not garbled; use one
+// splitter per stream.
+class LineSplitter {
+    constructor(onLine) {
+        this.onLine = onLine;
+        this.partial = '';
+        this.decoder = new StringDecoder('utf8');
+    }
+
+    push(chunk) {
+        const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+        const lines = (this.partial + text).split(/\r?\n/);
+        this.partial = lines.pop();
+
+        // A runaway line without a newline is passed on rather than buffered forever
+        if (this.partial.length > MAX_PARTIAL_LINE) {
+            lines.push(this.partial);
+            this.partial = '';
+        }
+        lines.forEach(line => this.emit(line));
+    }
+
+    // Pass on whatever is left once the stream ends
+    flush() {
+        const rest = this.partial + this.decoder.end();
+        this.partial = '';
+        this.emit(rest);
+    }
+
+    emit(line) {
+        // Strip ANSI colour sequences the console may add
+        const clean = line.replace(/\x1b\[[0-9;]*m/g, '').trimEnd();
+        if (clean.trim()) {
+            this.onLine(clean);
+        }
+    }
+}
+
+// Parses console lines into { time, level, thread, logger, message, continuation, event }.
+// Keeps the level of the last prefixed line, so use one parser per server process.
+class LogParser {
+    constructor({ rules = [], disabledEvents = [], onError = () => { } } = {}) {
+        this.rules = [];
+        this.lastLevel = null;
+
+        // Custom rules are tried before the built-in ones so they can override them
+        for (const rule of [...rules, ...DEFAULT_LOG_RULES]) {
+            if (disabledEvents.includes(rule?.event) && !REQUIRED_EVENTS.includes(rule.event)) continue;
+            try {
+                this.rules.push(compileRule(rule));
+            } catch (error) {
+                onError(`Ignoring log rule "${rule?.event}": ${error.message}`);
+            }
+        }
+    }
+
+    parseLine(line) {
+        const entry = {
+            raw: line,
+            time: null,
+            level: null,
+            thread: null,
+            logger: null,
+            message: line,
+            continuation: false,
+            event: null
+        };
+
+        const paper = line.match(PAPER_LINE_PATTERN);
+        const vanilla = !paper && line.match(VANILLA_LINE_PATTERN);
+        if (paper) {
+            [, entry.time, entry.level, entry.message] = paper;
+        } else if (vanilla) {
+            [, entry.time, entry.thread, entry.level, entry.message] = vanilla;
+        } else {
+            // Stack traces and multi-line messages continue the previous line
+            entry.level = this.lastLevel;
+            entry.continuation = true;
+            return entry;
+        }
+        this.lastLevel = entry.level;
+
+        const logger = entry.message.match(LOGGER_PATTERN);
+        if (logger) {
+            [, entry.logger, entry.message] = logger;
+        }
+        return entry;
+    }
+
+    // Parse a line and attach the first matching event; isOnline(name) backs "onlinePlayer" rules
+    parse(line, { isOnline = () => true } = {}) {
+        const entry = this.parseLine(line);
+        if (entry.continuation) {
+            return entry;
+        }
+
+        for (const rule of this.rules) {
+            // Chat, deaths and advancements come from the server itself, never from a plugin logger
+            if (rule.vanillaOnly && entry.logger) continue;
+            if (rule.level && rule.level !== entry.level) continue;
+
+            const match = entry.message.match(rule.regex);
+            if (!match) continue;
+
+            const event = { type: rule.event };
+            rule.fields.forEach((field, index) => {
+                event[field] = match[index + 1] ?? null;
+            });
+            if (rule.onlinePlayer && !isOnline(event.player)) continue;
+
+            entry.event = event;
+            break;
+        }
+        return entry;
+    }
+}
+
+function compileRule(rule) {
+    if (!rule || typeof rule.event !== 'string' || !/^[a-z][a-z0-9-]{0,31}$/.test(rule.event)) {
+        throw new Error('event must be a lowercase name like "my-event"');
+    }
+    if (typeof rule.pattern !== 'string') {
+        throw new Error('pattern must be a regular expression string');
+    }
+
+    return {
+        event: rule.event,
+        regex: new RegExp(rule.pattern),
+        fields: Array.isArray(rule.fields) ? rule.fields.map(String) : [],
+        level: rule.level || null,
+        vanillaOnly: !!rule.vanillaOnly,
+        onlinePlayer: !!rule.onlinePlayer
+    };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { LineSplitter, LogParser, DEFAULT_LOG_RULES, PLAYER_NAME };
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOG_CONFIG = {
+    directory: './data/logs',
+    maxFileSizeMB: 10,
+    retentionDays: 30
+};
+
+// 2026-10-19.jsonl, then 2026-10-19.1.jsonl, 2026-10-19.2.jsonl, ... once a file is full
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const CURSOR_PATTERN = /^(\d{4}-\d{2}-\d{2}(?:\.\d+)?\.jsonl):(\d+)$/;
+const MAX_SESSIONS = 500;
+const MAX_QUERY_LIMIT = 1000;
+
+// Append-only log files split by (UTC) day and size. Entries are JSON lines; an entry's
+// id ("<file>:<line>") doubles as the cursor for paging further back.
+class LogStore {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_LOG_CONFIG, ...config };
+        this.directory = this.config.directory;
+        this.sessionsPath = path.join(this.directory, 'sessions.json');
+        this.current = null;
+        this.activeSessions = new Map();
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.sessions = this.loadSessions();
+        this.closeInterruptedSessions();
+        this.prune();
+    }
+
+    get maxFileBytes() {
+        return Math.max(1, this.config.maxFileSizeMB) * 1024 * 1024;
+    }
+
+    loadSessions() {
+        try {
+            if (fs.existsSync(this.sessionsPath)) {
+                const sessions = JSON.parse(fs.readFileSync(this.sessionsPath, 'utf8'));
+                return Array.isArray(sessions) ? sessions : [];
+            }
+        } catch (error) {
+            console.error(`❌ Error loading log sessions: ${error.message}`);
+        }
+        return [];
+    }
+
+    saveSessions() {
+        try {
+            fs.writeFileSync(this.sessionsPath, JSON.stringify(this.sessions, null, 4));
+        } catch (error) {
+            console.error(`❌ Failed to save log sessions: ${error.message}`);
+        }
+    }
+
+    // Sessions still open in the file ended when the manager last went down;
+    // their last stored entry tells when
+    closeInterruptedSessions() {
+        const open = this.sessions.filter(session => !session.endedAt);
+        if (open.length === 0) return;
+
+        for (const session of open) {
+            let endedAt = session.startedAt;
+            this.scanBackwards({ fromDate: session.startedAt.slice(0, 10) }, (entry) => {
+                if (entry.session === session.id) {
+                    endedAt = entry.timestamp;
+                    return false;
+                }
+                return entry.timestamp >= session.startedAt;
+            });
+
+            session.endedAt = endedAt;
+            session.exitCode = null;
+            session.interrupted = true;
+        }
+        this.saveSessions();
+    }
+
+    // A session is one run of a server instance, from start to exit
+    startSession(instance) {
+        this.endSession(instance, { exitCode: null });
+
+        const startedAt = new Date();
+        const session = {
+            id: `${instance}-${startedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}`,
+            instance,
+            startedAt: startedAt.toISOString(),
+            endedAt: null,
+            exitCode: null
+        };
+
+        this.sessions.push(session);
+        if (this.sessions.length > MAX_SESSIONS) {
+            this.sessions = this.sessions.slice(-MAX_SESSIONS);
+        }
+        this.activeSessions.set(instance, session);
+        this.saveSessions();
+        return session.id;
+    }
+
+    endSession(instance, { exitCode = null } = {}) {
+        const session = this.activeSessions.get(instance);
+        if (!session) return;
+
+        session.endedAt = new Date().toISOString();
+        session.exitCode = exitCode;
+        this.activeSessions.delete(instance);
+        this.saveSessions();
+    }
+
+    getSession(id) {
+        return this.sessions.find(session => session.id === id) || null;
+    }
+
+    listSessions(instance = null) {
+        return this.sessions
+            .filter(session => !instance || session.instance === instance)
+            .slice()
+            .reverse();
+    }
+
+    // Write one entry and return its id; the file rolls over on a new day or when full
+    append(entry) {
+        const record = {
+            timestamp: entry.timestamp,
+            type: entry.type,
+            instance: entry.instance || null,
+            session: entry.instance ? this.activeSessions.get(entry.instance)?.id || null : null,
+            message: entry.message
+        };
+        const line = `${JSON.stringify(record)}\n`;
+
+        try {
+            const file = this.getWritableFile(record.timestamp.slice(0, 10), Buffer.byteLength(line));
+            fs.writeSync(file.fd, line);
+            file.size += Buffer.byteLength(line);
+            file.lines++;
+            return `${file.name}:${file.lines - 1}`;
+        } catch (error) {
+            console.error(`❌ Failed to write log file: ${error.message}`);
+            return null;
+        }
+    }
+
+    getWritableFile(date, bytes) {
+        const current = this.current;
+        if (current && current.date === date && current.size + bytes <= this.maxFileBytes) {
+            return current;
+        }
+
+        if (current) {
+            fs.closeSync(current.fd);
+            this.current = null;
+        }
+        if (!current || current.date !== date) {
+            this.prune();
+        }
+
+        // Continue the newest file of the day unless it is already full
+        const files = this.listFiles().filter(file => file.date === date);
+        let index = files.length ? files[files.length - 1].index : 0;
+        let name = fileName(date, index);
+        let size = fs.existsSync(path.join(this.directory, name)) ? fs.statSync(path.join(this.directory, name)).size : 0;
+        if (size > 0 && size + bytes > this.maxFileBytes) {
+            index++;
+            name = fileName(date, index);
+            size = 0;
+        }
+
+        const filePath = path.join(this.directory, name);
+        this.current = {
+            date,
+            name,
+            fd: fs.openSync(filePath, 'a'),
+            size,
+            lines: size > 0 ? countLines(filePath) : 0
+        };
+        return this.current;
+    }
+
+    // Log files oldest first
+    listFiles() {
+        return fs.readdirSync(this.directory)
+            .map(name => {
+                const match = name.match(FILE_PATTERN);
+                return match ? { name, date: match[1], index: Number(match[2] || 0) } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index);
+    }
+
+    prune() {
+        const cutoff = new Date(Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        for (const file of this.listFiles()) {
+            if (file.date < cutoff && file.name !== this.current?.name) {
+                fs.rmSync(path.join(this.directory, file.name), { force: true });
+            }
+        }
+
+        const before = this.sessions.length;
+        this.sessions = this.sessions.filter(session => !session.endedAt || session.endedAt.slice(0, 10) >= cutoff);
+        if (this.sessions.length !== before) this.saveSessions();
+    }
+
+    readFile(name) {
+        const filePath = path.join(this.directory, name);
+        if (!fs.existsSync(filePath)) return [];
+
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    }
+
+    // Walk entries newest first, calling visit(entry) until it returns false
+    scanBackwards({ before = null, fromDate = null, toDate = null }, visit) {
+        let cursor = null;
+        if (before) {
+            const match = String(before).match(CURSOR_PATTERN);
+            if (!match) throw new Error('Invalid cursor');
+            cursor = { name: match[1], line: Number(match[2]) };
+        }
+
+        const files = this.listFiles().reverse();
+        const startIndex = cursor ? files.findIndex(file => file.name === cursor.name) : 0;
+        if (startIndex === -1) return;
+
+        for (const file of files.slice(startIndex)) {
+            if (toDate && file.date > toDate) continue;
+            if (fromDate && file.date < fromDate) return;
+
+            const lines = this.readFile(file.name);
+            const last = cursor && file.name === cursor.name ? cursor.line - 1 : lines.length - 1;
+            for (let i = Math.min(last, lines.length - 1); i >= 0; i--) {
+                const entry = parseLine(lines[i], `${file.name}:${i}`);
+                if (entry && visit(entry) === false) return;
+            }
+        }
+    }
+
+    // Filtered, paged query. Entries come back oldest first; nextCursor pages further back.
+    query({ from, to, types, instance, includeManager = false, session, search, limit = 200, before } = {}) {
+        const fromTime = from ? Date.parse(from) : null;
+        const toTime = to ? Date.parse(to) : null;
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+            throw new Error('from and to must be ISO dates');
+        }
+
+        const max = Math.min(Math.max(parseInt(limit, 10) || 200, 1), MAX_QUERY_LIMIT);
+        const text = search ? String(search).toLowerCase() : null;
+        const typeSet = types && types.length ? new Set(types) : null;
+        const results = [];
+        let hasMore = false;
+
+        this.scanBackwards({
+            before,
+            fromDate: fromTime !== null ? new Date(fromTime).toISOString().slice(0, 10) : null,
+            toDate: toTime !== null ? new Date(toTime).toISOString().slice(0, 10) : null
+        }, (entry) => {
+            const time = Date.parse(entry.timestamp);
+            if (toTime !== null && time > toTime) return true;
+            if (fromTime !== null && time < fromTime) return false;
+            if (typeSet && !typeSet.has(entry.type)) return true;
+            if (instance && entry.instance !== instance && !(includeManager && entry.instance === null)) return true;
+            if (session && entry.session !== session) return true;
+            if (text && !entry.message.toLowerCase().includes(text)) return true;
+
+            if (results.length === max) {
+                hasMore = true;
+                return false;
+            }
+            results.push(entry);
+            return true;
+        });
+
+        results.reverse();
+        return {
+            entries: results,
+            hasMore,
+            nextCursor: hasMore ? results[0].id : null
+        };
+    }
+
+    // The most recent entries, oldest first (used to refill the in-memory buffer on startup)
+    tail(count) {
+        const entries = [];
+        if (count <= 0) return entries;
+
+        this.scanBackwards({}, (entry) => {
+            entries.push(entry);
+            return entries.length < count;
+        });
+        return entries.reverse();
+    }
+
+    // Plain-text log of one server session, in the style of Minecraft's latest.log
+    *readSession(id) {
+        const session = this.getSession(id);
+        if (!session) return;
+
+        const fromDate = session.startedAt.slice(0, 10);
+        const toDate = (session.endedAt || new Date().toISOString()).slice(0, 10);
+        for (const file of this.listFiles()) {
+            if (file.date < fromDate || file.date > toDate) continue;
+            for (const line of this.readFile(file.name)) {
+                const entry = parseLine(line);
+                if (entry && entry.session === id) {
+                    yield `[${entry.timestamp}] [${entry.type.toUpperCase()}] ${entry.message}\n`;
+                }
+            }
+        }
+    }
+
+    close() {
+        for (const instance of [...this.activeSessions.keys()]) {
+            this.endSession(instance);
+        }
+        if (this.current) {
+            fs.closeSync(this.current.fd);
+            this.current = null;
+        }
+    }
+}
+
+function fileName(date, index) {
+    return index ? `${date}.${index}.jsonl` : `${date}.jsonl`;
+}
+
+function countLines(filePath) {
+    const data = fs.readFileSync(filePath);
+    let lines = 0;
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] === 0x0a) lines++;
+    }
+    return lines;
+}
+
+// Stored lines become the same shape broadcastLog() sends to clients
+function parseLine(line, id = null) {
+    try {
+        const entry = JSON.parse(line);
+        return {
+            id,
+            timestamp: entry.timestamp,
+            message: entry.message,
+            type: entry.type,
+            time: new Date(entry.timestamp).toLocaleTimeString(),
+            instance: entry.instance,
+            session: entry.session
+        };
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { LogStore, DEFAULT_LOG_CONFIG };
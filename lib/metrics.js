@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const DEFAULT_METRICS_CONFIG = {
+    enabled: true,
+    intervalSeconds: 15,
+    historyMinutes: 1440,
+    persist: true
+};
+
+// Linux reports process CPU time in clock ticks, which are 100/s on every mainstream kernel
+const CLOCK_TICKS = 100;
+const SAVE_EVERY_SAMPLES = 20;
+const TPS_PATTERN = /TPS from last 1m, 5m, 15m:\s*\*?([\d.]+),\s*\*?([\d.]+),\s*\*?([\d.]+)/;
+const MSPT_PATTERN = /([\d.]+)\/([\d.]+)\/([\d.]+),\s*([\d.]+)\/([\d.]+)\/([\d.]+),\s*([\d.]+)\/([\d.]+)\/([\d.]+)/;
+
+// Samples the Java process (CPU, RSS) and Paper's tps/mspt into a rolling history
+class MetricsCollector {
+    constructor(server) {
+        this.server = server;
+        this.filePath = path.join(server.dataPath, 'metrics.json');
+        this.timer = null;
+        this.sampling = false;
+        this.lastCpu = null;
+        this.unsaved = 0;
+        this.latest = null;
+        this.history = this.load();
+    }
+
+    get config() {
+        return { ...DEFAULT_METRICS_CONFIG, ...(this.server.config.metrics || {}) };
+    }
+
+    log(message, type = 'info') {
+        this.server.broadcastLog(message, type);
+    }
+
+    load() {
+        try {
+            if (this.config.persist && fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                return this.trim(Array.isArray(data.samples) ? data.samples : []);
+            }
+        } catch (error) {
+            this.log(`❌ Error loading metrics history: ${error.message}`, 'error');
+        }
+        return [];
+    }
+
+    save() {
+        this.unsaved = 0;
+        if (!this.config.persist) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ samples: this.history }));
+        } catch (error) {
+            this.log(`❌ Failed to save metrics history: ${error.message}`, 'error');
+        }
+    }
+
+    trim(samples) {
+        const cutoff = Date.now() - this.config.historyMinutes * 60 * 1000;
+        const first = samples.findIndex(sample => sample.t >= cutoff);
+        return first === -1 ? [] : samples.slice(first);
+    }
+
+    // Called by the server whenever a process is spawned
+    onStart() {
+        this.lastCpu = null;
+        this.start();
+    }
+
+    onExit() {
+        this.stop();
+        this.latest = null;
+        this.save();
+    }
+
+    // (Re)start the sampling timer for the running process
+    start() {
+        this.stop();
+        if (!this.config.enabled || !this.server.minecraftProcess) return;
+
+        const interval = Math.max(5, this.config.intervalSeconds) * 1000;
+        this.timer = setInterval(() => this.collect(), interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async collect() {
+        const server = this.server;
+        if (this.sampling || !server.minecraftProcess) return;
+        this.sampling = true;
+
+        try {
+            const sample = {
+                t: Date.now(),
+                ...await this.sampleProcess(server.minecraftProcess.pid),
+                ...await this.sampleTicks(),
+                players: server.players.online.size
+            };
+
+            this.latest = sample;
+            this.history.push(sample);
+            this.history = this.trim(this.history);
+            server.emit('metrics-update', { sample });
+
+            if (++this.unsaved >= SAVE_EVERY_SAMPLES) {
+                this.save();
+            }
+        } catch (error) {
+            this.log(`⚠️ Metrics sample failed: ${error.message}`, 'warn');
+        } finally {
+            this.sampling = false;
+        }
+    }
+
+    // CPU (percent of one core, like top) and resident memory of the Java process
+    async sampleProcess(pid) {
+        if (!pid) return { cpu: null, rss: null };
+
+        const statPath = `/proc/${pid}/stat`;
+        if (fs.existsSync(statPath)) {
+            // Fields after the "(comm)" part; utime and stime are fields 14 and 15
+            const fields = fs.readFileSync(statPath, 'utf8').split(') ')[1].split(' ');
+            const cpuSeconds = (Number(fields[11]) + Number(fields[12])) / CLOCK_TICKS;
+            const rssMatch = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/VmRSS:\s+(\d+) kB/);
+
+            const now = Date.now();
+            const previous = this.lastCpu;
+            this.lastCpu = { at: now, seconds: cpuSeconds };
+
+            return {
+                cpu: previous ? round((cpuSeconds - previous.seconds) / ((now - previous.at) / 1000) * 100) : null,
+                rss: rssMatch ? Number(rssMatch[1]) * 1024 : null
+            };
+        }
+
+        if (process.platform === 'win32') {
+            return { cpu: null, rss: null };
+        }
+
+        // macOS and BSDs: ps reports a decaying CPU average, close enough for a chart
+        const output = await new Promise((resolve) => {
+            execFile('ps', ['-o', '%cpu=,rss=', '-p', String(pid)], { timeout: 5000 }, (error, stdout) => {
+                resolve(error ? '' : stdout);
+            });
+        });
+        const [cpu, rss] = output.trim().split(/\s+/).map(Number);
+        return {
+            cpu: Number.isFinite(cpu) ? cpu : null,
+            rss: Number.isFinite(rss) ? rss * 1024 : null
+        };
+    }
+
+    // Paper's tps and mspt commands, over RCON only so sampling stays out of the console
+    async sampleTicks() {
+        const rcon = this.server.rcon;
+        if (!this.server.serverReady || !rcon?.connected) {
+            return { tps1m: null, tps5m: null, tps15m: null, mspt: null, msptMax: null };
+        }
+
+        const query = async (command) => {
+            try {
+                return (await rcon.command(command)).replace(/§./g, '');
+            } catch {
+                return '';
+            }
+        };
+
+        const tps = (await query('tps')).match(TPS_PATTERN);
+        // avg/min/max for the last 5s, 10s and 1m; the 10s window is closest to the sample interval
+        const mspt = (await query('mspt')).match(MSPT_PATTERN);
+
+        return {
+            tps1m: tps ? Number(tps[1]) : null,
+            tps5m: tps ? Number(tps[2]) : null,
+            tps15m: tps ? Number(tps[3]) : null,
+            mspt: mspt ? Number(mspt[4]) : null,
+            msptMax: mspt ? Number(mspt[6]) : null
+        };
+    }
+
+    // Samples from the last `minutes`, averaged into at most `maxPoints` buckets
+    getHistory({ minutes = 60, maxPoints = 360 } = {}) {
+        const since = Date.now() - minutes * 60 * 1000;
+        const samples = this.history.filter(sample => sample.t >= since);
+        if (samples.length <= maxPoints) {
+            return samples;
+        }
+
+        const size = Math.ceil(samples.length / maxPoints);
+        const buckets = [];
+        for (let i = 0; i < samples.length; i += size) {
+            buckets.push(averageSamples(samples.slice(i, i + size)));
+        }
+        return buckets;
+    }
+
+    getStatus() {
+        const config = this.config;
+        return {
+            enabled: config.enabled,
+            intervalSeconds: config.intervalSeconds,
+            historyMinutes: config.historyMinutes,
+            samples: this.history.length,
+            maxMemoryBytes: memoryToBytes(this.server.config.performance?.maxMemory),
+            latest: this.latest
+        };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Average every numeric field; fields missing in all samples stay null
+function averageSamples(samples) {
+    const result = { t: samples[samples.length - 1].t };
+    const keys = new Set(samples.flatMap(sample => Object.keys(sample)));
+    for (const key of keys) {
+        if (key === 't') continue;
+        const values = samples.map(sample => sample[key]).filter(value => typeof value === 'number');
+        result[key] = values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    }
+    return result;
+}
+
+function memoryToBytes(value) {
+    const match = String(value || '').match(/^(\d+)([MG])$/i);
+    if (!match) return null;
+    return Number(match[1]) * 1024 * 1024 * (match[2].toUpperCase() === 'G' ? 1024 : 1);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Render every instance's latest sample in the Prometheus text format (or OpenMetrics,
+// which only differs in the trailing "# EOF" here). Series carry the instance id as
+// server="<id>": Prometheus sets "instance" to the scrape target itself and would rename ours.
+function formatPrometheus(instances, { openMetrics = false } = {}) {
+    const families = [
+        ['minecraft_server_up', 'gauge', 'Whether the Minecraft process of the server is running', i => (i.minecraftProcess ? 1 : 0)],
+        ['minecraft_server_ready', 'gauge', 'Whether the server finished starting and accepts players', i => (i.serverReady ? 1 : 0)],
+        ['minecraft_server_uptime_seconds', 'gauge', 'Seconds since the server process was started',
+            i => (i.startTime ? Math.floor((Date.now() - i.startTime) / 1000) : 0)],
+        ['minecraft_process_cpu_percent', 'gauge', 'CPU usage of the Java process in percent of one core', i => i.metrics.latest?.cpu],
+        ['minecraft_process_resident_memory_bytes', 'gauge', 'Resident memory of the Java process', i => i.metrics.latest?.rss],
+        ['minecraft_jvm_max_heap_bytes', 'gauge', 'Configured maximum heap (performance.maxMemory)',
+            i => memoryToBytes(i.config.performance?.maxMemory)],
+        ['minecraft_tps', 'gauge', 'Ticks per second averaged over the window', i => i.metrics.latest && [
+            [{ window: '1m' }, i.metrics.latest.tps1m],
+            [{ window: '5m' }, i.metrics.latest.tps5m],
+            [{ window: '15m' }, i.metrics.latest.tps15m]
+        ]],
+        ['minecraft_mspt', 'gauge', 'Milliseconds per tick over the last 10 seconds', i => i.metrics.latest && [
+            [{ stat: 'avg' }, i.metrics.latest.mspt],
+            [{ stat: 'max' }, i.metrics.latest.msptMax]
+        ]],
+        ['minecraft_players_online', 'gauge', 'Players currently online', i => i.players.online.size],
+        ['minecraft_players_max', 'gauge', 'Configured player limit', i => i.config.server.maxPlayers]
+    ];
+
+    const lines = [];
+    for (const [name, type, help, read] of families) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const instance of instances) {
+            const value = read(instance);
+            const series = Array.isArray(value) ? value : [[{}, value]];
+            for (const [labels, sample] of series) {
+                if (typeof sample !== 'number') continue;
+                const labelText = Object.entries({ server: instance.id, ...labels })
+                    .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+                    .join(',');
+                lines.push(`${name}{${labelText}} ${sample}`);
+            }
+        }
+    }
+
+    if (openMetrics) {
+        lines.push('# EOF');
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { MetricsCollector, DEFAULT_METRICS_CONFIG, formatPrometheus };
@@ -0,0 +1,80 @@
+const zlib = require('zlib');
+
+// Minimal reader for Minecraft's NBT format (level.dat and friends).
+// Compounds become plain objects, lists arrays and longs BigInts.
+class NbtReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    readTag(type) {
+        const buffer = this.buffer;
+        switch (type) {
+            case 1: return buffer.readInt8(this.advance(1));
+            case 2: return buffer.readInt16BE(this.advance(2));
+            case 3: return buffer.readInt32BE(this.advance(4));
+            case 4: return buffer.readBigInt64BE(this.advance(8));
+            case 5: return buffer.readFloatBE(this.advance(4));
+            case 6: return buffer.readDoubleBE(this.advance(8));
+            case 7: {
+                const length = this.readTag(3);
+                return buffer.subarray(this.advance(length), this.offset);
+            }
+            case 8: {
+                const length = buffer.readUInt16BE(this.advance(2));
+                return buffer.toString('utf8', this.advance(length), this.offset);
+            }
+            case 9: {
+                const itemType = this.readTag(1);
+                const length = this.readTag(3);
+                const items = [];
+                for (let i = 0; i < length; i++) items.push(this.readTag(itemType));
+                return items;
+            }
+            case 10: {
+                const compound = {};
+                for (;;) {
+                    const childType = this.readTag(1);
+                    if (childType === 0) return compound;
+                    const name = this.readTag(8);
+                    compound[name] = this.readTag(childType);
+                }
+            }
+            case 11:
+            case 12: {
+                const length = this.readTag(3);
+                const items = [];
+                for (let i = 0; i < length; i++) items.push(this.readTag(type === 11 ? 3 : 4));
+                return items;
+            }
+            default:
+                throw new Error(`Unknown NBT tag type ${type} at offset ${this.offset}`);
+        }
+    }
+
+    // Move past `bytes` and return where they started
+    advance(bytes) {
+        const start = this.offset;
+        if (start + bytes > this.buffer.length) {
+            throw new Error('Unexpected end of NBT data');
+        }
+        this.offset += bytes;
+        return start;
+    }
+}
+
+// Parse a (possibly gzip-compressed) NBT file into { name, value }
+function parseNbt(data) {
+    const buffer = data[0] === 0x1f && data[1] === 0x8b ? zlib.gunzipSync(data) : data;
+    const reader = new NbtReader(buffer);
+
+    const type = reader.readTag(1);
+    if (type !== 10) {
+        throw new Error('NBT root is not a compound');
+    }
+    const name = reader.readTag(8);
+    return { name, value: reader.readTag(10) };
+}
+
+module.exports = { parseNbt };
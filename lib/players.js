@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAX_SESSIONS = 5000;
+const BEDROCK_UUID_PREFIX = '00000000-0000-0000-';
+
+// Tracks who is online from the server log and keeps a persisted session history
+class PlayerRegistry {
+    constructor(server) {
+        this.server = server;
+        this.filePath = path.join(server.dataPath, 'players.json');
+        this.online = new Map();
+        this.pendingUuids = new Map();
+        this.floodgatePrefix = this.loadFloodgatePrefix();
+
+        const data = this.load();
+        this.players = data.players;
+        this.sessions = data.sessions;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                // A Map, not an object: "__proto__" and "constructor" are valid player names
+                return {
+                    players: new Map(Object.entries(data.players || {})),
+                    sessions: Array.isArray(data.sessions) ? data.sessions : []
+                };
+            }
+        } catch (error) {
+            this.server.broadcastLog(`❌ Error loading player history: ${error.message}`, 'error');
+        }
+        return { players: new Map(), sessions: [] };
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({
+                players: Object.fromEntries(this.players),
+                sessions: this.sessions
+            }, null, 4));
+        } catch (error) {
+            this.server.broadcastLog(`❌ Failed to save player history: ${error.message}`, 'error');
+        }
+    }
+
+    // Bedrock players joining through Floodgate get this prefix on their name
+    loadFloodgatePrefix() {
+        const configPath = path.join(this.server.serverPath, 'plugins', 'floodgate', 'config.yml');
+        try {
+            const content = fs.readFileSync(configPath, 'utf8');
+            const match = content.match(/^username-prefix:\s*["']?([^"'\n]*)["']?\s*$/m);
+            if (match) return match[1];
+        } catch (error) {
+            // Floodgate not configured yet - fall back to its default prefix
+        }
+        return '.';
+    }
+
+    getPlatform(name, uuid) {
+        if (uuid && uuid.startsWith(BEDROCK_UUID_PREFIX)) return 'bedrock';
+        if (this.floodgatePrefix && name.startsWith(this.floodgatePrefix)) return 'bedrock';
+        return 'java';
+    }
+
+    // Feed typed events from the console parser (lib/logparser.js), which only reports
+    // joins and leaves for real server lines - never for chat or plugin output
+    handleEvent(event) {
+        switch (event?.type) {
+            case 'player-uuid':
+                this.pendingUuids.set(event.player, event.uuid);
+                break;
+            case 'join':
+                this.playerJoined(event.player);
+                break;
+            case 'leave':
+                this.playerLeft(event.player);
+                break;
+        }
+    }
+
+    playerJoined(name) {
+        if (this.online.has(name)) return;
+
+        const uuid = this.pendingUuids.get(name) || this.players.get(name)?.uuid || null;
+        this.pendingUuids.delete(name);
+
+        const now = new Date().toISOString();
+        const platform = this.getPlatform(name, uuid);
+        this.online.set(name, { name, platform, uuid, joinedAt: now });
+
+        const player = this.players.get(name) || {
+            name,
+            platform,
+            uuid,
+            firstSeen: now,
+            sessions: 0,
+            totalPlaytime: 0
+        };
+        player.platform = platform;
+        player.uuid = uuid || player.uuid;
+        player.lastSeen = now;
+        player.sessions++;
+        this.players.set(name, player);
+
+        this.save();
+        this.emitUpdate();
+    }
+
+    playerLeft(name, reason = 'left') {
+        const current = this.online.get(name);
+        if (!current) return;
+
+        this.online.delete(name);
+        this.recordSession(current, reason);
+        this.save();
+        this.emitUpdate();
+    }
+
+    recordSession(current, reason) {
+        const leftAt = new Date();
+        const duration = Math.round((leftAt - new Date(current.joinedAt)) / 1000);
+
+        this.sessions.push({
+            name: current.name,
+            platform: current.platform,
+            joinedAt: current.joinedAt,
+            leftAt: leftAt.toISOString(),
+            duration,
+            reason
+        });
+        if (this.sessions.length > MAX_SESSIONS) {
+            this.sessions = this.sessions.slice(-MAX_SESSIONS);
+        }
+
+        const player = this.players.get(current.name);
+        if (player) {
+            player.lastSeen = leftAt.toISOString();
+            player.totalPlaytime += duration;
+        }
+    }
+
+    // Close every open session, e.g. when the server process exits
+    reset(reason = 'server-stopped') {
+        this.pendingUuids.clear();
+        if (this.online.size === 0) return;
+
+        for (const current of this.online.values()) {
+            this.recordSession(current, reason);
+        }
+        this.online.clear();
+        this.save();
+        this.emitUpdate();
+    }
+
+    getOnline() {
+        const now = Date.now();
+        return [...this.online.values()].map(player => ({
+            ...player,
+            sessionSeconds: Math.round((now - new Date(player.joinedAt)) / 1000)
+        }));
+    }
+
+    getPlayer(name, limit = 50) {
+        const player = this.players.get(name);
+        if (!player) return null;
+
+        return {
+            ...player,
+            online: this.online.has(name),
+            currentSession: this.online.get(name) || null,
+            sessions: this.sessions.filter(session => session.name === name).slice(-limit).reverse(),
+            sessionCount: player.sessions
+        };
+    }
+
+    getSummary() {
+        const online = this.getOnline();
+        return {
+            online,
+            count: online.length,
+            java: online.filter(player => player.platform === 'java').length,
+            bedrock: online.filter(player => player.platform === 'bedrock').length,
+            max: this.server.config.server.maxPlayers
+        };
+    }
+
+    emitUpdate() {
+        this.server.emit('players-update', this.getSummary());
+    }
+}
+
+module.exports = { PlayerRegistry };
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const YAML = require('yaml');
+
+const JAR_NAME_PATTERN = /^[\w.+\- ]{1,128}\.jar$/i;
+const DISABLED_DIR = '.disabled';
+const MAX_FAILURES = 20;
+
+const MISSING_DEPENDENCY_PATTERN = /Unknown\/missing dependency plugins: \[([^\]]*)\]/;
+
+// Installed plugin jars, their plugin.yml metadata and what enabled at the last startup
+class PluginManager {
+    constructor(server) {
+        this.server = server;
+        this.statusPath = path.join(server.dataPath, 'plugin-status.json');
+        this.lastStartup = this.loadStatus();
+        this.pendingFile = null;
+    }
+
+    get directory() {
+        return path.join(this.server.serverPath, 'plugins');
+    }
+
+    get disabledDirectory() {
+        return path.join(this.directory, DISABLED_DIR);
+    }
+
+    log(message, type = 'info') {
+        this.server.broadcastLog(message, type);
+    }
+
+    loadStatus() {
+        try {
+            if (fs.existsSync(this.statusPath)) {
+                return JSON.parse(fs.readFileSync(this.statusPath, 'utf8'));
+            }
+        } catch (error) {
+            this.log(`❌ Error loading plugin status: ${error.message}`, 'error');
+        }
+        return null;
+    }
+
+    saveStatus() {
+        try {
+            fs.mkdirSync(path.dirname(this.statusPath), { recursive: true });
+            fs.writeFileSync(this.statusPath, JSON.stringify(this.lastStartup, null, 4));
+        } catch (error) {
+            this.log(`❌ Failed to save plugin status: ${error.message}`, 'error');
+        }
+    }
+
+    // Read plugin.yml (Bukkit) or paper-plugin.yml (Paper) from a jar
+    readMetadata(jarPath) {
+        const zip = new AdmZip(jarPath);
+        const paperEntry = zip.getEntry('paper-plugin.yml');
+        const entry = paperEntry || zip.getEntry('plugin.yml');
+        if (!entry) {
+            throw new Error('No plugin.yml or paper-plugin.yml in jar');
+        }
+
+        // Failsafe schema keeps every scalar as text, so "version: 1.10" is not read as 1.1
+        const descriptor = YAML.parse(entry.getData().toString('utf8'), { schema: 'failsafe' }) || {};
+        if (!descriptor.name) {
+            throw new Error(`${entry.entryName} has no plugin name`);
+        }
+
+        const { depend, softDepend } = paperEntry
+            ? readPaperDependencies(descriptor.dependencies)
+            : { depend: toList(descriptor.depend), softDepend: toList(descriptor.softdepend) };
+
+        return {
+            name: String(descriptor.name),
+            version: descriptor.version !== undefined ? String(descriptor.version) : null,
+            apiVersion: descriptor['api-version'] !== undefined ? String(descriptor['api-version']) : null,
+            main: descriptor.main || null,
+            description: descriptor.description || null,
+            authors: [...toList(descriptor.author), ...toList(descriptor.authors)],
+            website: descriptor.website || null,
+            depend,
+            softDepend,
+            loadBefore: toList(descriptor.loadbefore),
+            descriptor: paperEntry ? 'paper-plugin.yml' : 'plugin.yml'
+        };
+    }
+
+    listJars(directory) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+        return fs.readdirSync(directory)
+            .filter(name => name.toLowerCase().endsWith('.jar'))
+            .filter(name => fs.statSync(path.join(directory, name)).isFile());
+    }
+
+    listPlugins() {
+        const jars = [
+            ...this.listJars(this.directory).map(file => ({ file, enabled: true })),
+            ...this.listJars(this.disabledDirectory).map(file => ({ file, enabled: false }))
+        ];
+        const loaded = this.lastStartup?.enabled || {};
+        const failures = this.lastStartup?.failed || [];
+
+        return jars.map(({ file, enabled }) => {
+            const jarPath = path.join(enabled ? this.directory : this.disabledDirectory, file);
+            const stats = fs.statSync(jarPath);
+            const plugin = {
+                file,
+                enabled,
+                size: stats.size,
+                modifiedAt: stats.mtime.toISOString(),
+                error: null
+            };
+
+            try {
+                Object.assign(plugin, this.readMetadata(jarPath));
+            } catch (error) {
+                plugin.name = null;
+                plugin.error = error.message;
+            }
+
+            plugin.loadedAtLastStartup = !!plugin.name && plugin.name in loaded;
+            plugin.loadedVersion = plugin.name ? loaded[plugin.name] || null : null;
+            plugin.startupErrors = failures
+                .filter(failure => failure.file === file || (plugin.name && failure.plugin === plugin.name))
+                .map(failure => failure.reason);
+            return plugin;
+        }).sort((a, b) => (a.name || a.file).localeCompare(b.name || b.file));
+    }
+
+    // Hard dependencies (depend / required) that no enabled plugin provides
+    findMissingDependencies(plugins = this.listPlugins()) {
+        const enabled = plugins.filter(plugin => plugin.enabled && plugin.name);
+        const available = new Set(enabled.map(plugin => plugin.name.toLowerCase()));
+
+        return enabled
+            .map(plugin => ({
+                plugin: plugin.name,
+                file: plugin.file,
+                missing: plugin.depend.filter(name => !available.has(name.toLowerCase()))
+            }))
+            .filter(entry => entry.missing.length > 0);
+    }
+
+    // Called before the server starts so broken setups are visible up front
+    checkBeforeStart() {
+        const missing = this.findMissingDependencies();
+        for (const entry of missing) {
+            this.log(`⚠️ Plugin ${entry.plugin} is missing required dependencies: ${entry.missing.join(', ')}`, 'warn');
+        }
+        return missing;
+    }
+
+    onStart() {
+        this.lastStartup = { startedAt: new Date().toISOString(), completed: false, enabled: {}, failed: [] };
+        this.pendingFile = null;
+    }
+
+    onReady() {
+        if (!this.lastStartup) return;
+        this.lastStartup.completed = true;
+        this.saveStatus();
+    }
+
+    // Feed parsed console entries (lib/logparser.js) while the server starts up
+    handleLogEntry(entry) {
+        if (!this.lastStartup || this.lastStartup.completed) return;
+
+        // The reason a plugin failed to load follows in its stack trace
+        if (entry.continuation) {
+            const missingDependency = entry.message.match(MISSING_DEPENDENCY_PATTERN);
+            if (missingDependency && this.pendingFile) {
+                const failure = this.lastStartup.failed.find(item => item.file === this.pendingFile);
+                if (failure) failure.reason = `Missing dependencies: ${missingDependency[1]}`;
+                this.pendingFile = null;
+            }
+            return;
+        }
+
+        const { event } = entry;
+        switch (event?.type) {
+            case 'plugin-enabled':
+                this.lastStartup.enabled[event.plugin] = event.version;
+                break;
+            case 'plugin-load-failed':
+                this.pendingFile = event.file;
+                this.recordFailure({ file: event.file, reason: 'Could not load plugin' });
+                break;
+            case 'plugin-enable-failed':
+                delete this.lastStartup.enabled[event.plugin];
+                this.recordFailure({ plugin: event.plugin, reason: 'Error occurred while enabling' });
+                break;
+        }
+    }
+
+    recordFailure(failure) {
+        if (this.lastStartup.failed.length < MAX_FAILURES) {
+            this.lastStartup.failed.push(failure);
+        }
+    }
+
+    // Resolve a jar name in the enabled or disabled folder (null if absent or invalid)
+    findJar(file) {
+        if (!JAR_NAME_PATTERN.test(file || '')) {
+            return null;
+        }
+        for (const [directory, enabled] of [[this.directory, true], [this.disabledDirectory, false]]) {
+            const jarPath = path.join(directory, file);
+            if (fs.existsSync(jarPath)) {
+                return { jarPath, enabled };
+            }
+        }
+        return null;
+    }
+
+    async uploadPlugin(file, data, { replace = false } = {}) {
+        if (!JAR_NAME_PATTERN.test(file || '')) {
+            throw new Error('File name must end in .jar and contain only letters, digits, spaces, ".", "_", "+" or "-"');
+        }
+        if (!Buffer.isBuffer(data) || data.length === 0) {
+            throw new Error('No plugin file received');
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        const tempPath = path.join(this.directory, `.${file}.upload`);
+        fs.writeFileSync(tempPath, data);
+
+        try {
+            const metadata = this.readMetadata(tempPath);
+
+            const existing = this.findJar(file);
+            const sameName = this.listPlugins().find(plugin => plugin.name === metadata.name && plugin.file !== file);
+            if ((existing || sameName) && !replace) {
+                throw new Error(`${metadata.name} is already installed as ${(sameName || { file }).file} - upload with replace=true to update it`);
+            }
+
+            // Swap the new jar in; an older copy of the same plugin would load twice
+            if (sameName) {
+                fs.rmSync(path.join(sameName.enabled ? this.directory : this.disabledDirectory, sameName.file), { force: true });
+            }
+            if (existing && !existing.enabled) {
+                fs.rmSync(existing.jarPath, { force: true });
+            }
+            fs.renameSync(tempPath, path.join(this.directory, file));
+
+            this.log(`🔌 Plugin uploaded: ${metadata.name} ${metadata.version || ''} (${file})`, 'success');
+            return { file, ...metadata };
+        } finally {
+            fs.rmSync(tempPath, { force: true });
+        }
+    }
+
+    // Paper only loads jars from the top level of plugins/, so moving one aside disables it
+    setEnabled(file, enabled) {
+        const jar = this.findJar(file);
+        if (!jar) {
+            throw new Error(`Plugin not found: ${file}`);
+        }
+        if (jar.enabled === enabled) {
+            return false;
+        }
+
+        const targetDirectory = enabled ? this.directory : this.disabledDirectory;
+        fs.mkdirSync(targetDirectory, { recursive: true });
+        fs.renameSync(jar.jarPath, path.join(targetDirectory, file));
+        this.log(`🔌 Plugin ${enabled ? 'enabled' : 'disabled'}: ${file}`, 'info');
+        return true;
+    }
+
+    deletePlugin(file) {
+        const jar = this.findJar(file);
+        if (!jar) {
+            return false;
+        }
+
+        fs.rmSync(jar.jarPath, { force: true });
+        this.log(`🗑️ Plugin deleted: ${file}`, 'info');
+        return true;
+    }
+
+    getStatus() {
+        const plugins = this.listPlugins();
+        return {
+            plugins,
+            missingDependencies: this.findMissingDependencies(plugins),
+            lastStartup: this.lastStartup
+        };
+    }
+}
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+// paper-plugin.yml lists dependencies either as a list or grouped under "server"/"bootstrap"
+function readPaperDependencies(dependencies) {
+    const depend = [];
+    const softDepend = [];
+    if (!dependencies) {
+        return { depend, softDepend };
+    }
+
+    const add = (name, options = {}) => {
+        (String(options.required) === 'false' ? softDepend : depend).push(String(name));
+    };
+
+    if (Array.isArray(dependencies)) {
+        dependencies.forEach(entry => entry?.name && add(entry.name, entry));
+    } else {
+        for (const group of ['server', 'bootstrap']) {
+            for (const [name, options] of Object.entries(dependencies[group] || {})) {
+                add(name, options || {});
+            }
+        }
+    }
+
+    return { depend: [...new Set(depend)], softDepend: [...new Set(softDepend)] };
+}
+
+module.exports = { PluginManager };
@@ -0,0 +1,186 @@
+const fs = require('fs');
+
+// Java .properties reader/writer that keeps comments, blank lines, key order and
+// the original text of every line it did not change.
+class PropertiesFile {
+    constructor(entries = []) {
+        // { type: 'comment' | 'blank', raw } or { type: 'property', key, value, raw }
+        this.entries = entries;
+    }
+
+    static parse(text) {
+        const entries = [];
+        const lines = text.split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            let raw = lines[i];
+            const trimmed = raw.trimStart();
+
+            if (trimmed === '') {
+                // A trailing newline is not a blank line of its own
+                if (i < lines.length - 1) entries.push({ type: 'blank', raw });
+                continue;
+            }
+            if (trimmed.startsWith('#') || trimmed.startsWith('!')) {
+                entries.push({ type: 'comment', raw });
+                continue;
+            }
+
+            // A line ending in an odd number of backslashes continues on the next line
+            let logical = trimmed;
+            while (endsWithContinuation(logical) && i < lines.length - 1) {
+                i++;
+                raw += `\n${lines[i]}`;
+                logical = logical.slice(0, -1) + lines[i].trimStart();
+            }
+
+            const { key, value } = parseLogicalLine(logical);
+            entries.push({ type: 'property', key, value, raw });
+        }
+
+        return new PropertiesFile(entries);
+    }
+
+    has(key) {
+        return this.entries.some(entry => entry.type === 'property' && entry.key === key);
+    }
+
+    get(key) {
+        const entry = this.findLast(key);
+        return entry ? entry.value : undefined;
+    }
+
+    // Update a key in place (keeping its position) or append it at the end
+    set(key, value) {
+        const text = String(value);
+        const entry = this.findLast(key);
+
+        if (!entry) {
+            this.entries.push({ type: 'property', key, value: text, raw: serializeProperty(key, text) });
+        } else if (entry.value !== text) {
+            entry.value = text;
+            entry.raw = serializeProperty(key, text);
+        }
+    }
+
+    delete(key) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => !(entry.type === 'property' && entry.key === key));
+        return this.entries.length !== before;
+    }
+
+    keys() {
+        return [...new Set(this.entries.filter(entry => entry.type === 'property').map(entry => entry.key))];
+    }
+
+    toObject() {
+        const result = {};
+        for (const entry of this.entries) {
+            if (entry.type === 'property') result[entry.key] = entry.value;
+        }
+        return result;
+    }
+
+    toString() {
+        return this.entries.map(entry => entry.raw).join('\n') + '\n';
+    }
+
+    // Later duplicates win when Java loads the file, so edit the last one
+    findLast(key) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.type === 'property' && entry.key === key) return entry;
+        }
+        return null;
+    }
+}
+
+function endsWithContinuation(line) {
+    const match = line.match(/\\+$/);
+    return !!match && match[0].length % 2 === 1;
+}
+
+// Split "key = value", "key: value" or "key value", honouring escaped separators
+function parseLogicalLine(line) {
+    let i = 0;
+    let key = '';
+
+    while (i < line.length) {
+        const char = line[i];
+        if (char === '\\' && i + 1 < line.length) {
+            key += line.slice(i, i + 2);
+            i += 2;
+            continue;
+        }
+        if (char === '=' || char === ':' || /\s/.test(char)) break;
+        key += char;
+        i++;
+    }
+
+    // Skip whitespace, at most one '=' or ':', then whitespace again
+    while (i < line.length && /\s/.test(line[i])) i++;
+    if (line[i] === '=' || line[i] === ':') i++;
+    while (i < line.length && /\s/.test(line[i])) i++;
+
+    return { key: unescape(key), value: unescape(line.slice(i)) };
+}
+
+function unescape(text) {
+    return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escaped) => {
+        if (escaped.length === 5) return String.fromCharCode(parseInt(escaped.slice(1), 16));
+        switch (escaped) {
+            case 't': return '\t';
+            case 'n': return '\n';
+            case 'r': return '\r';
+            case 'f': return '\f';
+            default: return escaped;
+        }
+    });
+}
+
+function escape(text, isKey) {
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        switch (char) {
+            case '\\': result += '\\\\'; break;
+            case '\t': result += '\\t'; break;
+            case '\n': result += '\\n'; break;
+            case '\r': result += '\\r'; break;
+            case '\f': result += '\\f'; break;
+            case '=':
+            case ':':
+            case '#':
+            case '!':
+                result += `\\${char}`;
+                break;
+            case ' ':
+                // Spaces only need escaping in keys and at the start of a value
+                result += isKey || i === 0 ? '\\ ' : ' ';
+                break;
+            default:
+                result += char;
+        }
+    }
+    return result;
+}
+
+function serializeProperty(key, value) {
+    return `${escape(key, true)}=${escape(value, false)}`;
+}
+
+function readProperties(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return new PropertiesFile();
+    }
+    return PropertiesFile.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write through a temporary file so the server never reads a half-written file
+function writeProperties(filePath, properties) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, properties.toString());
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { PropertiesFile, readProperties, writeProperties };
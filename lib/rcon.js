@@ -0,0 +1,218 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const PACKET_AUTH = 3;
+const PACKET_COMMAND = 2;
+// Minecraft answers unknown packet types with "Unknown request", which we use
+// to mark the end of a (possibly multi-packet) command response
+const PACKET_TERMINATOR = 100;
+
+// Minimal Source RCON client as implemented by the Minecraft server
+class RconClient extends EventEmitter {
+    constructor({ host = '127.0.0.1', port = 25575, password = '', timeout = 10000 } = {}) {
+        super();
+        this.host = host;
+        this.port = port;
+        this.password = password;
+        this.timeout = timeout;
+        this.socket = null;
+        this.authenticated = false;
+        this.nextId = 1;
+        this.buffer = Buffer.alloc(0);
+        this.pending = new Map();
+        // Minecraft handles one RCON request at a time, so commands are queued
+        this.queue = Promise.resolve();
+    }
+
+    get connected() {
+        return !!this.socket && this.authenticated;
+    }
+
+    connect() {
+        if (this.socket) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy(new Error('RCON connection timed out'));
+            }, this.timeout);
+
+            socket.once('connect', async () => {
+                clearTimeout(timer);
+                try {
+                    await this.authenticate();
+                    resolve();
+                } catch (error) {
+                    this.close();
+                    reject(error);
+                }
+            });
+
+            socket.on('data', (data) => this.handleData(data));
+
+            socket.on('error', (error) => {
+                clearTimeout(timer);
+                this.handleClose(error);
+                reject(error);
+            });
+
+            socket.once('close', () => this.handleClose(new Error('RCON connection closed')));
+
+            this.socket = socket;
+        });
+    }
+
+    async authenticate() {
+        const id = this.allocateId();
+        const response = this.waitForPacket(id, true);
+        this.send(id, PACKET_AUTH, this.password);
+
+        const packet = await response;
+        if (packet.id === -1) {
+            throw new Error('RCON authentication failed (wrong password)');
+        }
+        this.authenticated = true;
+    }
+
+    command(command) {
+        const run = () => this.sendCommand(command);
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => { });
+        return result;
+    }
+
+    async sendCommand(command) {
+        if (!this.connected) {
+            throw new Error('RCON is not connected');
+        }
+
+        const id = this.allocateId();
+        const terminatorId = this.allocateId();
+        const chunks = [];
+
+        const done = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                this.pending.delete(terminatorId);
+                reject(new Error(`RCON command timed out: ${command}`));
+            }, this.timeout);
+
+            this.pending.set(id, { collect: (packet) => chunks.push(packet.body) });
+            this.pending.set(terminatorId, {
+                resolve: () => {
+                    clearTimeout(timer);
+                    this.pending.delete(id);
+                    this.pending.delete(terminatorId);
+                    resolve(chunks.join(''));
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    this.pending.delete(id);
+                    reject(error);
+                }
+            });
+        });
+
+        this.send(id, PACKET_COMMAND, command);
+        this.send(terminatorId, PACKET_TERMINATOR, '');
+        return done;
+    }
+
+    waitForPacket(id, acceptAuthFailure = false) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error('RCON request timed out'));
+            }, this.timeout);
+
+            const entry = {
+                resolve: (packet) => {
+                    clearTimeout(timer);
+                    this.pending.delete(id);
+                    resolve(packet);
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+
+            this.pending.set(id, entry);
+            if (acceptAuthFailure) {
+                this.pending.set(-1, entry);
+            }
+        });
+    }
+
+    allocateId() {
+        const id = this.nextId;
+        this.nextId = this.nextId >= 0x7fffffff ? 1 : this.nextId + 1;
+        return id;
+    }
+
+    send(id, type, body) {
+        const payload = Buffer.from(body, 'utf8');
+        const packet = Buffer.alloc(14 + payload.length);
+        packet.writeInt32LE(10 + payload.length, 0);
+        packet.writeInt32LE(id, 4);
+        packet.writeInt32LE(type, 8);
+        payload.copy(packet, 12);
+        // Body and packet are both null terminated (already zeroed by alloc)
+        this.socket.write(packet);
+    }
+
+    handleData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 4) {
+            const length = this.buffer.readInt32LE(0);
+            if (this.buffer.length < length + 4) break;
+
+            const packet = {
+                id: this.buffer.readInt32LE(4),
+                type: this.buffer.readInt32LE(8),
+                body: this.buffer.toString('utf8', 12, length + 2)
+            };
+            this.buffer = this.buffer.subarray(length + 4);
+            this.dispatch(packet);
+        }
+    }
+
+    dispatch(packet) {
+        const entry = this.pending.get(packet.id);
+        if (!entry) return;
+
+        if (entry.collect) {
+            entry.collect(packet);
+        } else {
+            this.pending.delete(-1);
+            entry.resolve(packet);
+        }
+    }
+
+    handleClose(error) {
+        if (!this.socket) return;
+
+        this.socket = null;
+        this.authenticated = false;
+        this.buffer = Buffer.alloc(0);
+
+        for (const entry of this.pending.values()) {
+            if (entry.reject) entry.reject(error);
+        }
+        this.pending.clear();
+        this.emit('close', error);
+    }
+
+    close() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.handleClose(new Error('RCON connection closed'));
+            socket.destroy();
+        }
+    }
+}
+
+module.exports = { RconClient };
@@ -0,0 +1,414 @@
+const net = require('net');
+const dgram = require('dgram');
+const dns = require('dns').promises;
+const crypto = require('crypto');
+
+const DEFAULT_REACHABILITY_CONFIG = {
+    enabled: true,
+    intervalSeconds: 60,
+    timeoutSeconds: 5
+};
+
+const DEFAULT_JAVA_PORT = 25565;
+const DEFAULT_BEDROCK_PORT = 19132;
+// -1 asks for the status without claiming a protocol version
+const STATUS_PROTOCOL_VERSION = -1;
+const MAX_STATUS_LENGTH = 256 * 1024;
+// RakNet's "offline message" marker
+const RAKNET_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+// Legacy § formatting codes in MOTDs and version names
+function stripFormatting(text) {
+    return String(text ?? '').replace(/§./g, '');
+}
+
+// A status description is plain text or a chat component with nested "extra" parts
+function flattenChat(component) {
+    if (typeof component === 'string') return component;
+    if (Array.isArray(component)) return component.map(flattenChat).join('');
+    if (!component || typeof component !== 'object') return '';
+    return (component.text || '') + (component.extra || []).map(flattenChat).join('');
+}
+
+function writeVarInt(value) {
+    const bytes = [];
+    let remaining = value >>> 0;
+    do {
+        let byte = remaining & 0x7f;
+        remaining >>>= 7;
+        if (remaining !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (remaining !== 0);
+    return Buffer.from(bytes);
+}
+
+// { value, size } or null when the buffer ends mid-number
+function readVarInt(buffer, offset = 0) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+        if (offset + i >= buffer.length) return null;
+        const byte = buffer[offset + i];
+        value |= (byte & 0x7f) << (7 * i);
+        if ((byte & 0x80) === 0) return { value, size: i + 1 };
+    }
+    throw new Error('Malformed VarInt');
+}
+
+function packet(id, ...fields) {
+    const body = Buffer.concat([writeVarInt(id), ...fields]);
+    return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+function mcString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    return Buffer.concat([writeVarInt(bytes.length), bytes]);
+}
+
+// Java Edition Server List Ping: handshake, status request, then a ping for the latency.
+// Resolves { motd, version, protocol, players: { online, max, sample }, latencyMs }.
+function pingJava(host, port, { timeout = 5000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        let buffer = Buffer.alloc(0);
+        let status = null;
+        let pingSentAt = 0;
+        const startedAt = Date.now();
+        let done = false;
+
+        const finish = (error, result) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            socket.destroy();
+            if (error) reject(error);
+            else resolve(result);
+        };
+        const timer = setTimeout(() => finish(new Error(`No status reply within ${timeout} ms`)), timeout);
+        const result = latencyMs => ({
+            motd: stripFormatting(flattenChat(status.description)),
+            version: stripFormatting(status.version?.name) || null,
+            protocol: status.version?.protocol ?? null,
+            players: {
+                online: status.players?.online ?? null,
+                max: status.players?.max ?? null,
+                sample: (status.players?.sample || []).map(player => player.name).filter(Boolean)
+            },
+            latencyMs
+        });
+
+        socket.on('connect', () => {
+            const portBytes = Buffer.alloc(2);
+            portBytes.writeUInt16BE(port);
+            socket.write(packet(0x00, writeVarInt(STATUS_PROTOCOL_VERSION), mcString(host), portBytes, writeVarInt(1)));
+            socket.write(packet(0x00));
+        });
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            try {
+                const length = readVarInt(buffer);
+                if (!length) return;
+                if (length.value > MAX_STATUS_LENGTH) {
+                    return finish(new Error('Status reply is too large'));
+                }
+                if (buffer.length < length.size + length.value) return;
+
+                const body = buffer.subarray(length.size, length.size + length.value);
+                buffer = buffer.subarray(length.size + length.value);
+                const id = readVarInt(body);
+
+                if (!status) {
+                    if (id.value !== 0x00) return finish(new Error(`Unexpected packet 0x${id.value.toString(16)}`));
+                    const jsonLength = readVarInt(body, id.size);
+                    const start = id.size + jsonLength.size;
+                    status = JSON.parse(body.subarray(start, start + jsonLength.value).toString('utf8'));
+
+                    const payload = Buffer.alloc(8);
+                    payload.writeBigInt64BE(BigInt(Date.now()));
+                    pingSentAt = Date.now();
+                    socket.write(packet(0x01, payload));
+                } else if (id.value === 0x01) {
+                    finish(null, result(Date.now() - pingSentAt));
+                }
+            } catch (error) {
+                finish(new Error(`Invalid status reply: ${error.message}`));
+            }
+        });
+
+        socket.on('error', error => finish(error));
+        // Some proxies answer the status but drop the ping; time the status round trip instead
+        socket.on('close', () => (status ? finish(null, result(Date.now() - startedAt)) : finish(new Error('Connection closed without a status reply'))));
+    });
+}
+
+// One UDP request/reply conversation: `exchange` sends datagrams, handles the
+// replies and calls finish() with the result
+function udpExchange(host, port, timeout, exchange) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+        let done = false;
+        const finish = (error, result) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            socket.close();
+            if (error) reject(error);
+            else resolve(result);
+        };
+        const timer = setTimeout(() => finish(new Error(`No reply within ${timeout} ms`)), timeout);
+        const send = data => socket.send(data, port, host, error => error && finish(error));
+
+        socket.on('error', error => finish(error));
+        exchange({ send, finish, onMessage: handler => socket.on('message', message => {
+            try {
+                handler(message);
+            } catch (error) {
+                finish(new Error(`Invalid reply: ${error.message}`));
+            }
+        }) });
+    });
+}
+
+// GS4 Query (enable-query): handshake for a challenge token, then the full stat.
+// Resolves { motd, version, software, map, players: { online, max, sample }, latencyMs }.
+function queryJava(host, port, { timeout = 5000 } = {}) {
+    const sessionId = crypto.randomBytes(4).readInt32BE() & 0x0f0f0f0f;
+    const header = (type) => {
+        const buffer = Buffer.alloc(7);
+        buffer.writeUInt16BE(0xfefd, 0);
+        buffer.writeUInt8(type, 2);
+        buffer.writeInt32BE(sessionId, 3);
+        return buffer;
+    };
+
+    return udpExchange(host, port, timeout, ({ send, finish, onMessage }) => {
+        const sentAt = Date.now();
+        let latencyMs = null;
+
+        onMessage((message) => {
+            if (message.readInt32BE(1) !== sessionId) return;
+
+            if (message[0] === 0x09) {
+                latencyMs = Date.now() - sentAt;
+                const token = Buffer.alloc(4);
+                token.writeInt32BE(Number(message.toString('ascii', 5).replace(/\0.*$/s, '')) | 0);
+                // Four padding bytes ask for the full stat instead of the basic one
+                send(Buffer.concat([header(0x00), token, Buffer.alloc(4)]));
+            } else if (message[0] === 0x00) {
+                finish(null, { ...parseFullStat(message), latencyMs });
+            }
+        });
+        send(header(0x09));
+    });
+}
+
+// Full stat: 11 bytes of padding, key\0value\0 pairs up to an empty key,
+// 10 more bytes of padding, then player names up to an empty one
+function parseFullStat(message) {
+    const fields = message.subarray(5 + 11).toString('utf8').split('\0');
+    const values = {};
+    let index = 0;
+    while (index < fields.length && fields[index] !== '') {
+        values[fields[index]] = fields[index + 1];
+        index += 2;
+    }
+
+    const playersStart = message.indexOf(Buffer.from('\x01player_\0\0', 'latin1'));
+    const players = playersStart === -1
+        ? []
+        : message.subarray(playersStart + 10).toString('utf8').split('\0').filter(Boolean);
+
+    return {
+        motd: stripFormatting(values.hostname),
+        version: values.version || null,
+        software: values.plugins ? values.plugins.split(':')[0].trim() : null,
+        map: values.map || null,
+        players: {
+            online: values.numplayers !== undefined ? Number(values.numplayers) : null,
+            max: values.maxplayers !== undefined ? Number(values.maxplayers) : null,
+            sample: players
+        }
+    };
+}
+
+// Bedrock (Geyser) RakNet unconnected ping; the pong carries the server's MOTD line:
+// MCPE;motd;protocol;version;online;max;serverId;subMotd;gamemode;...
+function pingBedrock(host, port, { timeout = 5000 } = {}) {
+    return udpExchange(host, port, timeout, ({ send, finish, onMessage }) => {
+        const sentAt = Date.now();
+        onMessage((message) => {
+            if (message[0] !== 0x1c) return;
+            const length = message.readUInt16BE(33);
+            const [platform, motd, protocol, version, online, max, , subMotd, gamemode] = message.toString('utf8', 35, 35 + length).split(';');
+            finish(null, {
+                platform,
+                motd: stripFormatting(motd),
+                subMotd: stripFormatting(subMotd) || null,
+                version: version || null,
+                protocol: protocol ? Number(protocol) : null,
+                gamemode: gamemode || null,
+                players: {
+                    online: online ? Number(online) : null,
+                    max: max ? Number(max) : null
+                },
+                latencyMs: Date.now() - sentAt
+            });
+        });
+
+        const ping = Buffer.alloc(33);
+        ping.writeUInt8(0x01, 0);
+        ping.writeBigInt64BE(BigInt(Date.now()), 1);
+        RAKNET_MAGIC.copy(ping, 9);
+        crypto.randomBytes(8).copy(ping, 25);
+        send(ping);
+    });
+}
+
+// "host", "host:port" or "[v6]:port"; Java hostnames without a port may use an SRV record
+async function resolveAddress(address, edition) {
+    const match = address.match(/^\[([^\]]+)\](?::(\d+))?$/) || address.match(/^([^:]+)(?::(\d+))?$/);
+    if (!match) return { host: address, port: edition === 'java' ? DEFAULT_JAVA_PORT : DEFAULT_BEDROCK_PORT };
+
+    const [, host, port] = match;
+    if (port) return { host, port: Number(port) };
+    if (edition === 'java' && !net.isIP(host)) {
+        try {
+            const [record] = await dns.resolveSrv(`_minecraft._tcp.${host}`);
+            if (record) return { host: record.name, port: record.port };
+        } catch (error) {
+            // No SRV record: clients fall back to the default port too
+        }
+    }
+    return { host, port: edition === 'java' ? DEFAULT_JAVA_PORT : DEFAULT_BEDROCK_PORT };
+}
+
+// Probes an instance's Java port (Server List Ping and Query) and Bedrock port (RakNet ping)
+// on localhost, the LAN address and the tunnel addresses while the server is online
+class ReachabilityChecker {
+    constructor(server) {
+        this.server = server;
+        this.timer = null;
+        this.checking = null;
+        this.checkedAt = null;
+        this.endpoints = [];
+    }
+
+    get config() {
+        return { ...DEFAULT_REACHABILITY_CONFIG, ...(this.server.config.reachability || {}) };
+    }
+
+    onReady() {
+        this.start();
+        if (this.config.enabled) {
+            this.check().catch(() => { });
+        }
+    }
+
+    onExit() {
+        this.stop();
+        this.checkedAt = null;
+        this.endpoints = [];
+    }
+
+    // (Re)start the periodic checks for the running server
+    start() {
+        this.stop();
+        if (!this.config.enabled || !this.server.serverReady) return;
+        this.timer = setInterval(() => this.check().catch(() => { }), Math.max(10, this.config.intervalSeconds) * 1000);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Where each probe is sent: [{ scope, edition, probe, address }]
+    getTargets() {
+        const server = this.server;
+        const targets = [];
+        const add = (scope, host) => {
+            targets.push({ scope, edition: 'java', probe: 'ping', address: `${host}:${server.javaPort}` });
+            targets.push({ scope, edition: 'java', probe: 'query', address: `${host}:${server.javaPort}` });
+            targets.push({ scope, edition: 'bedrock', probe: 'ping', address: `${host}:${server.bedrockPort}` });
+        };
+
+        add('local', '127.0.0.1');
+        if (server.localIP && server.localIP !== '127.0.0.1' && server.localIP !== 'localhost') {
+            add('lan', server.localIP);
+        }
+
+        // Tunnels forward the game ports only, so Query (UDP on the Java port) is not reachable through them
+        const tunnel = server.manager.tunnels.provider;
+        const addresses = server.tunnelAddresses;
+        if (tunnel?.probeable && (addresses.java || addresses.bedrock)) {
+            if (addresses.java) {
+                targets.push({ scope: 'tunnel', edition: 'java', probe: 'ping', address: addresses.java });
+            }
+            if (addresses.bedrock) {
+                targets.push({ scope: 'tunnel', edition: 'bedrock', probe: 'ping', address: addresses.bedrock });
+            }
+        }
+        return targets;
+    }
+
+    // Run every probe at once; concurrent callers share the run in progress
+    check() {
+        if (!this.checking) {
+            this.checking = this.runChecks().finally(() => {
+                this.checking = null;
+            });
+        }
+        return this.checking;
+    }
+
+    async runChecks() {
+        const timeout = this.config.timeoutSeconds * 1000;
+        const probes = {
+            'java:ping': pingJava,
+            'java:query': queryJava,
+            'bedrock:ping': pingBedrock
+        };
+
+        const endpoints = await Promise.all(this.getTargets().map(async (target) => {
+            const startedAt = Date.now();
+            try {
+                const { host, port } = await resolveAddress(target.address, target.edition);
+                const result = await probes[`${target.edition}:${target.probe}`](host, port, { timeout });
+                return { ...result, ...target, ok: true, error: null };
+            } catch (error) {
+                return { ...target, ok: false, latencyMs: null, error: error.message || error.code, elapsedMs: Date.now() - startedAt };
+            }
+        }));
+
+        const previous = new Map(this.endpoints.map(endpoint => [this.key(endpoint), endpoint.ok]));
+        for (const endpoint of endpoints) {
+            if (previous.has(this.key(endpoint)) && previous.get(this.key(endpoint)) !== endpoint.ok) {
+                const label = `${endpoint.scope} ${endpoint.edition} ${endpoint.probe} (${endpoint.address})`;
+                this.server.broadcastLog(endpoint.ok ? `📶 ${label} is reachable again` : `📵 ${label} stopped answering: ${endpoint.error}`, endpoint.ok ? 'success' : 'warn');
+            }
+        }
+
+        this.endpoints = endpoints;
+        this.checkedAt = new Date().toISOString();
+        const status = { ...this.getStatus(), checking: false };
+        this.server.emit('reachability', status);
+        return status;
+    }
+
+    key(endpoint) {
+        return `${endpoint.scope}:${endpoint.edition}:${endpoint.probe}:${endpoint.address}`;
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            checking: !!this.checking,
+            checkedAt: this.checkedAt,
+            endpoints: this.endpoints
+        };
+    }
+}
+
+module.exports = { ReachabilityChecker, DEFAULT_REACHABILITY_CONFIG, pingJava, queryJava, pingBedrock };
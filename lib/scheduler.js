@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseCron, nextCronTime } = require('./cron');
+
+const JOB_TYPES = ['restart', 'backup', 'broadcast', 'command'];
+// Jobs that talk to the running server; restart only makes sense for a running one
+const ONLINE_TYPES = ['broadcast', 'command'];
+const OFFLINE_POLICIES = ['skip', 'defer'];
+const MAX_JOBS = 100;
+const MAX_TEXT_LENGTH = 256;
+// setTimeout overflows past ~24.8 days, so long waits are re-armed in steps
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+// Runs the jobs in config.scheduler.jobs on cron or interval schedules.
+// Definitions live in config.json; run results are kept in <dataPath>/scheduler.json.
+class Scheduler {
+    constructor(server) {
+        this.server = server;
+        this.filePath = path.join(server.dataPath, 'scheduler.json');
+        this.timers = new Map();
+        this.nextRuns = new Map();
+        this.running = new Set();
+        this.deferred = new Set();
+        this.results = this.load();
+    }
+
+    get jobs() {
+        return this.server.config.scheduler?.jobs || [];
+    }
+
+    log(message, type = 'info') {
+        this.server.broadcastLog(message, type);
+    }
+
+    emitUpdate() {
+        this.server.emit('scheduler-update', { jobs: this.listJobs() });
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                return data.results || {};
+            }
+        } catch (error) {
+            this.log(`❌ Error loading scheduler state: ${error.message}`, 'error');
+        }
+        return {};
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ results: this.results }, null, 4));
+        } catch (error) {
+            this.log(`❌ Failed to save scheduler state: ${error.message}`, 'error');
+        }
+    }
+
+    // Arm a timer for every enabled job
+    start() {
+        this.stop();
+        for (const job of this.jobs) {
+            try {
+                this.schedule(job);
+            } catch (error) {
+                this.log(`⚠️ Not scheduling job "${job.name}": ${error.message}`, 'warn');
+            }
+        }
+    }
+
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.nextRuns.clear();
+    }
+
+    schedule(job, from = Date.now()) {
+        clearTimeout(this.timers.get(job.id));
+        this.timers.delete(job.id);
+        this.nextRuns.delete(job.id);
+        if (!job.enabled) return;
+
+        const next = job.cron
+            ? nextCronTime(parseCron(job.cron), from)?.getTime()
+            : from + job.intervalMinutes * 60 * 1000;
+        if (!next) return;
+
+        this.nextRuns.set(job.id, next);
+        this.arm(job.id);
+    }
+
+    arm(id) {
+        const delay = Math.max(0, this.nextRuns.get(id) - Date.now());
+        this.timers.set(id, setTimeout(() => {
+            this.timers.delete(id);
+            if (Date.now() < this.nextRuns.get(id)) {
+                this.arm(id);
+                return;
+            }
+
+            const job = this.getJob(id);
+            if (!job) return;
+            this.schedule(job);
+            this.run(job, 'schedule');
+        }, Math.min(delay, MAX_TIMER_MS)));
+    }
+
+    getJob(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    listJobs() {
+        return this.jobs.map(job => ({
+            ...job,
+            nextRunAt: this.nextRuns.has(job.id) ? new Date(this.nextRuns.get(job.id)).toISOString() : null,
+            running: this.running.has(job.id),
+            deferred: this.deferred.has(job.id),
+            lastRun: this.results[job.id] || null
+        }));
+    }
+
+    // Run a job now; trigger is "schedule", "manual" or "deferred"
+    async run(job, trigger = 'manual') {
+        const server = this.server;
+        if (this.running.has(job.id)) {
+            return this.record(job, { status: 'skipped', message: 'Previous run still in progress', trigger });
+        }
+
+        const online = server.serverReady && !!server.minecraftProcess;
+        if (!online && job.type === 'restart') {
+            return this.record(job, { status: 'skipped', message: 'Server is not running', trigger });
+        }
+        if (!online && ONLINE_TYPES.includes(job.type)) {
+            if (job.whenOffline === 'defer') {
+                this.deferred.add(job.id);
+                return this.record(job, { status: 'deferred', message: 'Server is offline - will run once it is online', trigger });
+            }
+            return this.record(job, { status: 'skipped', message: 'Server is offline', trigger });
+        }
+
+        this.deferred.delete(job.id);
+        this.running.add(job.id);
+        this.emitUpdate();
+        const startedAt = Date.now();
+
+        let outcome;
+        try {
+            outcome = { status: 'success', message: await this.execute(job) };
+        } catch (error) {
+            this.log(`❌ Scheduled job "${job.name}" failed: ${error.message}`, 'error');
+            outcome = { status: 'failed', message: error.message };
+        }
+        this.running.delete(job.id);
+        return this.record(job, { ...outcome, trigger, startedAt });
+    }
+
+    async execute(job) {
+        const server = this.server;
+        this.log(`⏰ Running scheduled job "${job.name}" (${job.type})`, 'info');
+
+        switch (job.type) {
+            case 'restart': {
+                const stopped = await server.stopMinecraftServer({ countdown: job.countdown, reason: 'scheduled restart' });
+                if (!stopped) {
+                    throw new Error('Shutdown was cancelled');
+                }
+                await server.startMinecraftServer();
+                return 'Server restarted';
+            }
+            case 'backup': {
+                const backup = await server.backups.createBackup('scheduled');
+                server.backups.pruneBackups();
+                return `Backup created: ${backup.name}`;
+            }
+            case 'broadcast': {
+                const result = await server.executeCommand(`say ${job.message}`);
+                if (!result.sent) throw new Error(result.error);
+                return 'Message broadcast';
+            }
+            case 'command': {
+                const result = await server.executeCommand(job.command);
+                if (!result.sent) throw new Error(result.error);
+                return result.output ? result.output.slice(0, MAX_TEXT_LENGTH) : `Sent via ${result.via}`;
+            }
+        }
+        throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    record(job, { status, message, trigger, startedAt = Date.now() }) {
+        const result = {
+            at: new Date(startedAt).toISOString(),
+            status,
+            message,
+            trigger,
+            durationMs: Date.now() - startedAt
+        };
+        this.results[job.id] = result;
+        this.save();
+        this.emitUpdate();
+        return result;
+    }
+
+    // Deferred jobs run once the server has finished starting
+    onReady() {
+        for (const id of [...this.deferred]) {
+            const job = this.getJob(id);
+            this.deferred.delete(id);
+            if (job?.enabled) {
+                this.run(job, 'deferred');
+            }
+        }
+    }
+
+    // Validate a job definition (a full job, or a patch merged over `existing`)
+    normalizeJob(input, existing = null) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Job must be an object');
+        }
+
+        const job = { ...(existing || {}), ...input, id: existing ? existing.id : crypto.randomBytes(4).toString('hex') };
+        // Setting one kind of schedule replaces the other
+        if (input.cron !== undefined && input.cron !== null) delete job.intervalMinutes;
+        if (input.intervalMinutes !== undefined && input.intervalMinutes !== null) delete job.cron;
+
+        const text = (value, field, required = true) => {
+            if (value === undefined || value === null || value === '') {
+                if (required) throw new Error(`${field} is required`);
+                return undefined;
+            }
+            if (typeof value !== 'string' || /[\r\n]/.test(value) || value.length > MAX_TEXT_LENGTH) {
+                throw new Error(`${field} must be a single line of at most ${MAX_TEXT_LENGTH} characters`);
+            }
+            return value.trim();
+        };
+
+        const result = {
+            id: job.id,
+            name: text(job.name, 'name'),
+            type: job.type,
+            enabled: job.enabled !== false
+        };
+        if (!JOB_TYPES.includes(result.type)) {
+            throw new Error(`type must be one of: ${JOB_TYPES.join(', ')}`);
+        }
+
+        if (job.cron !== undefined) {
+            result.cron = text(job.cron, 'cron');
+            if (!nextCronTime(parseCron(result.cron))) {
+                throw new Error('Cron expression never matches a date');
+            }
+        } else if (job.intervalMinutes !== undefined) {
+            if (!Number.isInteger(job.intervalMinutes) || job.intervalMinutes < 1 || job.intervalMinutes > 525600) {
+                throw new Error('intervalMinutes must be a whole number between 1 and 525600');
+            }
+            result.intervalMinutes = job.intervalMinutes;
+        } else {
+            throw new Error('Either cron or intervalMinutes is required');
+        }
+
+        if (result.type === 'restart' && job.countdown !== undefined && job.countdown !== null) {
+            if (!Number.isInteger(job.countdown) || job.countdown < 0 || job.countdown > 3600) {
+                throw new Error('countdown must be a whole number of seconds between 0 and 3600');
+            }
+            result.countdown = job.countdown;
+        }
+        if (result.type === 'broadcast') {
+            result.message = text(job.message, 'message');
+        }
+        if (result.type === 'command') {
+            // Console commands are written without the leading slash
+            result.command = text(job.command, 'command').replace(/^\//, '');
+        }
+        if (ONLINE_TYPES.includes(result.type)) {
+            result.whenOffline = job.whenOffline || 'skip';
+            if (!OFFLINE_POLICIES.includes(result.whenOffline)) {
+                throw new Error(`whenOffline must be one of: ${OFFLINE_POLICIES.join(', ')}`);
+            }
+        }
+        return result;
+    }
+
+    saveJobs(jobs) {
+        this.server.config.scheduler = { ...(this.server.config.scheduler || {}), jobs };
+        if (!this.server.saveConfig()) {
+            throw new Error('Failed to save config.json');
+        }
+    }
+
+    createJob(input) {
+        if (this.jobs.length >= MAX_JOBS) {
+            throw new Error(`At most ${MAX_JOBS} jobs can be scheduled`);
+        }
+
+        const job = this.normalizeJob(input);
+        this.saveJobs([...this.jobs, job]);
+        this.schedule(job);
+        this.log(`⏰ Scheduled job "${job.name}" created`, 'info');
+        this.emitUpdate();
+        return job;
+    }
+
+    updateJob(id, patch) {
+        const existing = this.getJob(id);
+        if (!existing) {
+            throw new Error(`Job not found: ${id}`);
+        }
+
+        const job = this.normalizeJob(patch, existing);
+        this.saveJobs(this.jobs.map(other => (other.id === id ? job : other)));
+        if (!job.enabled) {
+            this.deferred.delete(id);
+        }
+        this.schedule(job);
+        this.emitUpdate();
+        return job;
+    }
+
+    deleteJob(id) {
+        const job = this.getJob(id);
+        if (!job) {
+            return false;
+        }
+
+        this.saveJobs(this.jobs.filter(other => other.id !== id));
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+        this.nextRuns.delete(id);
+        this.deferred.delete(id);
+        delete this.results[id];
+        this.save();
+
+        this.log(`🗑️ Scheduled job "${job.name}" deleted`, 'info');
+        this.emitUpdate();
+        return true;
+    }
+}
+
+module.exports = { Scheduler, JOB_TYPES };
@@ -0,0 +1,211 @@
+const DEFAULT_SHUTDOWN_CONFIG = {
+    countdownSeconds: 10,
+    saveTimeoutSeconds: 30,
+    stopTimeoutSeconds: 60,
+    killTimeoutSeconds: 10
+};
+
+// Seconds left at which players are warned during the countdown
+const COUNTDOWN_MARKS = [600, 300, 120, 60, 30, 15, 10, 5, 4, 3, 2, 1];
+const MAX_REASON_LENGTH = 100;
+
+// Stops the Minecraft process in stages: an in-game countdown (only when someone
+// is online), save-all, stop, then SIGTERM and SIGKILL if it does not exit in time.
+class ShutdownSequence {
+    constructor(server) {
+        this.server = server;
+        this.running = null;
+        this.stage = null;
+        this.reason = null;
+        this.startedAt = null;
+        this.countdownEndsAt = null;
+        this.countdownTimer = null;
+        this.endCountdown = null;
+        this.escalated = null;
+        this.last = null;
+    }
+
+    get config() {
+        return { ...DEFAULT_SHUTDOWN_CONFIG, ...(this.server.config.shutdown || {}) };
+    }
+
+    get inProgress() {
+        return !!this.running;
+    }
+
+    log(message, type = 'info') {
+        this.server.broadcastLog(message, type);
+    }
+
+    emitUpdate() {
+        this.server.emit('shutdown-update', this.getStatus());
+    }
+
+    setStage(stage, message, type = 'info') {
+        this.stage = stage;
+        this.log(message, type);
+        this.emitUpdate();
+    }
+
+    // Console input, ignored once the process has closed its stdin
+    write(command) {
+        const stdin = this.server.minecraftProcess?.stdin;
+        if (stdin?.writable) {
+            stdin.write(`${command}\n`);
+        }
+    }
+
+    // Resolves true once the process has exited, false if the countdown was cancelled.
+    // A second call joins the running sequence; countdown 0 skips what is left of it.
+    stop({ countdown, reason } = {}) {
+        if (this.running) {
+            if (countdown === 0 && this.endCountdown) {
+                this.log('⏩ Skipping the rest of the shutdown countdown', 'info');
+                this.endCountdown(true);
+            }
+            return this.running;
+        }
+
+        this.running = this.run({ countdown, reason }).finally(() => {
+            this.running = null;
+            this.stage = null;
+            this.reason = null;
+            this.startedAt = null;
+            this.emitUpdate();
+        });
+        return this.running;
+    }
+
+    async run({ countdown, reason }) {
+        const server = this.server;
+        const config = this.config;
+
+        server.watchdog.cancel();
+        server.stopRequested = true;
+        this.reason = reason ? String(reason).replace(/\s+/g, ' ').trim().slice(0, MAX_REASON_LENGTH) : null;
+        this.startedAt = Date.now();
+        this.escalated = null;
+
+        // Nobody to warn while starting up or with an empty server
+        const seconds = countdown ?? config.countdownSeconds;
+        if (seconds > 0 && server.serverReady && server.players.online.size > 0) {
+            if (!await this.countdown(seconds)) {
+                server.stopRequested = false;
+                return false;
+            }
+        }
+
+        if (!server.minecraftProcess) {
+            return true;
+        }
+
+        const wasReady = server.serverReady;
+        server.serverStatus = 'stopping';
+        server.emitServerEvent({ type: 'stopping', reason: this.reason });
+        server.manager.tunnels.release(server);
+        server.manager.emitInstances();
+
+        if (wasReady) {
+            this.setStage('saving', '💾 Saving the world before stopping...');
+            const saved = server.waitForOutput(/Saved the game/, config.saveTimeoutSeconds * 1000);
+            this.write('save-all flush');
+            if (!await saved) {
+                this.log(`⚠️ No save confirmation within ${config.saveTimeoutSeconds}s - stopping anyway`, 'warn');
+            }
+        }
+
+        this.setStage('stopping', '⏹️ Stopping Minecraft server...');
+        this.write('stop');
+        if (await server.waitForExit(config.stopTimeoutSeconds * 1000)) {
+            return this.finish();
+        }
+
+        this.escalated = 'SIGTERM';
+        this.setStage('terminating', `⚠️ Server did not stop within ${config.stopTimeoutSeconds}s - sending SIGTERM`, 'warn');
+        server.minecraftProcess?.kill('SIGTERM');
+        if (await server.waitForExit(config.killTimeoutSeconds * 1000)) {
+            return this.finish();
+        }
+
+        this.escalated = 'SIGKILL';
+        this.setStage('killing', `💀 Server ignored SIGTERM for ${config.killTimeoutSeconds}s - sending SIGKILL`, 'error');
+        server.minecraftProcess?.kill('SIGKILL');
+        return this.finish(await server.waitForExit(10000));
+    }
+
+    finish(exited = true) {
+        this.last = {
+            at: new Date().toISOString(),
+            reason: this.reason,
+            durationSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+            escalated: this.escalated,
+            exited
+        };
+        if (!exited) {
+            this.log('❌ Server process is still running after SIGKILL', 'error');
+        }
+        return exited;
+    }
+
+    // Count down in-game; resolves false if cancelled
+    countdown(seconds) {
+        return new Promise((resolve) => {
+            let left = seconds;
+            this.countdownEndsAt = Date.now() + seconds * 1000;
+            this.endCountdown = (proceed) => {
+                clearInterval(this.countdownTimer);
+                this.countdownTimer = null;
+                this.endCountdown = null;
+                this.countdownEndsAt = null;
+                resolve(proceed);
+            };
+
+            this.setStage('countdown', `⏳ Server stopping in ${seconds}s${this.reason ? ` (${this.reason})` : ''} - warning players`);
+            this.announce(left, true);
+
+            this.countdownTimer = setInterval(() => {
+                left--;
+                // Exited on its own (crash or a console "stop") - nothing left to count down
+                if (left <= 0 || !this.server.minecraftProcess) {
+                    this.endCountdown(true);
+                } else if (COUNTDOWN_MARKS.includes(left)) {
+                    this.announce(left);
+                }
+            }, 1000);
+        });
+    }
+
+    announce(seconds, first = false) {
+        const time = seconds >= 60 && seconds % 60 === 0
+            ? `${seconds / 60} minute${seconds === 60 ? '' : 's'}`
+            : `${seconds} second${seconds === 1 ? '' : 's'}`;
+        const reason = first && this.reason ? `: ${this.reason}` : '';
+        this.write(`say Server stopping in ${time}${reason}`);
+    }
+
+    // Only the countdown can be cancelled; once saving has begun the server goes down
+    cancel() {
+        if (!this.endCountdown) {
+            return false;
+        }
+
+        this.endCountdown(false);
+        this.write('say Server shutdown cancelled');
+        this.log('↩️ Shutdown cancelled', 'info');
+        return true;
+    }
+
+    getStatus() {
+        return {
+            inProgress: this.inProgress,
+            stage: this.stage,
+            reason: this.reason,
+            startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            countdownEndsAt: this.countdownEndsAt ? new Date(this.countdownEndsAt).toISOString() : null,
+            config: this.config,
+            last: this.last
+        };
+    }
+}
+
+module.exports = { ShutdownSequence, DEFAULT_SHUTDOWN_CONFIG };
@@ -0,0 +1,834 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const dgram = require('dgram');
+const crypto = require('crypto');
+const { readProperties } = require('./properties');
+
+const DEFAULT_SIMULATION_CONFIG = {
+    enabled: false,
+    scenario: 'idle',
+    scenarioFile: '',
+    startupSeconds: 8
+};
+
+const MINECRAFT_VERSION = '1.21.1';
+const PROTOCOL_VERSION = 767;
+const PAPER_BUILD = 133;
+const BEDROCK_VERSION = '1.21.20';
+const BEDROCK_PROTOCOL = 712;
+const PLUGINS = [
+    { name: 'ViaVersion', version: '5.0.3' },
+    { name: 'ViaBackwards', version: '5.0.3' },
+    { name: 'floodgate', version: '2.2.3-SNAPSHOT' },
+    { name: 'Geyser-Spigot', version: '2.4.2-SNAPSHOT' }
+];
+const STEP_TYPES = ['join', 'leave', 'chat', 'advancement', 'death', 'log', 'crash', 'hang'];
+const PLAYER_STEPS = ['join', 'leave', 'chat', 'advancement', 'death'];
+const PLAYER_NAME_PATTERN = /^\S{1,32}$/;
+const LOG_LEVELS = ['INFO', 'WARN', 'ERROR'];
+const MAX_STEPS = 1000;
+const MAX_SCENARIO_BYTES = 1024 * 1024;
+// Bedrock names carry Floodgate's prefix; "." unless plugins/floodgate/config.yml says otherwise
+const DEFAULT_FLOODGATE_PREFIX = '.';
+
+// Built-in scenarios. Steps run "at" seconds after startup completes; a player name with
+// the Floodgate prefix joins as a Bedrock player. Scenario files use the same shape.
+const SIMULATION_SCENARIOS = {
+    idle: {
+        description: 'Starts up and waits for commands',
+        steps: []
+    },
+    players: {
+        description: 'Java and Bedrock players join, chat, earn an advancement, die and leave',
+        steps: [
+            { at: 5, join: 'Steve' },
+            { at: 12, join: '.AlexBE' },
+            { at: 18, chat: 'Steve', message: 'hi! is the bedrock crossplay working?' },
+            { at: 24, chat: '.AlexBE', message: 'yes, joined from my phone' },
+            { at: 40, advancement: 'Steve', title: 'Stone Age' },
+            { at: 70, death: '.AlexBE', message: 'was slain by Zombie' },
+            { at: 90, join: 'Notch' },
+            { at: 120, chat: 'Notch', message: 'nice build' },
+            { at: 180, leave: '.AlexBE' },
+            { at: 240, leave: 'Notch' }
+        ]
+    },
+    crash: {
+        description: 'A player joins, then the server runs out of memory and crashes',
+        steps: [
+            { at: 5, join: 'Steve' },
+            { at: 15, log: 'Can\'t keep up! Is the server overloaded? Running 5012ms or 100 ticks behind', level: 'WARN' },
+            { at: 30, crash: 'java.lang.OutOfMemoryError: Java heap space' }
+        ]
+    },
+    'startup-crash': {
+        description: 'Fails while loading the world and exits before startup completes',
+        failStartup: 'Failed to load level "world": java.io.EOFException: Unexpected end of ZLIB input stream',
+        steps: []
+    },
+    hang: {
+        description: 'Stops responding a minute after startup (the watchdog should restart it)',
+        steps: [
+            { at: 60, hang: true }
+        ]
+    }
+};
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check a scenario (built-in or from a file) and return it with its steps in time order
+function validateScenario(scenario) {
+    if (!isPlainObject(scenario)) {
+        throw new Error('A scenario must be a JSON object with a "steps" array');
+    }
+    if (scenario.failStartup !== undefined && (typeof scenario.failStartup !== 'string' || !scenario.failStartup.trim())) {
+        throw new Error('"failStartup" must be the error message to crash with');
+    }
+
+    const steps = scenario.steps ?? [];
+    if (!Array.isArray(steps) || steps.length > MAX_STEPS) {
+        throw new Error(`"steps" must be an array of at most ${MAX_STEPS} steps`);
+    }
+
+    steps.forEach((step, index) => {
+        const where = `Step ${index + 1}`;
+        if (!isPlainObject(step)) {
+            throw new Error(`${where} must be an object`);
+        }
+        if (typeof step.at !== 'number' || !Number.isFinite(step.at) || step.at < 0) {
+            throw new Error(`${where}: "at" must be the number of seconds after startup`);
+        }
+
+        const types = STEP_TYPES.filter(type => step[type] !== undefined);
+        if (types.length !== 1) {
+            throw new Error(`${where} needs exactly one of: ${STEP_TYPES.join(', ')}`);
+        }
+        const [type] = types;
+        if (type === 'hang') {
+            if (step.hang !== true) throw new Error(`${where}: "hang" must be true`);
+            return;
+        }
+        if (typeof step[type] !== 'string' || !step[type].trim() || /[\r\n]/.test(step[type])) {
+            throw new Error(`${where}: "${type}" must be a single line of text`);
+        }
+        if (PLAYER_STEPS.includes(type) && !PLAYER_NAME_PATTERN.test(step[type])) {
+            throw new Error(`${where}: "${step[type]}" is not a valid player name`);
+        }
+        for (const field of ['message', 'title']) {
+            if (step[field] !== undefined && (typeof step[field] !== 'string' || /[\r\n]/.test(step[field]))) {
+                throw new Error(`${where}: "${field}" must be a single line of text`);
+            }
+        }
+        if (step.level !== undefined && !LOG_LEVELS.includes(step.level)) {
+            throw new Error(`${where}: "level" must be one of: ${LOG_LEVELS.join(', ')}`);
+        }
+    });
+
+    return {
+        description: typeof scenario.description === 'string' ? scenario.description : null,
+        failStartup: scenario.failStartup || null,
+        steps: [...steps].sort((a, b) => a.at - b.at)
+    };
+}
+
+// The scenario selected in config.simulation; a scenario file wins over the built-in name
+function loadScenario(config = {}) {
+    const { scenario, scenarioFile } = { ...DEFAULT_SIMULATION_CONFIG, ...config };
+    if (!scenarioFile) {
+        if (!SIMULATION_SCENARIOS[scenario]) {
+            throw new Error(`Unknown simulation scenario "${scenario}"`);
+        }
+        return { name: scenario, ...validateScenario(SIMULATION_SCENARIOS[scenario]) };
+    }
+
+    const filePath = path.resolve(scenarioFile);
+    let parsed;
+    try {
+        if (fs.statSync(filePath).size > MAX_SCENARIO_BYTES) {
+            throw new Error('the file is too large');
+        }
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read scenario file ${scenarioFile}: ${error.message}`);
+    }
+    try {
+        return { name: path.basename(filePath), file: filePath, ...validateScenario(parsed) };
+    } catch (error) {
+        throw new Error(`Scenario file ${scenarioFile}: ${error.message}`);
+    }
+}
+
+// How the manager starts the simulation in place of Java: this file run by the same Node binary
+function getSimulatorLaunch(config = {}) {
+    const settings = { ...DEFAULT_SIMULATION_CONFIG, ...config };
+    const scenario = loadScenario(settings);
+    return {
+        command: process.execPath,
+        args: [
+            __filename,
+            ...(scenario.file ? ['--scenario-file', scenario.file] : ['--scenario', scenario.name]),
+            '--startup-seconds', String(settings.startupSeconds)
+        ],
+        scenario
+    };
+}
+
+// --- The simulated server process ---------------------------------------------------------
+
+function varInt(value) {
+    const bytes = [];
+    let remaining = value >>> 0;
+    do {
+        let byte = remaining & 0x7f;
+        remaining >>>= 7;
+        if (remaining) byte |= 0x80;
+        bytes.push(byte);
+    } while (remaining);
+    return Buffer.from(bytes);
+}
+
+function readVarInt(buffer, offset) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+        if (offset + i >= buffer.length) return null;
+        const byte = buffer[offset + i];
+        value |= (byte & 0x7f) << (7 * i);
+        if (!(byte & 0x80)) return { value, size: i + 1 };
+    }
+    throw new Error('VarInt too long');
+}
+
+function mcPacket(id, body) {
+    const data = Buffer.concat([varInt(id), body]);
+    return Buffer.concat([varInt(data.length), data]);
+}
+
+function mcString(text) {
+    const data = Buffer.from(text, 'utf8');
+    return Buffer.concat([varInt(data.length), data]);
+}
+
+// Stable made-up UUIDs: Java-style for Java names, Floodgate-style (zeros first) for Bedrock
+function playerUuid(name, bedrock) {
+    const hex = crypto.createHash('md5').update(name).digest('hex');
+    if (bedrock) {
+        return `00000000-0000-0000-0009-${hex.slice(0, 12)}`;
+    }
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function stripFormatting(text) {
+    return String(text).replace(/§./g, '');
+}
+
+// Stands in for a Paper server with Geyser, Floodgate and ViaVersion: the same console output,
+// commands over stdin and RCON, status pings, and players driven by a scenario
+class SimulatedServer {
+    constructor({ scenario, startupSeconds = DEFAULT_SIMULATION_CONFIG.startupSeconds }) {
+        this.scenario = scenario;
+        this.startupSeconds = startupSeconds;
+        this.properties = readProperties('server.properties');
+        this.floodgatePrefix = this.readFloodgatePrefix();
+        this.players = new Map();
+        this.whitelist = new Set();
+        this.operators = new Set();
+        this.banned = new Set();
+        this.timers = new Set();
+        this.listeners = [];
+        this.startedAt = Date.now();
+        this.ready = false;
+        this.hung = false;
+        this.stopping = false;
+        this.entityId = 100;
+    }
+
+    property(key, fallback) {
+        const value = this.properties.get(key);
+        return value === undefined || value === '' ? fallback : String(value);
+    }
+
+    get javaPort() {
+        return Number(this.property('server-port', 25565));
+    }
+
+    get maxPlayers() {
+        return Number(this.property('max-players', 20));
+    }
+
+    get motd() {
+        return this.property('motd', 'A Minecraft Server');
+    }
+
+    get levelName() {
+        return this.property('level-name', 'world');
+    }
+
+    get bedrockPort() {
+        try {
+            const config = fs.readFileSync(path.join('plugins', 'Geyser-Spigot', 'config.yml'), 'utf8');
+            const match = config.match(/^bedrock:[\s\S]*?\n\s+port:\s*(\d+)/m);
+            if (match) return Number(match[1]);
+        } catch {
+            // Geyser not configured - it defaults to 19132
+        }
+        return 19132;
+    }
+
+    readFloodgatePrefix() {
+        try {
+            const config = fs.readFileSync(path.join('plugins', 'floodgate', 'config.yml'), 'utf8');
+            const match = config.match(/^username-prefix:\s*["']?([^"'\n]*)["']?\s*$/m);
+            if (match) return match[1];
+        } catch {
+            // Floodgate not configured - it uses its default prefix
+        }
+        return DEFAULT_FLOODGATE_PREFIX;
+    }
+
+    isBedrock(name) {
+        return !!this.floodgatePrefix && name.startsWith(this.floodgatePrefix);
+    }
+
+    log(message, { level = 'INFO', logger = null } = {}) {
+        const time = new Date().toTimeString().slice(0, 8);
+        process.stdout.write(`[${time} ${level}]: ${logger ? `[${logger}] ` : ''}${message}\n`);
+    }
+
+    later(seconds, fn) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, seconds * 1000);
+        this.timers.add(timer);
+    }
+
+    start() {
+        process.stdin.setEncoding('utf8');
+        let buffered = '';
+        process.stdin.on('data', (chunk) => {
+            const lines = (buffered + chunk).split(/\r?\n/);
+            buffered = lines.pop();
+            lines.forEach(line => this.onConsoleInput(line));
+        });
+        // Unlike Java, go away with the manager instead of holding the ports
+        process.stdin.on('end', () => this.stop(0));
+        process.on('SIGTERM', () => {
+            if (this.hung) process.exit(143);
+            this.stop(143);
+        });
+
+        this.runStartup();
+    }
+
+    // Paper's startup output, spread over startupSeconds
+    runStartup() {
+        const seconds = this.startupSeconds;
+        const geyser = PLUGINS.find(plugin => plugin.name === 'Geyser-Spigot');
+        const steps = [
+            () => this.log(`Starting minecraft server version ${MINECRAFT_VERSION}`),
+            () => this.log('Loading properties'),
+            () => this.log(`This server is running Paper version ${MINECRAFT_VERSION}-${PAPER_BUILD}-master@simulated (Implementing API version ${MINECRAFT_VERSION}-R0.1-SNAPSHOT)`),
+            () => this.log('Server Ping Player Sample Count: 12'),
+            () => this.log('Using 4 threads for Netty based IO'),
+            () => this.log(`Default game type: ${this.property('gamemode', 'survival').toUpperCase()}`),
+            () => this.log('Generating keypair'),
+            () => this.bindJava(),
+            () => PLUGINS.forEach(plugin => this.log(`Loading server plugin ${plugin.name} v${plugin.version}`, { logger: plugin.name })),
+            () => this.log('Server permissions file permissions.yml is empty, ignoring it'),
+            () => {
+                this.log('Enabling ViaVersion v5.0.3', { logger: 'ViaVersion' });
+                this.log(`ViaVersion detected server version: ${MINECRAFT_VERSION} (${PROTOCOL_VERSION})`, { logger: 'ViaVersion' });
+                this.log('Enabling floodgate v2.2.3-SNAPSHOT', { logger: 'floodgate' });
+            },
+            () => this.log(`Preparing level "${this.levelName}"`),
+            () => this.log('Preparing start region for dimension minecraft:overworld'),
+            () => this.log('Preparing spawn area: 0%'),
+            () => this.log('Preparing spawn area: 48%'),
+            () => {
+                if (this.scenario.failStartup) return this.crash(this.scenario.failStartup);
+                this.log(`Time elapsed: ${Math.round(seconds * 400)} ms`);
+            },
+            () => {
+                this.log('Enabling ViaBackwards v5.0.3', { logger: 'ViaBackwards' });
+                this.log(`Enabling Geyser-Spigot v${geyser.version}`, { logger: 'Geyser-Spigot' });
+                this.log('Running delayed init tasks');
+            },
+            () => {
+                this.log('******************************************', { logger: 'Geyser-Spigot' });
+                this.log(`Loading Geyser version ${geyser.version} (simulated)`, { logger: 'Geyser-Spigot' });
+                this.log('******************************************', { logger: 'Geyser-Spigot' });
+                this.bindBedrock();
+            },
+            () => this.bindQuery(),
+            () => this.bindRcon(),
+            () => {
+                this.log(`Done (${(seconds || 0.1).toFixed(3)}s)! For help, type "help"`);
+                this.onReady();
+            }
+        ];
+
+        steps.forEach((step, index) => this.later(seconds * index / (steps.length - 1), () => {
+            if (!this.stopping) step();
+        }));
+    }
+
+    onReady() {
+        this.ready = true;
+        this.readyAt = Date.now();
+        for (const step of this.scenario.steps) {
+            this.later(step.at, () => {
+                if (!this.stopping && !this.hung) this.runStep(step);
+            });
+        }
+    }
+
+    runStep(step) {
+        if (step.join !== undefined) return this.join(step.join);
+        if (step.leave !== undefined) return this.leave(step.leave);
+        if (step.chat !== undefined) return this.chat(step.chat, step.message || 'hello');
+        if (step.advancement !== undefined) {
+            if (!this.players.has(step.advancement)) return;
+            return this.log(`${step.advancement} has made the advancement [${step.title || 'Stone Age'}]`);
+        }
+        if (step.death !== undefined) {
+            if (!this.players.has(step.death)) return;
+            return this.log(`${step.death} ${step.message || 'was slain by Zombie'}`);
+        }
+        if (step.log !== undefined) return this.log(step.log, { level: step.level || 'INFO' });
+        if (step.crash !== undefined) return this.crash(step.crash);
+        if (step.hang) this.hang();
+    }
+
+    join(name) {
+        if (this.players.has(name) || this.players.size >= this.maxPlayers) return;
+        if (this.banned.has(name.toLowerCase())) {
+            return this.log(`Disconnecting ${name} (/127.0.0.1:${40000 + this.entityId}): You are banned from this server.`);
+        }
+
+        const bedrock = this.isBedrock(name);
+        const uuid = playerUuid(name, bedrock);
+        if (bedrock) {
+            const gamertag = name.slice(this.floodgatePrefix.length);
+            this.log(`Player connected with username ${gamertag}`, { logger: 'Geyser-Spigot' });
+            this.log(`${gamertag} (logged in as: ${name}) has connected to the Java server`, { logger: 'Geyser-Spigot' });
+        }
+        this.log(`UUID of player ${name} is ${uuid}`);
+        this.players.set(name, { uuid, bedrock });
+        this.log(`${name}[/127.0.0.1:${40000 + this.entityId}] logged in with entity id ${this.entityId++} at ([${this.levelName}]8.5, 64.0, -3.5)`);
+        this.log(`${name} joined the game`);
+    }
+
+    leave(name, reason = 'Disconnected') {
+        if (!this.players.delete(name)) return;
+        this.log(`${name} lost connection: ${reason}`);
+        this.log(`${name} left the game`);
+    }
+
+    chat(name, message) {
+        if (!this.players.has(name)) return;
+        // Offline-mode servers cannot verify chat signatures
+        const notSecure = this.property('online-mode', 'false') === 'true' ? '' : '[Not Secure] ';
+        this.log(`${notSecure}<${name}> ${message}`);
+    }
+
+    crash(reason) {
+        if (this.stopping) return;
+        this.stopping = true;
+        this.log('Encountered an unexpected exception', { level: 'ERROR' });
+        process.stdout.write([
+            `net.minecraft.ReportedException: ${reason}`,
+            '\tat net.minecraft.server.MinecraftServer.tickChildren(MinecraftServer.java:1758)',
+            '\tat net.minecraft.server.MinecraftServer.tickServer(MinecraftServer.java:1527)',
+            '\tat net.minecraft.server.MinecraftServer.runServer(MinecraftServer.java:1228)',
+            '\tat java.base/java.lang.Thread.run(Thread.java:1583)',
+            ''
+        ].join('\n'));
+        this.log(`This crash report has been saved to: ./crash-reports/crash-${new Date().toISOString().slice(0, 10)}_simulated-server.txt`, { level: 'ERROR' });
+        this.log('Stopping server');
+        this.exit(1, 200);
+    }
+
+    // Keep the process alive but answer nothing - what a deadlocked server looks like
+    hang() {
+        this.hung = true;
+        this.log(`Can't keep up! Is the server overloaded? Running 60000ms or 1200 ticks behind`, { level: 'WARN' });
+    }
+
+    stop(code = 0) {
+        if (this.stopping) return;
+        this.stopping = true;
+        this.log('Stopping the server');
+        this.log('Stopping server');
+        PLUGINS.slice().reverse().forEach(plugin => this.log(`Disabling ${plugin.name} v${plugin.version}`, { logger: plugin.name }));
+        this.log('Saving players');
+        [...this.players.keys()].forEach(name => this.leave(name, 'Server closed'));
+        this.log('Saving worlds');
+        this.log(`Saving chunks for level 'ServerLevel[${this.levelName}]'/minecraft:overworld`);
+        this.log('ThreadedAnvilChunkStorage: All dimensions are saved');
+        this.exit(code, 300);
+    }
+
+    exit(code, delayMs) {
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers.clear();
+        setTimeout(() => {
+            this.listeners.forEach(listener => listener.close());
+            process.exit(code);
+        }, delayMs);
+    }
+
+    onConsoleInput(line) {
+        const command = line.trim().replace(/^\//, '');
+        if (!command || this.hung || this.stopping) return;
+
+        const output = this.runCommand(command, { console: true });
+        if (output) {
+            output.split('\n').forEach(text => this.log(text));
+        }
+    }
+
+    // Vanilla and Paper commands the manager relies on, plus "sim ..." to trigger scenario
+    // steps by hand. Returns the reply (RCON sends it back, the console logs it).
+    runCommand(command, { console = false } = {}) {
+        const [name, ...args] = command.split(/\s+/);
+        const rest = command.slice(name.length).trim();
+        const online = [...this.players.keys()];
+
+        switch (name.toLowerCase()) {
+            case 'list':
+                return `There are ${online.length} of a max of ${this.maxPlayers} players online: ${online.join(', ')}`;
+            case 'say':
+                this.log(`[Server] ${rest}`);
+                return '';
+            case 'tellraw':
+            case 'title':
+                return '';
+            case 'save-all':
+                this.log('Saving the game (this may take a moment!)');
+                this.log('Saved the game');
+                return console ? '' : 'Saved the game';
+            case 'save-off':
+                return 'Automatic saving is now disabled';
+            case 'save-on':
+                return 'Automatic saving is now enabled';
+            case 'stop':
+                setImmediate(() => this.stop(0));
+                return '';
+            case 'tps':
+                return '§6TPS from last 1m, 5m, 15m: §a20.0, §a20.0, §a20.0';
+            case 'mspt': {
+                const avg = (1.5 + this.players.size * 0.8).toFixed(1);
+                return `§6Server tick times §e(§7avg§e/§7min§e/§7max§e)§6 from last 5s§7,§6 10s§7,§6 1m§e:\n§6◴ §a${avg}§7/§a0.6§7/§a4.2§7, §a${avg}§7/§a0.6§7/§a6.8§7, §a${avg}§7/§a0.5§7/§a12.3`;
+            }
+            case 'version':
+                return `This server is running Paper version ${MINECRAFT_VERSION}-${PAPER_BUILD}-master@simulated (Implementing API version ${MINECRAFT_VERSION}-R0.1-SNAPSHOT)`;
+            case 'kick': {
+                if (!this.players.has(args[0])) return 'No player was found';
+                const reason = args.slice(1).join(' ') || 'Kicked by an operator';
+                this.leave(args[0], reason);
+                return `Kicked ${args[0]}: ${reason}`;
+            }
+            case 'ban':
+                if (!args[0]) return 'Unknown or incomplete command, see below for error';
+                this.banned.add(args[0].toLowerCase());
+                if (this.players.has(args[0])) this.leave(args[0], 'You are banned from this server.');
+                return `Banned ${args[0]}: ${args.slice(1).join(' ') || 'Banned by an operator.'}`;
+            case 'pardon':
+                return this.banned.delete((args[0] || '').toLowerCase()) ? `Unbanned ${args[0]}` : 'Nothing changed. The player isn\'t banned';
+            case 'op':
+                this.operators.add(args[0]);
+                return `Made ${args[0]} a server operator`;
+            case 'deop':
+                return this.operators.delete(args[0]) ? `Made ${args[0]} no longer a server operator` : 'Nothing changed. The player is not an operator';
+            case 'whitelist':
+                return this.whitelistCommand(args);
+            case 'sim':
+                return this.simCommand(args);
+            default:
+                return `Unknown or incomplete command, see below for error\n${command}<--[HERE]`;
+        }
+    }
+
+    whitelistCommand([action, player]) {
+        switch (action) {
+            case 'add':
+                this.whitelist.add(player);
+                return `Added ${player} to the whitelist`;
+            case 'remove':
+                this.whitelist.delete(player);
+                return `Removed ${player} from the whitelist`;
+            case 'on':
+                return 'Whitelist is now turned on';
+            case 'off':
+                return 'Whitelist is now turned off';
+            case 'reload':
+                return 'Reloaded the whitelist';
+            case 'list':
+                return `There are ${this.whitelist.size} whitelisted player(s): ${[...this.whitelist].join(', ')}`;
+            default:
+                return 'Unknown or incomplete command, see below for error';
+        }
+    }
+
+    simCommand([action, name, ...words]) {
+        const usage = 'Usage: sim join|leave <player> | sim chat <player> <message> | sim death <player> | sim crash [reason] | sim hang';
+        switch (action) {
+            case 'join':
+            case 'leave':
+            case 'death':
+                if (!name || !PLAYER_NAME_PATTERN.test(name)) return usage;
+                this.runStep({ [action]: name });
+                return '';
+            case 'chat':
+                if (!name || words.length === 0) return usage;
+                this.chat(name, words.join(' '));
+                return '';
+            case 'crash':
+                setImmediate(() => this.crash([name, ...words].filter(Boolean).join(' ') || 'java.lang.IllegalStateException: Simulated crash'));
+                return '';
+            case 'hang':
+                this.hang();
+                return '';
+            default:
+                return usage;
+        }
+    }
+
+    // "Starting Minecraft server on ..." - a taken port ends the startup like it does for Paper
+    bindJava() {
+        const ip = this.property('server-ip', '0.0.0.0');
+        this.log(`Starting Minecraft server on ${ip === '0.0.0.0' ? '*' : ip}:${this.javaPort}`);
+
+        const server = net.createServer(socket => this.handleJavaConnection(socket));
+        server.once('error', (error) => {
+            this.log('**** FAILED TO BIND TO PORT!', { level: 'WARN' });
+            this.log(`The exception was: io.netty.channel.unix.Errors$NativeIoException: bind(..) failed: ${error.code === 'EADDRINUSE' ? 'Address already in use' : error.message}`, { level: 'WARN' });
+            this.log('Perhaps a server is already running on that port?', { level: 'WARN' });
+            this.stop(1);
+        });
+        server.listen(this.javaPort, ip);
+        this.listeners.push(server);
+    }
+
+    // Server List Ping (status) and a polite refusal for logins
+    handleJavaConnection(socket) {
+        let buffer = Buffer.alloc(0);
+        let state = null;
+        socket.setTimeout(10000, () => socket.destroy());
+        socket.on('error', () => { });
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            try {
+                while (buffer.length > 0) {
+                    const length = readVarInt(buffer, 0);
+                    if (!length || buffer.length < length.size + length.value) return;
+
+                    const packet = buffer.subarray(length.size, length.size + length.value);
+                    buffer = buffer.subarray(length.size + length.value);
+                    const id = readVarInt(packet, 0);
+
+                    if (state === null && id.value === 0x00) {
+                        // Handshake: protocol, address, port, then the next state
+                        let offset = id.size;
+                        offset += readVarInt(packet, offset).size;
+                        const host = readVarInt(packet, offset);
+                        offset += host.size + host.value + 2;
+                        state = readVarInt(packet, offset).value;
+                        if (state === 2) {
+                            const reason = JSON.stringify({ text: 'This is a simulated server - there is no world to join' });
+                            socket.end(mcPacket(0x00, mcString(reason)));
+                            return;
+                        }
+                    } else if (state === 1 && id.value === 0x00) {
+                        if (this.hung) return;
+                        socket.write(mcPacket(0x00, mcString(JSON.stringify(this.getStatus()))));
+                    } else if (state === 1 && id.value === 0x01) {
+                        if (this.hung) return;
+                        socket.end(mcPacket(0x01, packet.subarray(id.size)));
+                    } else {
+                        socket.destroy();
+                        return;
+                    }
+                }
+            } catch {
+                socket.destroy();
+            }
+        });
+    }
+
+    getStatus() {
+        return {
+            version: { name: `Paper ${MINECRAFT_VERSION}`, protocol: PROTOCOL_VERSION },
+            players: {
+                max: this.maxPlayers,
+                online: this.players.size,
+                sample: [...this.players].slice(0, 12).map(([name, { uuid }]) => ({ name, id: uuid }))
+            },
+            description: { text: this.motd },
+            enforcesSecureChat: false
+        };
+    }
+
+    bindBedrock() {
+        const port = this.bedrockPort;
+        const socket = dgram.createSocket('udp4');
+        const guid = BigInt(`0x${crypto.createHash('md5').update(String(port)).digest('hex').slice(0, 15)}`);
+
+        socket.on('message', (message, remote) => {
+            // Unconnected ping (0x01/0x02): time, magic, client GUID
+            if (this.hung || (message[0] !== 0x01 && message[0] !== 0x02) || message.length < 25) return;
+
+            const id = [
+                'MCPE', stripFormatting(this.motd), BEDROCK_PROTOCOL, BEDROCK_VERSION, this.players.size, this.maxPlayers,
+                guid.toString(), 'Geyser', 'Survival', 1, port, port + 1, ''
+            ].join(';');
+            const text = Buffer.from(id, 'utf8');
+            const pong = Buffer.alloc(35);
+            pong[0] = 0x1c;
+            message.copy(pong, 1, 1, 9);
+            pong.writeBigInt64BE(guid, 9);
+            message.copy(pong, 17, 9, 25);
+            pong.writeUInt16BE(text.length, 33);
+            socket.send(Buffer.concat([pong, text]), remote.port, remote.address);
+        });
+        socket.once('error', error => this.log(`Failed to start Geyser on 0.0.0.0:${port}: ${error.message}`, { level: 'ERROR', logger: 'Geyser-Spigot' }));
+        socket.bind(port, () => {
+            this.log(`Started Geyser on 0.0.0.0:${port}`, { logger: 'Geyser-Spigot' });
+            this.log('Done (0.412s)! Run /geyser help for help!', { logger: 'Geyser-Spigot' });
+        });
+        this.listeners.push(socket);
+    }
+
+    // GS4 query (basic and full stat) when enable-query is on
+    bindQuery() {
+        if (this.property('enable-query', 'false') !== 'true') return;
+
+        const port = Number(this.property('query.port', this.javaPort));
+        const socket = dgram.createSocket('udp4');
+        const token = crypto.randomInt(1, 0x7fffffff);
+        this.log('Starting GS4 status listener');
+
+        socket.on('message', (message, remote) => {
+            if (this.hung || message.length < 7 || message[0] !== 0xfe || message[1] !== 0xfd) return;
+            const session = message.subarray(3, 7);
+            const send = (...parts) => socket.send(Buffer.concat(parts), remote.port, remote.address);
+
+            if (message[2] === 0x09) {
+                return send(Buffer.from([0x09]), session, Buffer.from(`${token}\0`));
+            }
+            if (message[2] !== 0x00 || message.length < 11 || message.readInt32BE(7) !== token) return;
+
+            const motd = stripFormatting(this.motd);
+            if (message.length < 15) {
+                const port16 = Buffer.alloc(2);
+                port16.writeUInt16LE(this.javaPort);
+                return send(Buffer.from([0x00]), session,
+                    Buffer.from(`${motd}\0SMP\0${this.levelName}\0${this.players.size}\0${this.maxPlayers}\0`), port16, Buffer.from('0.0.0.0\0'));
+            }
+
+            const plugins = `Paper on ${MINECRAFT_VERSION}: ${PLUGINS.map(plugin => `${plugin.name} ${plugin.version}`).join('; ')}`;
+            const fields = [
+                'hostname', motd, 'gametype', 'SMP', 'game_id', 'MINECRAFT', 'version', MINECRAFT_VERSION,
+                'plugins', plugins, 'map', this.levelName, 'numplayers', String(this.players.size),
+                'maxplayers', String(this.maxPlayers), 'hostport', String(this.javaPort), 'hostip', '0.0.0.0'
+            ];
+            send(Buffer.from([0x00]), session, Buffer.from('splitnum\0\x80\0', 'latin1'),
+                Buffer.from(`${fields.join('\0')}\0\0`), Buffer.from('\x01player_\0\0', 'latin1'),
+                Buffer.from([...this.players.keys()].map(name => `${name}\0`).join('') + '\0'));
+        });
+        socket.once('error', error => this.log(`Unable to initialise query system on 0.0.0.0:${port}: ${error.message}`, { level: 'WARN' }));
+        socket.bind(port, () => {
+            this.log('Thread Query Listener started');
+            this.log(`Query running on 0.0.0.0:${port}`);
+        });
+        this.listeners.push(socket);
+    }
+
+    // Source RCON, as Minecraft implements it, when enable-rcon is on
+    bindRcon() {
+        if (this.property('enable-rcon', 'false') !== 'true') return;
+
+        const port = Number(this.property('rcon.port', 25575));
+        const password = this.property('rcon.password', '');
+        this.log('Starting remote control listener');
+
+        const server = net.createServer((socket) => {
+            let buffer = Buffer.alloc(0);
+            let authenticated = false;
+            const send = (id, type, body) => {
+                const payload = Buffer.from(body, 'utf8');
+                const packet = Buffer.alloc(14 + payload.length);
+                packet.writeInt32LE(10 + payload.length, 0);
+                packet.writeInt32LE(id, 4);
+                packet.writeInt32LE(type, 8);
+                payload.copy(packet, 12);
+                socket.write(packet);
+            };
+
+            socket.on('error', () => { });
+            socket.on('data', (data) => {
+                buffer = Buffer.concat([buffer, data]);
+                while (buffer.length >= 4) {
+                    const length = buffer.readInt32LE(0);
+                    if (length < 10 || length > 4096 + 10) return socket.destroy();
+                    if (buffer.length < length + 4) return;
+
+                    const id = buffer.readInt32LE(4);
+                    const type = buffer.readInt32LE(8);
+                    const body = buffer.toString('utf8', 12, length + 2);
+                    buffer = buffer.subarray(length + 4);
+
+                    if (this.hung) continue;
+                    if (type === 3) {
+                        authenticated = !!password && body === password;
+                        send(authenticated ? id : -1, 2, '');
+                    } else if (!authenticated) {
+                        socket.destroy();
+                    } else if (type === 2) {
+                        send(id, 0, this.runCommand(body));
+                    } else {
+                        send(id, 0, `Unknown request ${type.toString(16)}`);
+                    }
+                }
+            });
+        });
+        server.once('error', error => this.log(`Unable to initialise RCON on 0.0.0.0:${port}: ${error.message}`, { level: 'WARN' }));
+        server.listen(port, () => {
+            this.log('Thread RCON Listener started');
+            this.log(`RCON running on 0.0.0.0:${port}`);
+        });
+        this.listeners.push(server);
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        options[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return options;
+}
+
+// node lib/simulator.js --scenario <name> | --scenario-file <path> [--startup-seconds N]
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    try {
+        const scenario = loadScenario({ scenario: options.scenario || 'idle', scenarioFile: options['scenario-file'] || '' });
+        const startupSeconds = Number(options['startup-seconds'] ?? DEFAULT_SIMULATION_CONFIG.startupSeconds);
+        new SimulatedServer({ scenario, startupSeconds }).start();
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    DEFAULT_SIMULATION_CONFIG,
+    SIMULATION_SCENARIOS,
+    validateScenario,
+    loadScenario,
+    getSimulatorLaunch
+};
@@ -0,0 +1,673 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { LineSplitter } = require('./logparser');
+
+const TUNNEL_PROVIDERS = ['playit', 'cloudflared', 'frp', 'manual', 'none'];
+
+const DEFAULT_TUNNEL_CONFIG = {
+    provider: 'playit',
+    autoStart: true
+};
+
+// Per-provider settings, each stored in the config section named after the provider
+const DEFAULT_PROVIDER_CONFIG = {
+    playit: { path: '' },
+    cloudflared: { path: '', token: '', hostname: '' },
+    frp: { path: '', serverAddr: '', serverPort: 7000, token: '', publicHost: '' },
+    manual: { host: '' }
+};
+
+// An existing file we may execute (on Windows, X_OK only checks that it exists)
+function isExecutable(filePath) {
+    try {
+        fs.accessSync(filePath, fs.constants.X_OK);
+        return fs.statSync(filePath).isFile();
+    } catch {
+        return false;
+    }
+}
+
+// Agents redraw their status with terminal escape codes
+function stripAnsi(text) {
+    return text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+}
+
+// Something that makes the servers reachable from the internet. Providers keep the
+// public address of each local port they forward and report a health state:
+// stopped, starting, connected, static or error.
+class TunnelProvider {
+    constructor(tunnels, name, label) {
+        this.tunnels = tunnels;
+        this.manager = tunnels.manager;
+        this.name = name;
+        this.label = label;
+        this.addresses = new Map();
+        this.state = 'stopped';
+        this.message = null;
+    }
+
+    get settings() {
+        return { ...DEFAULT_PROVIDER_CONFIG[this.name], ...(this.manager.config[this.name] || {}) };
+    }
+
+    // { available, reason } - whether the provider can be started at all
+    detect() {
+        return { available: true, reason: null };
+    }
+
+    // Make sure `instance` is reachable
+    start(instance) { }
+
+    // `instance` stopped; `others` are the instances still running
+    release(instance, others) { }
+
+    stop() { }
+
+    // Last resort on exit
+    kill() { }
+
+    get running() {
+        return false;
+    }
+
+    // Whether players (and our reachability probes) can connect to the addresses directly
+    get probeable() {
+        return true;
+    }
+
+    getAddresses(instance) {
+        return {
+            java: this.addresses.get(instance.javaPort) || null,
+            bedrock: this.addresses.get(instance.bedrockPort) || null
+        };
+    }
+
+    // How players connect, shown next to the addresses
+    getNote() {
+        return `${this.label} tunneling`;
+    }
+
+    getHealth() {
+        return { state: this.state, message: this.message };
+    }
+
+    setState(state, message = null) {
+        this.state = state;
+        this.message = message;
+    }
+
+    setAddress(port, address) {
+        if (this.addresses.get(port) === address) return;
+        this.addresses.set(port, address);
+        this.tunnels.onAddress(this, port, address);
+    }
+
+    log(message, type = 'info') {
+        this.manager.broadcastLog(message, type);
+    }
+}
+
+// A tunnel client run as a child process. Most providers need one agent for every
+// server; some need one per server, so agents are kept by key.
+class AgentTunnelProvider extends TunnelProvider {
+    constructor(tunnels, name, label, binary) {
+        super(tunnels, name, label);
+        this.binary = binary;
+        this.binaryPath = null;
+        this.agents = new Map();
+    }
+
+    detect() {
+        const configured = this.settings.path;
+        if (configured) {
+            // The path can be set from the panel; only ever run the provider's own client
+            if (!path.basename(configured).toLowerCase().startsWith(this.binary)) {
+                return this.unavailable(`${this.name}.path must point to the ${this.binary} executable`);
+            }
+            return this.isRunnable(configured) ? this.found(configured) : this.unavailable(`${configured} cannot be run`);
+        }
+
+        for (const candidate of [`./${this.binary}.exe`, `./${this.binary}`, `${this.binary}.exe`, this.binary]) {
+            if (this.isRunnable(candidate)) {
+                return this.found(candidate);
+            }
+        }
+        return this.unavailable(`${this.label} is not installed`);
+    }
+
+    found(binaryPath) {
+        this.binaryPath = binaryPath;
+        return { available: true, reason: null, path: binaryPath };
+    }
+
+    unavailable(reason) {
+        this.binaryPath = null;
+        return { available: false, reason };
+    }
+
+    // Only looks the file up: running the agent to probe it would block the manager, and some
+    // agents ignore --version and keep running. A client that still fails is reported by spawn.
+    isRunnable(candidate) {
+        if (candidate.includes('/') || candidate.includes('\\')) {
+            return isExecutable(candidate);
+        }
+        // Bare names are looked up on PATH, like spawn does
+        return (process.env.PATH || '').split(path.delimiter)
+            .filter(Boolean)
+            .some(directory => isExecutable(path.join(directory, candidate)));
+    }
+
+    get running() {
+        return this.agents.size > 0;
+    }
+
+    spawnAgent(key, args, { env = {} } = {}) {
+        const child = spawn(this.binaryPath, args, {
+            stdio: ['pipe', 'pipe', 'pipe'],
+            env: { ...process.env, ...env },
+            windowsHide: true
+        });
+        const agent = { process: child, stopping: false };
+        this.agents.set(key, agent);
+
+        const stdoutLines = new LineSplitter(line => this.handleLine(stripAnsi(line).trim(), 'stdout', key));
+        const stderrLines = new LineSplitter(line => this.handleLine(stripAnsi(line).trim(), 'stderr', key));
+        child.stdout.on('data', data => stdoutLines.push(data));
+        child.stderr.on('data', data => stderrLines.push(data));
+
+        child.on('error', (error) => {
+            this.log(`❌ Failed to start ${this.label} tunnel: ${error.message}`, 'error');
+        });
+
+        child.on('close', (code, signal) => {
+            stdoutLines.flush();
+            stderrLines.flush();
+            if (this.agents.get(key) === agent) {
+                this.agents.delete(key);
+            }
+            const exit = signal ? `was stopped (${signal})` : `exited with code ${code}`;
+            this.log(`🌐 ${this.label} agent ${exit}`, code === 0 || agent.stopping ? 'info' : 'error');
+            if (!agent.stopping) {
+                this.onAgentExit(key, exit);
+            }
+        });
+        return agent;
+    }
+
+    stopAgent(key) {
+        const agent = this.agents.get(key);
+        if (!agent) return;
+        agent.stopping = true;
+        agent.process.kill('SIGTERM');
+        this.agents.delete(key);
+    }
+
+    stop() {
+        if (this.agents.size === 0) return;
+        this.log(`🌐 Stopping ${this.label}...`, 'info');
+        for (const key of [...this.agents.keys()]) {
+            this.stopAgent(key);
+        }
+        this.reset();
+    }
+
+    kill() {
+        for (const agent of this.agents.values()) {
+            agent.process.kill('SIGKILL');
+        }
+    }
+
+    // An agent that exits on its own takes its addresses with it
+    onAgentExit(key, exit) {
+        if (this.agents.size === 0) {
+            this.reset();
+        }
+        this.setState('error', `${this.label} ${exit}`);
+    }
+
+    reset() {
+        this.addresses.clear();
+        this.setState('stopped');
+    }
+
+    handleLine(line, stream, key) { }
+}
+
+// Playit.gg: one agent serves the tunnels of every instance, which are created on playit.gg
+class PlayitProvider extends AgentTunnelProvider {
+    constructor(tunnels) {
+        super(tunnels, 'playit', 'Playit.gg', 'playit');
+        this.setupUrl = null;
+        this.approved = false;
+    }
+
+    start() {
+        if (this.agents.has('agent')) return;
+
+        this.log('🌐 Starting Playit.gg tunnels for public access...', 'info');
+        this.setState('starting');
+        this.spawnAgent('agent', []);
+    }
+
+    // Keep the agent running while any instance still needs it
+    release(instance, others) {
+        if (others.length === 0) {
+            this.stop();
+        }
+    }
+
+    reset() {
+        super.reset();
+        this.approved = false;
+    }
+
+    handleLine(line, stream) {
+        if (!line) return;
+        if (stream === 'stderr') {
+            this.log(`[PLAYIT ERROR]: ${line}`, 'error');
+            return;
+        }
+
+        const setupUrl = line.match(/Visit link to setup (https:\/\/playit\.gg\/claim\/[a-zA-Z0-9]+)/)?.[1];
+        if (setupUrl && setupUrl !== this.setupUrl) {
+            this.setupUrl = setupUrl;
+            this.setState('starting', 'Waiting for the agent to be claimed on playit.gg');
+            this.log('[PLAYIT]: Setup required - Click "Setup Instructions" button for help', 'warn');
+        }
+
+        if (line.includes('Program approved') && !this.approved) {
+            this.approved = true;
+            this.log('[PLAYIT]: Program approved - Setting up tunnels...', 'success');
+        }
+
+        const tunnel = line.match(/^(.+?)\s+=>\s+127\.0\.0\.1:(\d+)/);
+        if (tunnel) {
+            if (this.state !== 'connected') {
+                this.setState('connected');
+                this.log('[PLAYIT]: Tunnels detected and active!', 'success');
+            }
+            this.setAddress(Number(tunnel[2]), tunnel[1].trim());
+        }
+    }
+
+    getHealth() {
+        return { ...super.getHealth(), setupUrl: this.setupUrl };
+    }
+}
+
+// Cloudflare Tunnel. With a token, one connector runs the tunnel set up in the Cloudflare
+// dashboard and `hostname` ("{instance}" is replaced by the instance id) is its address.
+// Without one, each server gets a temporary trycloudflare.com quick tunnel.
+// Cloudflare only forwards TCP, so Bedrock (UDP) cannot be reached this way.
+class CloudflaredProvider extends AgentTunnelProvider {
+    constructor(tunnels) {
+        super(tunnels, 'cloudflared', 'Cloudflare Tunnel', 'cloudflared');
+        this.quickTunnelPorts = new Map();
+    }
+
+    get named() {
+        return !!this.settings.token;
+    }
+
+    // Clients need cloudflared on their side to connect
+    get probeable() {
+        return false;
+    }
+
+    detect() {
+        const result = super.detect();
+        if (result.available && this.named && !this.settings.hostname) {
+            return this.unavailable('cloudflared.hostname is required with a tunnel token');
+        }
+        return result;
+    }
+
+    start(instance) {
+        if (this.named) {
+            if (this.agents.has('connector')) return;
+            this.log('🌐 Starting Cloudflare Tunnel connector...', 'info');
+            this.setState('starting');
+            // The token is passed in the environment so it does not show up in process lists
+            this.spawnAgent('connector', ['tunnel', '--no-autoupdate', 'run'], { env: { TUNNEL_TOKEN: this.settings.token } });
+            return;
+        }
+
+        if (this.agents.has(instance.id)) return;
+        instance.broadcastLog(`🌐 Starting Cloudflare quick tunnel for port ${instance.javaPort}...`, 'info');
+        this.setState('starting');
+        this.quickTunnelPorts.set(instance.id, instance.javaPort);
+        this.spawnAgent(instance.id, ['tunnel', '--no-autoupdate', '--url', `tcp://localhost:${instance.javaPort}`]);
+    }
+
+    release(instance, others) {
+        if (this.named) {
+            if (others.length === 0) this.stop();
+            return;
+        }
+        this.stopAgent(instance.id);
+        this.addresses.delete(this.quickTunnelPorts.get(instance.id));
+        this.quickTunnelPorts.delete(instance.id);
+        if (this.agents.size === 0) this.reset();
+    }
+
+    onAgentExit(key, exit) {
+        this.addresses.delete(this.quickTunnelPorts.get(key));
+        this.quickTunnelPorts.delete(key);
+        super.onAgentExit(key, exit);
+    }
+
+    getAddresses(instance) {
+        if (!this.named) {
+            return { java: this.addresses.get(instance.javaPort) || null, bedrock: null };
+        }
+        // Without "{instance}" the hostname belongs to the default instance
+        const hostname = this.settings.hostname;
+        const templated = hostname.includes('{instance}');
+        const connected = this.state === 'connected';
+        return {
+            java: connected && (templated || instance.id === 'default') ? hostname.replace(/\{instance\}/g, instance.id) : null,
+            bedrock: null
+        };
+    }
+
+    getNote() {
+        return 'Java only - players connect with "cloudflared access tcp --hostname <address> --url localhost:25565"';
+    }
+
+    handleLine(line, stream, key) {
+        if (!line) return;
+
+        if (/\bERR\b/.test(line)) {
+            this.log(`[CLOUDFLARED]: ${line.replace(/^\S+\s+ERR\s+/, '')}`, 'error');
+        }
+
+        if (this.named && line.includes('Registered tunnel connection') && this.state !== 'connected') {
+            this.setState('connected');
+            this.log(`[CLOUDFLARED]: Tunnel connected - ${this.settings.hostname}`, 'success');
+            return;
+        }
+
+        const quickTunnel = line.match(/https:\/\/([a-z0-9-]+\.trycloudflare\.com)/);
+        if (quickTunnel && this.quickTunnelPorts.has(key)) {
+            this.setState('connected');
+            this.setAddress(this.quickTunnelPorts.get(key), quickTunnel[1]);
+        }
+    }
+}
+
+// frp (fast reverse proxy): frpc connects to a self-hosted frps and forwards every running
+// server's Java (TCP) and Bedrock (UDP) port to the same port on the frps host
+class FrpProvider extends AgentTunnelProvider {
+    constructor(tunnels) {
+        super(tunnels, 'frp', 'frp', 'frpc');
+        this.served = new Map();
+        this.configPath = path.join('./data', 'frpc.toml');
+    }
+
+    detect() {
+        if (!this.settings.serverAddr) {
+            return this.unavailable('frp.serverAddr is not set');
+        }
+        return super.detect();
+    }
+
+    start(instance) {
+        if (this.served.has(instance.id)) return;
+        this.served.set(instance.id, instance);
+        this.restart();
+    }
+
+    release(instance) {
+        if (!this.served.delete(instance.id)) return;
+        this.addresses.delete(instance.javaPort);
+        this.addresses.delete(instance.bedrockPort);
+        if (this.served.size === 0) {
+            this.stop();
+        } else {
+            this.restart();
+        }
+    }
+
+    stop() {
+        this.served.clear();
+        super.stop();
+    }
+
+    // frpc reads its proxies once, so a changed set of servers means a new agent
+    restart() {
+        this.stopAgent('frpc');
+        this.writeConfig();
+        this.log(`🌐 Starting frp tunnels to ${this.settings.serverAddr} for ${[...this.served.keys()].join(', ')}...`, 'info');
+        this.setState('starting');
+        this.spawnAgent('frpc', ['-c', this.configPath]);
+    }
+
+    writeConfig() {
+        const settings = this.settings;
+        // JSON strings are valid TOML basic strings
+        const lines = [
+            `serverAddr = ${JSON.stringify(settings.serverAddr)}`,
+            `serverPort = ${settings.serverPort}`,
+            ...(settings.token ? [`auth.token = ${JSON.stringify(settings.token)}`] : []),
+            'loginFailExit = false'
+        ];
+        for (const instance of this.served.values()) {
+            for (const [edition, type, port] of [['java', 'tcp', instance.javaPort], ['bedrock', 'udp', instance.bedrockPort]]) {
+                lines.push(
+                    '',
+                    '[[proxies]]',
+                    `name = "${instance.id}-${edition}"`,
+                    `type = "${type}"`,
+                    'localIP = "127.0.0.1"',
+                    `localPort = ${port}`,
+                    `remotePort = ${port}`
+                );
+            }
+        }
+
+        fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+        // Holds the frps token
+        fs.writeFileSync(this.configPath, `${lines.join('\n')}\n`, { mode: 0o600 });
+    }
+
+    getNote() {
+        return `frp tunneling via ${this.settings.publicHost || this.settings.serverAddr}`;
+    }
+
+    handleLine(line) {
+        if (!line) return;
+
+        const proxy = line.match(/\[([a-z0-9_-]+)-(java|bedrock)\] start (proxy success|error: (.+))$/);
+        if (proxy) {
+            const instance = this.served.get(proxy[1]);
+            if (!instance) return;
+            const port = proxy[2] === 'java' ? instance.javaPort : instance.bedrockPort;
+            if (proxy[4]) {
+                instance.broadcastLog(`[FRP]: ${proxy[2] === 'java' ? 'Java' : 'Bedrock'} tunnel failed: ${proxy[4]}`, 'error');
+                this.setState('error', proxy[4]);
+                return;
+            }
+            this.setState('connected');
+            this.setAddress(port, `${this.settings.publicHost || this.settings.serverAddr}:${port}`);
+            return;
+        }
+
+        const loginError = line.match(/login to (?:the )?server failed: (.+)$/i);
+        if (loginError) {
+            this.setState('error', loginError[1]);
+            this.log(`[FRP]: Could not connect to ${this.settings.serverAddr}: ${loginError[1]}`, 'error');
+        } else if (/\[[EW]\]/.test(line)) {
+            this.log(`[FRP]: ${line}`, 'warn');
+        }
+    }
+}
+
+// No agent: the ports are forwarded on the router (or the host has a public address),
+// so players use `host` (the detected public IP when empty) with the server's own ports
+class ManualProvider extends TunnelProvider {
+    constructor(tunnels) {
+        super(tunnels, 'manual', 'Static address');
+    }
+
+    get host() {
+        return this.settings.host || this.manager.publicIP;
+    }
+
+    getAddresses(instance) {
+        const host = this.host;
+        return {
+            java: host ? `${host}:${instance.javaPort}` : null,
+            bedrock: host ? `${host}:${instance.bedrockPort}` : null
+        };
+    }
+
+    getNote() {
+        return 'Forward these ports on your router';
+    }
+
+    getHealth() {
+        return this.host
+            ? { state: 'static', message: `Port forwarding to ${this.host}` }
+            : { state: 'error', message: 'No public IP detected - set manual.host' };
+    }
+}
+
+// Picks the provider from config.tunnel and keeps the rest of the manager
+// independent of which one is in use
+class TunnelManager {
+    constructor(manager) {
+        this.manager = manager;
+        this.providers = {
+            playit: new PlayitProvider(this),
+            cloudflared: new CloudflaredProvider(this),
+            frp: new FrpProvider(this),
+            manual: new ManualProvider(this)
+        };
+
+        const provider = this.provider;
+        if (!provider) {
+            this.manager.broadcastLog('🏠 No tunnel provider configured - Servers will only be available locally/LAN', 'info');
+            return;
+        }
+
+        this.detection = provider.detect();
+        if (this.detection.available) {
+            console.log(`✅ ${provider.label} found${this.detection.path ? ` at: ${this.detection.path}` : ''}`);
+            this.manager.broadcastLog(`✅ ${provider.label} is available - Public tunneling available!`, 'success');
+        } else {
+            console.log(`❌ ${this.detection.reason} - Server won't be available to the internet`);
+            this.manager.broadcastLog(`❌ ${this.detection.reason} - Server won't be available to the internet`, 'warn');
+            if (provider.name === 'playit') {
+                console.log('📥 For downloading Playit.gg go here: https://playit.gg/download');
+                this.manager.broadcastLog('📥 Download Playit.gg from: https://playit.gg/download', 'info');
+            }
+        }
+    }
+
+    get config() {
+        return { ...DEFAULT_TUNNEL_CONFIG, ...(this.manager.config.tunnel || {}) };
+    }
+
+    // null when tunneling is off ("none")
+    get provider() {
+        return this.providers[this.config.provider] || null;
+    }
+
+    start(instance) {
+        const provider = this.provider;
+
+        // Agents of a provider that was switched away from since they started
+        for (const other of Object.values(this.providers)) {
+            if (other !== provider) other.stop();
+        }
+
+        if (!provider) {
+            instance.broadcastLog('🏠 No tunnel provider configured - Server will only be available locally/LAN', 'info');
+            return;
+        }
+
+        this.detection = provider.detect();
+        if (!this.detection.available) {
+            instance.broadcastLog(`⚠️ ${this.detection.reason} - Server will only be available locally/LAN`, 'warn');
+            return;
+        }
+        provider.start(instance);
+    }
+
+    release(instance) {
+        const others = [...this.manager.instances.values()]
+            .filter(other => other !== instance && other.minecraftProcess);
+        this.provider?.release(instance, others);
+    }
+
+    // Stop and start again for every running server, e.g. after changing tunnel settings
+    restart() {
+        this.stop();
+        for (const instance of this.manager.instances.values()) {
+            if (instance.minecraftProcess) this.start(instance);
+        }
+    }
+
+    stop() {
+        for (const provider of Object.values(this.providers)) {
+            provider.stop();
+        }
+    }
+
+    kill() {
+        for (const provider of Object.values(this.providers)) {
+            provider.kill();
+        }
+    }
+
+    getAddresses(instance) {
+        return this.provider?.getAddresses(instance) || { java: null, bedrock: null };
+    }
+
+    // The public addresses for /status.connections, or null without a provider
+    getConnections(instance) {
+        const provider = this.provider;
+        if (!provider) return null;
+        return {
+            provider: provider.name,
+            label: provider.label,
+            ...this.getAddresses(instance),
+            note: provider.getNote()
+        };
+    }
+
+    getStatus() {
+        const provider = this.provider;
+        if (!provider) {
+            return { provider: 'none', label: null, autoStart: this.config.autoStart, available: false, running: false, state: 'disabled', message: null };
+        }
+        return {
+            provider: provider.name,
+            label: provider.label,
+            autoStart: this.config.autoStart,
+            available: this.detection?.available ?? false,
+            reason: this.detection?.reason || null,
+            running: provider.running,
+            ...provider.getHealth()
+        };
+    }
+
+    onAddress(provider, port, address) {
+        const instance = [...this.manager.instances.values()]
+            .find(candidate => candidate.javaPort === port || candidate.bedrockPort === port);
+        const edition = instance ? (instance.javaPort === port ? 'java' : 'bedrock') : null;
+        this.manager.webhooks.dispatch('tunnel', { address, port, edition, provider: provider.name }, instance?.id || null);
+        this.manager.extensions.emit('tunnel-address', { instance: instance?.id || null, address, port, edition, provider: provider.name });
+
+        if (!instance) {
+            this.manager.broadcastLog(`🌐 Tunnel ready: ${address} => port ${port}`, 'info');
+        } else if (edition === 'java') {
+            instance.broadcastLog(`🎮 Java tunnel ready: ${address}`, 'success');
+        } else {
+            instance.broadcastLog(`📱 Bedrock tunnel ready: ${address}`, 'success');
+        }
+    }
+}
+
+module.exports = { TunnelManager, TunnelProvider, TUNNEL_PROVIDERS, DEFAULT_TUNNEL_CONFIG, DEFAULT_PROVIDER_CONFIG };
@@ -0,0 +1,265 @@
+const DEFAULT_WATCHDOG_CONFIG = {
+    enabled: false,
+    maxRestarts: 5,
+    windowMinutes: 30,
+    initialDelaySeconds: 10,
+    maxDelaySeconds: 300,
+    healthCheckIntervalSeconds: 60,
+    healthCheckTimeoutSeconds: 30,
+    failedChecksBeforeRestart: 2,
+    startupTimeoutSeconds: 600
+};
+
+const MAX_CRASH_HISTORY = 10;
+
+// Supervises the Minecraft process: restarts it after unexpected exits with
+// exponential backoff, and kills it when it hangs so it can be restarted.
+class Watchdog {
+    constructor(server) {
+        this.server = server;
+        this.restartTimer = null;
+        this.healthTimer = null;
+        this.nextRestartAt = null;
+        this.restartTimes = [];
+        this.totalRestarts = 0;
+        this.crashes = [];
+        this.recentErrors = [];
+        this.failedChecks = 0;
+        this.lastOutputAt = null;
+        this.lastHealthCheck = null;
+        this.hangReason = null;
+        this.spawnError = null;
+        this.gaveUp = false;
+        this.restarting = false;
+    }
+
+    get config() {
+        return { ...DEFAULT_WATCHDOG_CONFIG, ...(this.server.config.watchdog || {}) };
+    }
+
+    log(message, type = 'info') {
+        this.server.broadcastLog(message, type);
+    }
+
+    emitUpdate() {
+        this.server.emit('watchdog-update', this.getStatus());
+    }
+
+    // Called by the server whenever a process is spawned
+    onStart() {
+        // A manual start gives the watchdog a fresh restart budget
+        if (!this.restarting) {
+            this.restartTimes = [];
+        }
+        this.restarting = false;
+        this.clearRestartTimer();
+        this.failedChecks = 0;
+        this.hangReason = null;
+        this.spawnError = null;
+        this.recentErrors = [];
+        this.lastOutputAt = Date.now();
+        this.startHealthChecks();
+    }
+
+    onReady() {
+        this.failedChecks = 0;
+        this.lastHealthCheck = { at: new Date().toISOString(), ok: true };
+    }
+
+    onOutput(message, type) {
+        this.lastOutputAt = Date.now();
+        if (type === 'error') {
+            this.recentErrors.push(message);
+            if (this.recentErrors.length > 5) {
+                this.recentErrors.shift();
+            }
+        }
+    }
+
+    onSpawnError(error) {
+        this.spawnError = error.message;
+    }
+
+    // Decide whether an exit was unexpected and schedule a restart if so
+    onExit(code, signal, stopRequested) {
+        this.stopHealthChecks();
+
+        const unexpected = !stopRequested && (code !== 0 || this.hangReason);
+        if (!unexpected) {
+            this.emitUpdate();
+            return;
+        }
+
+        const reason = this.hangReason
+            || this.spawnError
+            || (signal ? `killed by ${signal}` : `exit code ${code}`);
+        this.crashes.unshift({
+            at: new Date().toISOString(),
+            code,
+            signal,
+            reason,
+            errors: [...this.recentErrors]
+        });
+        this.crashes = this.crashes.slice(0, MAX_CRASH_HISTORY);
+
+        if (!this.config.enabled) {
+            this.emitUpdate();
+            return;
+        }
+
+        if (this.spawnError) {
+            this.log(`🐕 Watchdog: not restarting - server could not be launched (${this.spawnError})`, 'error');
+            this.emitUpdate();
+            return;
+        }
+
+        this.scheduleRestart(reason);
+    }
+
+    scheduleRestart(reason) {
+        const config = this.config;
+        const windowStart = Date.now() - config.windowMinutes * 60 * 1000;
+        this.restartTimes = this.restartTimes.filter(time => time > windowStart);
+
+        if (this.restartTimes.length >= config.maxRestarts) {
+            this.gaveUp = true;
+            this.log(`🐕 Watchdog: ${this.restartTimes.length} restarts in ${config.windowMinutes} min - giving up until someone starts the server`, 'error');
+            this.emitUpdate();
+            return;
+        }
+
+        const attempt = this.restartTimes.length;
+        const delaySeconds = Math.min(config.initialDelaySeconds * Math.pow(2, attempt), config.maxDelaySeconds);
+        this.nextRestartAt = Date.now() + delaySeconds * 1000;
+
+        this.log(`🐕 Watchdog: server went down (${reason}) - restarting in ${delaySeconds}s (attempt ${attempt + 1}/${config.maxRestarts})`, 'warn');
+
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.nextRestartAt = null;
+
+            if (this.server.minecraftProcess) {
+                return;
+            }
+
+            this.restartTimes.push(Date.now());
+            this.totalRestarts++;
+            this.restarting = true;
+            this.log('🐕 Watchdog: restarting server...', 'info');
+            this.server.startMinecraftServer().catch((error) => {
+                this.log(`❌ Watchdog restart failed: ${error.message}`, 'error');
+            });
+        }, delaySeconds * 1000);
+
+        this.emitUpdate();
+    }
+
+    clearRestartTimer() {
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+            this.nextRestartAt = null;
+        }
+        this.gaveUp = false;
+    }
+
+    // A manual stop also cancels any restart that is still pending
+    cancel() {
+        const pending = !!this.restartTimer;
+        this.clearRestartTimer();
+        if (pending) {
+            this.log('🐕 Watchdog: pending restart cancelled', 'info');
+            this.emitUpdate();
+        }
+    }
+
+    startHealthChecks() {
+        this.stopHealthChecks();
+        if (!this.config.enabled) return;
+
+        const interval = Math.max(10, this.config.healthCheckIntervalSeconds) * 1000;
+        this.healthTimer = setInterval(() => this.checkHealth(), interval);
+    }
+
+    stopHealthChecks() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    async checkHealth() {
+        const server = this.server;
+        const config = this.config;
+        if (!server.minecraftProcess || server.serverStatus === 'stopping') return;
+
+        // While starting, the only sign of life is output
+        if (!server.serverReady) {
+            const silentFor = (Date.now() - this.lastOutputAt) / 1000;
+            if (silentFor > config.startupTimeoutSeconds) {
+                this.killHungServer(`no output for ${Math.round(silentFor)}s during startup`);
+            }
+            return;
+        }
+
+        // Once online, ask the server for its player list and expect an answer
+        const ok = await this.probe(config.healthCheckTimeoutSeconds * 1000);
+
+        this.lastHealthCheck = { at: new Date().toISOString(), ok };
+        if (ok) {
+            this.failedChecks = 0;
+            return;
+        }
+
+        this.failedChecks++;
+        this.log(`🐕 Watchdog: health check failed (${this.failedChecks}/${config.failedChecksBeforeRestart})`, 'warn');
+        if (this.failedChecks >= config.failedChecksBeforeRestart) {
+            this.killHungServer(`no response to ${this.failedChecks} health checks`);
+        }
+        this.emitUpdate();
+    }
+
+    // Prefer RCON for the probe so it stays out of the console; fall back to stdin
+    async probe(timeout) {
+        const server = this.server;
+        const pattern = /There are \d+ of a max/;
+
+        if (server.rcon?.connected) {
+            const timer = new Promise(resolve => setTimeout(() => resolve(null), timeout));
+            const output = await Promise.race([server.rcon.command('list').catch(() => null), timer]);
+            return pattern.test(output || '');
+        }
+
+        const answered = server.waitForOutput(pattern, timeout);
+        server.minecraftProcess.stdin.write('list\n');
+        return answered;
+    }
+
+    killHungServer(reason) {
+        if (!this.server.minecraftProcess) return;
+
+        this.hangReason = `hung: ${reason}`;
+        this.log(`🐕 Watchdog: server appears hung (${reason}) - killing process`, 'error');
+        this.server.minecraftProcess.kill('SIGKILL');
+    }
+
+    getStatus() {
+        const config = this.config;
+        const windowStart = Date.now() - config.windowMinutes * 60 * 1000;
+
+        return {
+            enabled: config.enabled,
+            totalRestarts: this.totalRestarts,
+            recentRestarts: this.restartTimes.filter(time => time > windowStart).length,
+            maxRestarts: config.maxRestarts,
+            windowMinutes: config.windowMinutes,
+            nextRestartAt: this.nextRestartAt ? new Date(this.nextRestartAt).toISOString() : null,
+            gaveUp: this.gaveUp,
+            lastCrash: this.crashes[0] || null,
+            crashes: this.crashes,
+            lastHealthCheck: this.lastHealthCheck
+        };
+    }
+}
+
+module.exports = { Watchdog, DEFAULT_WATCHDOG_CONFIG };
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+
+const DEFAULT_WEBHOOK_CONFIG = {
+    hooks: [],
+    maxAttempts: 5,
+    initialDelaySeconds: 5,
+    maxDelaySeconds: 300,
+    timeoutSeconds: 10
+};
+
+const WEBHOOK_EVENTS = ['start', 'ready', 'stop', 'crash', 'join', 'leave', 'tunnel'];
+const FORMATS = ['json', 'discord'];
+const MAX_HOOKS = 50;
+const MAX_DELIVERIES = 200;
+const MAX_TEMPLATE_LENGTH = 4000;
+const MAX_RESPONSE_LENGTH = 500;
+
+// Title, embed colour and default message for each event (Discord format)
+const EVENT_STYLES = {
+    start: { title: '🚀 Server starting', color: 0x3498db, message: () => 'The server is starting up' },
+    ready: { title: '🎉 Server online', color: 0x2ecc71, message: () => 'The server is online - friends can join!' },
+    stop: { title: '⏹️ Server stopped', color: 0x95a5a6, message: () => 'The server was stopped' },
+    crash: {
+        title: '💥 Server crashed',
+        color: 0xe74c3c,
+        message: data => `The server exited unexpectedly (${data.signal ? `killed by ${data.signal}` : `exit code ${data.code}`})`
+    },
+    join: { title: '🟢 Player joined', color: 0x2ecc71, message: data => `${data.player} joined the game` },
+    leave: { title: '🔴 Player left', color: 0xe67e22, message: data => `${data.player} left the game` },
+    tunnel: {
+        title: '🌐 Tunnel address changed',
+        color: 0x9b59b6,
+        message: data => `${data.edition ? `${data.edition === 'java' ? 'Java' : 'Bedrock'} address` : `Port ${data.port}`}: ${data.address}`
+    },
+    test: { title: '🧪 Test notification', color: 0x3498db, message: () => 'Webhook test from the Minecraft server manager' }
+};
+
+// Sends server events to configured URLs with retries, keeping a log of recent deliveries
+class WebhookDispatcher {
+    constructor(manager) {
+        this.manager = manager;
+        this.deliveries = [];
+        this.pending = new Set();
+    }
+
+    get config() {
+        return { ...DEFAULT_WEBHOOK_CONFIG, ...(this.manager.config.webhooks || {}) };
+    }
+
+    get hooks() {
+        return this.config.hooks;
+    }
+
+    log(message, type = 'info') {
+        this.manager.broadcastLog(message, type);
+    }
+
+    getHook(id) {
+        return this.hooks.find(hook => hook.id === id) || null;
+    }
+
+    // Hooks as shown to admins: the URL may carry a token, so only its origin is included
+    listHooks() {
+        return this.hooks.map(hook => ({
+            ...hook,
+            url: undefined,
+            urlOrigin: safeOrigin(hook.url)
+        }));
+    }
+
+    listDeliveries({ hook = null, limit = 50 } = {}) {
+        return this.deliveries
+            .filter(delivery => !hook || delivery.hookId === hook)
+            .slice(-limit)
+            .reverse();
+    }
+
+    // Subscribe to an instance's typed events (lifecycle and console)
+    attach(instance) {
+        instance.events.on('event', (payload) => {
+            if (WEBHOOK_EVENTS.includes(payload.type)) {
+                this.dispatch(payload.type, payload, instance.id);
+            }
+        });
+    }
+
+    dispatch(event, data = {}, instance = null) {
+        for (const hook of this.hooks) {
+            if (!hook.enabled) continue;
+            if (hook.events.length && !hook.events.includes(event)) continue;
+            if (hook.instances.length && !hook.instances.includes(instance)) continue;
+            this.deliver(hook, event, data, instance);
+        }
+    }
+
+    // Queue one delivery; resolves with its log entry once delivered or given up on
+    deliver(hook, event, data, instance, { maxAttempts = this.config.maxAttempts } = {}) {
+        const { type, line, logger, ...fields } = data;
+        const timestamp = fields.timestamp || new Date().toISOString();
+        const message = (EVENT_STYLES[event]?.message || (() => event))(fields);
+        const body = buildBody(hook, { ...fields, event, instance, timestamp, message });
+
+        const delivery = {
+            id: crypto.randomBytes(6).toString('hex'),
+            hookId: hook.id,
+            hookName: hook.name,
+            event,
+            instance,
+            createdAt: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            maxAttempts,
+            responseStatus: null,
+            error: null,
+            nextAttemptAt: null,
+            deliveredAt: null
+        };
+        this.deliveries.push(delivery);
+        if (this.deliveries.length > MAX_DELIVERIES) {
+            this.deliveries = this.deliveries.slice(-MAX_DELIVERIES);
+        }
+
+        const promise = this.attempt(hook, delivery, body).finally(() => this.pending.delete(promise));
+        this.pending.add(promise);
+        return promise;
+    }
+
+    async attempt(hook, delivery, body) {
+        const config = this.config;
+
+        while (true) {
+            delivery.attempts++;
+            delivery.nextAttemptAt = null;
+            let retryAfter = null;
+
+            try {
+                const response = await fetch(hook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': body.contentType,
+                        'User-Agent': 'minecraft-crossplay-server',
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Delivery': delivery.id
+                    },
+                    body: body.text,
+                    signal: AbortSignal.timeout(config.timeoutSeconds * 1000)
+                });
+                delivery.responseStatus = response.status;
+
+                if (response.ok) {
+                    delivery.status = 'delivered';
+                    delivery.error = null;
+                    delivery.deliveredAt = new Date().toISOString();
+                    this.emitUpdate(delivery);
+                    return delivery;
+                }
+
+                delivery.error = `HTTP ${response.status}: ${(await response.text()).slice(0, MAX_RESPONSE_LENGTH)}`;
+                retryAfter = Number(response.headers.get('retry-after')) || null;
+
+                // Other client errors (bad URL, rejected payload) will not succeed on retry
+                if (response.status < 500 && response.status !== 429 && response.status !== 408) {
+                    return this.fail(delivery);
+                }
+            } catch (error) {
+                delivery.responseStatus = null;
+                delivery.error = error.name === 'TimeoutError'
+                    ? `No response within ${config.timeoutSeconds}s`
+                    : error.cause?.message || error.message;
+            }
+
+            if (delivery.attempts >= delivery.maxAttempts) {
+                return this.fail(delivery);
+            }
+
+            const backoff = Math.min(config.initialDelaySeconds * Math.pow(2, delivery.attempts - 1), config.maxDelaySeconds);
+            const delaySeconds = Math.min(Math.max(backoff, retryAfter || 0), config.maxDelaySeconds);
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000).toISOString();
+            this.emitUpdate(delivery);
+            await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
+        }
+    }
+
+    fail(delivery) {
+        delivery.status = 'failed';
+        this.log(`🪝 Webhook "${delivery.hookName}" failed for ${delivery.event} after ${delivery.attempts} attempt(s): ${delivery.error}`, 'warn');
+        this.emitUpdate(delivery);
+        return delivery;
+    }
+
+    emitUpdate(delivery) {
+        this.manager.io.to('admins').emit('webhook-delivery', { delivery });
+    }
+
+    // Give in-flight deliveries a moment to finish (used on shutdown)
+    async flush(timeout = 5000) {
+        if (this.pending.size === 0) return;
+        await Promise.race([
+            Promise.allSettled([...this.pending]),
+            new Promise(resolve => setTimeout(resolve, timeout))
+        ]);
+    }
+
+    // Validate a hook definition (a full hook, or a patch merged over `existing`)
+    normalizeHook(input, existing = null) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Webhook must be an object');
+        }
+
+        const hook = { ...(existing || {}), ...input };
+        const name = typeof hook.name === 'string' ? hook.name.trim() : '';
+        if (!name || name.length > 64 || /[\r\n]/.test(name)) {
+            throw new Error('name is required (at most 64 characters)');
+        }
+
+        let url;
+        try {
+            url = new URL(hook.url);
+        } catch {
+            throw new Error('url must be a valid http(s) URL');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('url must be a valid http(s) URL');
+        }
+
+        const events = hook.events ?? [];
+        if (!Array.isArray(events) || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+            throw new Error(`events must be a list of: ${WEBHOOK_EVENTS.join(', ')} (empty for all)`);
+        }
+        const instances = hook.instances ?? [];
+        if (!Array.isArray(instances) || instances.some(id => !this.manager.instances.has(id))) {
+            throw new Error('instances must be a list of existing instance ids (empty for all)');
+        }
+
+        const format = hook.format || 'json';
+        if (!FORMATS.includes(format)) {
+            throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+        }
+        if (hook.template !== undefined && hook.template !== null
+            && (typeof hook.template !== 'string' || hook.template.length > MAX_TEMPLATE_LENGTH)) {
+            throw new Error(`template must be a string of at most ${MAX_TEMPLATE_LENGTH} characters`);
+        }
+
+        return {
+            id: existing ? existing.id : crypto.randomBytes(4).toString('hex'),
+            name,
+            url: url.toString(),
+            events: [...new Set(events)],
+            instances: [...new Set(instances)],
+            format,
+            template: hook.template || null,
+            enabled: hook.enabled !== false
+        };
+    }
+
+    saveHooks(hooks) {
+        this.manager.config.webhooks = { ...this.config, hooks };
+        if (!this.manager.saveConfig()) {
+            throw new Error('Failed to save config.json');
+        }
+    }
+
+    createHook(input) {
+        if (this.hooks.length >= MAX_HOOKS) {
+            throw new Error(`At most ${MAX_HOOKS} webhooks can be configured`);
+        }
+
+        const hook = this.normalizeHook(input);
+        this.saveHooks([...this.hooks, hook]);
+        this.log(`🪝 Webhook "${hook.name}" added`, 'info');
+        return hook;
+    }
+
+    updateHook(id, patch) {
+        const existing = this.getHook(id);
+        if (!existing) {
+            throw new Error(`Webhook not found: ${id}`);
+        }
+
+        const hook = this.normalizeHook(patch, existing);
+        this.saveHooks(this.hooks.map(other => (other.id === id ? hook : other)));
+        return hook;
+    }
+
+    deleteHook(id) {
+        const hook = this.getHook(id);
+        if (!hook) {
+            return false;
+        }
+
+        this.saveHooks(this.hooks.filter(other => other.id !== id));
+        this.log(`🗑️ Webhook "${hook.name}" deleted`, 'info');
+        return true;
+    }
+
+    // Send a test event to one hook regardless of its filters, without retries
+    test(id) {
+        const hook = this.getHook(id);
+        if (!hook) {
+            throw new Error(`Webhook not found: ${id}`);
+        }
+        return this.deliver(hook, 'test', {}, null, { maxAttempts: 1 });
+    }
+}
+
+// Request body for a hook: the template (if any) with {{placeholders}} filled in,
+// wrapped in an embed for Discord or sent as-is (JSON when it parses as JSON)
+function buildBody(hook, vars) {
+    const style = EVENT_STYLES[vars.event] || { title: vars.event, color: 0x95a5a6 };
+
+    if (hook.format === 'discord') {
+        const description = hook.template ? renderTemplate(hook.template, vars) : vars.message;
+        return {
+            contentType: 'application/json',
+            text: JSON.stringify({
+                username: 'Minecraft Server',
+                embeds: [{
+                    title: style.title,
+                    description: description.slice(0, 4096),
+                    color: style.color,
+                    timestamp: vars.timestamp,
+                    footer: vars.instance ? { text: `Instance: ${vars.instance}` } : undefined
+                }]
+            })
+        };
+    }
+
+    if (hook.template) {
+        // Values are JSON-escaped inside JSON templates so quotes in chat cannot break them
+        const json = /^\s*[[{]/.test(hook.template);
+        const text = renderTemplate(hook.template, vars, { json });
+        return { contentType: json ? 'application/json' : 'text/plain; charset=utf-8', text };
+    }
+
+    const { event, instance, timestamp, message, ...data } = vars;
+    return {
+        contentType: 'application/json',
+        text: JSON.stringify({ event, instance, timestamp, message, data })
+    };
+}
+
+function renderTemplate(template, vars, { json = false } = {}) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        const value = vars[key] === undefined || vars[key] === null ? '' : String(vars[key]);
+        return json ? JSON.stringify(value).slice(1, -1) : value;
+    });
+}
+
+function safeOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { WebhookDispatcher, DEFAULT_WEBHOOK_CONFIG, WEBHOOK_EVENTS };
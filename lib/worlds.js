@@ -0,0 +1,418 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const yazl = require('yazl');
+const { parseNbt } = require('./nbt');
+
+const WORLD_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DIMENSION_SUFFIXES = ['_nether', '_the_end'];
+// Archives are streamed both ways, so only the upload and what it unpacks to are capped:
+// world data compresses about 2-4x, and a small archive must not be able to fill the disk
+const MAX_IMPORT_BYTES = 4 * 1024 * 1024 * 1024;
+const MAX_EXTRACTED_BYTES = 16 * 1024 * 1024 * 1024;
+const MAX_IMPORT_ENTRIES = 200000;
+
+// Every world directory in the server folder, plus switching, creating,
+// importing and exporting them. A world is its folder and the matching
+// <name>_nether / <name>_the_end folders Paper keeps next to it.
+class WorldManager {
+    constructor(server) {
+        this.server = server;
+        this.busy = null;
+    }
+
+    get activeWorld() {
+        return this.server.config.server.levelName || 'world';
+    }
+
+    log(message, type = 'info') {
+        this.server.broadcastLog(message, type);
+    }
+
+    worldPath(name) {
+        return path.join(this.server.serverPath, name);
+    }
+
+    isWorldDirectory(name) {
+        return fs.existsSync(path.join(this.worldPath(name), 'level.dat'));
+    }
+
+    getDimensionDirectories(name) {
+        return [name, ...DIMENSION_SUFFIXES.map(suffix => `${name}${suffix}`)]
+            .filter(dir => fs.existsSync(this.worldPath(dir)));
+    }
+
+    // Seed, last played time and version from level.dat (nulls if unreadable)
+    readLevelData(name) {
+        try {
+            const { value } = parseNbt(fs.readFileSync(path.join(this.worldPath(name), 'level.dat')));
+            const data = value.Data || {};
+            // 1.16+ keeps the seed under WorldGenSettings, older versions in RandomSeed
+            const seed = data.WorldGenSettings?.seed ?? data.RandomSeed;
+
+            return {
+                seed: seed !== undefined ? seed.toString() : null,
+                lastPlayed: data.LastPlayed !== undefined ? new Date(Number(data.LastPlayed)).toISOString() : null,
+                levelName: data.LevelName || null,
+                version: data.Version?.Name || null,
+                error: null
+            };
+        } catch (error) {
+            return { seed: null, lastPlayed: null, levelName: null, version: null, error: error.message };
+        }
+    }
+
+    listWorlds() {
+        const serverPath = this.server.serverPath;
+        if (!fs.existsSync(serverPath)) {
+            return [];
+        }
+
+        const names = fs.readdirSync(serverPath)
+            .filter(name => !name.startsWith('.') && this.isWorldDirectory(name));
+        const nameSet = new Set(names);
+
+        return names
+            // Nether and End folders belong to their overworld when it is present
+            .filter(name => !DIMENSION_SUFFIXES.some(suffix =>
+                name.endsWith(suffix) && nameSet.has(name.slice(0, -suffix.length))))
+            .map(name => {
+                const dimensions = this.getDimensionDirectories(name);
+                return {
+                    name,
+                    active: name === this.activeWorld,
+                    ...this.readLevelData(name),
+                    size: dimensions.reduce((total, dir) => total + directorySize(this.worldPath(dir)), 0),
+                    dimensions
+                };
+            })
+            .sort((a, b) => (b.active - a.active) || a.name.localeCompare(b.name));
+    }
+
+    getWorld(name) {
+        return this.listWorlds().find(world => world.name === name) || null;
+    }
+
+    // Stop the server if needed, run the change, then start it again
+    async withServerStopped(action) {
+        const wasRunning = !!this.server.minecraftProcess;
+        if (wasRunning) {
+            const stopped = await this.server.stopMinecraftServer({ reason: 'changing the active world' });
+            if (!stopped) {
+                throw new Error('Server did not stop');
+            }
+        }
+
+        await action();
+
+        if (wasRunning) {
+            this.log('🔄 Restarting server with the selected world...', 'info');
+            this.server.startMinecraftServer().catch((error) => {
+                this.log(`❌ Failed to restart server: ${error.message}`, 'error');
+            });
+        }
+        return wasRunning;
+    }
+
+    // Point config.json at a world; the seed is synced so the seed check keeps it
+    setActiveWorld(name, seed, generated) {
+        const config = this.server.config;
+        config.server.levelName = name;
+        config.server.seed = seed;
+        config.world = { ...config.world, currentSeed: seed, lastUsedSeed: seed, worldGenerated: generated };
+        this.server.saveConfig();
+        this.server.setupServerProperties();
+    }
+
+    async switchWorld(name) {
+        const world = this.getWorld(name);
+        if (!world) {
+            throw new Error(`World not found: ${name}`);
+        }
+        if (world.active) {
+            return { restarted: false };
+        }
+
+        this.log(`🌍 Switching active world to ${name}...`, 'info');
+        const restarted = await this.runExclusive('switch', () => this.withServerStopped(() => {
+            this.setActiveWorld(name, world.seed || '', true);
+        }));
+        this.log(`✅ Active world is now ${name}`, 'success');
+        return { restarted };
+    }
+
+    // The new world is generated on the next start; the current one is kept as is
+    async createWorld(name, seed = '') {
+        if (!WORLD_NAME_PATTERN.test(name || '')) {
+            throw new Error('World name must be 1-64 letters, digits, "_" or "-"');
+        }
+        if (DIMENSION_SUFFIXES.some(suffix => name.endsWith(suffix))) {
+            throw new Error('World name must not end in _nether or _the_end');
+        }
+        if (this.getDimensionDirectories(name).length > 0) {
+            throw new Error(`A folder named ${name} already exists`);
+        }
+        const seedText = String(seed ?? '');
+        if (seedText.length > 128 || /[\r\n]/.test(seedText)) {
+            throw new Error('Seed must be a single line of at most 128 characters');
+        }
+
+        this.log(`🆕 Creating world ${name}${seedText ? ` with seed ${seedText}` : ' with a random seed'}...`, 'info');
+        const restarted = await this.runExclusive('create', () => this.withServerStopped(() => {
+            this.setActiveWorld(name, seedText, false);
+        }));
+        return { restarted };
+    }
+
+    deleteWorld(name) {
+        const world = this.getWorld(name);
+        if (!world) {
+            throw new Error(`World not found: ${name}`);
+        }
+        if (world.active) {
+            throw new Error('The active world cannot be deleted - switch to another world first');
+        }
+
+        for (const dir of world.dimensions) {
+            fs.rmSync(this.worldPath(dir), { recursive: true, force: true });
+        }
+        this.log(`🗑️ World deleted: ${name}`, 'info');
+    }
+
+    // Stream a zip with the world and its dimension folders to `output`
+    async exportWorld(name, output) {
+        const world = this.getWorld(name);
+        if (!world) {
+            throw new Error(`World not found: ${name}`);
+        }
+
+        // Flush the running world first, as for backups
+        const savingPaused = world.active && await this.server.backups.pauseSaving();
+        try {
+            const zip = new yazl.ZipFile();
+            for (const dir of world.dimensions) {
+                for (const file of listFiles(this.worldPath(dir))) {
+                    if (path.basename(file) === 'session.lock') continue;
+                    zip.addFile(path.join(this.worldPath(dir), file), `${dir}/${file.split(path.sep).join('/')}`);
+                }
+            }
+            zip.end();
+            await pipeline(zip.outputStream, output);
+        } finally {
+            if (savingPaused) {
+                this.server.backups.resumeSaving();
+            }
+        }
+    }
+
+    // Save an uploaded zip to a temporary file, then unpack it as world `name`
+    async importWorld(name, input) {
+        if (!WORLD_NAME_PATTERN.test(name || '') || DIMENSION_SUFFIXES.some(suffix => name.endsWith(suffix))) {
+            throw new Error('World name must be 1-64 letters, digits, "_" or "-" and not end in _nether or _the_end');
+        }
+        if (this.getDimensionDirectories(name).length > 0) {
+            throw new Error(`A folder named ${name} already exists`);
+        }
+
+        return this.runExclusive('import', async () => {
+            const stamp = Date.now();
+            const zipPath = path.join(this.server.serverPath, `.import_${stamp}.zip`);
+            const stagingPath = path.join(this.server.serverPath, `.import_${stamp}`);
+
+            try {
+                await saveUpload(input, zipPath, MAX_IMPORT_BYTES);
+                const entries = await listZipEntries(zipPath);
+                const root = findWorldRoot(entries.map(entry => entry.name));
+                if (root === null) {
+                    throw new Error('The archive does not contain a level.dat');
+                }
+
+                // The archive's world folder and its _nether/_the_end siblings take the new name
+                const prefixes = root
+                    ? ['', ...DIMENSION_SUFFIXES].map(suffix => [suffix, `${root.slice(0, -1)}${suffix}/`])
+                    : [['', '']];
+
+                const files = planExtraction(entries, stagingPath, (entryName) => {
+                    const match = prefixes.find(([, prefix]) => entryName.startsWith(prefix));
+                    return match ? path.join(`${name}${match[0]}`, entryName.slice(match[1].length)) : null;
+                });
+                const extracted = await extractZip(zipPath, files);
+                if (extracted === 0 || !fs.existsSync(path.join(stagingPath, name, 'level.dat'))) {
+                    throw new Error('The archive does not contain a usable world');
+                }
+
+                for (const dir of fs.readdirSync(stagingPath)) {
+                    fs.renameSync(path.join(stagingPath, dir), this.worldPath(dir));
+                }
+                this.log(`📥 World imported as ${name}`, 'success');
+                return this.getWorld(name);
+            } finally {
+                fs.rmSync(zipPath, { force: true });
+                fs.rmSync(stagingPath, { recursive: true, force: true });
+            }
+        });
+    }
+
+    async runExclusive(operation, action) {
+        if (this.busy) {
+            throw new Error(`A world ${this.busy} is already in progress`);
+        }
+        this.busy = operation;
+        try {
+            return await action();
+        } finally {
+            this.busy = null;
+        }
+    }
+}
+
+function directorySize(dirPath) {
+    let total = 0;
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+            total += directorySize(entryPath);
+        } else if (entry.isFile()) {
+            total += fs.statSync(entryPath).size;
+        }
+    }
+    return total;
+}
+
+function saveUpload(input, filePath, maxBytes) {
+    return new Promise((resolve, reject) => {
+        let received = 0;
+        const output = fs.createWriteStream(filePath);
+
+        input.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > maxBytes) {
+                input.unpipe(output);
+                output.destroy();
+                input.resume();
+                reject(new Error(`Upload is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`));
+            }
+        });
+        input.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', () => (received > 0 ? resolve(received) : reject(new Error('No archive received'))));
+        input.pipe(output);
+    });
+}
+
+// Every file below `dirPath`, relative to it
+function listFiles(dirPath, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(path.join(dirPath, prefix), { withFileTypes: true })) {
+        const relative = path.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(dirPath, relative));
+        } else if (entry.isFile()) {
+            files.push(relative);
+        }
+    }
+    return files;
+}
+
+function openZip(zipPath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true }, (error, zip) => (error
+            ? reject(new Error(`Not a valid zip archive (${error.message})`))
+            : resolve(zip)));
+    });
+}
+
+// Name and unpacked size of every entry, read from the central directory only
+async function listZipEntries(zipPath) {
+    const zip = await openZip(zipPath);
+    if (zip.entryCount > MAX_IMPORT_ENTRIES) {
+        zip.close();
+        throw new Error(`The archive has more than ${MAX_IMPORT_ENTRIES} entries`);
+    }
+
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        zip.on('entry', (entry) => {
+            entries.push({ name: entry.fileName, size: entry.uncompressedSize });
+            zip.readEntry();
+        });
+        zip.on('end', () => resolve(entries));
+        zip.on('error', reject);
+        zip.readEntry();
+    });
+}
+
+function formatMegabytes(bytes) {
+    return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
+
+// Folder prefix of the shallowest level.dat ('' when it sits at the archive root)
+function findWorldRoot(entries) {
+    const candidates = entries
+        .filter(name => name === 'level.dat' || name.endsWith('/level.dat'))
+        .filter(name => !name.startsWith('__MACOSX/'))
+        .sort((a, b) => a.split('/').length - b.split('/').length);
+    return candidates.length ? candidates[0].slice(0, -'level.dat'.length) : null;
+}
+
+// Where each entry `mapEntry` maps to a relative path goes below `target`, refusing paths
+// that escape it and archives that unpack to more than MAX_EXTRACTED_BYTES. yauzl checks
+// every entry against its declared size while inflating, so those sizes can be trusted.
+function planExtraction(entries, target, mapEntry) {
+    const root = path.resolve(target);
+    const files = new Map();
+    let total = 0;
+
+    for (const entry of entries) {
+        const relative = entry.name.endsWith('/') ? null : mapEntry(entry.name);
+        if (!relative || path.basename(relative) === 'session.lock') continue;
+
+        const destination = path.resolve(root, relative);
+        if (!destination.startsWith(root + path.sep)) {
+            throw new Error(`Unsafe path in archive: ${entry.name}`);
+        }
+        total += entry.size;
+        if (total > MAX_EXTRACTED_BYTES) {
+            throw new Error(`The world is larger than ${formatMegabytes(MAX_EXTRACTED_BYTES)} unpacked`);
+        }
+        files.set(entry.name, destination);
+    }
+    return files;
+}
+
+// Stream the planned entries to disk one at a time
+async function extractZip(zipPath, files) {
+    const zip = await openZip(zipPath);
+    let extracted = 0;
+
+    return new Promise((resolve, reject) => {
+        const fail = (error) => {
+            if (zip.isOpen) zip.close();
+            reject(error);
+        };
+
+        zip.on('entry', (entry) => {
+            const destination = files.get(entry.fileName);
+            if (!destination) {
+                zip.readEntry();
+                return;
+            }
+
+            zip.openReadStream(entry, (error, stream) => {
+                if (error) return fail(error);
+
+                fs.mkdirSync(path.dirname(destination), { recursive: true });
+                pipeline(stream, fs.createWriteStream(destination)).then(() => {
+                    extracted++;
+                    zip.readEntry();
+                }, error => fail(new Error(`${entry.fileName}: ${error.message}`)));
+            });
+        });
+        zip.on('end', () => resolve(extracted));
+        zip.on('error', fail);
+        zip.readEntry();
+    });
+}
+
+module.exports = { WorldManager };
@@ -3,142 +3,304 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const net = require('net');
+const dgram = require('dgram');
+const crypto = require('crypto');
 const http = require('http');
+const { Readable } = require('stream');
+const { EventEmitter } = require('events');
 const socketIo = require('socket.io');
-
+const { AuthManager } = require('./lib/auth');
+const { BackupManager, DEFAULT_BACKUP_CONFIG } = require('./lib/backups');
+const { Watchdog, DEFAULT_WATCHDOG_CONFIG } = require('./lib/watchdog');
+const { MetricsCollector, DEFAULT_METRICS_CONFIG, formatPrometheus } = require('./lib/metrics');
+const { LogStore, DEFAULT_LOG_CONFIG } = require('./lib/logstore');
+const { LineSplitter, LogParser } = require('./lib/logparser');
+const { PlayerRegistry } = require('./lib/players');
+const { ChatBridge } = require('./lib/chat');
+const { AccessListManager, ACCESS_LISTS } = require('./lib/accesslists');
+const { RconClient } = require('./lib/rcon');
+const { PluginManager } = require('./lib/plugins');
+const { WorldManager } = require('./lib/worlds');
+const { ShutdownSequence, DEFAULT_SHUTDOWN_CONFIG } = require('./lib/shutdown');
+const { Scheduler } = require('./lib/scheduler');
+const { JarManager, DEFAULT_JAR_CONFIG } = require('./lib/jars');
+const { JavaPreflight, DEFAULT_JAVA_CONFIG } = require('./lib/java');
+const { TunnelManager, DEFAULT_TUNNEL_CONFIG, DEFAULT_PROVIDER_CONFIG } = require('./lib/tunnels');
+const { ReachabilityChecker, DEFAULT_REACHABILITY_CONFIG } = require('./lib/reachability');
+const { WebhookDispatcher, DEFAULT_WEBHOOK_CONFIG } = require('./lib/webhooks');
+const { ExtensionHost, EXTENSION_EVENTS, DEFAULT_EXTENSION_CONFIG } = require('./lib/extensions');
+const { getSimulatorLaunch, DEFAULT_SIMULATION_CONFIG, SIMULATION_SCENARIOS } = require('./lib/simulator');
+const { readProperties, writeProperties } = require('./lib/properties');
+const { CONFIG_SCHEMA, SHARED_SECTIONS, validateConfigPatch, validateMergedConfig, mergeConfigPatch, stripSecrets } = require('./lib/config');
+
+// The instance configured at the root of config.json (./minecraft-server)
+const DEFAULT_INSTANCE = 'default';
+const INSTANCE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const DEFAULT_PORTS = { java: 25565, bedrock: 19132, rcon: 25575 };
+
+// One managed Minecraft server: its own directory, config block, ports and process
 class MinecraftCrossplayServer {
-    constructor() {
-        this.app = express();
-        this.server = http.createServer(this.app);
-        this.io = socketIo(this.server);
+    constructor(manager, id) {
+        this.manager = manager;
+        this.id = id;
         this.minecraftProcess = null;
-        this.playitProcess = null;
-        this.serverPath = './minecraft-server';
-        this.jarFile = 'paper-server.jar';
-        this.javaPort = 25565;
-        this.bedrockPort = 19132;
-        this.localIP = this.getLocalIP();
-        this.publicIP = null;
+        this.serverPath = this.config.serverPath || (id === DEFAULT_INSTANCE ? './minecraft-server' : `./instances/${id}`);
+        this.dataPath = id === DEFAULT_INSTANCE ? './data' : `./data/instances/${id}`;
+        this.jarFile = this.config.jarFile || 'paper-server.jar';
+        this.rcon = null;
         this.serverStatus = 'offline';
         this.startTime = null;
         this.serverReady = false;
-        this.logs = [];
-        this.maxLogs = 1000;
+        this.stopRequested = false;
+        // Set when a stop arrives while the start is still running its checks
+        this.startCancelled = false;
+        this.outputListeners = new Set();
+        this.logParser = null;
 
-        // Load configuration
-        this.config = this.loadConfig();
+        // Typed server events (start, stopping, stop, crash, and from the console player-uuid, join, leave,
+        // chat, death, advancement, plugin-enabled/-load-failed/-enable-failed, ready and custom rules);
+        // every event is also emitted as "event"
+        this.events = new EventEmitter();
+        this.manager.webhooks.attach(this);
+        this.manager.extensions.attach(this);
 
-        // Playit.gg integration
-        this.playitInstalled = false;
-        this.playitAddresses = {
-            java: null,
-            bedrock: null
-        };
-        this.lastPlayitOutput = '';
-        this.playitTunnelsDetected = false;
-        this.playitSetupUrl = null;
+        // World backups (scheduled, manual and restore)
+        this.backups = new BackupManager(this);
 
-        this.checkPlayitInstallation();
-        this.setupExpress();
-        this.setupSocketIo();
+        // Catalogue of server jars: versions, checksums, switching and rollback
+        this.jars = new JarManager(this);
+
+        // Java runtime, JVM flags and memory checks before each start
+        this.java = new JavaPreflight(this);
+
+        // Crash/hang supervisor with automatic restarts
+        this.watchdog = new Watchdog(this);
+
+        // Countdown, save-all, stop, then SIGTERM/SIGKILL when the server hangs
+        this.shutdown = new ShutdownSequence(this);
+
+        // Online players and session history from the log stream
+        this.players = new PlayerRegistry(this);
+
+        // In-game chat history and messages sent from the panel
+        this.chat = new ChatBridge(this);
+
+        // whitelist.json, ops.json and the ban lists
+        this.accessLists = new AccessListManager(this);
+
+        // CPU/memory and TPS/MSPT samples of the running server
+        this.metrics = new MetricsCollector(this);
+
+        // Server List Ping, Query and Bedrock pings against the local, LAN and tunnel addresses
+        this.reachability = new ReachabilityChecker(this);
+
+        // Plugin jars and what enabled at the last startup
+        this.plugins = new PluginManager(this);
+
+        // World folders in the server directory: switch, create, import and export
+        this.worlds = new WorldManager(this);
+
+        // Timed restarts, backups, broadcasts and commands from config.scheduler
+        this.scheduler = new Scheduler(this);
+
+        this.router = express.Router();
         this.setupRoutes();
         this.setupServerProperties();
-        this.getPublicIP();
+        this.backups.startSchedule();
+        this.scheduler.start();
     }
 
-    // UPDATED: Load configuration with migration for existing configs
-    loadConfig() {
-        const configPath = './config.json';
-        try {
-            if (fs.existsSync(configPath)) {
-                const configData = fs.readFileSync(configPath, 'utf8');
-                const config = JSON.parse(configData);
+    // The default instance lives at the root of config.json, others under "instances"
+    get config() {
+        if (this.id === DEFAULT_INSTANCE) {
+            return this.manager.config;
+        }
+        return this.manager.config.instances[this.id];
+    }
 
-                // Migrate existing config to include world tracking
-                if (!config.world) {
-                    config.world = {
-                        currentSeed: config.server.seed || "",
-                        lastUsedSeed: config.server.seed || "",
-                        worldGenerated: true // Assume existing worlds are already generated
-                    };
+    set config(config) {
+        if (this.id === DEFAULT_INSTANCE) {
+            this.manager.config = { ...config, instances: this.manager.config.instances };
+        } else {
+            this.manager.config.instances[this.id] = config;
+        }
+    }
 
-                    // Save the migrated config
-                    fs.writeFileSync(configPath, JSON.stringify(config, null, 4));
-                    this.broadcastLog('🔄 Config migrated to support seed change detection', 'info');
-                }
+    get javaPort() {
+        return this.config.ports?.java || DEFAULT_PORTS.java;
+    }
 
-                this.broadcastLog('✅ Configuration loaded successfully', 'success');
-                return config;
-            } else {
-                this.broadcastLog('⚠️ Config file not found, creating default config.json', 'warn');
-                return this.createDefaultConfig();
-            }
-        } catch (error) {
-            this.broadcastLog(`❌ Error loading config: ${error.message}`, 'error');
-            this.broadcastLog('📝 Using default configuration', 'info');
-            return this.createDefaultConfig();
+    get bedrockPort() {
+        return this.config.ports?.bedrock || DEFAULT_PORTS.bedrock;
+    }
+
+    get rconPort() {
+        return this.config.rcon?.port || DEFAULT_PORTS.rcon;
+    }
+
+    // NEW: Whether the Java process is replaced by the simulator (lib/simulator.js)
+    get simulated() {
+        return !!this.config.simulation?.enabled;
+    }
+
+    get localIP() {
+        return this.manager.localIP;
+    }
+
+    get publicIP() {
+        return this.manager.publicIP;
+    }
+
+    get tunnelAddresses() {
+        return this.manager.tunnels.getAddresses(this);
+    }
+
+    // Every port this instance binds, used for conflict detection
+    getPorts() {
+        const ports = [
+            // Java also answers GS4 queries over UDP on the same port
+            { port: this.javaPort, protocols: ['tcp', 'udp'], label: 'Java' },
+            { port: this.bedrockPort, protocols: ['udp'], label: 'Bedrock' }
+        ];
+        if (this.config.rcon?.enabled) {
+            ports.push({ port: this.rconPort, protocols: ['tcp'], label: 'RCON' });
         }
+        return ports;
     }
 
-    // NEW: Create default configuration file
-    createDefaultConfig() {
-        const defaultConfig = {
-            "server": {
-                "seed": "",
-                "maxPlayers": 20,
-                "description": "Welcome to our Minecraft Crossplay Server! Java & Bedrock players welcome!",
-                "gamemode": "survival",
-                "difficulty": "easy",
-                "pvp": true,
-                "enableCommandBlock": true,
-                "allowNether": true,
-                "allowEnd": true,
-                "spawnProtection": 0,
-                "viewDistance": 10,
-                "simulationDistance": 10,
-                "levelName": "world",
-                "onlineMode": false,
-                "enableWhitelist": false,
-                "forceResourcePack": false
-            },
-            "performance": {
-                "maxMemory": "3G",
-                "minMemory": "1G"
-            },
-            "playit": {
-                "autoStart": true
-            },
-            "world": {
-                "currentSeed": "",
-                "lastUsedSeed": "",
-                "worldGenerated": false
-            }
+    isActive() {
+        return !!this.minecraftProcess || this.serverStatus !== 'offline';
+    }
+
+    broadcastLog(message, type = 'info') {
+        this.manager.broadcastLog(message, type, this.id);
+    }
+
+    // Socket.IO events are tagged with the instance they belong to
+    emit(event, payload) {
+        this.manager.io.emit(event, { instance: this.id, ...payload });
+    }
+
+    // NEW: Config as exposed over the API, with secrets removed
+    getPublicConfig() {
+        // Webhook URLs can carry tokens (Discord's do)
+        const { rcon, instances, webhooks, ...config } = this.config;
+        return {
+            ...stripSecrets(config),
+            rcon: rcon ? { enabled: rcon.enabled, port: rcon.port } : undefined
         };
+    }
 
-        try {
-            fs.writeFileSync('./config.json', JSON.stringify(defaultConfig, null, 4));
-            this.broadcastLog('📄 Default config.json created', 'success');
-        } catch (error) {
-            this.broadcastLog(`❌ Failed to create config file: ${error.message}`, 'error');
+    saveConfig() {
+        return this.manager.saveConfig();
+    }
+
+    // NEW: Validate and deep-merge a partial config, then apply what can be applied live
+    async updateConfig(patch) {
+        const validation = validateConfigPatch(patch, this.config, { allowShared: this.id === DEFAULT_INSTANCE });
+        if (validation.errors.length > 0) {
+            return { success: false, message: 'Invalid configuration', errors: validation.errors };
         }
 
-        return defaultConfig;
+        const { config, changes } = mergeConfigPatch(this.config, validation.patch);
+        const errors = validateMergedConfig(config);
+        if (errors.length > 0) {
+            return { success: false, message: 'Invalid configuration', errors };
+        }
+
+        if (changes.length === 0) {
+            return {
+                success: true,
+                message: 'No configuration changes',
+                changes,
+                restartRequired: false,
+                requiresRestart: [],
+                appliedLive: []
+            };
+        }
+
+        const previous = this.config;
+        this.config = config;
+        if (!this.saveConfig()) {
+            this.config = previous;
+            return { success: false, message: 'Failed to save configuration', errors: [] };
+        }
+
+        // Regenerate server.properties with new config
+        this.setupServerProperties();
+
+        const requiresRestart = changes.filter(change => change.apply === 'restart').map(change => change.field);
+        const appliedLive = await this.applyLiveChanges(changes.filter(change => change.apply === 'live'));
+        const restartRequired = !!this.minecraftProcess && requiresRestart.length > 0;
+        this.manager.extensions.emit('config-changed', { instance: this.id, changes, restartRequired });
+
+        let message = 'Configuration updated successfully.';
+        if (restartRequired) {
+            message += ` Restart server to apply: ${requiresRestart.join(', ')}`;
+        } else if (!this.minecraftProcess && requiresRestart.length > 0) {
+            message += ' Changes take effect when the server starts.';
+        }
+
+        return { success: true, message, changes, restartRequired, requiresRestart, appliedLive };
     }
 
-    // NEW: Save configuration changes
-    saveConfig() {
-        try {
-            fs.writeFileSync('./config.json', JSON.stringify(this.config, null, 4));
-            this.broadcastLog('💾 Configuration saved successfully', 'success');
-            return true;
-        } catch (error) {
-            this.broadcastLog(`❌ Failed to save config: ${error.message}`, 'error');
-            return false;
+    // Push live settings to the running server and restart the affected timers
+    async applyLiveChanges(changes) {
+        const applied = [];
+        const sections = new Set(changes.map(change => change.field.split('.')[0]));
+
+        if (sections.has('backups')) {
+            this.backups.startSchedule();
+        }
+        if (sections.has('watchdog') && this.minecraftProcess) {
+            this.watchdog.startHealthChecks();
+        }
+        if (sections.has('metrics')) {
+            this.metrics.start();
+        }
+        if (sections.has('reachability')) {
+            this.reachability.start();
+        }
+        // New tunnel settings take over right away for servers that are already running
+        const tunnelChanges = changes.filter(change => SHARED_SECTIONS.includes(change.field.split('.')[0]) && change.field !== 'tunnel.autoStart');
+        if (tunnelChanges.length > 0 && [...this.manager.instances.values()].some(instance => instance.minecraftProcess)) {
+            this.manager.tunnels.restart();
+        }
+
+        for (const change of changes) {
+            const [section, key] = change.field.split('.');
+            const rule = CONFIG_SCHEMA[section][key];
+
+            if (!rule.command) {
+                applied.push(change.field);
+            } else if (this.serverReady) {
+                const result = await this.executeCommand(rule.command(change.to));
+                if (result.sent) {
+                    applied.push(change.field);
+                }
+            }
         }
+
+        return applied;
+    }
+
+    getSummary() {
+        return {
+            id: this.id,
+            status: this.serverStatus,
+            running: this.minecraftProcess !== null,
+            serverPath: this.serverPath,
+            javaPort: this.javaPort,
+            bedrockPort: this.bedrockPort,
+            rconPort: this.config.rcon?.enabled ? this.rconPort : null,
+            players: this.players.online.size,
+            maxPlayers: this.config.server.maxPlayers
+        };
     }
 
     // NEW: Check if seed has changed and handle world creation accordingly
-    checkSeedChange() {
+    async checkSeedChange() {
         const currentSeed = this.config.server.seed || "";
         const lastUsedSeed = this.config.world?.lastUsedSeed || "";
         const worldPath = path.join(this.serverPath, this.config.server.levelName || 'world');
@@ -164,7 +326,7 @@ class MinecraftCrossplayServer {
             this.broadcastLog(`📊 Previous seed: "${lastUsedSeed}"`, 'info');
             this.broadcastLog(`🆕 New seed: "${currentSeed}"`, 'info');
 
-            const backupResult = this.backupExistingWorld();
+            const backupResult = await this.backupExistingWorld();
             if (backupResult.success) {
                 this.updateWorldConfig(currentSeed);
                 return {
@@ -184,50 +346,23 @@ class MinecraftCrossplayServer {
         return { shouldCreateNew: false, reason: "seed_unchanged" };
     }
 
-    // NEW: Backup existing world before creating new one
-    backupExistingWorld() {
+    // UPDATED: Archive the existing world through the backup subsystem before creating a new one
+    async backupExistingWorld() {
         try {
-            const worldName = this.config.server.levelName || 'world';
-            const worldPath = path.join(this.serverPath, worldName);
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupName = `${worldName}_backup_${timestamp}`;
-            const backupPath = path.join(this.serverPath, backupName);
-
-            this.broadcastLog(`📦 Creating backup of existing world...`, 'info');
-
-            // Create backup directory
-            fs.mkdirSync(backupPath, { recursive: true });
-
-            // Copy world files
-            this.copyDirectorySync(worldPath, backupPath);
+            const backup = await this.backups.createBackup('seed-change');
 
-            this.broadcastLog(`✅ World backup created: ${backupName}`, 'success');
-            this.broadcastLog(`📁 Backup location: ${backupPath}`, 'info');
-
-            // Remove original world
-            this.removeDirectorySync(worldPath);
+            // Remove every dimension of the old world so the new seed starts clean
+            for (const dir of this.backups.getWorldDirectories()) {
+                this.removeDirectorySync(path.join(this.serverPath, dir));
+            }
             this.broadcastLog(`🗑️ Original world removed to make space for new world`, 'info');
 
-            return { success: true, backupPath: backupName };
+            return { success: true, backupPath: backup.name };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
-    // NEW: Utility function to copy directory recursively
-    copyDirectorySync(src, dest) {
-        const stats = fs.statSync(src);
-        if (stats.isDirectory()) {
-            fs.mkdirSync(dest, { recursive: true });
-            const files = fs.readdirSync(src);
-            files.forEach(file => {
-                this.copyDirectorySync(path.join(src, file), path.join(dest, file));
-            });
-        } else {
-            fs.copyFileSync(src, dest);
-        }
-    }
-
     // NEW: Utility function to remove directory recursively
     removeDirectorySync(dirPath) {
         if (fs.existsSync(dirPath)) {
@@ -258,170 +393,2285 @@ class MinecraftCrossplayServer {
         this.saveConfig();
     }
 
-    checkPlayitInstallation() {
-        const playitPaths = [
-            './playit.exe',
-            './playit',
-            'playit.exe',
-            'playit'
-        ];
+    setupRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        // Config management routes
+        this.router.get('/config', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                config: this.getPublicConfig()
+            });
+        });
 
-        for (const playitPath of playitPaths) {
+        // Partial updates: only the posted settings change, everything else is kept
+        this.router.post('/config', auth('admin'), async (req, res) => {
             try {
-                if (fs.existsSync(playitPath) || this.commandExists(playitPath)) {
-                    this.playitInstalled = true;
-                    this.playitPath = playitPath;
-                    console.log(`✅ Playit.gg found at: ${playitPath}`);
-                    this.broadcastLog('✅ Playit.gg is installed - Public tunneling available!', 'success');
-                    break;
+                const { config } = req.body;
+                if (!config) {
+                    return res.json({
+                        success: false,
+                        message: 'No configuration data provided'
+                    });
                 }
-            } catch (error) {
-                // Continue checking other paths
-            }
-        }
-
-        if (!this.playitInstalled) {
-            console.log('❌ Playit.gg is not installed - Server won\'t be available to the internet');
-            console.log('📥 For downloading Playit.gg go here: https://playit.gg/download');
-            this.broadcastLog('❌ Playit.gg is not installed - Server won\'t be available to the internet', 'warn');
-            this.broadcastLog('📥 Download Playit.gg from: https://playit.gg/download', 'info');
-        }
-    }
-
-    commandExists(command) {
-        try {
-            require('child_process').execSync(`${command} --version`, { stdio: 'ignore' });
-            return true;
-        } catch (error) {
-            return false;
-        }
-    }
-
-    parsePlayitOutput(output) {
-        const lines = output.split('\n');
-        let tunnelsFound = false;
 
-        for (const line of lines) {
-            const tunnelMatch = line.match(/^(.+?)\s+=>\s+127\.0\.0\.1:(\d+)/);
-            if (tunnelMatch) {
-                const address = tunnelMatch[1].trim();
-                const port = tunnelMatch[2];
-                tunnelsFound = true;
-
-                if (port === '25565') {
-                    if (this.playitAddresses.java !== address) {
-                        this.playitAddresses.java = address;
-                        this.broadcastLog(`🎮 Java tunnel ready: ${address}`, 'success');
-                    }
-                } else if (port === '19132') {
-                    if (this.playitAddresses.bedrock !== address) {
-                        this.playitAddresses.bedrock = address;
-                        this.broadcastLog(`📱 Bedrock tunnel ready: ${address}`, 'success');
-                    }
+                const result = await this.updateConfig(config);
+                if (!result.success) {
+                    return res.status(400).json({
+                        success: false,
+                        message: result.message,
+                        errors: result.errors
+                    });
                 }
+
+                res.json({
+                    success: true,
+                    message: result.message,
+                    config: this.getPublicConfig(),
+                    changes: result.changes,
+                    restartRequired: result.restartRequired,
+                    requiresRestart: result.requiresRestart,
+                    appliedLive: result.appliedLive
+                });
+            } catch (error) {
+                res.json({
+                    success: false,
+                    message: `Error updating config: ${error.message}`
+                });
             }
-        }
+        });
 
-        return tunnelsFound;
-    }
+        this.router.get('/config/schema', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                schema: getPublicSchema()
+            });
+        });
 
-    startPlayitTunnel() {
-        if (!this.playitInstalled) {
-            this.broadcastLog('⚠️ Playit.gg not installed - skipping tunnel creation', 'warn');
-            return;
-        }
+        this.router.get('/status', auth('viewer'), (req, res) => {
+            const uptime = this.startTime ? Math.floor((Date.now() - this.startTime) / 1000) : 0;
+            res.json({
+                instance: this.id,
+                status: this.serverStatus,
+                running: this.minecraftProcess !== null,
+                ready: this.serverReady,
+                simulated: this.simulated,
+                uptime: uptime,
+                localIP: this.localIP,
+                publicIP: this.publicIP,
+                javaPort: this.javaPort,
+                bedrockPort: this.bedrockPort,
+                config: this.getPublicConfig(),
+                watchdog: this.watchdog.getStatus(),
+                shutdown: this.shutdown.getStatus(),
+                metrics: this.metrics.getStatus(),
+                // Whether the server answers on each address, with MOTD, version, players and latency
+                reachability: this.reachability.getStatus(),
+                rcon: {
+                    enabled: !!this.config.rcon?.enabled,
+                    connected: !!this.rcon?.connected
+                },
+                players: {
+                    count: this.players.online.size,
+                    max: this.config.server.maxPlayers
+                },
+                tunnel: {
+                    ...this.manager.tunnels.getStatus(),
+                    addresses: this.tunnelAddresses
+                },
+                connections: {
+                    local: {
+                        java: `localhost:${this.javaPort}`,
+                        bedrock: `localhost:${this.bedrockPort}`
+                    },
+                    network: {
+                        java: `${this.localIP}:${this.javaPort}`,
+                        bedrock: `${this.localIP}:${this.bedrockPort}`
+                    },
+                    // Public addresses from the active tunnel provider (null when tunneling is off)
+                    tunnel: this.manager.tunnels.getConnections(this)
+                }
+            });
+        });
 
-        if (this.playitProcess) {
-            this.broadcastLog('⚠️ Playit tunnel already running', 'warn');
-            return;
-        }
+        this.router.post('/start', auth('moderator'), async (req, res) => {
+            if (this.serverStatus === 'starting' || this.serverStatus === 'online') {
+                return res.json({
+                    success: false,
+                    message: 'Server is already starting or running'
+                });
+            }
+            if (this.serverStatus === 'stopping' || this.manager.shuttingDown) {
+                return res.json({
+                    success: false,
+                    message: this.manager.shuttingDown ? 'The manager is shutting down' : 'Server is still stopping'
+                });
+            }
 
-        this.broadcastLog('🌐 Starting Playit.gg tunnels for public access...', 'info');
+            const portCheck = await this.manager.checkPorts(this);
+            if (!portCheck.ok) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Port conflict: ${portCheck.errors.join('; ')}`,
+                    errors: portCheck.errors
+                });
+            }
 
-        try {
-            this.playitProcess = spawn(this.playitPath, [], {
-                stdio: ['pipe', 'pipe', 'pipe']
+            this.startMinecraftServer().catch((error) => {
+                this.broadcastLog(`❌ Failed to start server: ${error.message}`, 'error');
+            });
+            res.json({
+                success: true,
+                message: 'Server is starting...',
+                status: 'starting',
+                warnings: portCheck.warnings
             });
+        });
 
-            this.playitProcess.stdout.on('data', (data) => {
-                const output = data.toString().trim();
+        this.router.post('/stop', auth('moderator'), (req, res) => {
+            if (this.serverStatus === 'offline' && this.watchdog.nextRestartAt) {
+                this.watchdog.cancel();
+                return res.json({
+                    success: true,
+                    message: 'Pending automatic restart cancelled',
+                    status: 'offline'
+                });
+            }
+
+            if (this.serverStatus === 'offline') {
+                return res.json({
+                    success: false,
+                    message: 'Server is already offline'
+                });
+            }
+
+            // Optional overrides: countdown in seconds (0 stops right away) and a reason shown to players
+            const { countdown, reason } = req.body || {};
+            if (countdown !== undefined && (!Number.isInteger(countdown) || countdown < 0 || countdown > 3600)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'countdown must be a whole number of seconds between 0 and 3600'
+                });
+            }
+            if (reason !== undefined && typeof reason !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'reason must be a string'
+                });
+            }
+
+            const alreadyStopping = this.shutdown.inProgress;
+            const cancellingStart = !this.minecraftProcess;
+            this.stopMinecraftServer({ countdown, reason }).catch((error) => {
+                this.broadcastLog(`❌ Shutdown failed: ${error.message}`, 'error');
+            });
+
+            const shutdown = this.shutdown.getStatus();
+            let message = 'Server is stopping...';
+            if (cancellingStart) {
+                message = 'Start cancelled - the server will not be launched';
+            } else if (alreadyStopping) {
+                message = countdown === 0 ? 'Skipping the shutdown countdown' : 'Server is already stopping';
+            } else if (shutdown.stage === 'countdown') {
+                const seconds = Math.round((new Date(shutdown.countdownEndsAt) - Date.now()) / 1000);
+                message = `Server stops in ${seconds}s - players have been warned`;
+            }
+            res.json({
+                success: true,
+                message,
+                status: 'stopping',
+                shutdown
+            });
+        });
+
+        this.router.post('/stop/cancel', auth('moderator'), (req, res) => {
+            if (this.manager.shuttingDown || !this.shutdown.cancel()) {
+                return res.json({
+                    success: false,
+                    message: 'Only a shutdown countdown can be cancelled'
+                });
+            }
+            res.json({
+                success: true,
+                message: 'Shutdown cancelled',
+                status: this.serverStatus
+            });
+        });
+
+        this.router.post('/command', auth('moderator'), async (req, res) => {
+            const { command } = req.body;
+            if (this.serverStatus !== 'online') {
+                return res.json({
+                    success: false,
+                    message: 'Server must be online to send commands'
+                });
+            }
+
+            if (!command || typeof command !== 'string') {
+                return res.json({
+                    success: false,
+                    message: 'No command provided'
+                });
+            }
+
+            const result = await this.executeCommand(command);
+            res.json({
+                success: result.sent,
+                message: result.sent ? `Command executed: ${command}` : `Command failed: ${result.error}`,
+                output: result.output,
+                via: result.via
+            });
+        });
+
+        this.setupBackupRoutes();
+        this.setupPlayerRoutes();
+        this.setupChatRoutes();
+        this.setupAccessRoutes();
+        this.setupMetricsRoutes();
+        this.setupPropertiesRoutes();
+        this.setupPluginRoutes();
+        this.setupWorldRoutes();
+        this.setupSchedulerRoutes();
+        this.setupJarRoutes();
+        this.setupJavaRoutes();
+        this.setupSimulationRoutes();
+        this.setupReachabilityRoutes();
+    }
+
+    // NEW: Scheduled jobs - list, create, update, delete and run now
+    setupSchedulerRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/schedule', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                jobs: this.scheduler.listJobs()
+            });
+        });
+
+        this.router.post('/schedule', auth('admin'), (req, res) => {
+            try {
+                const job = this.scheduler.createJob(req.body || {});
+                res.json({
+                    success: true,
+                    message: `Job "${job.name}" scheduled`,
+                    job
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.patch('/schedule/:id', auth('admin'), (req, res) => {
+            if (!this.scheduler.getJob(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            try {
+                const job = this.scheduler.updateJob(req.params.id, req.body || {});
+                res.json({
+                    success: true,
+                    message: `Job "${job.name}" updated`,
+                    job
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.delete('/schedule/:id', auth('admin'), (req, res) => {
+            const deleted = this.scheduler.deleteJob(req.params.id);
+            res.status(deleted ? 200 : 404).json({
+                success: deleted,
+                message: deleted ? 'Job deleted' : 'Job not found'
+            });
+        });
+
+        this.router.post('/schedule/:id/run', auth('moderator'), async (req, res) => {
+            const job = this.scheduler.getJob(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Job not found'
+                });
+            }
+
+            // Restarts of a running server take a while, so only wait for the quick jobs
+            const run = this.scheduler.run(job, 'manual');
+            if (job.type === 'restart' && this.serverReady) {
+                return res.json({
+                    success: true,
+                    message: `Running "${job.name}"...`
+                });
+            }
+
+            const result = await run;
+            res.json({
+                success: result.status === 'success',
+                message: `${job.name}: ${result.message}`,
+                result
+            });
+        });
+    }
+
+    // NEW: Server jar catalogue - upload, verify, switch and roll back
+    setupJarRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        // Refreshing hashes every jar, so an unreadable or just-deleted one fails the request
+        this.router.get('/jars', auth('viewer'), async (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    ...await this.jars.getStatus()
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    message: `Failed to read server jars: ${error.message}`
+                });
+            }
+        });
+
+        // Raw jar upload: POST /jars?filename=paper-1.21.1-119.jar[&sha256=<hex>]
+        this.router.post('/jars', auth('admin'), express.raw({ type: '*/*', limit: '200mb' }), async (req, res) => {
+            try {
+                const jar = await this.jars.upload(req.query.filename, req.body, { sha256: req.query.sha256 });
+                res.json({
+                    success: true,
+                    message: `Server jar ${jar.file} uploaded`,
+                    jar
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: `Upload failed: ${error.message}`
+                });
+            }
+        });
+
+        this.router.post('/jars/rollback', auth('admin'), async (req, res) => {
+            try {
+                const result = await this.jars.rollback({ start: req.body?.start === true });
+                res.json({
+                    success: true,
+                    message: `Rolled back to ${result.to}`,
+                    ...result
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.post('/jars/:file/activate', auth('admin'), async (req, res) => {
+            try {
+                const result = await this.jars.activate(req.params.file, { start: req.body?.start === true });
+                res.json({
+                    success: true,
+                    message: `Switched to ${result.to}${result.backup ? ` (world backed up as ${result.backup})` : ''}`,
+                    ...result
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.post('/jars/:file/verify', auth('moderator'), async (req, res) => {
+            try {
+                const result = await this.jars.verify(req.params.file);
+                res.json({
+                    success: true,
+                    message: result.ok ? `${result.file} matches its SHA-256` : `${result.file} does not match its catalogued SHA-256`,
+                    ...result
+                });
+            } catch (error) {
+                res.status(404).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.post('/jars/:file/trust', auth('admin'), async (req, res) => {
+            try {
+                const jar = await this.jars.trust(req.params.file);
+                res.json({
+                    success: true,
+                    message: `${req.params.file} re-catalogued`,
+                    jar
+                });
+            } catch (error) {
+                res.status(404).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.delete('/jars/:file', auth('admin'), (req, res) => {
+            try {
+                const deleted = this.jars.deleteJar(req.params.file);
+                res.status(deleted ? 200 : 404).json({
+                    success: deleted,
+                    message: deleted ? 'Server jar deleted' : 'Server jar not found'
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+    }
+
+    // NEW: Java runtime and JVM flag preflight
+    setupJavaRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        // ?refresh=true probes the installed runtimes again instead of using the cached list
+        this.router.get('/java', auth('viewer'), async (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    ...await this.java.run({ refresh: req.query.refresh === 'true' })
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    message: `Java check failed: ${error.message}`
+                });
+            }
+        });
+    }
+
+    // NEW: Simulated server settings and the built-in scenarios to pick from
+    setupSimulationRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/simulation', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                ...DEFAULT_SIMULATION_CONFIG,
+                ...this.config.simulation,
+                running: this.minecraftProcess !== null && this.simulated,
+                scenarios: Object.entries(SIMULATION_SCENARIOS).map(([name, scenario]) => ({
+                    name,
+                    description: scenario.description
+                }))
+            });
+        });
+    }
+
+    // NEW: Reachability of the Java and Bedrock ports on every address
+    setupReachabilityRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/reachability', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                ...this.reachability.getStatus()
+            });
+        });
+
+        // Check right away instead of waiting for the next interval
+        this.router.post('/reachability/check', auth('moderator'), async (req, res) => {
+            if (!this.serverReady) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The server is not online'
+                });
+            }
+            res.json({
+                success: true,
+                ...await this.reachability.check()
+            });
+        });
+    }
+
+    // NEW: World library - list, create, switch, import, export and delete worlds
+    setupWorldRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/worlds', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                activeWorld: this.worlds.activeWorld,
+                worlds: this.worlds.listWorlds()
+            });
+        });
+
+        this.router.post('/worlds', auth('admin'), async (req, res) => {
+            const { name, seed } = req.body || {};
+            try {
+                const result = await this.worlds.createWorld(name, seed);
+                res.json({
+                    success: true,
+                    message: result.restarted
+                        ? `World ${name} selected - the server is restarting to generate it`
+                        : `World ${name} selected - it will be generated on the next start`,
+                    ...result
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.post('/worlds/:name/activate', auth('admin'), async (req, res) => {
+            try {
+                const result = await this.worlds.switchWorld(req.params.name);
+                res.json({
+                    success: true,
+                    message: result.restarted
+                        ? `Switched to ${req.params.name} - the server is restarting`
+                        : `Active world is now ${req.params.name}`,
+                    ...result
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        // Raw zip upload: POST /worlds/import?name=myworld
+        this.router.post('/worlds/import', auth('admin'), async (req, res) => {
+            try {
+                const world = await this.worlds.importWorld(req.query.name, req);
+                res.json({
+                    success: true,
+                    message: `World imported as ${world.name}`,
+                    world
+                });
+            } catch (error) {
+                req.resume();
+                res.status(400).json({
+                    success: false,
+                    message: `Import failed: ${error.message}`
+                });
+            }
+        });
+
+        this.router.get('/worlds/:name/export', auth('moderator'), async (req, res) => {
+            if (!this.worlds.getWorld(req.params.name)) {
+                return res.status(404).json({
+                    success: false,
+                    message: `World not found: ${req.params.name}`
+                });
+            }
+
+            res.attachment(`${req.params.name}.zip`);
+            try {
+                await this.worlds.exportWorld(req.params.name, res);
+            } catch (error) {
+                this.broadcastLog(`❌ World export failed: ${error.message}`, 'error');
+                // Once the zip has started there is no way to report the error but to cut it off
+                if (res.headersSent) {
+                    res.destroy(error);
+                } else {
+                    res.removeHeader('Content-Disposition');
+                    res.status(400).json({
+                        success: false,
+                        message: `Export failed: ${error.message}`
+                    });
+                }
+            }
+        });
+
+        this.router.delete('/worlds/:name', auth('admin'), (req, res) => {
+            try {
+                this.worlds.deleteWorld(req.params.name);
+                res.json({
+                    success: true,
+                    message: `World deleted: ${req.params.name}`
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+    }
+
+    // NEW: List, upload, enable/disable and delete plugin jars
+    setupPluginRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/plugins', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                ...this.plugins.getStatus()
+            });
+        });
+
+        // Raw jar upload: POST /plugins?filename=Example.jar[&replace=true]
+        this.router.post('/plugins', auth('admin'), express.raw({ type: '*/*', limit: '100mb' }), async (req, res) => {
+            try {
+                const plugin = await this.plugins.uploadPlugin(req.query.filename, req.body, {
+                    replace: req.query.replace === 'true'
+                });
+                res.json({
+                    success: true,
+                    message: `Plugin ${plugin.name} uploaded. Restart server to load it.`,
+                    plugin,
+                    restartRequired: !!this.minecraftProcess
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: `Upload failed: ${error.message}`
+                });
+            }
+        });
+
+        for (const action of ['enable', 'disable']) {
+            this.router.post(`/plugins/:file/${action}`, auth('admin'), (req, res) => {
+                try {
+                    const changed = this.plugins.setEnabled(req.params.file, action === 'enable');
+                    res.json({
+                        success: true,
+                        message: changed ? `Plugin ${action}d: ${req.params.file}` : `Plugin already ${action}d`,
+                        restartRequired: changed && !!this.minecraftProcess
+                    });
+                } catch (error) {
+                    res.status(404).json({
+                        success: false,
+                        message: error.message
+                    });
+                }
+            });
+        }
+
+        this.router.delete('/plugins/:file', auth('admin'), (req, res) => {
+            const deleted = this.plugins.deletePlugin(req.params.file);
+            res.status(deleted ? 200 : 404).json({
+                success: deleted,
+                message: deleted ? 'Plugin deleted' : 'Plugin not found',
+                restartRequired: deleted && !!this.minecraftProcess
+            });
+        });
+    }
+
+    // NEW: Sampled performance history for charts
+    setupMetricsRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/metrics/history', auth('viewer'), (req, res) => {
+            const status = this.metrics.getStatus();
+            const minutes = Math.min(Math.max(parseInt(req.query.minutes, 10) || 60, 1), status.historyMinutes);
+            const maxPoints = Math.min(Math.max(parseInt(req.query.points, 10) || 360, 10), 5000);
+
+            res.json({
+                success: true,
+                ...status,
+                minutes,
+                samples: this.metrics.getHistory({ minutes, maxPoints })
+            });
+        });
+    }
+
+    // NEW: Read and edit server.properties keys that config.json does not manage
+    setupPropertiesRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/properties', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                properties: this.getProperties()
+            });
+        });
+
+        this.router.patch('/properties', auth('admin'), (req, res) => {
+            const result = this.updateProperties(req.body?.properties);
+            res.status(result.success ? 200 : 400).json(result);
+        });
+    }
+
+    // NEW: Online players and per-player session history
+    setupPlayerRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/players', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                ...this.players.getSummary()
+            });
+        });
+
+        this.router.get('/players/:name', auth('viewer'), (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const player = this.players.getPlayer(req.params.name, limit);
+            if (!player) {
+                return res.status(404).json({
+                    success: false,
+                    message: `No history for player ${req.params.name}`
+                });
+            }
+
+            res.json({
+                success: true,
+                player
+            });
+        });
+    }
+
+    // NEW: Chat history and sending messages in-game from the panel
+    setupChatRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/chat', auth('viewer'), (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const before = parseInt(req.query.before, 10) || null;
+            res.json({
+                success: true,
+                messages: this.chat.getHistory({ limit, before })
+            });
+        });
+
+        this.router.post('/chat', auth('moderator'), async (req, res) => {
+            if (this.serverStatus !== 'online') {
+                return res.json({
+                    success: false,
+                    message: 'Server must be online to chat'
+                });
+            }
+
+            try {
+                const entry = await this.chat.send(req.user.username, req.body?.message);
+                res.json({
+                    success: true,
+                    message: 'Message sent',
+                    chat: entry
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+    }
+
+    // NEW: Whitelist, operators and bans
+    setupAccessRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+        // Handing out operator rights is for admins only
+        const listAuth = (req, res, next) => {
+            if (!ACCESS_LISTS[req.params.list]) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Unknown list: ${req.params.list}`
+                });
+            }
+            auth(req.params.list === 'ops' ? 'admin' : 'moderator')(req, res, next);
+        };
+
+        this.router.get('/access', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                lists: this.accessLists.getLists(),
+                whitelistEnabled: !!this.config.server.enableWhitelist,
+                onlineMode: !!this.config.server.onlineMode,
+                floodgatePrefix: this.accessLists.floodgatePrefix
+            });
+        });
+
+        this.router.post('/access/:list', listAuth, async (req, res) => {
+            try {
+                const result = await this.accessLists.add(req.params.list, req.body || {}, req.user.username);
+                res.json({
+                    success: true,
+                    ...result
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.delete('/access/:list/:key', listAuth, async (req, res) => {
+            try {
+                const result = await this.accessLists.remove(req.params.list, req.params.key);
+                if (!result) {
+                    return res.status(404).json({
+                        success: false,
+                        message: `${req.params.key} is not on the ${req.params.list} list`
+                    });
+                }
+                res.json({
+                    success: true,
+                    ...result
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+    }
+
+    // NEW: Backup list, trigger, download and restore routes
+    setupBackupRoutes() {
+        const auth = role => this.manager.auth.requireRole(role);
+
+        this.router.get('/backups', auth('moderator'), (req, res) => {
+            res.json({
+                success: true,
+                ...this.backups.getStatus()
+            });
+        });
+
+        this.router.post('/backups', auth('moderator'), async (req, res) => {
+            try {
+                const backup = await this.backups.createBackup('manual');
+                res.json({
+                    success: true,
+                    message: `Backup created: ${backup.name}`,
+                    backup
+                });
+            } catch (error) {
+                res.json({
+                    success: false,
+                    message: `Backup failed: ${error.message}`
+                });
+            }
+        });
+
+        this.router.get('/backups/:name/download', auth('moderator'), (req, res) => {
+            const backupPath = this.backups.getBackupPath(req.params.name);
+            if (!backupPath) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Backup not found'
+                });
+            }
+
+            res.download(backupPath);
+        });
+
+        this.router.post('/backups/:name/restore', auth('admin'), (req, res) => {
+            if (!this.backups.getBackupPath(req.params.name)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Backup not found'
+                });
+            }
+
+            // Restoring stops and restarts the server, so report progress through the log stream
+            this.backups.restoreBackup(req.params.name).catch((error) => {
+                this.broadcastLog(`❌ Restore failed: ${error.message}`, 'error');
+            });
+            res.json({
+                success: true,
+                message: `Restoring ${req.params.name}...`
+            });
+        });
+
+        this.router.delete('/backups/:name', auth('admin'), (req, res) => {
+            const deleted = this.backups.deleteBackup(req.params.name);
+            res.status(deleted ? 200 : 404).json({
+                success: deleted,
+                message: deleted ? 'Backup deleted' : 'Backup not found'
+            });
+        });
+    }
+
+    // NEW: server.properties keys generated from config.json, with the setting each comes from
+    getManagedProperties() {
+        const config = this.config.server;
+        const rcon = this.config.rcon || {};
+
+        return {
+            'server-ip': { value: '0.0.0.0', field: null },
+            'server-port': { value: this.javaPort, field: 'ports.java' },
+            'level-seed': { value: config.seed || '', field: 'server.seed' },
+            'gamemode': { value: config.gamemode || 'survival', field: 'server.gamemode' },
+            'difficulty': { value: config.difficulty || 'easy', field: 'server.difficulty' },
+            'max-players': { value: config.maxPlayers || 20, field: 'server.maxPlayers' },
+            'motd': { value: config.description || 'Crossplay Minecraft Server - Friends Welcome!', field: 'server.description' },
+            'server-name': { value: 'CrossplayServer', field: null },
+            'online-mode': { value: config.onlineMode || false, field: 'server.onlineMode' },
+            'enforce-whitelist': { value: config.enableWhitelist || false, field: 'server.enableWhitelist' },
+            'view-distance': { value: config.viewDistance || 10, field: 'server.viewDistance' },
+            'simulation-distance': { value: config.simulationDistance || 10, field: 'server.simulationDistance' },
+            'enable-query': { value: true, field: null },
+            'query.port': { value: this.javaPort, field: 'ports.java' },
+            'enable-rcon': { value: !!rcon.enabled, field: 'rcon.enabled' },
+            'rcon.port': { value: this.rconPort, field: 'rcon.port' },
+            'rcon.password': { value: rcon.password || '', field: 'rcon.password' },
+            'broadcast-rcon-to-ops': { value: false, field: null },
+            'level-name': { value: config.levelName || 'world', field: 'server.levelName' },
+            'allow-nether': { value: config.allowNether !== false, field: 'server.allowNether' },
+            'allow-end': { value: config.allowEnd !== false, field: 'server.allowEnd' },
+            'enable-command-block': { value: config.enableCommandBlock !== false, field: 'server.enableCommandBlock' },
+            'spawn-protection': { value: config.spawnProtection || 0, field: 'server.spawnProtection' },
+            'pvp': { value: config.pvp !== false, field: 'server.pvp' },
+            'require-resource-pack': { value: config.forceResourcePack || false, field: 'server.forceResourcePack' }
+        };
+    }
+
+    // UPDATED: Merge managed keys into server.properties, keeping every other key and comment
+    setupServerProperties() {
+        const propertiesPath = path.join(this.serverPath, 'server.properties');
+
+        if (!fs.existsSync(this.serverPath)) {
+            fs.mkdirSync(this.serverPath, { recursive: true });
+        }
+
+        const properties = readProperties(propertiesPath);
+        for (const [key, { value }] of Object.entries(this.getManagedProperties())) {
+            properties.set(key, value);
+        }
+        writeProperties(propertiesPath, properties);
+
+        const eulaPath = path.join(this.serverPath, 'eula.txt');
+        fs.writeFileSync(eulaPath, 'eula=true');
+
+        this.broadcastLog('📝 Server properties updated from configuration', 'info');
+    }
+
+    // NEW: Every key in server.properties, flagging the ones owned by config.json
+    getProperties() {
+        const managed = this.getManagedProperties();
+        const properties = readProperties(path.join(this.serverPath, 'server.properties')).toObject();
+
+        return Object.entries(properties).map(([key, value]) => ({
+            key,
+            // The RCON password is a secret, like in the config API
+            value: key === 'rcon.password' ? null : value,
+            managed: key in managed,
+            configField: managed[key]?.field || null
+        }));
+    }
+
+    // NEW: Set (or with null, remove) unmanaged keys in server.properties
+    updateProperties(changes) {
+        const managed = this.getManagedProperties();
+        const errors = [];
+
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return { success: false, message: 'No properties provided', errors };
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (!/^[A-Za-z0-9._-]+$/.test(key)) {
+                errors.push({ key, message: 'Invalid property name' });
+            } else if (key in managed) {
+                const field = managed[key].field;
+                errors.push({
+                    key,
+                    message: field
+                        ? `Owned by config.json - change ${field} through /config instead`
+                        : 'Owned by the server manager'
+                });
+            } else if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+                errors.push({ key, message: 'Value must be text, a number, true/false or null' });
+            } else if (typeof value === 'string' && /[\r\n]/.test(value)) {
+                errors.push({ key, message: 'Value must not contain line breaks' });
+            }
+        }
+
+        if (errors.length > 0) {
+            return { success: false, message: 'Invalid properties', errors };
+        }
+
+        const propertiesPath = path.join(this.serverPath, 'server.properties');
+        const properties = readProperties(propertiesPath);
+        const updated = [];
+        const removed = [];
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null) {
+                if (properties.delete(key)) removed.push(key);
+            } else {
+                properties.set(key, value);
+                updated.push(key);
+            }
+        }
+        writeProperties(propertiesPath, properties);
+
+        this.broadcastLog(`📝 server.properties edited: ${[...updated, ...removed].join(', ') || 'no changes'}`, 'info');
+        return {
+            success: true,
+            message: 'server.properties updated',
+            updated,
+            removed,
+            // Paper only reads server.properties at startup
+            restartRequired: !!this.minecraftProcess
+        };
+    }
+
+    // NEW: Point Geyser at this instance's Bedrock port (only written when it differs)
+    syncGeyserPort() {
+        const geyserConfigPath = path.join(this.serverPath, 'plugins', 'Geyser-Spigot', 'config.yml');
+        if (!fs.existsSync(geyserConfigPath)) {
+            return;
+        }
+
+        const content = fs.readFileSync(geyserConfigPath, 'utf8');
+        const updated = content.replace(/^(bedrock:[\s\S]*?\n\s+port:\s*)\d+/m, `$1${this.bedrockPort}`);
+        if (updated !== content) {
+            fs.writeFileSync(geyserConfigPath, updated);
+            this.broadcastLog(`🔗 Geyser Bedrock port set to ${this.bedrockPort}`, 'info');
+        }
+    }
+
+    // UPDATED: Display type and text for a parsed console line (see lib/logparser.js)
+    parseMinecraftLog(entry) {
+        const { raw, message, logger, event } = entry;
+        const result = (type, text) => ({ type, message: text, original: raw });
+
+        switch (event?.type) {
+            case 'join':
+                return result('player', `🟢 ${event.player} joined the game`);
+            case 'leave':
+                return result('player', `🔴 ${event.player} left the game`);
+            case 'chat':
+                return result('player', `💬 <${event.player}> ${event.message}`);
+            case 'death':
+                return result('player', `💀 ${message}`);
+            case 'advancement':
+                return result('player', `🏆 ${message}`);
+            case 'ready':
+                return result('success', `✅ Server startup complete! ${raw}`);
+            case 'plugin-enabled':
+                if (event.plugin === 'ViaVersion') {
+                    return result('success', '🔄 Multi-version support (ViaVersion) is ONLINE!');
+                }
+                return result('success', `✅ ${raw}`);
+        }
+
+        // Server startup events
+        if (message.startsWith('Starting minecraft server version')) {
+            return result('success', `🚀 ${raw}`);
+        }
+
+        // World generation
+        if (message.includes('Preparing spawn area') || message.includes('Preparing level')) {
+            return result('world', `🌍 ${raw}`);
+        }
+
+        if (message.includes('Time elapsed:')) {
+            return result('world', `⏱️ ${raw}`);
+        }
+
+        // Plugin loading
+        if (logger && /^Loading (server )?plugin /.test(message)) {
+            return result('info', `🔌 ${raw}`);
+        }
+
+        // Geyser specific
+        if (logger === 'Geyser-Spigot' && message.startsWith('Started Geyser')) {
+            return result('success', '🔗 Crossplay bridge (Geyser) is ONLINE!');
+        }
+
+        // Errors and warnings by log level (stack trace lines keep the level of their line)
+        if (['ERROR', 'FATAL', 'SEVERE'].includes(entry.level)) {
+            return result('error', entry.continuation ? raw : `❌ ${raw}`);
+        }
+
+        if (entry.level === 'WARN' || entry.level === 'WARNING') {
+            return result('warn', entry.continuation ? raw : `⚠️ ${raw}`);
+        }
+
+        // Default
+        return result('info', raw);
+    }
+
+    // NEW: Handle one complete line of server output
+    handleOutputLine(line) {
+        const entry = this.logParser.parse(line, {
+            isOnline: name => this.players.online.has(name)
+        });
+        const parsedLog = this.parseMinecraftLog(entry);
+
+        this.broadcastLog(parsedLog.message, parsedLog.type);
+        this.outputListeners.forEach(listener => listener(line));
+        this.manager.extensions.emit('log-line', {
+            instance: this.id,
+            line,
+            level: entry.level,
+            logger: entry.logger,
+            message: entry.message,
+            type: parsedLog.type
+        });
+        this.players.handleEvent(entry.event);
+        this.plugins.handleLogEntry(entry);
+        this.watchdog.onOutput(line, parsedLog.type);
+
+        if (entry.event) {
+            this.emitServerEvent(entry.event, entry);
+        }
+        if (entry.event?.type === 'ready') {
+            this.onServerReady();
+        }
+    }
+
+    // NEW: Publish a typed event in-process and to web clients
+    // (lifecycle events have no console entry)
+    emitServerEvent(event, entry = null) {
+        const payload = {
+            ...event,
+            timestamp: new Date().toISOString(),
+            logger: entry?.logger ?? null,
+            line: entry?.raw ?? null
+        };
+        this.events.emit(event.type, payload);
+        this.events.emit('event', payload);
+        this.emit('server-event', payload);
+    }
+
+    // NEW: The server finished starting ("Done (...)! For help, type "help"")
+    onServerReady() {
+        if (this.serverReady) return;
+
+        this.serverStatus = 'online';
+        this.serverReady = true;
+        this.markWorldAsGenerated(); // Mark world as generated when server is ready
+        this.watchdog.onReady();
+        this.plugins.onReady();
+        this.jars.onReady();
+        this.connectRcon();
+        this.scheduler.onReady();
+        this.reachability.onReady();
+        this.broadcastLog('🎉 SERVER IS NOW ONLINE! Friends can join!', 'success');
+        this.displayConnectionInfo();
+        this.manager.emitInstances();
+    }
+
+    // NEW: Give up a start that was stopped (or the manager began shutting down) while it awaited
+    // its checks - Java probes alone can take several seconds - instead of spawning anyway
+    abortCancelledStart() {
+        if (!this.startCancelled && !this.manager.shuttingDown) return false;
+
+        this.startCancelled = false;
+        this.serverStatus = 'offline';
+        this.manager.logStore.endSession(this.id);
+        this.broadcastLog('⏹️ Start cancelled', 'info');
+        this.manager.emitInstances();
+        return true;
+    }
+
+    // UPDATED: Start server with seed change detection
+    async startMinecraftServer() {
+        if (this.minecraftProcess || this.serverStatus === 'starting') {
+            this.broadcastLog('⚠️ Server already running', 'warn');
+            return;
+        }
+        if (this.manager.shuttingDown) {
+            this.broadcastLog('⚠️ Not starting - the manager is shutting down', 'warn');
+            return;
+        }
+
+        this.serverStatus = 'starting';
+        this.startCancelled = false;
+
+        // Another instance or process holding one of our ports would make the server fail to bind
+        const portCheck = await this.manager.checkPorts(this);
+        if (this.abortCancelledStart()) return;
+        portCheck.warnings.forEach(warning => this.broadcastLog(`⚠️ ${warning}`, 'warn'));
+        if (!portCheck.ok) {
+            portCheck.errors.forEach(error => this.broadcastLog(`❌ ${error}`, 'error'));
+            this.broadcastLog('❌ Not starting because of port conflicts', 'error');
+            this.serverStatus = 'offline';
+            return;
+        }
+
+        // A simulated server needs neither the Paper jar nor Java, just a valid scenario
+        let preflight;
+        let simulation;
+        try {
+            if (this.simulated) {
+                simulation = getSimulatorLaunch(this.config.simulation);
+            } else {
+                await this.jars.beforeStart();
+                preflight = await this.java.run();
+            }
+        } catch (error) {
+            this.broadcastLog(`❌ Not starting: ${error.message}`, 'error');
+            this.serverStatus = 'offline';
+            this.manager.emitInstances();
+            return;
+        }
+        if (this.abortCancelledStart()) return;
+
+        // A missing or too old Java, or more heap than the machine has, would only fail later
+        preflight?.warnings.forEach(warning => this.broadcastLog(`⚠️ ${warning}`, 'warn'));
+        if (preflight && !preflight.ok) {
+            preflight.errors.forEach(error => this.broadcastLog(`❌ ${error}`, 'error'));
+            this.broadcastLog('❌ Not starting because the Java preflight failed', 'error');
+            this.serverStatus = 'offline';
+            this.manager.emitInstances();
+            return;
+        }
+
+        // Everything logged from here until the process exits belongs to this session
+        this.manager.logStore.startSession(this.id);
+
+        this.syncGeyserPort();
+        this.plugins.checkBeforeStart();
+        this.manager.emitInstances();
+
+        // Check for seed changes before starting
+        const seedCheck = await this.checkSeedChange();
+        if (this.abortCancelledStart()) return;
+
+        if (seedCheck.shouldCreateNew) {
+            if (seedCheck.reason === "seed_changed") {
+                this.broadcastLog(`🎉 New world will be generated with seed: ${this.config.server.seed}`, 'success');
+                this.broadcastLog(`📦 Previous world backed up as: ${seedCheck.backupPath}`, 'info');
+            } else if (seedCheck.reason === "no_world_exists") {
+                this.broadcastLog(`🆕 Generating new world...`, 'success');
+            }
+        }
+
+        this.serverReady = false;
+        this.startTime = Date.now();
+        this.backups.worldDirty = true;
+
+        this.broadcastLog('🚀 STARTING MINECRAFT CROSSPLAY SERVER', 'success');
+        this.broadcastLog(`🏠 Local IP: ${this.localIP}`, 'info');
+        this.broadcastLog(`🌐 Public IP: ${this.publicIP || 'Not detected'}`, 'info');
+
+        // Log current configuration
+        const config = this.config.server;
+        this.broadcastLog(`🎮 Game mode: ${config.gamemode}, Difficulty: ${config.difficulty}`, 'info');
+        this.broadcastLog(`👥 Max players: ${config.maxPlayers}`, 'info');
+        if (config.seed) {
+            this.broadcastLog(`🌱 World seed: ${config.seed}`, 'info');
+        }
+
+        if (this.manager.tunnels.config.autoStart) {
+            this.manager.tunnels.start(this);
+        } else {
+            this.broadcastLog('⚠️ Tunnel auto-start is off - Server will only be available locally/LAN', 'warn');
+        }
+
+        this.broadcastLog('⏳ Please wait while server initializes...', 'info');
+
+        // Memory from config, flags from the selected JVM profile
+        let launch = preflight;
+        if (simulation) {
+            launch = simulation;
+            this.broadcastLog(`🧪 Simulated Paper server (scenario: ${simulation.scenario.name}) - no Java process, no real world`, 'warn');
+        } else {
+            const runtime = preflight.selected;
+            this.broadcastLog(`☕ Java ${runtime.version}${runtime.vendor ? ` (${runtime.vendor})` : ''} - ${preflight.profile} JVM profile`, 'info');
+        }
+
+        this.stopRequested = false;
+        this.minecraftProcess = spawn(launch.command, launch.args, {
+            cwd: this.serverPath,
+            stdio: ['pipe', 'pipe', 'pipe'],
+            // Own process group, so Ctrl+C in the manager's terminal reaches only the
+            // manager, which then stops the server through the shutdown sequence
+            detached: process.platform !== 'win32'
+        });
+        this.watchdog.onStart();
+        this.plugins.onStart();
+        this.metrics.onStart();
+        this.jars.onStart();
+        this.emitServerEvent({ type: 'start' });
+
+        this.minecraftProcess.on('error', (error) => {
+            this.watchdog.onSpawnError(error);
+            this.broadcastLog(`❌ Failed to launch Java: ${error.message}`, 'error');
+        });
+
+        // Writes to a process that is already exiting fail with EPIPE; the close handler reports the exit
+        this.minecraftProcess.stdin.on('error', () => { });
+
+        // Output arrives in arbitrary chunks; handle it one complete line at a time
+        this.logParser = this.manager.createLogParser(this);
+        const stdoutLines = new LineSplitter(line => this.handleOutputLine(line));
+        this.minecraftProcess.stdout.on('data', data => stdoutLines.push(data));
+        this.minecraftProcess.stdout.on('end', () => stdoutLines.flush());
+
+        const stderrLines = new LineSplitter((line) => {
+            this.broadcastLog(`💥 Error: ${line}`, 'error');
+            this.watchdog.onOutput(line, 'error');
+        });
+        this.minecraftProcess.stderr.on('data', data => stderrLines.push(data));
+        this.minecraftProcess.stderr.on('end', () => stderrLines.flush());
+
+        this.minecraftProcess.on('close', (code, signal) => {
+            this.broadcastLog(`⏹️ Minecraft server exited with code ${code}`, code === 0 ? 'info' : 'error');
+            this.minecraftProcess = null;
+            this.serverStatus = 'offline';
+            this.serverReady = false;
+            this.startTime = null;
+            this.disconnectRcon();
+
+            this.manager.tunnels.release(this);
+            this.players.reset(code === 0 || this.stopRequested ? 'server-stopped' : 'server-crashed');
+
+            if (code !== 0 && this.stopRequested) {
+                this.broadcastLog(`⚠️ Server was terminated during shutdown${signal ? ` (${signal})` : ''}`, 'warn');
+            } else if (code !== 0) {
+                this.broadcastLog('💥 Server crashed! Check the error messages above.', 'error');
+            } else {
+                this.broadcastLog('✅ Server stopped normally.', 'success');
+            }
+
+            this.manager.logStore.endSession(this.id, { exitCode: code });
+            this.metrics.onExit();
+            this.reachability.onExit();
+            this.watchdog.onExit(code, signal, this.stopRequested);
+            this.jars.onExit(code, this.stopRequested);
+            this.emitServerEvent({ type: code !== 0 && !this.stopRequested ? 'crash' : 'stop', code, signal });
+            this.manager.emitInstances();
+        });
+    }
+
+    displayConnectionInfo() {
+        this.broadcastLog('🎮 MINECRAFT CROSSPLAY SERVER IS ONLINE! 🎮', 'success');
+        this.broadcastLog(`📱 Java Edition Local: localhost:${this.javaPort}`, 'info');
+        this.broadcastLog(`🎯 Bedrock Edition Local: localhost:${this.bedrockPort}`, 'info');
+        this.broadcastLog(`🏘️ Network Java: ${this.localIP}:${this.javaPort}`, 'info');
+        this.broadcastLog(`🏘️ Network Bedrock: ${this.localIP}:${this.bedrockPort}`, 'info');
+
+        const tunnel = this.manager.tunnels.provider;
+        if (this.tunnelAddresses.java) {
+            this.broadcastLog(`🌐 Public Java (${tunnel.label}): ${this.tunnelAddresses.java}`, 'success');
+        }
+        if (this.tunnelAddresses.bedrock) {
+            this.broadcastLog(`🌐 Public Bedrock (${tunnel.label}): ${this.tunnelAddresses.bedrock}`, 'success');
+        }
+
+        this.broadcastLog('📋 Share these addresses with friends!', 'success');
+    }
+
+    // UPDATED: Run the shutdown sequence; resolves true once the process has exited
+    // (false if its countdown was cancelled). Options: { countdown, reason }
+    stopMinecraftServer(options = {}) {
+        if (!this.minecraftProcess) {
+            // Still checking ports, the jar and Java; the start gives up before spawning
+            if (this.serverStatus === 'starting') {
+                this.startCancelled = true;
+            }
+            this.watchdog.cancel();
+            return Promise.resolve(true);
+        }
+        return this.shutdown.stop(options);
+    }
+
+    // NEW: Resolve once a server output line matches the pattern (false on timeout)
+    waitForOutput(pattern, timeout = 30000) {
+        return new Promise((resolve) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.outputListeners.delete(listener);
+            };
+            const listener = (message) => {
+                if (pattern.test(message)) {
+                    cleanup();
+                    resolve(true);
+                }
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                resolve(false);
+            }, timeout);
+
+            this.outputListeners.add(listener);
+        });
+    }
+
+    // NEW: Resolve once the Minecraft process has exited (false on timeout)
+    waitForExit(timeout = 60000) {
+        if (!this.minecraftProcess) {
+            return Promise.resolve(true);
+        }
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => resolve(false), timeout);
+            this.minecraftProcess.once('close', () => {
+                clearTimeout(timer);
+                resolve(true);
+            });
+        });
+    }
+
+    // NEW: Connect the RCON command channel once the server is ready
+    async connectRcon() {
+        const rconConfig = this.config.rcon;
+        if (!rconConfig?.enabled || !this.minecraftProcess) {
+            return false;
+        }
+        if (this.rcon?.connected) {
+            return true;
+        }
+
+        const client = new RconClient({ port: rconConfig.port, password: rconConfig.password });
+        client.on('close', () => {
+            if (this.rcon === client) {
+                this.rcon = null;
+            }
+        });
+        this.rcon = client;
+
+        try {
+            await client.connect();
+            this.broadcastLog('🔌 RCON command channel connected', 'success');
+            return true;
+        } catch (error) {
+            this.rcon = null;
+            this.broadcastLog(`⚠️ RCON unavailable (${error.message}) - falling back to console input`, 'warn');
+            return false;
+        }
+    }
+
+    disconnectRcon() {
+        if (this.rcon) {
+            this.rcon.close();
+            this.rcon = null;
+        }
+    }
+
+    // UPDATED: Run a command through RCON to capture its output, or through stdin when RCON
+    // is off or cannot connect. A command sent over RCON is never repeated on stdin: a timeout
+    // does not mean the server skipped it, and ban, give or tellraw must not run twice.
+    async executeCommand(command) {
+        if (!this.minecraftProcess || !this.serverReady) {
+            return { sent: false, error: 'Server is not online', output: null, via: null };
+        }
+
+        if (this.config.rcon?.enabled && (this.rcon?.connected || await this.connectRcon())) {
+            try {
+                // Strip legacy colour codes from the response text
+                const output = (await this.rcon.command(command)).replace(/§./g, '');
+                this.broadcastLog(`📤 Command executed: ${command}`, 'info');
+                if (output) {
+                    this.broadcastLog(`📥 ${output}`, 'info');
+                }
+                return { sent: true, output, via: 'rcon' };
+            } catch (error) {
+                this.broadcastLog(`⚠️ RCON command failed: ${command} (${error.message})`, 'warn');
+                return { sent: false, error: `RCON: ${error.message}`, output: null, via: 'rcon' };
+            }
+        }
+
+        this.minecraftProcess.stdin.write(`${command}\n`);
+        this.broadcastLog(`📤 Command executed: ${command}`, 'info');
+        return { sent: true, output: null, via: 'stdin' };
+    }
+
+}
+
+// Owns the web panel, authentication, shared logs and tunnels, and every server instance
+class ServerManager {
+    constructor() {
+        this.app = express();
+        this.server = http.createServer(this.app);
+        this.io = socketIo(this.server);
+        this.instances = new Map();
+        this.localIP = this.getLocalIP();
+        this.publicIP = null;
+        this.logs = [];
+        this.maxLogs = 1000;
+        this.shuttingDown = false;
+        this.shutdownSignalAt = null;
+
+        // Load configuration
+        this.config = this.loadConfig();
+
+        // Log files on disk; the in-memory buffer starts with the tail of the last run
+        this.logStore = new LogStore(this.config.logs);
+        const startupLogs = this.logs;
+        this.logs = this.logStore.tail(this.maxLogs - startupLogs.length);
+        for (const logEntry of startupLogs) {
+            logEntry.id = this.logStore.append(logEntry);
+            this.logs.push(logEntry);
+        }
+
+        // Outbound notifications for server events (config.webhooks, shared by all instances)
+        this.webhooks = new WebhookDispatcher(this);
+
+        // Local modules from config.extensions.directory that hook into events, routes and the panel
+        this.extensions = new ExtensionHost(this);
+
+        // Web panel accounts (stored next to config.json)
+        this.auth = new AuthManager({
+            usersPath: './users.json',
+            log: (message, type) => this.broadcastLog(message, type)
+        });
+
+        // Public tunnels (Playit.gg, Cloudflare Tunnel, frp or a static address) for every instance
+        this.tunnels = new TunnelManager(this);
+
+        this.setupExpress();
+        this.setupSocketIo();
+        this.loadInstances();
+        this.setupRoutes();
+        this.getPublicIP();
+        this.extensions.loadAll().catch((error) => {
+            this.broadcastLog(`❌ Failed to load extensions: ${error.message}`, 'error');
+        });
+    }
+
+    // UPDATED: Load configuration with migration for existing configs
+    loadConfig() {
+        const configPath = './config.json';
+        try {
+            if (fs.existsSync(configPath)) {
+                const configData = fs.readFileSync(configPath, 'utf8');
+                const config = JSON.parse(configData);
+
+                let migrated = this.migrateInstanceConfig(config, DEFAULT_INSTANCE);
+                for (const [id, instanceConfig] of Object.entries(config.instances || {})) {
+                    migrated = this.migrateInstanceConfig(instanceConfig, id) || migrated;
+                }
+
+                // Migrate existing config from the Playit-only setting to tunnel providers (shared by all instances)
+                if (!config.tunnel) {
+                    config.tunnel = { ...DEFAULT_TUNNEL_CONFIG, autoStart: config.playit?.autoStart ?? DEFAULT_TUNNEL_CONFIG.autoStart };
+                    config.playit = { ...DEFAULT_PROVIDER_CONFIG.playit };
+                    this.broadcastLog('🔄 Config migrated to support tunnel providers', 'info');
+                    migrated = true;
+                }
+                for (const [provider, defaults] of Object.entries(DEFAULT_PROVIDER_CONFIG)) {
+                    if (!config[provider]) {
+                        config[provider] = { ...defaults };
+                        migrated = true;
+                    }
+                }
+
+                // Migrate existing config to include log file settings (shared by all instances)
+                if (!config.logs) {
+                    config.logs = { ...DEFAULT_LOG_CONFIG };
+                    this.broadcastLog('🔄 Config migrated to support persistent log files', 'info');
+                    migrated = true;
+                }
+
+                // Migrate existing config to include custom console rules (shared by all instances)
+                if (!config.logParser) {
+                    config.logParser = { rules: [], disabledEvents: [] };
+                    this.broadcastLog('🔄 Config migrated to support custom console event rules', 'info');
+                    migrated = true;
+                }
+
+                // Migrate existing config to include outbound webhooks (shared by all instances)
+                if (!config.webhooks) {
+                    config.webhooks = { ...DEFAULT_WEBHOOK_CONFIG, hooks: [] };
+                    this.broadcastLog('🔄 Config migrated to support webhook notifications', 'info');
+                    migrated = true;
+                }
+
+                // Migrate existing config to include extension settings (shared by all instances)
+                if (!config.extensions) {
+                    config.extensions = { ...DEFAULT_EXTENSION_CONFIG, disabled: [] };
+                    this.broadcastLog('🔄 Config migrated to support extensions', 'info');
+                    migrated = true;
+                }
+
+                // Save the migrated config
+                if (migrated) {
+                    fs.writeFileSync(configPath, JSON.stringify(config, null, 4));
+                }
+
+                this.broadcastLog('✅ Configuration loaded successfully', 'success');
+                return config;
+            } else {
+                this.broadcastLog('⚠️ Config file not found, creating default config.json', 'warn');
+                return this.createDefaultConfig();
+            }
+        } catch (error) {
+            this.broadcastLog(`❌ Error loading config: ${error.message}`, 'error');
+            this.broadcastLog('📝 Using default configuration', 'info');
+            return this.createDefaultConfig();
+        }
+    }
 
-                if (output !== this.lastPlayitOutput) {
-                    this.lastPlayitOutput = output;
+    // NEW: Fill in settings added since an instance config was written; returns true if changed
+    migrateInstanceConfig(config, id) {
+        let migrated = false;
 
-                    const setupUrlMatch = output.match(/Visit link to setup (https:\/\/playit\.gg\/claim\/[a-zA-Z0-9]+)/);
-                    if (setupUrlMatch) {
-                        this.playitSetupUrl = setupUrlMatch[1];
-                        this.broadcastLog('[PLAYIT]: Setup required - Click "Setup Instructions" button for help', 'warn');
-                    }
+        // Migrate existing config to include world tracking
+        if (!config.world) {
+            config.world = {
+                currentSeed: config.server.seed || "",
+                lastUsedSeed: config.server.seed || "",
+                worldGenerated: true // Assume existing worlds are already generated
+            };
+            this.broadcastLog('🔄 Config migrated to support seed change detection', 'info', id);
+            migrated = true;
+        }
 
-                    if (output.includes('Program approved')) {
-                        this.broadcastLog('[PLAYIT]: Program approved - Setting up tunnels...', 'success');
-                    }
+        // Migrate existing config to include backup settings
+        if (!config.backups) {
+            config.backups = {
+                ...DEFAULT_BACKUP_CONFIG,
+                directory: id === DEFAULT_INSTANCE ? DEFAULT_BACKUP_CONFIG.directory : `./backups/${id}`
+            };
+            this.broadcastLog('🔄 Config migrated to support scheduled backups', 'info', id);
+            migrated = true;
+        }
 
-                    const tunnelsFound = this.parsePlayitOutput(output);
-                    if (tunnelsFound && !this.playitTunnelsDetected) {
-                        this.playitTunnelsDetected = true;
-                        this.broadcastLog('[PLAYIT]: Tunnels detected and active!', 'success');
-                    }
-                }
-            });
+        // Migrate existing config to include watchdog settings
+        if (!config.watchdog) {
+            config.watchdog = { ...DEFAULT_WATCHDOG_CONFIG };
+            this.broadcastLog('🔄 Config migrated to support the crash watchdog', 'info', id);
+            migrated = true;
+        }
 
-            this.playitProcess.stderr.on('data', (data) => {
-                const error = data.toString().trim();
-                this.broadcastLog(`[PLAYIT ERROR]: ${error}`, 'error');
-            });
+        // Migrate existing config to include performance metrics settings
+        if (!config.metrics) {
+            config.metrics = { ...DEFAULT_METRICS_CONFIG };
+            this.broadcastLog('🔄 Config migrated to support performance metrics', 'info', id);
+            migrated = true;
+        }
 
-            this.playitProcess.on('close', (code) => {
-                this.broadcastLog(`🌐 Playit tunnel exited with code ${code}`, code === 0 ? 'info' : 'error');
-                this.playitProcess = null;
-                this.playitAddresses.java = null;
-                this.playitAddresses.bedrock = null;
-                this.playitTunnelsDetected = false;
-            });
+        // Migrate existing config to include reachability checks
+        if (!config.reachability) {
+            config.reachability = { ...DEFAULT_REACHABILITY_CONFIG };
+            this.broadcastLog('🔄 Config migrated to support reachability checks', 'info', id);
+            migrated = true;
+        }
+
+        // Migrate existing config to include graceful shutdown settings
+        if (!config.shutdown) {
+            config.shutdown = { ...DEFAULT_SHUTDOWN_CONFIG };
+            this.broadcastLog('🔄 Config migrated to support graceful shutdown', 'info', id);
+            migrated = true;
+        }
+
+        // Migrate existing config to include server jar management settings
+        if (!config.jars) {
+            config.jars = { ...DEFAULT_JAR_CONFIG };
+            this.broadcastLog('🔄 Config migrated to support server jar management', 'info', id);
+            migrated = true;
+        }
+
+        // Migrate existing config to include Java runtime and JVM flag settings
+        if (!config.java) {
+            config.java = { ...DEFAULT_JAVA_CONFIG };
+            this.broadcastLog('🔄 Config migrated to support Java runtime selection', 'info', id);
+            migrated = true;
+        }
+
+        // Migrate existing config to include the task scheduler
+        if (!config.scheduler) {
+            config.scheduler = { jobs: [] };
+            this.broadcastLog('🔄 Config migrated to support scheduled tasks', 'info', id);
+            migrated = true;
+        }
+
+        // Migrate existing config to include the simulated server settings (off)
+        if (!config.simulation) {
+            config.simulation = { ...DEFAULT_SIMULATION_CONFIG };
+            this.broadcastLog('🔄 Config migrated to support the simulated server', 'info', id);
+            migrated = true;
+        }
+
+        // Migrate existing config to enable RCON with a generated password
+        if (!config.rcon || (config.rcon.enabled && !config.rcon.password)) {
+            config.rcon = this.createRconConfig(config.rcon);
+            this.broadcastLog('🔄 Config migrated to enable RCON command channel', 'info', id);
+            migrated = true;
+        }
+
+        return migrated;
+    }
+
+    // NEW: Create default configuration file
+    createDefaultConfig() {
+        const defaultConfig = {
+            "server": {
+                "seed": "",
+                "maxPlayers": 20,
+                "description": "Welcome to our Minecraft Crossplay Server! Java & Bedrock players welcome!",
+                "gamemode": "survival",
+                "difficulty": "easy",
+                "pvp": true,
+                "enableCommandBlock": true,
+                "allowNether": true,
+                "allowEnd": true,
+                "spawnProtection": 0,
+                "viewDistance": 10,
+                "simulationDistance": 10,
+                "levelName": "world",
+                "onlineMode": false,
+                "enableWhitelist": false,
+                "forceResourcePack": false
+            },
+            "performance": {
+                "maxMemory": "3G",
+                "minMemory": "1G"
+            },
+            "tunnel": { ...DEFAULT_TUNNEL_CONFIG },
+            "playit": { ...DEFAULT_PROVIDER_CONFIG.playit },
+            "cloudflared": { ...DEFAULT_PROVIDER_CONFIG.cloudflared },
+            "frp": { ...DEFAULT_PROVIDER_CONFIG.frp },
+            "manual": { ...DEFAULT_PROVIDER_CONFIG.manual },
+            "world": {
+                "currentSeed": "",
+                "lastUsedSeed": "",
+                "worldGenerated": false
+            },
+            "backups": { ...DEFAULT_BACKUP_CONFIG },
+            "watchdog": { ...DEFAULT_WATCHDOG_CONFIG },
+            "metrics": { ...DEFAULT_METRICS_CONFIG },
+            "reachability": { ...DEFAULT_REACHABILITY_CONFIG },
+            "shutdown": { ...DEFAULT_SHUTDOWN_CONFIG },
+            "jars": { ...DEFAULT_JAR_CONFIG },
+            "java": { ...DEFAULT_JAVA_CONFIG },
+            "simulation": { ...DEFAULT_SIMULATION_CONFIG },
+            "scheduler": { "jobs": [] },
+            "rcon": this.createRconConfig(),
+            "logs": { ...DEFAULT_LOG_CONFIG },
+            "logParser": { "rules": [], "disabledEvents": [] },
+            "webhooks": { ...DEFAULT_WEBHOOK_CONFIG, "hooks": [] },
+            "extensions": { ...DEFAULT_EXTENSION_CONFIG, "disabled": [] },
+            "instances": {}
+        };
+
+        try {
+            fs.writeFileSync('./config.json', JSON.stringify(defaultConfig, null, 4));
+            this.broadcastLog('📄 Default config.json created', 'success');
+        } catch (error) {
+            this.broadcastLog(`❌ Failed to create config file: ${error.message}`, 'error');
+        }
+
+        return defaultConfig;
+    }
+
+    // NEW: RCON settings with a generated password (never sent to web clients)
+    createRconConfig(existing = {}) {
+        return {
+            enabled: true,
+            port: DEFAULT_PORTS.rcon,
+            ...existing,
+            password: existing.password || crypto.randomBytes(18).toString('base64url')
+        };
+    }
 
+    // NEW: Save configuration changes
+    saveConfig() {
+        try {
+            fs.writeFileSync('./config.json', JSON.stringify(this.config, null, 4));
+            this.broadcastLog('💾 Configuration saved successfully', 'success');
+            return true;
         } catch (error) {
-            this.broadcastLog(`❌ Failed to start Playit tunnel: ${error.message}`, 'error');
+            this.broadcastLog(`❌ Failed to save config: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    loadInstances() {
+        if (!this.config.instances) {
+            this.config.instances = {};
+        }
+
+        this.instances.set(DEFAULT_INSTANCE, new MinecraftCrossplayServer(this, DEFAULT_INSTANCE));
+        for (const id of Object.keys(this.config.instances)) {
+            if (!INSTANCE_ID_PATTERN.test(id) || id === DEFAULT_INSTANCE) {
+                this.broadcastLog(`⚠️ Ignoring instance with invalid id "${id}"`, 'warn');
+                continue;
+            }
+            this.instances.set(id, new MinecraftCrossplayServer(this, id));
+        }
+
+        // Ports shared between instances only matter once both run, but flag them early
+        for (const instance of this.instances.values()) {
+            for (const conflict of this.findPortConflicts(instance)) {
+                if (conflict.other.id > instance.id) {
+                    this.broadcastLog(`⚠️ Instances "${instance.id}" and "${conflict.other.id}" share port ${conflict.port} - they cannot run at the same time`, 'warn');
+                }
+            }
+        }
+    }
+
+    getInstance(id) {
+        return this.instances.get(id) || null;
+    }
+
+    getInstanceSummaries() {
+        return [...this.instances.values()].map(instance => instance.getSummary());
+    }
+
+    emitInstances() {
+        this.io.emit('instances-update', { instances: this.getInstanceSummaries() });
+    }
+
+    // NEW: Console parser for one server process, with the custom rules from config.json
+    createLogParser(instance) {
+        const { rules = [], disabledEvents = [] } = this.config.logParser || {};
+        return new LogParser({
+            rules: Array.isArray(rules) ? rules : [],
+            disabledEvents: Array.isArray(disabledEvents) ? disabledEvents : [],
+            onError: message => instance.broadcastLog(`⚠️ ${message}`, 'warn')
+        });
+    }
+
+    // NEW: Ports another configured instance also uses
+    findPortConflicts(instance) {
+        const conflicts = [];
+        for (const other of this.instances.values()) {
+            if (other === instance) continue;
+
+            const otherPorts = other.getPorts();
+            for (const { port, label } of instance.getPorts()) {
+                const match = otherPorts.find(entry => entry.port === port);
+                if (match) {
+                    conflicts.push({ port, label, other, otherLabel: match.label });
+                }
+            }
+        }
+        return conflicts;
+    }
+
+    // NEW: Check an instance's ports against running instances and the OS before starting it
+    async checkPorts(instance) {
+        const errors = [];
+        const warnings = [];
+        const blocked = new Set();
+
+        for (const conflict of this.findPortConflicts(instance)) {
+            const message = `${conflict.label} port ${conflict.port} is also the ${conflict.otherLabel} port of instance "${conflict.other.id}"`;
+            if (conflict.other.isActive()) {
+                errors.push(`${message}, which is running`);
+                blocked.add(conflict.port);
+            } else {
+                warnings.push(message);
+            }
+        }
+
+        for (const { port, protocols, label } of instance.getPorts()) {
+            if (blocked.has(port)) continue;
+
+            for (const protocol of protocols) {
+                if (!await isPortAvailable(port, protocol)) {
+                    errors.push(`${label} port ${port}/${protocol} is already in use by another process`);
+                    break;
+                }
+            }
+        }
+
+        return { ok: errors.length === 0, errors, warnings };
+    }
+
+    // NEW: Validate the ports of a new instance, allocating any that were not given
+    allocatePorts(requested = {}) {
+        const used = new Set();
+        for (const instance of this.instances.values()) {
+            instance.getPorts().forEach(({ port }) => used.add(port));
+        }
+
+        const ports = {};
+        for (const key of ['java', 'bedrock', 'rcon']) {
+            if (requested[key] !== undefined) {
+                const port = Number(requested[key]);
+                if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+                    throw new Error(`Invalid ${key} port: ${requested[key]}`);
+                }
+                if (used.has(port)) {
+                    throw new Error(`Port ${port} is already used by another instance`);
+                }
+                ports[key] = port;
+            } else {
+                let port = DEFAULT_PORTS[key];
+                while (used.has(port) || Object.values(ports).includes(port)) {
+                    port++;
+                }
+                ports[key] = port;
+            }
+            used.add(ports[key]);
+        }
+
+        if (new Set(Object.values(ports)).size !== 3) {
+            throw new Error('Java, Bedrock and RCON ports must all be different');
+        }
+        return ports;
+    }
+
+    // NEW: Create a named instance, copying server files from an existing one
+    createInstance({ id, template = DEFAULT_INSTANCE, ports: requestedPorts, copyFiles = true } = {}) {
+        if (!INSTANCE_ID_PATTERN.test(id || '')) {
+            throw new Error('Instance id must be 1-32 lowercase letters, digits, "-" or "_"');
+        }
+        if (this.instances.has(id)) {
+            throw new Error(`Instance "${id}" already exists`);
+        }
+
+        const source = this.getInstance(template);
+        if (!source) {
+            throw new Error(`Template instance "${template}" not found`);
+        }
+
+        const ports = this.allocatePorts(requestedPorts);
+        const serverPath = `./instances/${id}`;
+        if (fs.existsSync(serverPath) && fs.readdirSync(serverPath).length > 0) {
+            throw new Error(`${serverPath} already exists and is not empty`);
+        }
+
+        const sourceConfig = JSON.parse(JSON.stringify(source.config));
+        this.config.instances[id] = {
+            server: sourceConfig.server,
+            performance: sourceConfig.performance,
+            ports: { java: ports.java, bedrock: ports.bedrock },
+            world: {
+                currentSeed: "",
+                lastUsedSeed: "",
+                worldGenerated: false
+            },
+            backups: { ...sourceConfig.backups, directory: `./backups/${id}` },
+            watchdog: sourceConfig.watchdog,
+            metrics: sourceConfig.metrics,
+            reachability: sourceConfig.reachability,
+            shutdown: sourceConfig.shutdown,
+            jars: sourceConfig.jars,
+            java: sourceConfig.java,
+            simulation: sourceConfig.simulation,
+            // The copied jar keeps its name
+            jarFile: source.jarFile,
+            // Jobs are not copied; a new instance should not inherit another's restarts
+            scheduler: { jobs: [] },
+            rcon: this.createRconConfig({ enabled: sourceConfig.rcon?.enabled !== false, port: ports.rcon })
+        };
+
+        fs.mkdirSync(serverPath, { recursive: true });
+        if (copyFiles) {
+            this.copyInstanceFiles(source.serverPath, serverPath, source.jarFile);
+        }
+
+        if (!this.saveConfig()) {
+            delete this.config.instances[id];
+            throw new Error('Failed to save configuration');
         }
+
+        const instance = new MinecraftCrossplayServer(this, id);
+        this.instances.set(id, instance);
+        instance.syncGeyserPort();
+
+        this.broadcastLog(`🆕 Instance "${id}" created (Java ${ports.java}, Bedrock ${ports.bedrock}, RCON ${ports.rcon})`, 'success');
+        this.emitInstances();
+        return instance;
     }
 
-    stopPlayitTunnel() {
-        if (this.playitProcess) {
-            this.broadcastLog('🌐 Stopping Playit tunnels...', 'info');
-            this.playitProcess.kill('SIGTERM');
-            this.playitProcess = null;
-            this.playitAddresses.java = null;
-            this.playitAddresses.bedrock = null;
-            this.playitTunnelsDetected = false;
+    // Server jar, libraries, plugins and their configs - never worlds or generated caches
+    copyInstanceFiles(sourcePath, targetPath, jarFile) {
+        const skip = new Set(['cache', 'logs', 'dumps']);
+        const entries = [jarFile, 'libraries', 'plugins', 'config'];
+
+        if (fs.existsSync(sourcePath)) {
+            entries.push(...fs.readdirSync(sourcePath).filter(name => name.endsWith('.yml')));
+        }
+
+        for (const entry of entries) {
+            const from = path.join(sourcePath, entry);
+            if (!fs.existsSync(from)) continue;
+
+            fs.cpSync(from, path.join(targetPath, entry), {
+                recursive: true,
+                filter: (file) => !skip.has(path.basename(file))
+            });
         }
     }
 
-    resetPlayitState() {
-        this.playitAddresses.java = null;
-        this.playitAddresses.bedrock = null;
-        this.playitTunnelsDetected = false;
-        this.playitSetupUrl = null;
+    // NEW: Remove a stopped named instance, optionally deleting its files
+    deleteInstance(id, { deleteFiles = false } = {}) {
+        const instance = this.getInstance(id);
+        if (!instance) {
+            throw new Error(`Instance "${id}" not found`);
+        }
+        if (id === DEFAULT_INSTANCE) {
+            throw new Error('The default instance cannot be deleted');
+        }
+        if (instance.isActive()) {
+            throw new Error('Stop the instance before deleting it');
+        }
+
+        instance.backups.stopSchedule();
+        instance.scheduler.stop();
+        instance.watchdog.cancel();
+        this.instances.delete(id);
+        delete this.config.instances[id];
+        this.saveConfig();
+
+        if (deleteFiles) {
+            fs.rmSync(instance.serverPath, { recursive: true, force: true });
+            fs.rmSync(instance.dataPath, { recursive: true, force: true });
+        }
+
+        this.broadcastLog(`🗑️ Instance "${id}" deleted${deleteFiles ? ' with its files' : ''}`, 'info');
+        this.emitInstances();
     }
 
     setupSocketIo() {
+        // Every socket must carry a valid session before it receives logs
+        this.io.use(this.auth.socketMiddleware());
+
         this.io.on('connection', (socket) => {
-            console.log('📱 Web client connected');
+            console.log(`📱 Web client connected (${socket.data.user.username})`);
             socket.emit('recent-logs', this.logs);
+            this.extensions.attachSocket(socket);
+
+            // Admin-only updates (webhook deliveries) are sent to this room
+            if (socket.data.user.role === 'admin') {
+                socket.join('admins');
+            }
+            socket.emit('instances-update', { instances: this.getInstanceSummaries() });
+            for (const instance of this.instances.values()) {
+                socket.emit('players-update', { instance: instance.id, ...instance.players.getSummary() });
+            }
+
+            socket.on('disconnect', () => {
+                console.log('📱 Web client disconnected');
+            });
+        });
+    }
+
+    // NEW: Outbound webhooks (admins only - their URLs are credentials)
+    setupWebhookRoutes() {
+        const auth = role => this.auth.requireRole(role);
+
+        this.app.get('/webhooks', auth('admin'), (req, res) => {
+            res.json({
+                success: true,
+                hooks: this.webhooks.listHooks(),
+                deliveries: this.webhooks.listDeliveries({ limit: 50 })
+            });
+        });
+
+        this.app.get('/webhooks/deliveries', auth('admin'), (req, res) => {
+            res.json({
+                success: true,
+                deliveries: this.webhooks.listDeliveries({
+                    hook: req.query.hook || null,
+                    limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+                })
+            });
+        });
+
+        this.app.post('/webhooks', auth('admin'), (req, res) => {
+            try {
+                const hook = this.webhooks.createHook(req.body || {});
+                res.json({
+                    success: true,
+                    message: `Webhook "${hook.name}" added`,
+                    hook: this.webhooks.listHooks().find(other => other.id === hook.id)
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.patch('/webhooks/:id', auth('admin'), (req, res) => {
+            if (!this.webhooks.getHook(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook not found'
+                });
+            }
+
+            try {
+                const hook = this.webhooks.updateHook(req.params.id, req.body || {});
+                res.json({
+                    success: true,
+                    message: `Webhook "${hook.name}" updated`,
+                    hook: this.webhooks.listHooks().find(other => other.id === hook.id)
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.delete('/webhooks/:id', auth('admin'), (req, res) => {
+            const deleted = this.webhooks.deleteHook(req.params.id);
+            res.status(deleted ? 200 : 404).json({
+                success: deleted,
+                message: deleted ? 'Webhook deleted' : 'Webhook not found'
+            });
+        });
+
+        // Sends one test event (no retries) and reports the receiver's answer
+        this.app.post('/webhooks/:id/test', auth('admin'), async (req, res) => {
+            if (!this.webhooks.getHook(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook not found'
+                });
+            }
+
+            const delivery = await this.webhooks.test(req.params.id);
+            res.json({
+                success: delivery.status === 'delivered',
+                message: delivery.status === 'delivered'
+                    ? `Test delivered (HTTP ${delivery.responseStatus})`
+                    : `Test failed: ${delivery.error}`,
+                delivery
+            });
+        });
+    }
+
+    // NEW: Tunnel provider status and restart (settings are changed through /config)
+    setupTunnelRoutes() {
+        const auth = role => this.auth.requireRole(role);
+
+        this.app.get('/tunnel', auth('viewer'), (req, res) => {
+            const addresses = {};
+            for (const [id, instance] of this.instances) {
+                addresses[id] = this.tunnels.getAddresses(instance);
+            }
+            res.json({
+                success: true,
+                ...this.tunnels.getStatus(),
+                addresses
+            });
+        });
+
+        this.app.post('/tunnel/restart', auth('admin'), (req, res) => {
+            this.tunnels.restart();
+            res.json({
+                ...this.tunnels.getStatus(),
+                success: true,
+                message: 'Tunnels restarted for every running server'
+            });
+        });
+    }
+
+    // NEW: Extensions - management for admins, panel widgets for everyone, and the extensions' own routes
+    setupExtensionRoutes() {
+        const auth = role => this.auth.requireRole(role);
+
+        this.app.get('/extensions', auth('admin'), (req, res) => {
+            res.json({
+                success: true,
+                directory: this.extensions.config.directory,
+                events: Object.keys(EXTENSION_EVENTS),
+                extensions: this.extensions.list()
+            });
+        });
+
+        this.app.get('/extensions/widgets', auth('viewer'), (req, res) => {
+            res.json({ success: true, widgets: this.extensions.getWidgets(req.user) });
+        });
+
+        // Picks up new, changed and removed extension files without restarting the manager
+        this.app.post('/extensions/reload', auth('admin'), async (req, res) => {
+            const extensions = await this.extensions.reload();
+            res.json({
+                success: true,
+                message: `Reloaded ${extensions.length} extension(s)`,
+                extensions
+            });
+        });
+
+        for (const action of ['enable', 'disable']) {
+            this.app.post(`/extensions/:name/${action}`, auth('admin'), async (req, res) => {
+                try {
+                    const extension = await this.extensions.setEnabled(req.params.name, action === 'enable');
+                    res.json({
+                        success: extension.state !== 'failed',
+                        message: extension.state === 'failed'
+                            ? `Extension "${extension.name}" failed to load: ${extension.error}`
+                            : `Extension "${extension.name}" ${action}d`,
+                        extension
+                    });
+                } catch (error) {
+                    res.status(404).json({ success: false, message: error.message });
+                }
+            });
+        }
+
+        this.app.use('/ext/:name', (req, res, next) => this.extensions.handleRequest(req, res, next));
+    }
+
+    // NEW: Search stored logs and download the log of a past server session
+    setupLogRoutes() {
+        const auth = role => this.auth.requireRole(role);
+
+        // GET /logs?from=&to=&type=error,warn&instance=&session=&search=&limit=&before=<cursor>
+        this.app.get('/logs', auth('viewer'), (req, res) => {
+            try {
+                const result = this.logStore.query({
+                    from: req.query.from,
+                    to: req.query.to,
+                    types: req.query.type ? String(req.query.type).split(',').map(type => type.trim()).filter(Boolean) : null,
+                    instance: req.query.instance,
+                    includeManager: req.query.includeManager === 'true',
+                    session: req.query.session,
+                    search: req.query.search,
+                    limit: req.query.limit,
+                    before: req.query.before
+                });
+                res.json({
+                    success: true,
+                    ...result
+                });
+            } catch (error) {
+                res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
 
-            socket.on('disconnect', () => {
-                console.log('📱 Web client disconnected');
+        this.app.get('/logs/sessions', auth('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                sessions: this.logStore.listSessions(req.query.instance || null)
             });
         });
+
+        this.app.get('/logs/sessions/:id/download', auth('viewer'), (req, res) => {
+            const session = this.logStore.getSession(req.params.id);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Log session not found: ${req.params.id}`
+                });
+            }
+
+            res.type('text/plain; charset=utf-8');
+            res.attachment(`${session.id}.log`);
+            Readable.from(this.logStore.readSession(session.id)).pipe(res);
+        });
     }
 
-    broadcastLog(message, type = 'info') {
+    // Entries carry the instance they came from (null for manager-wide messages)
+    broadcastLog(message, type = 'info', instance = null) {
         const logEntry = {
             timestamp: new Date().toISOString(),
             message: message,
             type: type,
-            time: new Date().toLocaleTimeString()
+            time: new Date().toLocaleTimeString(),
+            instance: instance
         };
 
+        // Entries logged while the config is loading are written once the store exists
+        if (this.logStore) {
+            logEntry.id = this.logStore.append(logEntry);
+        }
+
         this.logs.push(logEntry);
 
         if (this.logs.length > this.maxLogs) {
@@ -429,7 +2679,8 @@ class MinecraftCrossplayServer {
         }
 
         this.io.emit('new-log', logEntry);
-        console.log(`[${logEntry.time}] ${message}`);
+        const prefix = instance && this.instances.size > 1 ? `[${instance}] ` : '';
+        console.log(`[${logEntry.time}] ${prefix}${message}`);
     }
 
     getLocalIP() {
@@ -444,7 +2695,14 @@ class MinecraftCrossplayServer {
         return 'localhost';
     }
 
+    // UPDATED: Skips the lookup when only simulated servers run, so demos work offline.
+    // publicIP stays null unless a real address came back - the static tunnel provider,
+    // the connection info and reachability checks all use it as an address.
     async getPublicIP() {
+        if ([...this.instances.values()].every(instance => instance.simulated)) {
+            return;
+        }
+
         try {
             const https = require('https');
             const options = {
@@ -460,19 +2718,23 @@ class MinecraftCrossplayServer {
                     data += chunk;
                 });
                 res.on('end', () => {
-                    this.publicIP = data.trim();
+                    const ip = data.trim();
+                    if (res.statusCode !== 200 || !net.isIP(ip)) {
+                        this.broadcastLog(`Could not detect public IP: unexpected reply (HTTP ${res.statusCode})`, 'warn');
+                        return;
+                    }
+                    this.publicIP = ip;
                     this.broadcastLog(`🌐 Public IP detected: ${this.publicIP}`, 'info');
                 });
             });
 
             req.on('error', (error) => {
                 this.broadcastLog(`Could not detect public IP: ${error.message}`, 'warn');
-                this.publicIP = 'Unable to detect';
             });
 
             req.end();
         } catch (error) {
-            this.publicIP = 'Unable to detect';
+            this.broadcastLog(`Could not detect public IP: ${error.message}`, 'warn');
         }
     }
 
@@ -481,388 +2743,276 @@ class MinecraftCrossplayServer {
         this.app.use(express.static('public'));
     }
 
-    setupRoutes() {
-        // Config management routes
-        this.app.get('/config', (req, res) => {
-            res.json({
-                success: true,
-                config: this.config
-            });
+    // NEW: Login, logout and web panel user management
+    setupAuthRoutes() {
+        const auth = role => this.auth.requireRole(role);
+
+        this.app.post('/auth/login', (req, res) => {
+            const { username, password } = req.body || {};
+            const result = this.auth.login(username, password, req.ip);
+
+            if (!result.success) {
+                return res.status(401).json(result);
+            }
+
+            res.setHeader('Set-Cookie', this.auth.sessionCookie(result.token));
+            res.json(result);
         });
 
-        this.app.post('/config', (req, res) => {
-            try {
-                const { config } = req.body;
-                if (!config) {
-                    return res.json({
-                        success: false,
-                        message: 'No configuration data provided'
-                    });
-                }
+        this.app.post('/auth/logout', auth('viewer'), (req, res) => {
+            this.auth.logout(req.sessionToken);
+            res.setHeader('Set-Cookie', this.auth.sessionCookie(null));
+            res.json({ success: true, message: 'Logged out' });
+        });
 
-                this.config = { ...this.config, ...config };
-                const saved = this.saveConfig();
+        this.app.get('/auth/me', auth('viewer'), (req, res) => {
+            res.json({ success: true, user: this.auth.publicUser(req.user) });
+        });
 
-                if (saved) {
-                    // Regenerate server.properties with new config
-                    this.setupServerProperties();
-                    res.json({
-                        success: true,
-                        message: 'Configuration updated successfully. Restart server to apply changes.',
-                        config: this.config
-                    });
-                } else {
-                    res.json({
-                        success: false,
-                        message: 'Failed to save configuration'
-                    });
-                }
-            } catch (error) {
-                res.json({
-                    success: false,
-                    message: `Error updating config: ${error.message}`
-                });
+        this.app.post('/auth/password', auth('viewer'), (req, res) => {
+            const { currentPassword, newPassword } = req.body || {};
+            if (!this.auth.verifyPassword(currentPassword || '', req.user.password)) {
+                return res.status(400).json({ success: false, message: 'Current password is incorrect' });
             }
+
+            const result = this.auth.updateUser(req.user.username, { password: newPassword });
+            res.status(result.success ? 200 : 400).json(result);
         });
 
-        this.app.get('/status', (req, res) => {
-            const uptime = this.startTime ? Math.floor((Date.now() - this.startTime) / 1000) : 0;
-            res.json({
-                status: this.serverStatus,
-                running: this.minecraftProcess !== null,
-                ready: this.serverReady,
-                uptime: uptime,
-                localIP: this.localIP,
-                publicIP: this.publicIP,
-                javaPort: this.javaPort,
-                bedrockPort: this.bedrockPort,
-                config: this.config,
-                playit: {
-                    installed: this.playitInstalled,
-                    running: this.playitProcess !== null,
-                    addresses: this.playitAddresses,
-                    setupUrl: this.playitSetupUrl,
-                    tunnelsActive: this.playitTunnelsDetected
-                },
-                connections: {
-                    local: {
-                        java: `localhost:${this.javaPort}`,
-                        bedrock: `localhost:${this.bedrockPort}`
-                    },
-                    network: {
-                        java: `${this.localIP}:${this.javaPort}`,
-                        bedrock: `${this.localIP}:${this.bedrockPort}`
-                    },
-                    playit: this.playitInstalled ? {
-                        java: this.playitAddresses.java,
-                        bedrock: this.playitAddresses.bedrock,
-                        note: "Playit.gg tunneling"
-                    } : null
-                }
-            });
+        this.app.get('/auth/users', auth('admin'), (req, res) => {
+            res.json({ success: true, users: this.auth.users.map(user => this.auth.publicUser(user)) });
         });
 
-        this.app.post('/start', (req, res) => {
-            if (this.serverStatus === 'starting' || this.serverStatus === 'online') {
-                return res.json({
-                    success: false,
-                    message: 'Server is already starting or running'
-                });
-            }
+        this.app.post('/auth/users', auth('admin'), (req, res) => {
+            const result = this.auth.createUser(req.body || {});
+            res.status(result.success ? 200 : 400).json(result);
+        });
+
+        this.app.put('/auth/users/:username', auth('admin'), (req, res) => {
+            const result = this.auth.updateUser(req.params.username, req.body || {});
+            res.status(result.success ? 200 : 400).json(result);
+        });
+
+        this.app.delete('/auth/users/:username', auth('admin'), (req, res) => {
+            const result = this.auth.deleteUser(req.params.username);
+            res.status(result.success ? 200 : 400).json(result);
+        });
+    }
+
+    setupRoutes() {
+        const auth = role => this.auth.requireRole(role);
+
+        this.setupAuthRoutes();
+
+        // Prometheus scrape target. Sessions expire, so a scraper sends the MC_METRICS_TOKEN
+        // environment variable as its bearer token instead; anyone else needs the viewer role.
+        // (Tunnel agents and reverse proxies connect from loopback, so the address proves nothing.)
+        const scraperOrViewer = (req, res, next) => (isMetricsToken(this.auth.extractToken(req.headers))
+            ? next()
+            : auth('viewer')(req, res, next));
+        this.app.get('/metrics', scraperOrViewer, (req, res) => {
+            const openMetrics = (req.headers.accept || '').includes('application/openmetrics-text');
+            res.type(openMetrics
+                ? 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+                : 'text/plain; version=0.0.4; charset=utf-8');
+            res.send(formatPrometheus([...this.instances.values()], { openMetrics }));
+        });
 
-            this.startMinecraftServer();
+        this.setupLogRoutes();
+        this.setupWebhookRoutes();
+        this.setupTunnelRoutes();
+        this.setupExtensionRoutes();
+
+        this.app.get('/instances', auth('viewer'), (req, res) => {
             res.json({
                 success: true,
-                message: 'Server is starting...',
-                status: 'starting'
+                instances: this.getInstanceSummaries()
             });
         });
 
-        this.app.post('/stop', (req, res) => {
-            if (this.serverStatus === 'offline') {
-                return res.json({
+        this.app.post('/instances', auth('admin'), (req, res) => {
+            try {
+                const instance = this.createInstance(req.body || {});
+                res.json({
+                    success: true,
+                    message: `Instance "${instance.id}" created`,
+                    instance: instance.getSummary()
+                });
+            } catch (error) {
+                res.status(400).json({
                     success: false,
-                    message: 'Server is already offline'
+                    message: error.message
                 });
             }
-
-            this.stopMinecraftServer();
-            res.json({
-                success: true,
-                message: 'Server is stopping...',
-                status: 'stopping'
-            });
         });
 
-        this.app.post('/command', (req, res) => {
-            const { command } = req.body;
-            if (this.serverStatus !== 'online') {
-                return res.json({
+        this.app.delete('/instances/:id', auth('admin'), (req, res) => {
+            try {
+                this.deleteInstance(req.params.id, { deleteFiles: req.query.deleteFiles === 'true' });
+                res.json({
+                    success: true,
+                    message: `Instance "${req.params.id}" deleted`
+                });
+            } catch (error) {
+                res.status(this.instances.has(req.params.id) ? 400 : 404).json({
                     success: false,
-                    message: 'Server must be online to send commands'
+                    message: error.message
                 });
             }
-
-            this.executeCommand(command);
-            res.json({
-                success: true,
-                message: `Command executed: ${command}`
-            });
         });
-    }
-
-    // UPDATED: Use configuration values
-    setupServerProperties() {
-        const propertiesPath = path.join(this.serverPath, 'server.properties');
-        const config = this.config.server;
 
-        const properties = `
-server-ip=0.0.0.0
-server-port=${this.javaPort}
-level-seed=${config.seed || ''}
-gamemode=${config.gamemode || 'survival'}
-difficulty=${config.difficulty || 'easy'}
-max-players=${config.maxPlayers || 20}
-motd=${config.description || 'Crossplay Minecraft Server - Friends Welcome!'}
-server-name=CrossplayServer
-online-mode=${config.onlineMode || false}
-enforce-whitelist=${config.enableWhitelist || false}
-view-distance=${config.viewDistance || 10}
-simulation-distance=${config.simulationDistance || 10}
-enable-query=true
-query.port=${this.javaPort}
-level-name=${config.levelName || 'world'}
-allow-nether=${config.allowNether !== false}
-allow-end=${config.allowEnd !== false}
-enable-command-block=${config.enableCommandBlock !== false}
-spawn-protection=${config.spawnProtection || 0}
-pvp=${config.pvp !== false}
-require-resource-pack=${config.forceResourcePack || false}
-        `.trim();
-
-        if (!fs.existsSync(this.serverPath)) {
-            fs.mkdirSync(this.serverPath, { recursive: true });
-        }
-
-        fs.writeFileSync(propertiesPath, properties);
-
-        const eulaPath = path.join(this.serverPath, 'eula.txt');
-        fs.writeFileSync(eulaPath, 'eula=true');
+        // Per-instance routes: /instances/:id/status, /instances/:id/start, ...
+        this.app.use('/instances/:id', (req, res, next) => {
+            const instance = this.getInstance(req.params.id);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Instance "${req.params.id}" not found`
+                });
+            }
+            instance.router(req, res, next);
+        });
 
-        this.broadcastLog('📝 Server properties updated from configuration', 'info');
+        // Unscoped routes keep addressing the default instance
+        this.app.use((req, res, next) => this.getInstance(DEFAULT_INSTANCE).router(req, res, next));
     }
 
-    parseMinecraftLog(message) {
-        // Player join/leave events
-        if (message.includes('joined the game')) {
-            const playerName = message.match(/(\w+) joined the game/)?.[1];
-            return { type: 'player', message: `🟢 ${playerName} joined the game`, original: message };
-        }
-
-        if (message.includes('left the game')) {
-            const playerName = message.match(/(\w+) left the game/)?.[1];
-            return { type: 'player', message: `🔴 ${playerName} left the game`, original: message };
-        }
-
-        // Chat messages
-        if (message.includes('<') && message.includes('>')) {
-            return { type: 'player', message: `💬 ${message}`, original: message };
-        }
-
-        // Server startup events
-        if (message.includes('Starting minecraft server version')) {
-            return { type: 'success', message: `🚀 ${message}`, original: message };
-        }
-
-        if (message.includes('Done (') && message.includes('For help, type "help"')) {
-            return { type: 'success', message: `✅ Server startup complete! ${message}`, original: message };
-        }
-
-        // World generation
-        if (message.includes('Preparing spawn area') || message.includes('Preparing level')) {
-            return { type: 'world', message: `🌍 ${message}`, original: message };
-        }
-
-        if (message.includes('Time elapsed:')) {
-            return { type: 'world', message: `⏱️ ${message}`, original: message };
-        }
-
-        // Plugin loading
-        if (message.includes('Loading') && message.includes('plugin')) {
-            return { type: 'info', message: `🔌 ${message}`, original: message };
-        }
-
-        if (message.includes('Enabling') && message.includes('plugin')) {
-            return { type: 'success', message: `✅ ${message}`, original: message };
-        }
-
-        // Geyser specific
-        if (message.includes('Geyser') && message.includes('Started Geyser')) {
-            return { type: 'success', message: `🔗 Crossplay bridge (Geyser) is ONLINE!`, original: message };
-        }
-
-        // ViaVersion specific
-        if (message.includes('ViaVersion') && message.includes('enabled')) {
-            return { type: 'success', message: `🔄 Multi-version support (ViaVersion) is ONLINE!`, original: message };
-        }
-
-        // Errors
-        if (message.includes('ERROR') || message.includes('SEVERE')) {
-            return { type: 'error', message: `❌ ${message}`, original: message };
-        }
-
-        // Warnings
-        if (message.includes('WARN')) {
-            return { type: 'warn', message: `⚠️ ${message}`, original: message };
-        }
-
-        // Default
-        return { type: 'info', message: message, original: message };
+    start(port = 3000) {
+        this.server.listen(port, '0.0.0.0', () => {
+            this.broadcastLog(`🚀 Minecraft Server Manager running on port ${port}`, 'success');
+            this.broadcastLog(`📱 Local access: http://localhost:${port}`, 'info');
+            this.broadcastLog(`🌐 Network access: http://${this.localIP}:${port}`, 'info');
+            if (this.instances.size > 1) {
+                this.broadcastLog(`🗂️ Managing ${this.instances.size} instances: ${[...this.instances.keys()].join(', ')}`, 'info');
+            }
+        });
     }
 
-    // UPDATED: Start server with seed change detection
-    startMinecraftServer() {
-        if (this.minecraftProcess) {
-            this.broadcastLog('⚠️ Server already running', 'warn');
-            return;
+    // NEW: Stop every server through its shutdown sequence, then exit.
+    // A second signal while waiting kills the servers instead.
+    // UPDATED: cause and exitCode let a fatal error use the same sequence as a signal
+    async shutdown(signal, { cause = `${signal} received`, exitCode = 0 } = {}) {
+        if (this.shuttingDown) {
+            // npm and other wrappers forward the terminal's signal, so one Ctrl+C can arrive twice
+            if (Date.now() - this.shutdownSignalAt < 1000) return;
+
+            this.broadcastLog(`⚠️ ${signal} received again - killing servers without waiting`, 'error');
+            this.killChildProcesses();
+            this.logStore.close();
+            process.exit(1);
         }
 
-        // Check for seed changes before starting
-        const seedCheck = this.checkSeedChange();
-
-        if (seedCheck.shouldCreateNew) {
-            if (seedCheck.reason === "seed_changed") {
-                this.broadcastLog(`🎉 New world will be generated with seed: ${this.config.server.seed}`, 'success');
-                this.broadcastLog(`📦 Previous world backed up as: ${seedCheck.backupPath}`, 'info');
-            } else if (seedCheck.reason === "no_world_exists") {
-                this.broadcastLog(`🆕 Generating new world...`, 'success');
-            }
+        this.shuttingDown = true;
+        this.shutdownSignalAt = Date.now();
+        for (const instance of this.instances.values()) {
+            instance.scheduler.stop();
         }
+        const running = [...this.instances.values()].filter(instance => instance.minecraftProcess);
+        this.broadcastLog(`🛑 ${cause} - stopping ${running.length} server(s) before exiting (send a signal again to force)`, 'warn');
 
-        this.serverStatus = 'starting';
-        this.serverReady = false;
-        this.startTime = Date.now();
-
-        this.broadcastLog('🚀 STARTING MINECRAFT CROSSPLAY SERVER', 'success');
-        this.broadcastLog(`🏠 Local IP: ${this.localIP}`, 'info');
-        this.broadcastLog(`🌐 Public IP: ${this.publicIP || 'Detecting...'}`, 'info');
-
-        // Log current configuration
-        const config = this.config.server;
-        this.broadcastLog(`🎮 Game mode: ${config.gamemode}, Difficulty: ${config.difficulty}`, 'info');
-        this.broadcastLog(`👥 Max players: ${config.maxPlayers}`, 'info');
-        if (config.seed) {
-            this.broadcastLog(`🌱 World seed: ${config.seed}`, 'info');
-        }
+        await Promise.all(running.map(instance => instance.stopMinecraftServer({ reason: 'server manager shutting down' })
+            .catch(error => instance.broadcastLog(`❌ Shutdown failed: ${error.message}`, 'error'))));
 
-        if (this.playitInstalled && this.config.playit.autoStart) {
-            this.broadcastLog('🌐 Playit.gg detected - Starting public tunnels...', 'success');
-            this.startPlayitTunnel();
-        } else {
-            this.broadcastLog('⚠️ Playit.gg not installed - Server will only be available locally/LAN', 'warn');
+        this.tunnels.stop();
+        for (const instance of this.instances.values()) {
+            instance.metrics.save();
         }
+        // Let the stop notifications go out before exiting
+        await this.webhooks.flush();
+        await this.extensions.unloadAll();
+        this.broadcastLog('👋 Server manager stopped', 'info');
+        this.logStore.close();
+        process.exit(exitCode);
+    }
 
-        this.broadcastLog('⏳ Please wait while server initializes...', 'info');
-
-        // Use config values for memory
-        const performance = this.config.performance;
-        const javaArgs = [
-            `-Xmx${performance.maxMemory}`,
-            `-Xms${performance.minMemory}`,
-            '-XX:+UseG1GC',
-            '-XX:+UnlockExperimentalVMOptions',
-            '-XX:MaxGCPauseMillis=100',
-            '-jar',
-            this.jarFile,
-            'nogui'
-        ];
-
-        this.minecraftProcess = spawn('java', javaArgs, {
-            cwd: this.serverPath,
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
-
-        this.minecraftProcess.stdout.on('data', (data) => {
-            const message = data.toString().trim();
-            const parsedLog = this.parseMinecraftLog(message);
-            this.broadcastLog(parsedLog.message, parsedLog.type);
-
-            if (message.includes('Done (') && message.includes('For help, type "help"')) {
-                this.serverStatus = 'online';
-                this.serverReady = true;
-                this.markWorldAsGenerated(); // Mark world as generated when server is ready
-                this.broadcastLog('🎉 SERVER IS NOW ONLINE! Friends can join!', 'success');
-                this.displayConnectionInfo();
-            }
-        });
-
-        this.minecraftProcess.stderr.on('data', (data) => {
-            const error = data.toString().trim();
-            this.broadcastLog(`💥 Error: ${error}`, 'error');
-        });
-
-        this.minecraftProcess.on('close', (code) => {
-            this.broadcastLog(`⏹️ Minecraft server exited with code ${code}`, code === 0 ? 'info' : 'error');
-            this.minecraftProcess = null;
-            this.serverStatus = 'offline';
-            this.serverReady = false;
-            this.startTime = null;
-
-            this.resetPlayitState();
-            this.stopPlayitTunnel();
-
-            if (code !== 0) {
-                this.broadcastLog('💥 Server crashed! Check the error messages above.', 'error');
-            } else {
-                this.broadcastLog('✅ Server stopped normally.', 'success');
-            }
+    // NEW: An uncaught error in the manager itself. Its state can no longer be trusted, but
+    // the servers (own process groups, so they outlive us) still get saved and stopped first.
+    handleFatalError(error, origin) {
+        console.error(error);
+        this.broadcastLog(`💥 Manager failed with ${origin}: ${error.message}`, 'error');
+        if (this.shuttingDown) return;
+
+        this.shutdown('error', { cause: 'Fatal error', exitCode: 1 }).catch((shutdownError) => {
+            console.error(shutdownError);
+            this.killChildProcesses();
+            process.exit(1);
         });
     }
 
-    displayConnectionInfo() {
-        this.broadcastLog('🎮 MINECRAFT CROSSPLAY SERVER IS ONLINE! 🎮', 'success');
-        this.broadcastLog(`📱 Java Edition Local: localhost:${this.javaPort}`, 'info');
-        this.broadcastLog(`🎯 Bedrock Edition Local: localhost:${this.bedrockPort}`, 'info');
-        this.broadcastLog(`🏘️ Network Java: ${this.localIP}:${this.javaPort}`, 'info');
-        this.broadcastLog(`🏘️ Network Bedrock: ${this.localIP}:${this.bedrockPort}`, 'info');
-
-        if (this.playitAddresses.java) {
-            this.broadcastLog(`🌐 Public Java (Playit): ${this.playitAddresses.java}`, 'success');
+    // NEW: Last resort on exit - never leave Java or a tunnel agent running on their own
+    killChildProcesses() {
+        for (const instance of this.instances.values()) {
+            instance.minecraftProcess?.kill('SIGKILL');
         }
-        if (this.playitAddresses.bedrock) {
-            this.broadcastLog(`🌐 Public Bedrock (Playit): ${this.playitAddresses.bedrock}`, 'success');
-        }
-
-        this.broadcastLog('📋 Share these addresses with friends!', 'success');
+        this.tunnels.kill();
     }
+}
 
-    stopMinecraftServer() {
-        if (this.minecraftProcess) {
-            this.serverStatus = 'stopping';
-            this.broadcastLog('⏹️ Stopping Minecraft server...', 'info');
-
-            this.resetPlayitState();
-            this.stopPlayitTunnel();
-
-            this.minecraftProcess.stdin.write('stop\n');
+// Schema as exposed over the API (rules without their command builders)
+function getPublicSchema() {
+    const schema = {};
+    for (const [section, fields] of Object.entries(CONFIG_SCHEMA)) {
+        schema[section] = {};
+        for (const [key, { command, pattern, ...rule }] of Object.entries(fields)) {
+            schema[section][key] = rule;
         }
     }
+    return schema;
+}
+
+// The scrape token from MC_METRICS_TOKEN (unset means scrapers need a session like anyone else)
+function isMetricsToken(token) {
+    const expected = process.env.MC_METRICS_TOKEN;
+    if (!expected || !token) return false;
 
-    executeCommand(command) {
-        if (this.minecraftProcess && this.serverReady) {
-            this.minecraftProcess.stdin.write(`${command}\n`);
-            this.broadcastLog(`📤 Command executed: ${command}`, 'info');
+    const a = crypto.createHash('sha256').update(token).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Resolve true when nothing else is bound to the port for this protocol
+function isPortAvailable(port, protocol) {
+    return new Promise((resolve) => {
+        if (protocol === 'udp') {
+            const socket = dgram.createSocket('udp4');
+            socket.once('error', () => {
+                socket.close();
+                resolve(false);
+            });
+            socket.bind(port, '0.0.0.0', () => socket.close(() => resolve(true)));
+            return;
         }
-    }
 
-    start(port = 3000) {
-        this.server.listen(port, '0.0.0.0', () => {
-            this.broadcastLog(`🚀 Minecraft Server Manager running on port ${port}`, 'success');
-            this.broadcastLog(`📱 Local access: http://localhost:${port}`, 'info');
-            this.broadcastLog(`🌐 Network access: http://${this.localIP}:${port}`, 'info');
-        });
-    }
+        const tester = net.createServer();
+        tester.once('error', () => resolve(false));
+        tester.listen(port, '0.0.0.0', () => tester.close(() => resolve(true)));
+    });
 }
 
-const manager = new MinecraftCrossplayServer();
-manager.start();
+// MC_PORT moves the panel off port 3000 (the test suite runs its own manager)
+const manager = new ServerManager();
+manager.start(Number(process.env.MC_PORT) || undefined);
+
+// Ctrl+C, service managers and closed terminals all go through the shutdown sequence
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGHUP']) {
+    process.on(signal, () => manager.shutdown(signal));
+}
+process.on('exit', () => manager.killChildProcesses());
+
+// Errors from an extension's own timers and promises count against that extension.
+// Any other uncaught exception leaves the manager in an unknown state and shuts it down
+// gracefully; a stray rejection does not (it may well be an extension's unawaited promise
+// whose stack no longer names it), so it is logged and every server keeps running.
+process.on('uncaughtException', (reason) => {
+    const error = reason instanceof Error ? reason : new Error(String(reason));
+    if (!manager.extensions.handleProcessError(error, 'an uncaught exception')) {
+        manager.handleFatalError(error, 'an uncaught exception');
+    }
+});
+process.on('unhandledRejection', (reason) => {
+    const error = reason instanceof Error ? reason : new Error(String(reason));
+    if (!manager.extensions.handleProcessError(error, 'an unhandled promise rejection')) {
+        console.error(error);
+        manager.broadcastLog(`⚠️ Unhandled promise rejection (ignored): ${error.message}`, 'warn');
+    }
+});
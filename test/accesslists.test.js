@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { offlineUuid, floodgateUuid } = require('../lib/accesslists');
+
+test('offline UUIDs match the server\'s name-based UUIDs', () => {
+    // Version 3 UUIDs of "OfflinePlayer:<name>", as Java's UUID.nameUUIDFromBytes makes them
+    assert.equal(offlineUuid('Notch'), 'b50ad385-829d-3141-a216-7e7d7539ba7f');
+    assert.match(offlineUuid('Steve'), /^[0-9a-f]{8}-[0-9a-f]{4}-3[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    // Names are case sensitive, as they are on the server
+    assert.notEqual(offlineUuid('steve'), offlineUuid('Steve'));
+});
+
+test('Floodgate UUIDs put the XUID in the low bits', () => {
+    assert.equal(floodgateUuid('2535428392823345'), '00000000-0000-0000-0009-01f56cb52a31');
+    assert.equal(floodgateUuid(1), '00000000-0000-0000-0000-000000000001');
+    // XUIDs go past 2^53, so they are handled as text
+    assert.equal(floodgateUuid('18446744073709551615'), '00000000-0000-0000-ffff-ffffffffffff');
+});
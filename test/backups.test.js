@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const { BackupManager } = require('../lib/backups');
+
+const STAMP = '2024-01-01T00-00-00-000Z';
+
+function setup(t, levelName = 'world') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-backups-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const serverPath = path.join(dir, 'server');
+    const backupDir = path.join(dir, 'backups');
+    fs.mkdirSync(backupDir);
+
+    const logs = [];
+    const server = {
+        serverPath,
+        minecraftProcess: null,
+        config: { server: { levelName }, backups: { directory: backupDir }, world: {} },
+        broadcastLog: message => logs.push(message),
+        emit: () => { },
+        saveConfig: () => { }
+    };
+    return { serverPath, backupDir, server, logs, backups: new BackupManager(server) };
+}
+
+function writeFiles(root, files) {
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    }
+}
+
+// An archive laid out like createBackup makes them, from files relative to its root
+async function makeArchive(t, backupDir, name, files) {
+    const source = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-archive-'));
+    t.after(() => fs.rmSync(source, { recursive: true, force: true }));
+    writeFiles(source, files);
+    await tar.c({ gzip: true, file: path.join(backupDir, name), cwd: source }, fs.readdirSync(source));
+}
+
+test('restores a backup over the current world', async (t) => {
+    const { serverPath, backupDir, backups } = setup(t);
+    writeFiles(serverPath, { 'world/level.dat': 'current', 'world_nether/region': 'current nether' });
+    await makeArchive(t, backupDir, `world_manual_${STAMP}.tar.gz`, { 'world/level.dat': 'backed up' });
+
+    await backups.restoreBackup(`world_manual_${STAMP}.tar.gz`);
+
+    assert.equal(fs.readFileSync(path.join(serverPath, 'world', 'level.dat'), 'utf8'), 'backed up');
+    // Folders the archive does not have are not carried over from the replaced world
+    assert.equal(fs.existsSync(path.join(serverPath, 'world_nether')), false);
+    assert.deepEqual(fs.readdirSync(serverPath).sort(), ['world']);
+    assert.equal(backups.listBackups().filter(backup => backup.type === 'pre-restore').length, 1);
+});
+
+test('a world saved under another level name is restored as the current one', async (t) => {
+    const { serverPath, backupDir, backups, logs } = setup(t, 'survival');
+    writeFiles(serverPath, { 'survival/level.dat': 'current' });
+    await makeArchive(t, backupDir, `world_manual_${STAMP}.tar.gz`, {
+        'world/level.dat': 'old overworld',
+        'world_the_end/level.dat': 'old end'
+    });
+
+    await backups.restoreBackup(`world_manual_${STAMP}.tar.gz`);
+
+    assert.equal(fs.readFileSync(path.join(serverPath, 'survival', 'level.dat'), 'utf8'), 'old overworld');
+    assert.equal(fs.readFileSync(path.join(serverPath, 'survival_the_end', 'level.dat'), 'utf8'), 'old end');
+    assert.equal(fs.existsSync(path.join(serverPath, 'world')), false);
+    assert.ok(logs.some(message => message.includes('restoring it as "survival"')));
+});
+
+test('archives that do not hold a single world are refused before anything moves', async (t) => {
+    const { serverPath, backupDir, backups } = setup(t);
+    writeFiles(serverPath, { 'world/level.dat': 'current' });
+    await makeArchive(t, backupDir, `world_manual_${STAMP}.tar.gz`, { 'one/level.dat': 'a', 'two/level.dat': 'b' });
+
+    await assert.rejects(backups.restoreBackup(`world_manual_${STAMP}.tar.gz`), /single world \(found: one, two\)/);
+    assert.equal(fs.readFileSync(path.join(serverPath, 'world', 'level.dat'), 'utf8'), 'current');
+    assert.deepEqual(fs.readdirSync(serverPath), ['world']);
+    assert.deepEqual(backups.listBackups().map(backup => backup.type), ['manual']);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfigPatch, validateMergedConfig, mergeConfigPatch, stripSecrets } = require('../lib/config');
+
+function fields(result) {
+    return result.errors.map(error => error.field);
+}
+
+test('valid settings are normalised', () => {
+    const result = validateConfigPatch({
+        server: { seed: 12345, maxPlayers: 10, difficulty: 'hard' },
+        performance: { maxMemory: '4g' }
+    });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.patch, {
+        server: { seed: '12345', maxPlayers: 10, difficulty: 'hard' },
+        performance: { maxMemory: '4G' }
+    });
+});
+
+test('seeds beyond 2^53 must be sent as text', () => {
+    const unsafe = validateConfigPatch({ server: { seed: 2 ** 53 + 2 } });
+    assert.deepEqual(fields(unsafe), ['server.seed']);
+    assert.match(unsafe.errors[0].message, /as text/);
+
+    assert.deepEqual(validateConfigPatch({ server: { seed: 1.5 } }).errors.length, 1);
+    assert.deepEqual(validateConfigPatch({ server: { seed: '-7417157268905316998' } }).patch, {
+        server: { seed: '-7417157268905316998' }
+    });
+    assert.deepEqual(fields(validateConfigPatch({ server: { seed: 'a\nb' } })), ['server.seed']);
+});
+
+test('bad values, unknown settings and read-only settings are rejected', () => {
+    const result = validateConfigPatch({
+        server: { maxPlayers: 0, gamemode: 'hardcore', levelName: '../world', colour: 'red' },
+        performance: { minMemory: '100M' },
+        rcon: { password: 'hunter2' },
+        nonsense: {}
+    }, { rcon: { password: 'generated' } });
+    assert.deepEqual(fields(result).sort(), [
+        'nonsense',
+        'performance.minMemory',
+        'rcon.password',
+        'server.colour',
+        'server.gamemode',
+        'server.levelName',
+        'server.maxPlayers'
+    ]);
+    assert.deepEqual(result.patch, {});
+});
+
+test('current values can be posted back, and null resets to the default', () => {
+    const current = { rcon: { enabled: true, port: 25575, password: 'generated' }, server: { maxPlayers: 50 } };
+    const result = validateConfigPatch({ rcon: { ...current.rcon }, server: { maxPlayers: null } }, current);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.patch, { server: { maxPlayers: 20 } });
+});
+
+test('shared sections can be limited to the default instance', () => {
+    const result = validateConfigPatch({ tunnel: { autoStart: false } }, {}, { allowShared: false });
+    assert.deepEqual(fields(result), ['tunnel.autoStart']);
+});
+
+test('merged configs are checked across settings', () => {
+    const errors = validateMergedConfig({
+        performance: { maxMemory: '1G', minMemory: '2G' },
+        ports: { java: 25565, bedrock: 25565 },
+        rcon: { enabled: true, port: 25565 },
+        java: { extraArgs: '-jar other.jar' }
+    });
+    assert.deepEqual(errors.map(error => error.field), ['performance.minMemory', 'ports.bedrock', 'rcon.port', 'rcon.port', 'java.extraArgs']);
+});
+
+test('merging lists what changed and how it applies', () => {
+    const { config, changes } = mergeConfigPatch(
+        { server: { maxPlayers: 20, gamemode: 'survival' } },
+        { server: { maxPlayers: 20, gamemode: 'creative' } }
+    );
+    assert.deepEqual(config.server, { maxPlayers: 20, gamemode: 'creative' });
+    assert.deepEqual(changes, [{ field: 'server.gamemode', from: 'survival', to: 'creative', apply: 'live' }]);
+});
+
+test('secrets are never sent back', () => {
+    const config = { cloudflared: { path: '', token: 'abc' }, frp: { token: 'def', serverPort: 7000 } };
+    assert.deepEqual(stripSecrets(config), { cloudflared: { path: '' }, frp: { serverPort: 7000 } });
+    assert.equal(config.cloudflared.token, 'abc');
+});
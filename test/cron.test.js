@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronTime } = require('../lib/cron');
+
+function sorted(set) {
+    return [...set].sort((a, b) => a - b);
+}
+
+test('parses lists, ranges, steps and names', () => {
+    const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+    assert.deepEqual(sorted(cron.minute), [0, 15, 30, 45]);
+    assert.deepEqual(sorted(cron.hour), [9, 13, 17]);
+    assert.deepEqual(sorted(cron.dayOfMonth), [1, 15]);
+    assert.deepEqual(sorted(cron.month), [1, 2, 3]);
+    assert.deepEqual(sorted(cron.dayOfWeek), [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, true);
+});
+
+test('"5/20" runs from 5 to the end, and 7 is Sunday', () => {
+    const cron = parseCron('5/20 0 * * 7');
+    assert.deepEqual(sorted(cron.minute), [5, 25, 45]);
+    assert.deepEqual(sorted(cron.dayOfWeek), [0]);
+    assert.equal(cron.anyDay, false);
+});
+
+test('shortcuts expand to five fields', () => {
+    const cron = parseCron('@daily');
+    assert.equal(cron.expression, '@daily');
+    assert.deepEqual(sorted(cron.minute), [0]);
+    assert.deepEqual(sorted(cron.hour), [0]);
+    assert.equal(cron.dayOfMonth.size, 31);
+});
+
+test('invalid expressions throw', () => {
+    for (const expression of ['', '* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '5-1 * * * *', '*/0 * * * *', '1/2/3 * * * *', 'x * * * *', '1-2-3 * * * *']) {
+        assert.throws(() => parseCron(expression), Error, expression);
+    }
+});
+
+test('finds the next matching minute in local time', () => {
+    const after = new Date(2024, 0, 1, 10, 7, 30);
+    assert.deepEqual(nextCronTime(parseCron('*/15 * * * *'), after), new Date(2024, 0, 1, 10, 15));
+    assert.deepEqual(nextCronTime(parseCron('0 4 * * *'), after), new Date(2024, 0, 2, 4, 0));
+    // Strictly after: a time that matches exactly moves on to the next run
+    assert.deepEqual(nextCronTime(parseCron('15 10 * * *'), new Date(2024, 0, 1, 10, 15)), new Date(2024, 0, 2, 10, 15));
+});
+
+test('either day field matches when both are restricted', () => {
+    // Monday 1 January 2024: the 13th or a Friday, whichever comes first
+    assert.deepEqual(nextCronTime(parseCron('0 0 13 * fri'), new Date(2024, 0, 1)), new Date(2024, 0, 5));
+    // Only the day of the month is restricted: the 13th, whatever the weekday
+    assert.deepEqual(nextCronTime(parseCron('0 0 13 * *'), new Date(2024, 0, 1)), new Date(2024, 0, 13));
+});
+
+test('rare dates are found and impossible ones give null', () => {
+    assert.deepEqual(nextCronTime(parseCron('0 0 29 2 *'), new Date(2024, 2, 1)), new Date(2028, 1, 29));
+    assert.equal(nextCronTime(parseCron('0 0 31 2 *'), new Date(2024, 0, 1)), null);
+});
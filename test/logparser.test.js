@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LineSplitter, LogParser } = require('../lib/logparser');
+
+function eventOf(line, options) {
+    return new LogParser().parse(line, options).event;
+}
+
+test('splits Paper and vanilla console lines', () => {
+    const parser = new LogParser();
+
+    const paper = parser.parse('[12:34:56 INFO]: [Geyser-Spigot] Started Geyser on 0.0.0.0:19132');
+    assert.equal(paper.time, '12:34:56');
+    assert.equal(paper.level, 'INFO');
+    assert.equal(paper.logger, 'Geyser-Spigot');
+    assert.equal(paper.message, 'Started Geyser on 0.0.0.0:19132');
+
+    const vanilla = parser.parse('[12:34:57] [Server thread/WARN]: Can\'t keep up!');
+    assert.equal(vanilla.thread, 'Server thread');
+    assert.equal(vanilla.level, 'WARN');
+    assert.equal(vanilla.logger, null);
+
+    // Stack traces carry on the level of the line before them
+    const trace = parser.parse('\tat net.minecraft.server.MinecraftServer.run(MinecraftServer.java:100)');
+    assert.equal(trace.continuation, true);
+    assert.equal(trace.level, 'WARN');
+});
+
+test('recognises readiness, players and plugins', () => {
+    assert.deepEqual(eventOf('[12:00:00 INFO]: Done (4.21s)! For help, type "help"'), { type: 'ready', seconds: '4.21' });
+    assert.deepEqual(eventOf('[12:00:00 INFO]: Steve joined the game'), { type: 'join', player: 'Steve' });
+    assert.deepEqual(eventOf('[12:00:00 INFO]: .AlexBE left the game'), { type: 'leave', player: '.AlexBE' });
+    assert.deepEqual(eventOf('[12:00:00 INFO]: UUID of player Steve is 8667ba71-b85a-4004-af54-457a9734eed7'), {
+        type: 'player-uuid',
+        player: 'Steve',
+        uuid: '8667ba71-b85a-4004-af54-457a9734eed7'
+    });
+    assert.deepEqual(eventOf('[12:00:00 INFO]: <Steve> hello there'), { type: 'chat', player: 'Steve', message: 'hello there' });
+    assert.deepEqual(eventOf('[12:00:00 INFO]: Steve has made the advancement [Stone Age]'), {
+        type: 'advancement',
+        player: 'Steve',
+        advancement: 'Stone Age'
+    });
+    assert.deepEqual(eventOf('[12:00:00 INFO]: [ViaVersion] Enabling ViaVersion v5.0.3'), {
+        type: 'plugin-enabled',
+        plugin: 'ViaVersion',
+        version: '5.0.3'
+    });
+    assert.deepEqual(eventOf('[12:00:00 ERROR]: Could not load \'plugins/Broken.jar\' in folder \'plugins\''), {
+        type: 'plugin-load-failed',
+        file: 'Broken.jar'
+    });
+});
+
+test('deaths only match players who are online', () => {
+    const line = '[12:00:00 INFO]: Steve was slain by Zombie';
+    assert.deepEqual(eventOf(line, { isOnline: name => name === 'Steve' }), { type: 'death', player: 'Steve' });
+    assert.equal(eventOf(line, { isOnline: () => false }), null);
+});
+
+test('chat that looks like a join, leave or death stays chat', () => {
+    const spoofs = [
+        '<Bob> joined the game',
+        '<Bob> Alice left the game',
+        '[Not Secure] <Bob> x]: Alice left the game',
+        '<Bob> Alice was slain by Zombie',
+        '<Bob> UUID of player Alice is 8667ba71-b85a-4004-af54-457a9734eed7'
+    ];
+    for (const message of spoofs) {
+        const event = eventOf(`[12:00:00 INFO]: ${message}`);
+        assert.equal(event.type, 'chat', message);
+        assert.equal(event.player, 'Bob', message);
+    }
+});
+
+test('player events need a player name, not arbitrary text', () => {
+    assert.equal(eventOf('[12:00:00 INFO]: Bob> left the game'), null);
+    assert.equal(eventOf('[12:00:00 INFO]: Bob and Alice joined the game'), null);
+    assert.equal(eventOf('[12:00:00 INFO]: [Bob] left the game'), null);
+    // Plugin loggers cannot fake vanilla events
+    assert.equal(eventOf('[12:00:00 INFO]: [Essentials] Alice joined the game'), null);
+});
+
+test('custom rules run first, and required events cannot be disabled', () => {
+    const parser = new LogParser({
+        rules: [{ event: 'lag', pattern: '^Can\'t keep up! .* Running (\\d+)ms', fields: ['ms'], level: 'WARN' }],
+        disabledEvents: ['chat', 'join']
+    });
+
+    assert.deepEqual(parser.parse('[12:00:00 WARN]: Can\'t keep up! Is the server overloaded? Running 5012ms or 100 ticks behind').event, {
+        type: 'lag',
+        ms: '5012'
+    });
+    assert.equal(parser.parse('[12:00:00 INFO]: <Steve> hi').event, null);
+    assert.equal(parser.parse('[12:00:00 INFO]: Steve joined the game').event.type, 'join');
+});
+
+test('invalid custom rules are reported and skipped', () => {
+    const errors = [];
+    const parser = new LogParser({ rules: [{ event: 'Bad Name', pattern: 'x' }, { event: 'broken', pattern: '(' }], onError: error => errors.push(error) });
+    assert.equal(errors.length, 2);
+    assert.equal(parser.parse('[12:00:00 INFO]: Steve joined the game').event.type, 'join');
+});
+
+test('LineSplitter joins chunks into lines and strips colours', () => {
+    const lines = [];
+    const splitter = new LineSplitter(line => lines.push(line));
+    splitter.push('[12:00:00 INFO]: Hel');
+    splitter.push('lo\r\n\x1b[33m[12:00:01 WARN]: Careful\x1b[0m\n\n[12:00:02 INFO]: rest');
+    assert.deepEqual(lines, ['[12:00:00 INFO]: Hello', '[12:00:01 WARN]: Careful']);
+    splitter.flush();
+    assert.deepEqual(lines.at(-1), '[12:00:02 INFO]: rest');
+});
+
+test('LineSplitter decodes characters split across chunks', () => {
+    const lines = [];
+    const splitter = new LineSplitter(line => lines.push(line));
+    const bytes = Buffer.from('[12:00:00 INFO]: <Zoë> café ✓\n');
+    // Cut inside "ë" and inside "✓"
+    const first = bytes.indexOf('ë') + 1;
+    const second = bytes.indexOf('✓') + 2;
+    splitter.push(bytes.subarray(0, first));
+    splitter.push(bytes.subarray(first, second));
+    splitter.push(bytes.subarray(second));
+    assert.deepEqual(lines, ['[12:00:00 INFO]: <Zoë> café ✓']);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatPrometheus } = require('../lib/metrics');
+
+function instance(id, latest = null) {
+    return {
+        id,
+        minecraftProcess: latest ? {} : null,
+        serverReady: !!latest,
+        startTime: null,
+        metrics: { latest },
+        config: { server: { maxPlayers: 20 }, performance: { maxMemory: '2G' } },
+        players: { online: new Set(latest ? ['Steve'] : []) }
+    };
+}
+
+test('series are labelled by server, not the scrape-target instance label', () => {
+    const text = formatPrometheus([
+        instance('default', { cpu: 12.5, rss: 1024, tps1m: 20, tps5m: 19.5, tps15m: 19.9, mspt: 4, msptMax: 9 }),
+        instance('creative')
+    ]);
+
+    assert.match(text, /^minecraft_server_up\{server="default"\} 1$/m);
+    assert.match(text, /^minecraft_server_up\{server="creative"\} 0$/m);
+    assert.match(text, /^minecraft_tps\{server="default",window="5m"\} 19\.5$/m);
+    assert.match(text, /^minecraft_jvm_max_heap_bytes\{server="creative"\} 2147483648$/m);
+    assert.doesNotMatch(text, /instance=/);
+    // Samples a stopped server does not have are left out rather than reported as 0
+    assert.doesNotMatch(text, /minecraft_tps\{server="creative"/);
+    assert.equal(text.endsWith('# EOF\n'), false);
+    assert.equal(formatPrometheus([], { openMetrics: true }).endsWith('# EOF\n'), true);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PlayerRegistry } = require('../lib/players');
+
+function createRegistry(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-players-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const server = {
+        dataPath: dir,
+        serverPath: dir,
+        config: { server: { maxPlayers: 20 } },
+        broadcastLog: () => { },
+        emit: () => { }
+    };
+    return { server, registry: new PlayerRegistry(server) };
+}
+
+test('tracks joins, leaves and UUIDs from parser events', (t) => {
+    const { registry } = createRegistry(t);
+    registry.handleEvent({ type: 'player-uuid', player: 'Steve', uuid: '8667ba71-b85a-4004-af54-457a9734eed7' });
+    registry.handleEvent({ type: 'join', player: 'Steve' });
+    registry.handleEvent({ type: 'join', player: '.AlexBE' });
+
+    assert.deepEqual(registry.getOnline().map(player => [player.name, player.platform]), [['Steve', 'java'], ['.AlexBE', 'bedrock']]);
+    assert.equal(registry.getPlayer('Steve').uuid, '8667ba71-b85a-4004-af54-457a9734eed7');
+
+    registry.handleEvent({ type: 'leave', player: 'Steve' });
+    const steve = registry.getPlayer('Steve');
+    assert.equal(steve.online, false);
+    assert.equal(steve.sessionCount, 1);
+    assert.equal(steve.sessions[0].reason, 'left');
+});
+
+test('player names that are Object property names are ordinary players', (t) => {
+    const { server, registry } = createRegistry(t);
+    for (const name of ['__proto__', 'constructor', 'toString']) {
+        registry.handleEvent({ type: 'join', player: name });
+        registry.handleEvent({ type: 'leave', player: name });
+        registry.handleEvent({ type: 'join', player: name });
+    }
+
+    assert.equal(registry.getPlayer('__proto__').sessionCount, 2);
+    assert.equal(registry.getPlayer('constructor').sessionCount, 2);
+    assert.equal(registry.getPlayer('hasOwnProperty'), null);
+
+    // The history survives a reload with the same names
+    const reloaded = new PlayerRegistry(server);
+    assert.deepEqual([...reloaded.players.keys()], ['__proto__', 'constructor', 'toString']);
+    assert.equal(reloaded.getPlayer('toString').sessionCount, 2);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PropertiesFile, readProperties, writeProperties } = require('../lib/properties');
+
+const SAMPLE = [
+    '#Minecraft server properties',
+    '#Mon Jan 01 00:00:00 UTC 2024',
+    'server-port=25565',
+    '',
+    'motd=A \\u00A7aMinecraft Server',
+    'level-seed = -7417157268905316998',
+    'resource-pack=https\\://example.com/pack.zip',
+    'long.value = first \\',
+    '    second',
+    '! bang comment',
+    'server-port=25566'
+].join('\n') + '\n';
+
+test('unchanged files are written back byte for byte', () => {
+    assert.equal(PropertiesFile.parse(SAMPLE).toString(), SAMPLE);
+});
+
+test('values are unescaped and later duplicates win', () => {
+    const properties = PropertiesFile.parse(SAMPLE);
+    assert.equal(properties.get('motd'), 'A §aMinecraft Server');
+    assert.equal(properties.get('level-seed'), '-7417157268905316998');
+    assert.equal(properties.get('resource-pack'), 'https://example.com/pack.zip');
+    assert.equal(properties.get('long.value'), 'first second');
+    assert.equal(properties.get('server-port'), '25566');
+    assert.deepEqual(properties.keys(), ['server-port', 'motd', 'level-seed', 'resource-pack', 'long.value']);
+});
+
+test('set edits one line in place and appends new keys', () => {
+    const properties = PropertiesFile.parse(SAMPLE);
+    properties.set('server-port', 25570);
+    properties.set('motd', 'Line one\nwith = and : inside');
+    properties.set('new key', ' padded');
+
+    const lines = properties.toString().split('\n');
+    assert.equal(lines[2], 'server-port=25565');
+    assert.equal(lines[4], 'motd=Line one\\nwith \\= and \\: inside');
+    assert.equal(lines[10], 'server-port=25570');
+    assert.equal(lines[11], 'new\\ key=\\ padded');
+
+    const reparsed = PropertiesFile.parse(properties.toString());
+    assert.deepEqual(reparsed.toObject(), properties.toObject());
+    assert.equal(reparsed.get('new key'), ' padded');
+});
+
+test('setting the current value keeps the original text', () => {
+    const properties = PropertiesFile.parse(SAMPLE);
+    properties.set('level-seed', '-7417157268905316998');
+    assert.equal(properties.toString(), SAMPLE);
+});
+
+test('readProperties and writeProperties round-trip a file', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-properties-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'server.properties');
+
+    assert.deepEqual(readProperties(file).keys(), []);
+
+    fs.writeFileSync(file, SAMPLE);
+    const properties = readProperties(file);
+    properties.delete('resource-pack');
+    writeProperties(file, properties);
+
+    assert.equal(readProperties(file).has('resource-pack'), false);
+    assert.equal(readProperties(file).get('motd'), 'A §aMinecraft Server');
+    assert.deepEqual(fs.readdirSync(dir), ['server.properties']);
+});
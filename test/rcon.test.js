@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { RconClient } = require('../lib/rcon');
+
+const PASSWORD = 'secret';
+
+function packet(id, type, body) {
+    const payload = Buffer.from(body, 'utf8');
+    const buffer = Buffer.alloc(14 + payload.length);
+    buffer.writeInt32LE(10 + payload.length, 0);
+    buffer.writeInt32LE(id, 4);
+    buffer.writeInt32LE(type, 8);
+    payload.copy(buffer, 12);
+    return buffer;
+}
+
+// A Minecraft-like RCON server that records every packet and answers through respond()
+async function startServer(t, respond) {
+    const received = [];
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            while (buffer.length >= 4 && buffer.length >= buffer.readInt32LE(0) + 4) {
+                const length = buffer.readInt32LE(0);
+                const request = {
+                    length,
+                    id: buffer.readInt32LE(4),
+                    type: buffer.readInt32LE(8),
+                    body: buffer.toString('utf8', 12, length + 2),
+                    terminators: buffer.subarray(length + 2, length + 4).toString('hex')
+                };
+                buffer = buffer.subarray(length + 4);
+                received.push(request);
+                respond(socket, request);
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise((resolve) => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(resolve);
+    }));
+    return { port: server.address().port, received };
+}
+
+function minecraft(socket, request) {
+    if (request.type === 3) {
+        socket.write(packet(request.body === PASSWORD ? request.id : -1, 2, ''));
+    } else if (request.type === 2) {
+        socket.write(packet(request.id, 0, `ran ${request.body}`));
+    } else {
+        socket.write(packet(request.id, 0, `Unknown request ${request.type.toString(16)}`));
+    }
+}
+
+test('frames packets as length, id, type and a null-terminated body', async (t) => {
+    const { port, received } = await startServer(t, minecraft);
+    const client = new RconClient({ port, password: PASSWORD, timeout: 2000 });
+    t.after(() => client.close());
+
+    await client.connect();
+    assert.equal(client.connected, true);
+    assert.equal(await client.command('list'), 'ran list');
+
+    const [auth, command, terminator] = received;
+    assert.deepEqual(auth, { length: 16, id: auth.id, type: 3, body: PASSWORD, terminators: '0000' });
+    assert.deepEqual(command, { length: 14, id: command.id, type: 2, body: 'list', terminators: '0000' });
+    // The follow-up packet marks the end of the response
+    assert.equal(terminator.type, 100);
+    assert.equal(terminator.body, '');
+    assert.notEqual(command.id, terminator.id);
+});
+
+test('joins multi-packet responses and reassembles split reads', async (t) => {
+    const { port } = await startServer(t, (socket, request) => {
+        if (request.type === 3) return minecraft(socket, request);
+        // A long reply comes in several packets; send everything a byte at a time
+        const replies = request.type === 2
+            ? [packet(request.id, 0, 'There are 2 of a max of 20 players online: '), packet(request.id, 0, 'Steve, .AlexBE ✓')]
+            : [packet(request.id, 0, 'Unknown request 64')];
+        for (const byte of Buffer.concat(replies)) socket.write(Buffer.from([byte]));
+    });
+    const client = new RconClient({ port, password: PASSWORD, timeout: 2000 });
+    t.after(() => client.close());
+
+    await client.connect();
+    assert.equal(await client.command('list'), 'There are 2 of a max of 20 players online: Steve, .AlexBE ✓');
+});
+
+test('commands are queued one at a time', async (t) => {
+    const { port, received } = await startServer(t, minecraft);
+    const client = new RconClient({ port, password: PASSWORD, timeout: 2000 });
+    t.after(() => client.close());
+
+    await client.connect();
+    const replies = await Promise.all(['say a', 'say b', 'say c'].map(command => client.command(command)));
+    assert.deepEqual(replies, ['ran say a', 'ran say b', 'ran say c']);
+    assert.deepEqual(received.slice(1).map(request => request.type), [2, 100, 2, 100, 2, 100]);
+});
+
+test('a wrong password is reported', async (t) => {
+    const { port } = await startServer(t, minecraft);
+    const client = new RconClient({ port, password: 'wrong', timeout: 2000 });
+
+    await assert.rejects(client.connect(), /wrong password/);
+    assert.equal(client.connected, false);
+});
+
+test('commands fail when not connected', async () => {
+    const client = new RconClient({ timeout: 2000 });
+    await assert.rejects(client.command('list'), /not connected/);
+});
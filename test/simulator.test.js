@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ManagerClient } = require('../lib/client');
+
+const SERVER_SCRIPT = path.join(__dirname, '..', 'server.js');
+const PASSWORD = 'simulator-test-password';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitFor(description, check, timeoutMs = 30000) {
+    const deadline = Date.now() + timeoutMs;
+    let last;
+    while (Date.now() < deadline) {
+        try {
+            last = await check();
+            if (last) return last;
+        } catch (error) {
+            last = error;
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Timed out waiting for ${description} (last: ${last instanceof Error ? last.message : JSON.stringify(last)})`);
+}
+
+// A real manager in a scratch directory, driving the simulated Paper server
+async function startManager(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-manager-'));
+    const port = await freePort();
+    const output = [];
+    const manager = spawn(process.execPath, [SERVER_SCRIPT], {
+        cwd: dir,
+        env: { ...process.env, MC_PORT: String(port), MC_ADMIN_PASSWORD: PASSWORD },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    manager.stdout.on('data', data => output.push(data.toString()));
+    manager.stderr.on('data', data => output.push(data.toString()));
+    const exited = new Promise(resolve => manager.once('exit', resolve));
+
+    t.after(async () => {
+        if (manager.exitCode === null) {
+            manager.kill('SIGTERM');
+            const timer = setTimeout(() => manager.kill('SIGKILL'), 15000);
+            await exited;
+            clearTimeout(timer);
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const client = new ManagerClient({ url: `http://127.0.0.1:${port}` });
+    await waitFor('the manager to accept logins', () => client.login('admin', PASSWORD), 20000).catch((error) => {
+        throw new Error(`${error.message}\n${output.join('')}`);
+    });
+    return { client, output };
+}
+
+test('simulated server starts, stops, and is restarted by the watchdog after a crash', { timeout: 120000 }, async (t) => {
+    const { client, output } = await startManager(t);
+    const status = () => client.get('/instances/default/status');
+
+    await client.post('/instances/default/config', {
+        config: {
+            simulation: { enabled: true, scenario: 'idle', startupSeconds: 1 },
+            tunnel: { autoStart: false },
+            ports: { java: await freePort(), bedrock: await freePort() },
+            rcon: { port: await freePort() },
+            watchdog: { enabled: true, initialDelaySeconds: 1 },
+            shutdown: { countdownSeconds: 0 }
+        }
+    });
+
+    try {
+        // Start: "starting" until the simulator logs "Done", then ready
+        await client.post('/instances/default/start');
+        const online = await waitFor('the server to be ready', async () => {
+            const current = await status();
+            return current.status === 'online' && current.ready && current;
+        });
+        assert.equal(online.simulated, true);
+        assert.equal(online.running, true);
+
+        const reply = await client.post('/instances/default/command', { command: 'list' });
+        assert.match(reply.output || '', /There are 0 of a max of \d+ players online/);
+
+        // A requested stop is not a crash
+        await client.post('/instances/default/stop', { countdown: 0 });
+        const stopped = await waitFor('the server to stop', async () => {
+            const current = await status();
+            return current.status === 'offline' && !current.running && current;
+        });
+        assert.equal(stopped.watchdog.lastCrash, null);
+        assert.equal(stopped.watchdog.nextRestartAt, null);
+
+        // A crash is recorded and the watchdog brings the server back
+        await client.post('/instances/default/start');
+        await waitFor('the server to be ready again', async () => (await status()).ready);
+        await client.post('/instances/default/command', { command: 'sim crash java.lang.OutOfMemoryError: Java heap space' });
+
+        const restarted = await waitFor('the watchdog to restart the server', async () => {
+            const current = await status();
+            return current.watchdog.totalRestarts === 1 && current.status === 'online' && current.ready && current;
+        });
+        assert.match(restarted.watchdog.lastCrash.reason, /^exit code [1-9]/);
+        assert.match(restarted.watchdog.lastCrash.errors.join('\n'), /crash report has been saved/);
+    } catch (error) {
+        error.message += `\n--- manager output ---\n${output.join('').slice(-4000)}`;
+        throw error;
+    }
+});